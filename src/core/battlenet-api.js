@@ -1,13 +1,46 @@
 const https = require('https');
+const { toRealmSlug } = require('./realms');
+const { getCachedEntry, isFresh, DEFAULT_GEAR_CACHE_TTL_HOURS } = require('./gear-cache');
+const { scoreEquipment, DEFAULT_GEAR_SCORE_MODEL } = require('./gear-score');
+const { summarizeTalents } = require('./spec-check');
+
+// Request pool and retry defaults; hosts, port and CA can be overridden
+// to point the client at a stand-in server
+const DEFAULT_CLIENT_OPTIONS = {
+    concurrency: 4,
+    maxRetries: 3,
+    retryBaseMs: 500,
+    maxRetryMs: 30000,
+    timeoutMs: 15000,
+    gearScoreModel: DEFAULT_GEAR_SCORE_MODEL,
+    authHost: null,
+    apiHost: null,
+    port: undefined,
+    ca: undefined
+};
+
+// Statuses worth another try: rate limited, or the API having a bad moment
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+// Token endpoint statuses for a wrong client ID or secret; no retry will fix them
+const REJECTED_CREDENTIALS_STATUSES = [400, 401];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class BattleNetAPI {
-    constructor(clientId, clientSecret, region = 'us') {
+    constructor(clientId, clientSecret, region = 'us', options = {}) {
         this.clientId = clientId;
         this.clientSecret = clientSecret;
         this.region = region;
+        this.options = { ...DEFAULT_CLIENT_OPTIONS, ...options };
         this.accessToken = null;
         this.tokenExpiry = null;
-        
+        this.authPromise = null;
+        // Set when the token endpoint rejects the credentials; every later request fails with it
+        this.authError = null;
+        // Set by a 429; every request waits until then
+        this.pausedUntil = 0;
+
         this.regionHosts = {
             'us': 'us.api.blizzard.com',
             'eu': 'eu.api.blizzard.com',
@@ -16,173 +49,399 @@ class BattleNetAPI {
         };
     }
 
-    async authenticate() {
-        if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-            return this.accessToken;
-        }
-
-        const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-        
+    // One HTTPS request, resolving { statusCode, headers, data } whatever the status
+    request(options, body = null) {
         return new Promise((resolve, reject) => {
-            const options = {
-                hostname: `${this.region}.battle.net`,
-                path: '/oauth/token',
-                method: 'POST',
-                headers: {
-                    'Authorization': `Basic ${credentials}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            };
-
-            const req = https.request(options, (res) => {
+            const req = https.request({
+                port: this.options.port,
+                ca: this.options.ca,
+                ...options
+            }, (res) => {
                 let data = '';
-                
+
                 res.on('data', (chunk) => {
                     data += chunk;
                 });
 
                 res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
-                        if (response.access_token) {
-                            this.accessToken = response.access_token;
-                            this.tokenExpiry = Date.now() + (response.expires_in * 1000);
-                            resolve(this.accessToken);
-                        } else {
-                            reject(new Error('Failed to obtain access token'));
-                        }
-                    } catch (error) {
-                        reject(error);
-                    }
+                    resolve({ statusCode: res.statusCode, headers: res.headers, data });
                 });
             });
 
+            req.setTimeout(this.options.timeoutMs, () => {
+                req.destroy(new Error(`Request timed out after ${this.options.timeoutMs}ms`));
+            });
+
             req.on('error', (error) => {
                 reject(error);
             });
 
-            req.write('grant_type=client_credentials');
+            if (body) {
+                req.write(body);
+            }
             req.end();
         });
     }
 
-    async getCharacterEquipment(realm, characterName) {
-        try {
-            await this.authenticate();
-
-            const realmSlug = realm.toLowerCase().replace(/\s+/g, '-').replace(/'/g, '');
-            const charName = characterName.toLowerCase();
-            
-            return new Promise((resolve, reject) => {
-                const options = {
-                    hostname: this.regionHosts[this.region],
-                    path: `/profile/wow/character/${realmSlug}/${charName}/equipment?namespace=profile-classic-${this.region}&locale=en_US`,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`
-                    }
-                };
+    // Milliseconds to wait before retry `attempt` (0-based), from Retry-After when given
+    getRetryDelay(attempt, retryAfter) {
+        const { retryBaseMs, maxRetryMs } = this.options;
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds)
+                ? seconds * 1000
+                : new Date(retryAfter).getTime() - Date.now();
+            if (Number.isFinite(delay)) {
+                return Math.min(maxRetryMs, Math.max(0, delay));
+            }
+        }
+        return Math.min(maxRetryMs, retryBaseMs * Math.pow(2, attempt));
+    }
 
-                const req = https.request(options, (res) => {
-                    let data = '';
-                    
-                    res.on('data', (chunk) => {
-                        data += chunk;
-                    });
-
-                    res.on('end', () => {
-                        try {
-                            if (res.statusCode === 200) {
-                                const response = JSON.parse(data);
-                                resolve(response);
-                            } else if (res.statusCode === 404) {
-                                resolve(null); // Character not found
-                            } else {
-                                reject(new Error(`API returned status ${res.statusCode}: ${data}`));
-                            }
-                        } catch (error) {
-                            reject(error);
-                        }
-                    });
-                });
+    // Request with retries: 429s pause every request for Retry-After, 5xx and
+    // network errors back off exponentially, a 401 fetches a new token once.
+    // `buildOptions` is called per attempt so it picks up the current token;
+    // errors marked `fatal` (rejected credentials) are thrown without a retry.
+    async requestWithRetry(buildOptions, body = null, onRetry = null) {
+        const { maxRetries } = this.options;
+        let tokenRefreshed = false;
 
-                req.on('error', (error) => {
-                    reject(error);
-                });
+        for (let attempt = 0; ; attempt++) {
+            const wait = this.pausedUntil - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
 
-                req.end();
+            let response = null;
+            let reason;
+            try {
+                response = await this.request(await buildOptions(), body);
+            } catch (error) {
+                if (error.fatal || attempt >= maxRetries) throw error;
+                reason = error.message;
+            }
+
+            if (response && response.statusCode === 401 && !tokenRefreshed && this.accessToken) {
+                tokenRefreshed = true;
+                this.accessToken = null;
+                attempt--;
+                continue;
+            }
+            if (response && !TRANSIENT_STATUSES.includes(response.statusCode)) {
+                return response;
+            }
+            if (response && attempt >= maxRetries) {
+                return response;
+            }
+
+            const retryAfter = response && response.statusCode === 429
+                ? response.headers['retry-after']
+                : undefined;
+            const delayMs = this.getRetryDelay(attempt, retryAfter);
+            if (response) {
+                reason = `status ${response.statusCode}`;
+                if (response.statusCode === 429) {
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+                }
+            }
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, delayMs, reason });
+            }
+            await sleep(delayMs);
+        }
+    }
+
+    async authenticate() {
+        if (this.authError) {
+            throw this.authError;
+        }
+        if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+            return this.accessToken;
+        }
+        // Concurrent lookups share one token request
+        if (!this.authPromise) {
+            this.authPromise = this.requestToken().finally(() => {
+                this.authPromise = null;
             });
+        }
+        return this.authPromise;
+    }
+
+    async requestToken() {
+        const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+        const response = await this.requestWithRetry(() => ({
+            hostname: this.options.authHost || `${this.region}.battle.net`,
+            path: '/oauth/token',
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${credentials}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        }), 'grant_type=client_credentials');
+
+        if (REJECTED_CREDENTIALS_STATUSES.includes(response.statusCode)) {
+            this.authError = new Error(`Battle.net rejected the client ID or secret (status ${response.statusCode}), check your Battle.net credentials in Settings`);
+            this.authError.fatal = true;
+            throw this.authError;
+        }
+
+        let token = {};
+        try {
+            token = JSON.parse(response.data);
         } catch (error) {
-            throw error;
+            // Reported below with the status
+        }
+        if (!token.access_token) {
+            throw new Error(`Failed to obtain access token (status ${response.statusCode})`);
         }
+        this.accessToken = token.access_token;
+        this.tokenExpiry = Date.now() + (token.expires_in * 1000);
+        return this.accessToken;
     }
 
-    calculateGearScore(equipment) {
-        if (!equipment || !equipment.equipped_items) {
-            return 0;
+    // Character profile resource path, e.g. 'equipment' or 'specializations'
+    profilePath(realm, characterName, resource) {
+        const realmSlug = toRealmSlug(realm);
+        const charName = encodeURIComponent(characterName.toLowerCase());
+        return `/profile/wow/character/${realmSlug}/${charName}/${resource}?namespace=profile-classic-${this.region}&locale=en_US`;
+    }
+
+    async getCharacterEquipment(realm, characterName) {
+        const response = await this.fetchCharacterEquipment(realm, characterName);
+        return response.equipment;
+    }
+
+    // Equipment with its Last-Modified date; a 304 (status 'unchanged') when
+    // nothing changed since `ifModifiedSince`, equipment null if not found
+    async fetchCharacterEquipment(realm, characterName, ifModifiedSince = null, onRetry = null) {
+        const res = await this.requestWithRetry(async () => {
+            const options = {
+                hostname: this.options.apiHost || this.regionHosts[this.region],
+                path: this.profilePath(realm, characterName, 'equipment'),
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${await this.authenticate()}`
+                }
+            };
+            if (ifModifiedSince) {
+                options.headers['If-Modified-Since'] = ifModifiedSince;
+            }
+            return options;
+        }, null, onRetry);
+
+        const lastModified = res.headers['last-modified'] || null;
+        if (res.statusCode === 200) {
+            return { status: 'ok', equipment: JSON.parse(res.data), lastModified };
+        } else if (res.statusCode === 304) {
+            return { status: 'unchanged', equipment: null, lastModified: lastModified || ifModifiedSince };
+        } else if (res.statusCode === 404) {
+            return { status: 'not-found', equipment: null, lastModified: null };
         }
+        throw new Error(`API returned status ${res.statusCode}: ${res.data}`);
+    }
 
-        let totalItemLevel = 0;
-        let itemCount = 0;
+    // Talent specializations with their Last-Modified date, like fetchCharacterEquipment
+    async fetchCharacterSpecializations(realm, characterName, ifModifiedSince = null, onRetry = null) {
+        const res = await this.requestWithRetry(async () => {
+            const options = {
+                hostname: this.options.apiHost || this.regionHosts[this.region],
+                path: this.profilePath(realm, characterName, 'specializations'),
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${await this.authenticate()}`
+                }
+            };
+            if (ifModifiedSince) {
+                options.headers['If-Modified-Since'] = ifModifiedSince;
+            }
+            return options;
+        }, null, onRetry);
 
-        equipment.equipped_items.forEach(item => {
-            if (item.level && item.level.value) {
-                totalItemLevel += item.level.value;
-                itemCount++;
+        const lastModified = res.headers['last-modified'] || null;
+        if (res.statusCode === 200) {
+            return { status: 'ok', specializations: JSON.parse(res.data), lastModified };
+        } else if (res.statusCode === 304) {
+            return { status: 'unchanged', specializations: null, lastModified: lastModified || ifModifiedSince };
+        } else if (res.statusCode === 404) {
+            return { status: 'not-found', specializations: null, lastModified: null };
+        }
+        throw new Error(`API returned status ${res.statusCode}: ${res.data}`);
+    }
+
+    // Talent tree with the most points and the points per tree (see spec-check.js),
+    // talents null when none are spent. The talents of `cached` (a gear cache entry)
+    // are revalidated with their Last-Modified date and reused when the request fails
+    async getCharacterTalents(realm, characterName, cached = null, onRetry = null) {
+        const known = Boolean(cached) && cached.talents !== undefined;
+        try {
+            const response = await this.fetchCharacterSpecializations(
+                realm, characterName, known ? cached.talentsLastModified : null, onRetry);
+            if (response.status === 'unchanged') {
+                return { success: true, talents: cached.talents, talentsLastModified: response.lastModified };
             }
-        });
+            if (!response.specializations) {
+                return { success: false, error: 'Character not found' };
+            }
+            return {
+                success: true,
+                talents: summarizeTalents(response.specializations),
+                talentsLastModified: response.lastModified
+            };
+        } catch (error) {
+            if (error.fatal) throw error;
+            if (known) {
+                return { success: true, talents: cached.talents, talentsLastModified: cached.talentsLastModified, offline: true };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Gear score and per-slot breakdown of equipped items with the client's model
+    // (see gear-score.js); breakdown null without items
+    scoreItems(items) {
+        const breakdown = scoreEquipment(items, this.options.gearScoreModel);
+        return { gearScore: breakdown ? breakdown.score : 0, gearBreakdown: breakdown };
+    }
+
+    calculateGearScore(equipment) {
+        if (!equipment || !equipment.equipped_items) {
+            return 0;
+        }
+        return this.scoreItems(equipment.equipped_items).gearScore;
+    }
 
-        // Average item level as gear score
-        return itemCount > 0 ? Math.round(totalItemLevel / itemCount) : 0;
+    // Cached gear rescored with the current model; entries without items keep their score
+    scoreCachedEntry(entry) {
+        const scored = this.scoreItems(entry.equipment);
+        return scored.gearBreakdown ? scored : { gearScore: entry.gearScore, gearBreakdown: null };
     }
 
-    async getCharacterGearScore(realm, characterName) {
+    // `cached` (a gear cache entry) is revalidated instead of downloaded again,
+    // and is returned as last-known gear (offline: true) when the request fails;
+    // rejected credentials are thrown, not covered up with cached gear
+    async getCharacterGearScore(realm, characterName, cached = null, onRetry = null) {
         try {
-            const equipment = await this.getCharacterEquipment(realm, characterName);
-            if (!equipment) {
+            const response = await this.fetchCharacterEquipment(realm, characterName, cached && cached.lastModified, onRetry);
+            if (response.status === 'unchanged') {
+                return {
+                    success: true,
+                    ...this.scoreCachedEntry(cached),
+                    equipment: cached.equipment,
+                    lastModified: response.lastModified,
+                    unchanged: true
+                };
+            }
+            if (!response.equipment) {
                 return { success: false, error: 'Character not found' };
             }
 
-            const gearScore = this.calculateGearScore(equipment);
-            return { 
-                success: true, 
-                gearScore,
-                equipment: equipment.equipped_items 
+            return {
+                success: true,
+                ...this.scoreItems(response.equipment.equipped_items),
+                equipment: response.equipment.equipped_items,
+                lastModified: response.lastModified
             };
         } catch (error) {
-            return { 
-                success: false, 
-                error: error.message 
+            if (error.fatal) throw error;
+            if (cached) {
+                return {
+                    success: true,
+                    ...this.scoreCachedEntry(cached),
+                    equipment: cached.equipment,
+                    fetchedAt: cached.fetchedAt,
+                    cached: true,
+                    offline: true,
+                    error: error.message
+                };
+            }
+            return {
+                success: false,
+                error: error.message
             };
         }
     }
 
-    async batchGetGearScores(characters) {
-        const results = [];
-        
-        for (const char of characters) {
-            try {
-                const result = await this.getCharacterGearScore(char.realm, char.name);
-                results.push({
-                    name: char.name,
-                    realm: char.realm,
-                    ...result
-                });
-                
-                // Rate limiting - wait 100ms between requests
-                await new Promise(resolve => setTimeout(resolve, 100));
-            } catch (error) {
-                results.push({
-                    name: char.name,
-                    realm: char.realm,
-                    success: false,
-                    error: error.message
-                });
+    // Characters are { name, realm, ... }; extra fields (player id, realm source) are passed through
+    // With `options.cache` (see gear-cache.js), entries younger than `ttlHours` are used without a request.
+    // With `options.talents`, talents are looked up (and cached) along with the gear.
+    // Up to `concurrency` lookups run at once; `onProgress` gets { type: 'retry', ... } while
+    // a lookup is retried and { type: 'result', done, total, result } as each one finishes.
+    // Results keep the order of `characters`. Rejected credentials reject the whole batch.
+    async batchGetGearScores(characters, options = {}) {
+        const {
+            cache = null,
+            ttlHours = DEFAULT_GEAR_CACHE_TTL_HOURS,
+            onProgress = null,
+            talents = false
+        } = options;
+        // Talents of a cache entry as they are (null when never fetched)
+        const cachedTalents = entry => ({
+            talents: (entry && entry.talents) || null,
+            talentsLastModified: (entry && entry.talentsLastModified) || null
+        });
+
+        const lookUp = async (char) => {
+            const entry = getCachedEntry(cache, this.region, char.realm, char.name);
+            if (isFresh(entry, ttlHours)) {
+                return {
+                    ...char,
+                    success: true,
+                    ...this.scoreCachedEntry(entry),
+                    equipment: entry.equipment,
+                    fetchedAt: entry.fetchedAt,
+                    cached: true,
+                    ...(talents ? cachedTalents(entry) : {})
+                };
             }
-        }
-        
+
+            const onRetry = onProgress
+                ? (retry) => onProgress({ type: 'retry', name: char.name, realm: char.realm, ...retry })
+                : null;
+            const result = await this.getCharacterGearScore(char.realm, char.name, entry, onRetry);
+            if (talents && result.success) {
+                // Battle.net unreachable for the gear: no point asking for talents
+                const found = result.offline ? null : await this.getCharacterTalents(char.realm, char.name, entry, onRetry);
+                Object.assign(result, found && found.success
+                    ? { talents: found.talents, talentsLastModified: found.talentsLastModified || null }
+                    : cachedTalents(entry));
+            }
+            return {
+                ...char,
+                fetchedAt: new Date().toISOString(),
+                ...result
+            };
+        };
+
+        return this.runPool(characters, lookUp, onProgress);
+    }
+
+    // `lookUp` over each character, up to `concurrency` at once, in order.
+    // A lookup that throws (rejected credentials) stops the pool and rejects with its error.
+    async runPool(characters, lookUp, onProgress = null) {
+        const results = new Array(characters.length);
+        let next = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (next < characters.length) {
+                const index = next++;
+                try {
+                    results[index] = await lookUp(characters[index]);
+                } catch (error) {
+                    next = characters.length;
+                    throw error;
+                }
+                done++;
+                if (onProgress) {
+                    onProgress({ type: 'result', done, total: characters.length, result: results[index] });
+                }
+            }
+        };
+
+        const poolSize = Math.max(1, Math.min(this.options.concurrency, characters.length));
+        await Promise.all(Array.from({ length: poolSize }, worker));
         return results;
     }
 }
 
-module.exports = BattleNetAPI;
\ No newline at end of file
+module.exports = BattleNetAPI;
@@ -0,0 +1,153 @@
+/**
+ * Buff Coverage
+ *
+ * Reports which buffs in the active synergy rules a composition covers:
+ *
+ * - raid buffs (Fortitude, Arcane Intellect, Mark of the Wild) reach every
+ *   group once anyone in the raid provides them
+ * - party and self buffs (totems, auras, Trueshot Aura) only reach groups
+ *   holding a provider
+ * - pooled buffs (blessings) are shared out one per provider, in rule order,
+ *   so a raid with two Paladins covers the first two blessings; scoring
+ *   (scoreBuff in synergy-rules.js) does not use pools
+ *
+ * Required buffs (RAID_CONSTRAINTS.REQUIRED_BUFFS) must be covered in at
+ * least one group.
+ */
+
+const { getRuleSet, matchesSelector, countSelector } = require('./synergy-rules');
+
+/**
+ * Groups as { id, players } from a RaidState or a list of model Groups
+ */
+function toGroups(source) {
+	const groups = Array.isArray(source) ? source : source.groups;
+	return groups.map(group => ({
+		id: group.id,
+		players: typeof group.getPlayers === 'function' ? group.getPlayers() : group.players || []
+	}));
+}
+
+/**
+ * Buffs of a pool in priority (rule) order
+ */
+function getPoolBuffs(pool, rules = getRuleSet()) {
+	return (rules.buffs || []).filter(buff => buff.pool === pool);
+}
+
+/**
+ * Check if a player can provide any buff of a pool
+ */
+function providesPool(player, pool, rules = getRuleSet()) {
+	return getPoolBuffs(pool, rules).some(buff => matchesSelector(player, buff.providers, rules));
+}
+
+/**
+ * Which buffs of each pool the players' providers cover
+ *
+ * @returns {Object} pool -> { providers, covered: [names], missing: [names] }
+ */
+function getPoolCoverage(players, rules = getRuleSet()) {
+	const pools = [...new Set((rules.buffs || []).map(buff => buff.pool).filter(Boolean))];
+	const coverage = {};
+
+	pools.forEach(pool => {
+		const names = getPoolBuffs(pool, rules).map(buff => buff.name);
+		const providers = players.filter(player => providesPool(player, pool, rules)).length;
+		coverage[pool] = {
+			providers,
+			covered: names.slice(0, providers),
+			missing: names.slice(providers)
+		};
+	});
+
+	return coverage;
+}
+
+/**
+ * Buff coverage matrix for a composition (empty groups are left out)
+ *
+ * @returns {Object} { groups: [id], buffs: [{ name, scope, pool, providers, covered, groups: { id: bool } }],
+ *   pools, missing: [names] }
+ */
+function getBuffCoverage(source, rules = getRuleSet()) {
+	const groups = toGroups(source).filter(group => group.players.length > 0);
+	const players = groups.flatMap(group => group.players);
+	const pools = getPoolCoverage(players, rules);
+
+	const buffs = (rules.buffs || []).map(buff => {
+		const available = !buff.pool || pools[buff.pool].covered.includes(buff.name);
+		const providers = countSelector(players, buff.providers, rules);
+		const reach = {};
+		groups.forEach(group => {
+			const provided = buff.scope === 'raid' ? providers > 0 : countSelector(group.players, buff.providers, rules) > 0;
+			reach[group.id] = available && provided;
+		});
+
+		return {
+			name: buff.name,
+			scope: buff.scope,
+			pool: buff.pool || null,
+			providers,
+			covered: Object.values(reach).some(Boolean),
+			groups: reach
+		};
+	});
+
+	return {
+		groups: groups.map(group => group.id),
+		buffs,
+		pools,
+		missing: buffs.filter(buff => !buff.covered).map(buff => buff.name)
+	};
+}
+
+/**
+ * Required buffs a composition does not cover
+ */
+function getMissingBuffs(source, required = [], rules = getRuleSet()) {
+	if (required.length === 0) return [];
+	const { missing } = getBuffCoverage(source, rules);
+	return required.filter(name => missing.includes(name));
+}
+
+/**
+ * Who can provide a buff, and how many such players it takes
+ * (a pooled buff needs one provider for it and each buff listed before it)
+ *
+ * @returns {Object|null} { matches(player), count }, or null for unknown buffs
+ */
+function getBuffRequirement(name, rules = getRuleSet()) {
+	const buff = (rules.buffs || []).find(b => b.name === name);
+	if (!buff) return null;
+
+	if (buff.pool) {
+		return {
+			matches: player => providesPool(player, buff.pool, rules),
+			count: getPoolBuffs(buff.pool, rules).indexOf(buff) + 1
+		};
+	}
+	return { matches: player => matchesSelector(player, buff.providers, rules), count: 1 };
+}
+
+/**
+ * Check required buff names against the rule set
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateRequiredBuffs(names, rules = getRuleSet()) {
+	if (!Array.isArray(names)) {
+		return ['Required buffs must be a list of buff names'];
+	}
+	return names
+		.filter(name => !getBuffRequirement(name, rules))
+		.map(name => `Unknown buff: ${name}`);
+}
+
+module.exports = {
+	getBuffCoverage,
+	getPoolCoverage,
+	getMissingBuffs,
+	getBuffRequirement,
+	validateRequiredBuffs
+};
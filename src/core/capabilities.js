@@ -0,0 +1,67 @@
+/**
+ * Player Capabilities
+ *
+ * Abilities an encounter may need a minimum number of (tranquilizing shots,
+ * decursers, mind controls, ...), and which classes and specs provide them.
+ * Capabilities are checked as hard raid constraints when an encounter
+ * profile requires them.
+ */
+
+/**
+ * Capability definitions
+ * `specs` (optional) limits a capability to some specs of the listed classes;
+ * `races` (optional) limits a class to some races (player.race, marked in the roster)
+ */
+const CAPABILITIES = {
+	tranqShot: { label: 'Tranquilizing Shot', classes: ['Hunter'] },
+	decurse: { label: 'Remove Curse', classes: ['Mage', 'Druid'] },
+	dispelMagic: { label: 'Magic dispel', classes: ['Priest', 'Paladin'] },
+	cureDisease: { label: 'Cure Disease', classes: ['Priest', 'Paladin', 'Shaman'] },
+	curePoison: { label: 'Cure Poison', classes: ['Druid', 'Paladin', 'Shaman'] },
+	mindControl: { label: 'Mind Control', classes: ['Priest'] },
+	banish: { label: 'Banish', classes: ['Warlock'] },
+	// Fear Ward is a Dwarf priest racial in Classic
+	fearImmunity: {
+		label: 'Fear immunity (Tremor Totem / Dwarf Fear Ward)',
+		classes: ['Shaman', 'Priest'],
+		races: { Priest: ['Dwarf'] }
+	},
+	interrupt: { label: 'Interrupt', classes: ['Warrior', 'Rogue', 'Shaman', 'Mage'] },
+	warlockTank: { label: 'Warlock tank', classes: ['Warlock'], specs: ['Destruction', 'Demonology'] }
+};
+
+/**
+ * Check if a player provides a capability
+ */
+function hasCapability(player, capability) {
+	const definition = CAPABILITIES[capability];
+	if (!definition || !definition.classes.includes(player.class)) {
+		return false;
+	}
+	const races = definition.races && definition.races[player.class];
+	if (races && !races.includes(player.race)) {
+		return false;
+	}
+	return !definition.specs || definition.specs.includes(player.spec);
+}
+
+/**
+ * Count players providing a capability
+ */
+function countCapability(players, capability) {
+	return players.filter(player => hasCapability(player, capability)).length;
+}
+
+/**
+ * Display name for a capability (falls back to the key)
+ */
+function getCapabilityLabel(capability) {
+	return CAPABILITIES[capability] ? CAPABILITIES[capability].label : capability;
+}
+
+module.exports = {
+	CAPABILITIES,
+	hasCapability,
+	countCapability,
+	getCapabilityLabel
+};
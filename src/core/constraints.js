@@ -8,6 +8,10 @@
  */
 
 const { PlayerStatus, isAssignableStatus, shouldExclude } = require('./status-enums');
+const { matchesPlayer, PAIR_PREFERENCE_TYPES } = require('./scoring');
+const { countCapability, getCapabilityLabel } = require('./capabilities');
+const { getMissingBuffs, validateRequiredBuffs } = require('./buff-coverage');
+const { getResistanceShortfalls, getSchoolLabel, validateResistanceRequirements } = require('./resistances');
 
 /**
  * Constraint violation result
@@ -68,7 +72,15 @@ const RAID_CONSTRAINTS = {
 	MIN_TANKS: 2,
 	MIN_HEALERS: 5,
 	SLOTS_PER_GROUP: 5,
-	MAX_GROUPS: 8
+	MAX_GROUPS: 8,
+	// Capability -> minimum number of providers in the raid (see capabilities.js)
+	REQUIRED_CAPABILITIES: {},
+	// Class/spec quotas for the whole raid (see matchesQuota)
+	CLASS_QUOTAS: [],
+	// Buff names (from the synergy rules) the raid must cover (see buff-coverage.js)
+	REQUIRED_BUFFS: [],
+	// Minimum resistances, e.g. { school: 'fire', min: 315, who: 'tank', count: 1, label: 'MT' } (see resistances.js)
+	RESISTANCE_REQUIREMENTS: []
 };
 
 /**
@@ -77,9 +89,98 @@ const RAID_CONSTRAINTS = {
 const GROUP_CONSTRAINTS = {
 	GROUP_SIZE: 5,
 	MAX_TANKS_PER_GROUP: 1,
-	MAX_HEALERS_PER_GROUP: 2
+	MAX_HEALERS_PER_GROUP: 2,
+	// Pair preferences; only those marked `hard: true` are enforced
+	PAIR_PREFERENCES: [],
+	// Class/spec quotas for every group that has players in it
+	CLASS_QUOTAS: []
 };
 
+/**
+ * Check if a player counts towards a class/spec quota
+ * A quota is { classes: ['Paladin', 'Shaman'], specs?: ['Holy'], min?, max?, label? }
+ * (`class` / `spec` strings also work); specs match case-insensitively as in 'Restoration1'
+ */
+function matchesQuota(player, quota) {
+	const classes = quota.classes || (quota.class ? [quota.class] : []);
+	const specs = quota.specs || (quota.spec ? [quota.spec] : []);
+	const spec = (player.spec || '').toLowerCase();
+
+	return (classes.length === 0 || classes.includes(player.class)) &&
+		(specs.length === 0 || specs.some(s => spec.includes(s.toLowerCase())));
+}
+
+/**
+ * Count players towards a quota
+ */
+function countQuota(players, quota) {
+	return players.filter(player => matchesQuota(player, quota)).length;
+}
+
+/**
+ * Human readable quota name, e.g. "Shadow Priest" or "Paladin/Shaman"
+ */
+function getQuotaLabel(quota) {
+	if (quota.label) return quota.label;
+	const classes = quota.classes || (quota.class ? [quota.class] : []);
+	const specs = quota.specs || (quota.spec ? [quota.spec] : []);
+	return [specs.join('/'), classes.join('/')].filter(Boolean).join(' ') || 'any class';
+}
+
+/**
+ * Check a list of quotas for unknown shapes and impossible bounds
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateClassQuotas(quotas) {
+	if (!Array.isArray(quotas)) {
+		return ['Class quotas must be a list'];
+	}
+
+	const errors = [];
+	quotas.forEach((quota, index) => {
+		const where = `Quota ${index + 1}`;
+		if (!quota || typeof quota !== 'object') {
+			errors.push(`${where} must be an object`);
+			return;
+		}
+		if (!quota.class && !quota.spec && !(quota.classes || []).length && !(quota.specs || []).length) {
+			errors.push(`${where} needs a class or spec`);
+		}
+		['min', 'max'].forEach(bound => {
+			if (quota[bound] !== undefined && (!Number.isInteger(quota[bound]) || quota[bound] < 0)) {
+				errors.push(`${where}: ${bound} must be a whole number`);
+			}
+		});
+		if (quota.min === undefined && quota.max === undefined) {
+			errors.push(`${where} needs a min or a max`);
+		}
+		if (quota.min !== undefined && quota.max !== undefined && quota.min > quota.max) {
+			errors.push(`${where}: min is above max`);
+		}
+	});
+	return errors;
+}
+
+/**
+ * Check quotas against a set of players
+ * Returns [{ quota, label, current, bound: 'min'|'max', limit }] for every broken bound
+ */
+function getQuotaViolations(players, quotas = []) {
+	const violations = [];
+	quotas.forEach(quota => {
+		const current = countQuota(players, quota);
+		const label = getQuotaLabel(quota);
+		if (quota.min !== undefined && current < quota.min) {
+			violations.push({ quota, label, current, bound: 'min', limit: quota.min });
+		}
+		if (quota.max !== undefined && current > quota.max) {
+			violations.push({ quota, label, current, bound: 'max', limit: quota.max });
+		}
+	});
+	return violations;
+}
+
 /**
  * Validate raid-level constraints
  */
@@ -118,6 +219,61 @@ function validateRaidConstraints(raidState, config = RAID_CONSTRAINTS) {
 		));
 	}
 
+	// Check required capabilities
+	Object.entries(config.REQUIRED_CAPABILITIES || {}).forEach(([capability, required]) => {
+		const current = countCapability(players, capability);
+		if (current < required) {
+			result.addViolation(new ConstraintViolation(
+				'raid',
+				'REQUIRED_CAPABILITIES',
+				`Raid has ${current} players with ${getCapabilityLabel(capability)}, requires minimum of ${required}`,
+				{ capability, current, required }
+			));
+		}
+	});
+
+	// Check required buffs
+	getMissingBuffs(raidState, config.REQUIRED_BUFFS).forEach(buff => {
+		result.addViolation(new ConstraintViolation(
+			'raid',
+			'REQUIRED_BUFFS',
+			`Raid is missing required buff ${buff}`,
+			{ buff }
+		));
+	});
+
+	// Check resistance requirements (players with unknown resistances are not held to them)
+	getResistanceShortfalls(players, config.RESISTANCE_REQUIREMENTS).forEach(({ requirement, label, meeting, short }) => {
+		const resistance = `${requirement.min} ${getSchoolLabel(requirement.school)} Resistance`;
+		const shortList = short.map(({ player, resistance: current }) => `${player.name} (${current})`).join(', ');
+		result.addViolation(new ConstraintViolation(
+			'raid',
+			'RESISTANCE_REQUIREMENT',
+			requirement.count !== undefined
+				? `Raid has ${meeting} ${label} with ${resistance}, requires minimum of ${requirement.count}: ${shortList}`
+				: `Raid has ${short.length} ${label} below ${resistance}: ${shortList}`,
+			{
+				school: requirement.school,
+				min: requirement.min,
+				who: label,
+				current: meeting,
+				short: short.map(({ player, resistance: current }) => ({ player: player.name, resistance: current }))
+			}
+		));
+	});
+
+	// Check class/spec quotas
+	getQuotaViolations(players, config.CLASS_QUOTAS).forEach(({ label, current, bound, limit }) => {
+		result.addViolation(new ConstraintViolation(
+			'raid',
+			bound === 'min' ? 'CLASS_QUOTA_MIN' : 'CLASS_QUOTA_MAX',
+			bound === 'min'
+				? `Raid has ${current} ${label} players, requires minimum of ${limit}`
+				: `Raid has ${current} ${label} players, exceeds maximum of ${limit}`,
+			{ quota: label, current, [bound]: limit }
+		));
+	});
+
 	// Check for duplicate player assignments
 	const playerIds = new Set();
 	const duplicates = [];
@@ -142,8 +298,11 @@ function validateRaidConstraints(raidState, config = RAID_CONSTRAINTS) {
 
 /**
  * Validate group-level constraints
+ * Hard "together" pairs need the raid state to see where the partner is, and
+ * class quota minimums only hold once the raid is filled, so both are only
+ * checked when raidState is given
  */
-function validateGroupConstraints(group, config = GROUP_CONSTRAINTS) {
+function validateGroupConstraints(group, config = GROUP_CONSTRAINTS, raidState = null) {
 	const result = new ValidationResult();
 	const players = group.getPlayers();
 	const roleCounts = group.getRoleCounts();
@@ -178,6 +337,20 @@ function validateGroupConstraints(group, config = GROUP_CONSTRAINTS) {
 		));
 	}
 
+	// Check class/spec quotas (empty groups are not held to minimums)
+	getQuotaViolations(players, config.CLASS_QUOTAS)
+		.filter(({ bound }) => bound === 'max' || (raidState && players.length > 0))
+		.forEach(({ label, current, bound, limit }) => {
+			result.addViolation(new ConstraintViolation(
+				'group',
+				bound === 'min' ? 'CLASS_QUOTA_MIN_PER_GROUP' : 'CLASS_QUOTA_MAX_PER_GROUP',
+				bound === 'min'
+					? `Group ${group.id} has ${current} ${label} players, requires minimum of ${limit}`
+					: `Group ${group.id} has ${current} ${label} players, exceeds maximum of ${limit}`,
+				{ groupId: group.id, quota: label, current, [bound]: limit }
+			));
+		});
+
 	// Check for duplicate players within group
 	const playerIds = new Set();
 	const duplicates = [];
@@ -197,6 +370,33 @@ function validateGroupConstraints(group, config = GROUP_CONSTRAINTS) {
 		));
 	}
 
+	// Check hard pair preferences
+	(config.PAIR_PREFERENCES || []).filter(pref => pref.hard).forEach(pref => {
+		const [inGroupA, inGroupB] = pref.players.map(key => players.some(p => matchesPlayer(key, p)));
+
+		if (pref.type === PAIR_PREFERENCE_TYPES.APART && inGroupA && inGroupB) {
+			result.addViolation(new ConstraintViolation(
+				'group',
+				'PAIR_APART',
+				`Group ${group.id} has ${pref.players[0]} and ${pref.players[1]}, who must be apart`,
+				{ groupId: group.id, players: pref.players }
+			));
+		}
+
+		if (pref.type === PAIR_PREFERENCE_TYPES.TOGETHER && raidState && inGroupA !== inGroupB) {
+			const partner = inGroupA ? pref.players[1] : pref.players[0];
+			const partnerInRaid = raidState.getAllPlayers().some(p => matchesPlayer(partner, p));
+			if (partnerInRaid) {
+				result.addViolation(new ConstraintViolation(
+					'group',
+					'PAIR_TOGETHER',
+					`Group ${group.id} has only one of ${pref.players[0]} and ${pref.players[1]}, who must be together`,
+					{ groupId: group.id, players: pref.players }
+				));
+			}
+		}
+	});
+
 	return result;
 }
 
@@ -254,6 +454,61 @@ function validatePlayerConstraints(player, raidState) {
 	return result;
 }
 
+/**
+ * Find the pinned placement for a player
+ * Pins config: { placements: [{ userid, groupId, slotIndex? }], bench: [userid] }
+ */
+function getPinnedPlacement(pins, player) {
+	if (!pins || !pins.placements || !player) return null;
+	return pins.placements.find(pin => pin.userid === player.userid) || null;
+}
+
+/**
+ * Check if a player is pinned to the bench
+ */
+function isPinnedToBench(pins, player) {
+	if (!pins || !pins.bench || !player) return false;
+	return pins.bench.includes(player.userid);
+}
+
+/**
+ * Validate that pinned players are where they were pinned
+ */
+function validatePinConstraints(raidState, pins = {}) {
+	const result = new ValidationResult();
+
+	(pins.placements || []).forEach(pin => {
+		const position = raidState.findPlayer({ userid: pin.userid });
+		const hasSlot = Number.isInteger(pin.slotIndex);
+		const slotMatches = !hasSlot || (position && position.slotIndex === pin.slotIndex);
+
+		if (!position || position.groupId !== pin.groupId || !slotMatches) {
+			const target = hasSlot
+				? `group ${pin.groupId} slot ${pin.slotIndex + 1}`
+				: `group ${pin.groupId}`;
+			result.addViolation(new ConstraintViolation(
+				'player',
+				'PINNED_PLACEMENT',
+				`Player ${pin.userid} is pinned to ${target}`,
+				{ player: pin.userid, pinned: pin, actual: position }
+			));
+		}
+	});
+
+	(pins.bench || []).forEach(userid => {
+		if (raidState.hasPlayer({ userid })) {
+			result.addViolation(new ConstraintViolation(
+				'player',
+				'PINNED_TO_BENCH',
+				`Player ${userid} is pinned to bench but is assigned to raid`,
+				{ player: userid }
+			));
+		}
+	});
+
+	return result;
+}
+
 /**
  * Validate all constraints for a raid state
  */
@@ -268,7 +523,7 @@ function validateRaidState(raidState, config = {}) {
 
 	// Validate each group
 	raidState.groups.forEach(group => {
-		result.merge(validateGroupConstraints(group, groupConfig));
+		result.merge(validateGroupConstraints(group, groupConfig, raidState));
 	});
 
 	// Validate each player in raid
@@ -289,6 +544,11 @@ function validateRaidState(raidState, config = {}) {
 		}
 	});
 
+	// Validate pinned placements
+	if (config.pins) {
+		result.merge(validatePinConstraints(raidState, config.pins));
+	}
+
 	return result;
 }
 
@@ -302,7 +562,7 @@ function isValidRaidState(raidState, config = {}) {
 /**
  * Validate a potential player swap before executing it
  */
-function validateSwap(raidState, pos1, pos2) {
+function validateSwap(raidState, pos1, pos2, config = {}) {
 	const result = new ValidationResult();
 
 	// Get the groups involved
@@ -348,7 +608,7 @@ function validateSwap(raidState, pos1, pos2) {
 
 	// Simulate the swap and validate the resulting state
 	const newState = raidState.swapPlayers(pos1, pos2);
-	return validateRaidState(newState);
+	return validateRaidState(newState, config);
 }
 
 /**
@@ -363,8 +623,32 @@ function getConstraintConfig() {
 
 /**
  * Update constraint configuration
+ * Class quotas, required buffs and resistance requirements are checked first and throw if invalid
  */
 function updateConstraintConfig(updates) {
+	['raid', 'group'].forEach(level => {
+		const quotas = updates[level] && updates[level].CLASS_QUOTAS;
+		if (quotas === undefined) return;
+		const errors = validateClassQuotas(quotas);
+		if (errors.length > 0) {
+			throw new Error(`Invalid ${level} class quotas: ${errors.join('; ')}`);
+		}
+	});
+
+	if (updates.raid && updates.raid.REQUIRED_BUFFS !== undefined) {
+		const errors = validateRequiredBuffs(updates.raid.REQUIRED_BUFFS);
+		if (errors.length > 0) {
+			throw new Error(`Invalid required buffs: ${errors.join('; ')}`);
+		}
+	}
+
+	if (updates.raid && updates.raid.RESISTANCE_REQUIREMENTS !== undefined) {
+		const errors = validateResistanceRequirements(updates.raid.RESISTANCE_REQUIREMENTS);
+		if (errors.length > 0) {
+			throw new Error(`Invalid resistance requirements: ${errors.join('; ')}`);
+		}
+	}
+
 	if (updates.raid) {
 		Object.assign(RAID_CONSTRAINTS, updates.raid);
 	}
@@ -381,9 +665,17 @@ module.exports = {
 	validateRaidConstraints,
 	validateGroupConstraints,
 	validatePlayerConstraints,
+	validatePinConstraints,
 	validateRaidState,
 	isValidRaidState,
 	validateSwap,
 	getConstraintConfig,
-	updateConstraintConfig
+	updateConstraintConfig,
+	getPinnedPlacement,
+	isPinnedToBench,
+	matchesQuota,
+	countQuota,
+	getQuotaLabel,
+	getQuotaViolations,
+	validateClassQuotas
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * Debuff Planner
+ *
+ * Classic bosses hold at most 16 debuffs. The planner derives the debuffs a
+ * composition applies from classes and specs, ranks them by priority and
+ * reports which ones would be pushed off the cap.
+ *
+ * - shared debuffs take one slot however many players can apply them (Sunder Armor)
+ * - `perProvider` debuffs take a slot per provider (Corruption, Shadow Word: Pain)
+ * - debuffs sharing a `pool` need one provider each (a warlock casts one curse)
+ *
+ * Encounter profiles may change the cap, reserve slots for debuffs from other
+ * sources (weapon procs, boss mechanics) and override priorities; a priority
+ * of 0 leaves a debuff out.
+ */
+
+const DEFAULT_DEBUFF_CAP = 16;
+
+/**
+ * Debuff definitions, highest priority first
+ * `key` debuffs produce a warning when pushed off
+ */
+const DEBUFFS = {
+	sunderArmor: { label: 'Sunder Armor', classes: ['Warrior'], priority: 100, key: true },
+	curseOfRecklessness: { label: 'Curse of Recklessness', classes: ['Warlock'], priority: 95, key: true, pool: 'curse' },
+	faerieFire: { label: 'Faerie Fire', classes: ['Druid'], priority: 90, key: true },
+	curseOfElements: { label: 'Curse of the Elements', classes: ['Warlock'], priority: 90, key: true, pool: 'curse' },
+	curseOfShadow: { label: 'Curse of Shadow', classes: ['Warlock'], priority: 85, key: true, pool: 'curse' },
+	improvedScorch: { label: 'Fire Vulnerability', classes: ['Mage'], specs: ['Fire'], priority: 85, key: true },
+	shadowWeaving: { label: 'Shadow Weaving', classes: ['Priest'], specs: ['Shadow'], priority: 85, key: true },
+	improvedShadowBolt: { label: 'Shadow Vulnerability', classes: ['Warlock'], specs: ['Destruction'], priority: 80, key: true },
+	judgementOfWisdom: { label: 'Judgement of Wisdom', classes: ['Paladin'], priority: 75, key: true },
+	wintersChill: { label: "Winter's Chill", classes: ['Mage'], specs: ['Frost'], priority: 75 },
+	judgementOfLight: { label: 'Judgement of Light', classes: ['Paladin'], priority: 60 },
+	huntersMark: { label: "Hunter's Mark", classes: ['Hunter'], priority: 60 },
+	demoralizingShout: { label: 'Demoralizing Shout', classes: ['Warrior'], priority: 55 },
+	thunderClap: { label: 'Thunder Clap', classes: ['Warrior'], specs: ['Protection'], priority: 50 },
+	ignite: { label: 'Ignite', classes: ['Mage'], specs: ['Fire'], priority: 50 },
+	stormstrike: { label: 'Stormstrike', classes: ['Shaman'], specs: ['Enhancement'], priority: 45 },
+	deepWounds: { label: 'Deep Wounds', classes: ['Warrior'], priority: 40 },
+	exposeArmor: { label: 'Expose Armor', classes: ['Rogue'], priority: 35 },
+	shadowWordPain: { label: 'Shadow Word: Pain', classes: ['Priest'], specs: ['Shadow'], priority: 35, perProvider: true },
+	corruption: { label: 'Corruption', classes: ['Warlock'], priority: 30, perProvider: true },
+	immolate: { label: 'Immolate', classes: ['Warlock'], specs: ['Destruction'], priority: 25, perProvider: true },
+	moonfire: { label: 'Moonfire', classes: ['Druid'], specs: ['Balance'], priority: 20, perProvider: true },
+	serpentSting: { label: 'Serpent Sting', classes: ['Hunter'], priority: 15, perProvider: true },
+	rend: { label: 'Rend', classes: ['Warrior'], specs: ['Arms'], priority: 10, perProvider: true }
+};
+
+/**
+ * Check if a player can apply a debuff (specs match as in 'Shadow1')
+ */
+function canApplyDebuff(player, debuff) {
+	if (!debuff.classes.includes(player.class)) return false;
+	const spec = (player.spec || '').toLowerCase();
+	return !debuff.specs || debuff.specs.some(s => spec.includes(s.toLowerCase()));
+}
+
+/**
+ * Raid members from a RaidState or a list of groups ({ id, players })
+ */
+function getRaidPlayers(source) {
+	if (typeof source.getAllPlayers === 'function') return source.getAllPlayers();
+	const groups = Array.isArray(source) ? source : source.groups || [];
+	return groups.flatMap(group => (typeof group.getPlayers === 'function' ? group.getPlayers() : group.players || []));
+}
+
+/**
+ * Debuffs a set of players applies, with the slots each takes, highest priority first
+ * Pooled debuffs are handed to providers by priority, one each
+ */
+function getAppliedDebuffs(players, priorities = {}) {
+	const ranked = Object.entries(DEBUFFS)
+		.map(([id, debuff], order) => ({
+			id,
+			...debuff,
+			order,
+			priority: priorities[id] !== undefined ? priorities[id] : debuff.priority,
+			providers: players.filter(player => canApplyDebuff(player, debuff)).length
+		}))
+		.filter(debuff => debuff.priority > 0 && debuff.providers > 0)
+		.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+	const poolUsed = {};
+	return ranked
+		.filter(debuff => {
+			if (!debuff.pool) return true;
+			poolUsed[debuff.pool] = (poolUsed[debuff.pool] || 0) + 1;
+			return poolUsed[debuff.pool] <= debuff.providers;
+		})
+		.map(debuff => ({
+			id: debuff.id,
+			label: debuff.label,
+			priority: debuff.priority,
+			key: Boolean(debuff.key),
+			slots: debuff.perProvider ? debuff.providers : 1
+		}));
+}
+
+/**
+ * Plan debuff slots for a composition
+ *
+ * @param {RaidState|Array} source - Raid state or list of groups
+ * @param {Object} options - { cap, reserved, priorities } (e.g. from an encounter profile)
+ * @returns {Object} { cap, reserved, used, applied, pushedOff, warnings }
+ */
+function planDebuffs(source, options = {}) {
+	const cap = options.cap || DEFAULT_DEBUFF_CAP;
+	const reserved = options.reserved || 0;
+	const debuffs = getAppliedDebuffs(getRaidPlayers(source), options.priorities);
+
+	// Fill the free slots in priority order; a per-provider debuff may only partly fit
+	let free = Math.max(0, cap - reserved);
+	const applied = [];
+	const pushedOff = [];
+	debuffs.forEach(debuff => {
+		const fitting = Math.min(free, debuff.slots);
+		free -= fitting;
+		if (fitting > 0) applied.push({ ...debuff, slots: fitting });
+		if (fitting < debuff.slots) pushedOff.push({ ...debuff, slots: debuff.slots - fitting });
+	});
+
+	const used = reserved + debuffs.reduce((sum, debuff) => sum + debuff.slots, 0);
+	const warnings = pushedOff
+		.filter(debuff => debuff.key)
+		.map(debuff => `${debuff.label} would be pushed off the debuff cap (${used} debuffs, cap ${cap})`);
+
+	return { cap, reserved, used, applied, pushedOff, warnings };
+}
+
+/**
+ * Check debuff options (as given in an encounter profile)
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateDebuffOptions(options) {
+	if (!options || typeof options !== 'object') {
+		return ['debuffs must be an object'];
+	}
+
+	const errors = [];
+	if (options.cap !== undefined && (!Number.isInteger(options.cap) || options.cap < 1)) {
+		errors.push('debuff cap must be a positive whole number');
+	}
+	if (options.reserved !== undefined && (!Number.isInteger(options.reserved) || options.reserved < 0)) {
+		errors.push('reserved debuff slots must be a whole number');
+	}
+	Object.entries(options.priorities || {}).forEach(([id, priority]) => {
+		if (!DEBUFFS[id]) {
+			errors.push(`Unknown debuff: ${id}`);
+		} else if (typeof priority !== 'number' || priority < 0) {
+			errors.push(`debuff priority ${id} must be a number of at least 0`);
+		}
+	});
+	return errors;
+}
+
+module.exports = {
+	DEFAULT_DEBUFF_CAP,
+	DEBUFFS,
+	canApplyDebuff,
+	getAppliedDebuffs,
+	planDebuffs,
+	validateDebuffOptions
+};
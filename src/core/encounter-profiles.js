@@ -0,0 +1,318 @@
+/**
+ * Encounter Profiles
+ *
+ * Boss-specific requirements layered over the global optimizer config.
+ * A profile can override:
+ * - constraints: { raid, group } constraint config (e.g. MIN_TANKS for Four Horsemen)
+ * - weights: scoring weights (e.g. stronger healer spread)
+ * - capabilities: minimum providers per capability (see capabilities.js)
+ * - debuffs: debuff cap, reserved slots and priorities (see debuff-planner.js)
+ * - resistances: resistance schools players need gear for (see gear-audit.js);
+ *   minimum resistances go in constraints.raid.RESISTANCE_REQUIREMENTS
+ *
+ * Built-in profiles cover MC, BWL, AQ40 and Naxxramas. Custom profiles use
+ * the same shape and are passed alongside them.
+ */
+
+const { RAID_CONSTRAINTS, GROUP_CONSTRAINTS, validateClassQuotas } = require('./constraints');
+const { validateRequiredBuffs } = require('./buff-coverage');
+const { DEFAULT_WEIGHTS } = require('./scoring');
+const { CAPABILITIES } = require('./capabilities');
+const { validateDebuffOptions } = require('./debuff-planner');
+const { validateResistanceSchools, validateResistanceRequirements } = require('./resistances');
+
+/**
+ * Raids with built-in profiles
+ */
+const RAIDS = {
+	MC: 'Molten Core',
+	BWL: 'Blackwing Lair',
+	AQ40: "Temple of Ahn'Qiraj",
+	NAXX: 'Naxxramas'
+};
+
+/**
+ * Built-in encounter profiles
+ */
+const ENCOUNTER_PROFILES = [
+	// Molten Core
+	{
+		id: 'mc-lucifron',
+		name: 'Lucifron',
+		raid: RAIDS.MC,
+		constraints: { raid: { MIN_TANKS: 3 } },
+		capabilities: { decurse: 4, dispelMagic: 3 }
+	},
+	{
+		id: 'mc-magmadar',
+		name: 'Magmadar',
+		raid: RAIDS.MC,
+		capabilities: { tranqShot: 2, fearImmunity: 2 }
+	},
+	{
+		id: 'mc-garr',
+		name: 'Garr',
+		raid: RAIDS.MC,
+		constraints: { raid: { MIN_TANKS: 4 } },
+		capabilities: { banish: 3 }
+	},
+	{
+		id: 'mc-shazzrah',
+		name: 'Shazzrah',
+		raid: RAIDS.MC,
+		capabilities: { decurse: 4 }
+	},
+	{
+		id: 'mc-ragnaros',
+		name: 'Ragnaros',
+		raid: RAIDS.MC,
+		constraints: {
+			raid: {
+				MIN_TANKS: 3,
+				MIN_HEALERS: 10,
+				RESISTANCE_REQUIREMENTS: [{ school: 'fire', min: 315, who: 'tank', count: 1, label: 'MT' }]
+			}
+		},
+		weights: { evenHealerSpread: 12 }
+	},
+
+	// Blackwing Lair
+	{
+		id: 'bwl-razorgore',
+		name: 'Razorgore the Untamed',
+		raid: RAIDS.BWL,
+		constraints: { raid: { MIN_TANKS: 4 } },
+		capabilities: { fearImmunity: 1 }
+	},
+	{
+		id: 'bwl-vaelastrasz',
+		name: 'Vaelastrasz the Corrupt',
+		raid: RAIDS.BWL,
+		constraints: { raid: { MIN_TANKS: 3, MIN_HEALERS: 10 } },
+		weights: { evenHealerSpread: 12 }
+	},
+	{
+		id: 'bwl-flamegor',
+		name: 'Flamegor',
+		raid: RAIDS.BWL,
+		capabilities: { tranqShot: 2 }
+	},
+	{
+		id: 'bwl-chromaggus',
+		name: 'Chromaggus',
+		raid: RAIDS.BWL,
+		capabilities: { tranqShot: 3, decurse: 4, dispelMagic: 4, cureDisease: 2, curePoison: 2 }
+	},
+	{
+		id: 'bwl-nefarian',
+		name: 'Nefarian',
+		raid: RAIDS.BWL,
+		constraints: { raid: { MIN_TANKS: 3 } },
+		capabilities: { fearImmunity: 2 }
+	},
+
+	// Temple of Ahn'Qiraj
+	{
+		id: 'aq40-huhuran',
+		name: 'Princess Huhuran',
+		raid: RAIDS.AQ40,
+		constraints: {
+			raid: {
+				MIN_HEALERS: 10,
+				RESISTANCE_REQUIREMENTS: [{ school: 'nature', min: 200, who: 'melee' }]
+			}
+		},
+		capabilities: { tranqShot: 3 }
+	},
+	{
+		id: 'aq40-viscidus',
+		name: 'Viscidus',
+		raid: RAIDS.AQ40,
+		constraints: { raid: { RESISTANCE_REQUIREMENTS: [{ school: 'nature', min: 200, who: 'melee' }] } }
+	},
+	{
+		id: 'aq40-twin-emperors',
+		name: 'Twin Emperors',
+		raid: RAIDS.AQ40,
+		constraints: { raid: { MIN_TANKS: 4 } },
+		capabilities: { warlockTank: 2 }
+	},
+	{
+		id: 'aq40-cthun',
+		name: "C'Thun",
+		raid: RAIDS.AQ40,
+		capabilities: { interrupt: 6 },
+		weights: { tooManyRangedInGroup: -5 }
+	},
+
+	// Naxxramas
+	{
+		id: 'naxx-razuvious',
+		name: 'Instructor Razuvious',
+		raid: RAIDS.NAXX,
+		capabilities: { mindControl: 2 }
+	},
+	{
+		id: 'naxx-four-horsemen',
+		name: 'The Four Horsemen',
+		raid: RAIDS.NAXX,
+		constraints: { raid: { MIN_TANKS: 8, MIN_HEALERS: 12 } },
+		weights: { evenHealerSpread: 12, tankSupportCoverage: 10 }
+	},
+	{
+		id: 'naxx-loatheb',
+		name: 'Loatheb',
+		raid: RAIDS.NAXX,
+		// Corrupted Mind allows one heal per minute, so healing is a long rotation
+		constraints: { raid: { MIN_HEALERS: 12 } }
+	},
+	{
+		id: 'naxx-gluth',
+		name: 'Gluth',
+		raid: RAIDS.NAXX,
+		constraints: { raid: { MIN_TANKS: 3 } },
+		capabilities: { tranqShot: 2 }
+	},
+	{
+		id: 'naxx-sapphiron',
+		name: 'Sapphiron',
+		raid: RAIDS.NAXX,
+		constraints: { raid: { RESISTANCE_REQUIREMENTS: [{ school: 'frost', min: 200, who: 'all' }] } }
+	},
+	{
+		id: 'naxx-heigan',
+		name: 'Heigan the Unclean',
+		raid: RAIDS.NAXX,
+		capabilities: { cureDisease: 3 }
+	},
+	{
+		id: 'naxx-noth',
+		name: 'Noth the Plaguebringer',
+		raid: RAIDS.NAXX,
+		capabilities: { decurse: 6 }
+	}
+];
+
+/**
+ * All profiles, built-in first
+ */
+function listEncounterProfiles(customProfiles = []) {
+	return [...ENCOUNTER_PROFILES, ...customProfiles];
+}
+
+/**
+ * Find a profile by id (custom profiles shadow built-ins with the same id)
+ */
+function getEncounterProfile(id, customProfiles = []) {
+	return customProfiles.find(profile => profile.id === id) ||
+		ENCOUNTER_PROFILES.find(profile => profile.id === id) ||
+		null;
+}
+
+/**
+ * Check a (custom) profile for unknown keys and invalid counts
+ *
+ * @returns {Object} { valid, errors }
+ */
+function validateEncounterProfile(profile) {
+	const errors = [];
+	if (!profile || typeof profile !== 'object') {
+		return { valid: false, errors: ['Profile must be an object'] };
+	}
+
+	if (!profile.id || !profile.name) {
+		errors.push('Profile needs an id and a name');
+	}
+
+	const checkKeys = (values, known, kind) => {
+		Object.entries(values || {}).forEach(([key, value]) => {
+			if (!(key in known)) {
+				errors.push(`Unknown ${kind}: ${key}`);
+			} else if (key === 'CLASS_QUOTAS') {
+				validateClassQuotas(value).forEach(error => errors.push(`${kind} ${key}: ${error}`));
+			} else if (key === 'REQUIRED_BUFFS') {
+				validateRequiredBuffs(value).forEach(error => errors.push(`${kind} ${key}: ${error}`));
+			} else if (key === 'RESISTANCE_REQUIREMENTS') {
+				validateResistanceRequirements(value).forEach(error => errors.push(`${kind} ${key}: ${error}`));
+			} else if (typeof value !== 'number' || Number.isNaN(value)) {
+				errors.push(`${kind} ${key} must be a number`);
+			}
+		});
+	};
+
+	const constraints = profile.constraints || {};
+	checkKeys(constraints.raid, RAID_CONSTRAINTS, 'raid constraint');
+	checkKeys(constraints.group, GROUP_CONSTRAINTS, 'group constraint');
+	checkKeys(profile.weights, DEFAULT_WEIGHTS, 'weight');
+	checkKeys(profile.capabilities, CAPABILITIES, 'capability');
+
+	Object.entries(profile.capabilities || {}).forEach(([capability, count]) => {
+		if (count < 0) errors.push(`capability ${capability} cannot be negative`);
+	});
+
+	if (profile.debuffs !== undefined) {
+		errors.push(...validateDebuffOptions(profile.debuffs));
+	}
+
+	if (profile.resistances !== undefined) {
+		errors.push(...validateResistanceSchools(profile.resistances));
+	}
+
+	return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Layer a profile over an optimizer config (seed constraints, weights, capabilities, debuffs)
+ * Class quotas, required buffs and resistance requirements from the profile are added to the configured ones
+ */
+function applyEncounterProfile(config, profile) {
+	if (!profile) {
+		return config;
+	}
+
+	const constraints = profile.constraints || {};
+	const seed = config.seed || {};
+	const raid = seed.raid || {};
+	const group = seed.group || {};
+	const quotas = (base, defaults, extra = {}) => [
+		...(base.CLASS_QUOTAS || defaults.CLASS_QUOTAS || []),
+		...(extra.CLASS_QUOTAS || [])
+	];
+
+	return {
+		...config,
+		seed: {
+			...seed,
+			raid: {
+				...raid,
+				...constraints.raid,
+				REQUIRED_CAPABILITIES: { ...raid.REQUIRED_CAPABILITIES, ...profile.capabilities },
+				CLASS_QUOTAS: quotas(raid, RAID_CONSTRAINTS, constraints.raid),
+				REQUIRED_BUFFS: [...new Set([
+					...(raid.REQUIRED_BUFFS || RAID_CONSTRAINTS.REQUIRED_BUFFS),
+					...((constraints.raid || {}).REQUIRED_BUFFS || [])
+				])],
+				RESISTANCE_REQUIREMENTS: [
+					...(raid.RESISTANCE_REQUIREMENTS || RAID_CONSTRAINTS.RESISTANCE_REQUIREMENTS),
+					...((constraints.raid || {}).RESISTANCE_REQUIREMENTS || [])
+				]
+			},
+			group: { ...group, ...constraints.group, CLASS_QUOTAS: quotas(group, GROUP_CONSTRAINTS, constraints.group) }
+		},
+		weights: { ...config.weights, ...profile.weights },
+		debuffs: {
+			...config.debuffs,
+			...profile.debuffs,
+			priorities: { ...(config.debuffs || {}).priorities, ...(profile.debuffs || {}).priorities }
+		}
+	};
+}
+
+module.exports = {
+	RAIDS,
+	ENCOUNTER_PROFILES,
+	listEncounterProfiles,
+	getEncounterProfile,
+	validateEncounterProfile,
+	applyEncounterProfile
+};
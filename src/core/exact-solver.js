@@ -0,0 +1,363 @@
+/**
+ * Exact Branch-and-Bound Solver
+ *
+ * Finds the provably best group assignment for small raids (ZG, AQ20, Onyxia).
+ * The roster (who is in the raid and who is benched) and every player's spec
+ * are taken from the seed; only the placement of raid members into groups is
+ * searched, so optimality is proven for the assigned specs only. Pinned players
+ * stay where the seed put them.
+ *
+ * Algorithm:
+ * 1. Place players one at a time (tanks, healers, dps)
+ * 2. Prune any placement that breaks group constraints
+ * 3. Break symmetry: try only the first empty group, and never put a player
+ *    in an earlier group than an identical player placed before them
+ * 4. Prune any branch whose optimistic score cannot beat the incumbent
+ *
+ * If the time budget runs out the best state found is returned together with
+ * the optimality gap (upper bound of unexplored branches minus best score).
+ */
+
+const { RaidState } = require('./state-model');
+const { validateGroupConstraints, getPinnedPlacement, GROUP_CONSTRAINTS } = require('./constraints');
+const {
+	DEFAULT_WEIGHTS,
+	RANGED_CLASSES,
+	scoreRaidComposition,
+	scoreTankSupportCoverage,
+	scoreSameClassRedundancy,
+	scoreTooManyRangedInGroup,
+	scoreLatePlayerPenalty,
+	scoreTentativePlayerPenalty,
+	scoreBenchingPenalty,
+	scoreOffSpecPenalty,
+	scorePairPreferences,
+	matchesPlayer
+} = require('./scoring');
+const { sortPlayersByPriority } = require('./seed-generator');
+const { getScoredBuffs, getBuffWeight, scoreBuff, matchesSelector, countSelector } = require('./synergy-rules');
+
+const ROLE_ORDER = ['tank', 'healer', 'dps'];
+
+/**
+ * Configuration for exact solver
+ */
+const DEFAULT_CONFIG = {
+	maxPlayers: 20,
+	timeBudgetMs: 30000,
+	enableLogging: false,
+
+	// Same progress and cancellation hooks as the search optimizer
+	onProgress: null, // function({ nodesExplored, bestScore, elapsedMs, timeBudgetMs })
+	progressIntervalMs: 100,
+	shouldStop: null
+};
+
+/**
+ * Key describing everything the scoring function can see about a player
+ * Players with the same key are interchangeable; a player named in a pair
+ * preference is not interchangeable with anyone, so their id is part of the key
+ */
+function getPlayerTypeKey(player, preferences = []) {
+	const key = `${player.class}|${player.spec}|${player.role}|${player.status}`;
+	const named = preferences.some(preference => preference.players.some(k => matchesPlayer(k, player)));
+	return named ? `${key}|${player.userid}` : key;
+}
+
+/**
+ * Lowest achievable healer standard deviation when the remaining healers
+ * are added one at a time to the group with the fewest healers
+ */
+function getMinHealerStdDev(healerCounts, remainingHealers) {
+	const counts = [...healerCounts];
+	for (let i = 0; i < remainingHealers; i++) {
+		let minIndex = 0;
+		for (let g = 1; g < counts.length; g++) {
+			if (counts[g] < counts[minIndex]) minIndex = g;
+		}
+		counts[minIndex]++;
+	}
+
+	const mean = counts.reduce((a, b) => a + b, 0) / counts.length;
+	const variance = counts.reduce((sum, count) => sum + Math.pow(count - mean, 2), 0) / counts.length;
+	return Math.sqrt(variance);
+}
+
+/**
+ * Most a buff rule could score once the remaining players are placed
+ * Party buffs: every remaining beneficiary could land with a provider, and a
+ * remaining provider could join a group whose beneficiaries have none yet.
+ * Raid and self buffs only depend on who is in the raid, so they are exact.
+ */
+function getBuffBound(partialState, remaining, buff, weight) {
+	if (buff.scope !== 'party') {
+		const players = [...partialState.getAllPlayers(), ...remaining];
+		const providers = countSelector(players, buff.providers);
+		if (buff.scope === 'self') return providers * weight;
+		return providers > 0 ? (buff.beneficiaries ? countSelector(players, buff.beneficiaries) : 1) * weight : 0;
+	}
+
+	const bound = scoreBuff(partialState, buff, weight);
+	if (weight <= 0) return bound;
+
+	const provides = p => matchesSelector(p, buff.providers);
+	const openGroups = partialState.groups.filter(g => !g.getPlayers().some(provides));
+	const providersLeft = remaining.filter(provides).length;
+	if (!buff.beneficiaries) {
+		return bound + Math.min(providersLeft, openGroups.length) * weight;
+	}
+
+	const benefits = p => matchesSelector(p, buff.beneficiaries);
+	const stranded = providersLeft > 0
+		? openGroups.reduce((sum, g) => sum + g.getPlayers().filter(benefits).length, 0)
+		: 0;
+	return bound + (remaining.filter(benefits).length + stranded) * weight;
+}
+
+/**
+ * Optimistic score for any completion of a partial assignment
+ * Each term is its partial value plus the most the remaining players could add
+ */
+function getUpperBound(partialState, remaining, w, constantScore, preferences = []) {
+	const groups = partialState.groups;
+	let bound = constantScore;
+
+	// Pair preferences: any pair with an unplaced player could still be satisfied
+	bound += scorePairPreferences(partialState, preferences, w.pairPreference);
+	preferences.forEach(preference => {
+		if (preference.players.some(key => remaining.some(p => matchesPlayer(key, p)))) {
+			bound += Math.abs(preference.weight !== undefined ? preference.weight : w.pairPreference);
+		}
+	});
+
+	// Buff synergy rules
+	getScoredBuffs().forEach(buff => {
+		bound += getBuffBound(partialState, remaining, buff, getBuffWeight(buff, w));
+	});
+
+	// Healer spread: fill the emptiest groups first
+	const remainingHealers = remaining.filter(p => p.role === 'healer').length;
+	if (w.evenHealerSpread >= 0) {
+		const healerCounts = groups.map(g => g.getRoleCounts().healer);
+		bound += -getMinHealerStdDev(healerCounts, remainingHealers) * w.evenHealerSpread;
+	} else {
+		const totalHealers = partialState.getRoleCounts().healer + remainingHealers;
+		bound += -totalHealers * w.evenHealerSpread;
+	}
+
+	// Tank support: remaining healers complete tank groups, remaining tanks
+	// complete healer groups, and pairs complete empty ones
+	bound += scoreTankSupportCoverage(partialState, w.tankSupportCoverage);
+	if (w.tankSupportCoverage > 0) {
+		let tanksLeft = remaining.filter(p => p.role === 'tank').length;
+		let healersLeft = remainingHealers;
+		let needHealer = 0;
+		let needTank = 0;
+		let needBoth = 0;
+		groups.forEach(g => {
+			const counts = g.getRoleCounts();
+			if (counts.tank > 0 && counts.healer === 0) needHealer++;
+			else if (counts.healer > 0 && counts.tank === 0) needTank++;
+			else if (counts.tank === 0 && counts.healer === 0) needBoth++;
+		});
+		const fixedByHealer = Math.min(needHealer, healersLeft);
+		const fixedByTank = Math.min(needTank, tanksLeft);
+		healersLeft -= fixedByHealer;
+		tanksLeft -= fixedByTank;
+		const fixedByPair = Math.min(needBoth, healersLeft, tanksLeft);
+		bound += (fixedByHealer + fixedByTank + fixedByPair) * w.tankSupportCoverage;
+	}
+
+	// Same class: duplicates are unavoidable once every group without
+	// that class (and with space) has taken one
+	bound += scoreSameClassRedundancy(partialState, w.sameClassInGroup);
+	if (w.sameClassInGroup < 0) {
+		const remainingByClass = {};
+		remaining.forEach(p => {
+			remainingByClass[p.class] = (remainingByClass[p.class] || 0) + 1;
+		});
+		Object.entries(remainingByClass).forEach(([cls, count]) => {
+			const freeGroups = groups.filter(g => !g.isFull() && !g.getClassCounts()[cls]).length;
+			bound += Math.max(0, count - freeGroups) * w.sameClassInGroup;
+		});
+	} else {
+		bound += remaining.length * w.sameClassInGroup;
+	}
+
+	// Too many ranged: penalties only grow as players are added
+	bound += scoreTooManyRangedInGroup(partialState, w.tooManyRangedInGroup);
+	if (w.tooManyRangedInGroup > 0) {
+		bound += remaining.filter(p => RANGED_CLASSES.has(p.class) && p.role === 'dps').length * w.tooManyRangedInGroup;
+	}
+
+	return bound;
+}
+
+/**
+ * Solve the group assignment exactly
+ *
+ * @param {RaidState} seedState - Valid raid state providing the roster and bench
+ * @param {Object} weights - Scoring weights
+ * @param {Object} config - Solver config plus optional `group` constraints, `pins`,
+ *   pair `preferences` and `incumbent` state
+ * @returns {Object} Result with the best state and whether it is proven optimal
+ */
+function solveExact(seedState, weights = {}, config = {}) {
+	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const groupConfig = { ...GROUP_CONSTRAINTS, ...config.group };
+	const w = { ...DEFAULT_WEIGHTS, ...weights };
+	const preferences = config.preferences || [];
+	const startTime = Date.now();
+	const log = cfg.enableLogging ? console.log : () => {};
+
+	// Pinned players keep their seed position and are not searched
+	const pins = config.pins || {};
+	const pinned = seedState.getAllPlayers().filter(p => getPinnedPlacement(pins, p));
+
+	// Hard pairs in the group config count as well as the scored ones
+	const namedPreferences = [...preferences, ...(groupConfig.PAIR_PREFERENCES || [])];
+	const typeKey = player => getPlayerTypeKey(player, namedPreferences);
+
+	// Identical players must be adjacent for the symmetry rule below
+	const players = sortPlayersByPriority(seedState.getAllPlayers().filter(p => !getPinnedPlacement(pins, p)))
+		.sort((a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role) ||
+			typeKey(a).localeCompare(typeKey(b)));
+
+	if (players.length > cfg.maxPlayers) {
+		return {
+			success: false,
+			error: `Raid too large for exact solver: ${players.length} players, maximum is ${cfg.maxPlayers}`,
+			finalState: null
+		};
+	}
+
+	// Status, bench and off-spec terms only depend on the roster (and its specs), not on the groups
+	const constantScore =
+		scoreLatePlayerPenalty(seedState, w.latePlayerPenalty) +
+		scoreTentativePlayerPenalty(seedState, w.tentativePlayerPenalty) +
+		scoreBenchingPenalty(seedState, w.benchingPenalty) +
+		scoreOffSpecPenalty(seedState, w.offSpecPenalty);
+
+	// Start from the incumbent so weak branches are pruned immediately
+	const incumbent = cfg.incumbent || seedState;
+	let bestScore = scoreRaidComposition(incumbent, weights, preferences);
+	let bestState = incumbent.withScore(bestScore);
+
+	let rootState = RaidState.createEmpty(
+		seedState.groups.length,
+		seedState.groups[0].slots.length
+	).withBench(seedState.bench);
+	pinned.forEach(player => {
+		const position = seedState.findPlayer(player);
+		rootState = rootState.withPlayerAt(position.groupId, position.slotIndex, player);
+	});
+
+	const stats = { nodesExplored: 0, nodesPruned: 0 };
+	let timedOut = false;
+	let unexploredBound = -Infinity;
+	let lastReportMs = -Infinity;
+
+	function reportProgress() {
+		if (typeof cfg.onProgress !== 'function') return;
+		const elapsedMs = Date.now() - startTime;
+		if (elapsedMs - lastReportMs < cfg.progressIntervalMs) return;
+		lastReportMs = elapsedMs;
+		cfg.onProgress({ nodesExplored: stats.nodesExplored, bestScore, elapsedMs, timeBudgetMs: cfg.timeBudgetMs });
+	}
+
+	log('=== Exact Solver Started ===');
+	log(`Players: ${players.length}, incumbent score: ${bestScore.toFixed(2)}`);
+
+	function search(state, index, bound, groupIndices) {
+		// A stop request ends the search like a timeout: best kept, not proven
+		if (timedOut || Date.now() - startTime > cfg.timeBudgetMs ||
+			(typeof cfg.shouldStop === 'function' && cfg.shouldStop() === true)) {
+			timedOut = true;
+			unexploredBound = Math.max(unexploredBound, bound);
+			return;
+		}
+
+		stats.nodesExplored++;
+		reportProgress();
+
+		if (index === players.length) {
+			// Hard "together" pairs can only be checked once everyone is placed
+			if (!state.groups.every(g => validateGroupConstraints(g, groupConfig, state).valid)) return;
+
+			const score = scoreRaidComposition(state, weights, preferences);
+			if (score > bestScore) {
+				bestScore = score;
+				bestState = state.withScore(score);
+				log(`New best score ${bestScore.toFixed(2)} after ${stats.nodesExplored} nodes`);
+			}
+			return;
+		}
+
+		const player = players[index];
+		const remaining = players.slice(index + 1);
+		const children = [];
+
+		// An identical player placed just before may not sit in a later group
+		const minGroupIndex = index > 0 && typeKey(players[index - 1]) === typeKey(player)
+			? groupIndices[index - 1]
+			: 0;
+		let emptyGroupTried = false;
+
+		for (let g = minGroupIndex; g < state.groups.length; g++) {
+			const group = state.groups[g];
+			if (group.isFull()) continue;
+
+			// Empty groups are interchangeable, so only the first one is tried
+			if (group.isEmpty()) {
+				if (emptyGroupTried) continue;
+				emptyGroupTried = true;
+			}
+
+			const newGroup = group.withPlayerAt(group.getFirstEmptySlotIndex(), player);
+			if (!validateGroupConstraints(newGroup, groupConfig).valid) continue;
+
+			const child = state.withGroup(group.id, newGroup);
+			children.push({ state: child, groupIndex: g, bound: getUpperBound(child, remaining, w, constantScore, preferences) });
+		}
+
+		// Most promising branch first
+		children.sort((a, b) => b.bound - a.bound);
+
+		for (const child of children) {
+			if (child.bound <= bestScore + 1e-9) {
+				stats.nodesPruned++;
+				continue;
+			}
+			groupIndices[index] = child.groupIndex;
+			search(child.state, index + 1, child.bound, groupIndices);
+		}
+	}
+
+	search(rootState, 0, getUpperBound(rootState, players, w, constantScore, preferences), []);
+
+	const upperBound = timedOut ? Math.max(bestScore, unexploredBound) : bestScore;
+	const elapsed = Date.now() - startTime;
+
+	log('=== Exact Solver Complete ===');
+	log(`Nodes: ${stats.nodesExplored} explored, ${stats.nodesPruned} pruned`);
+	log(`Best score: ${bestScore.toFixed(2)}, proven optimal: ${!timedOut}`);
+
+	return {
+		success: true,
+		finalState: bestState,
+		finalScore: bestScore,
+		provenOptimal: !timedOut,
+		upperBound,
+		optimalityGap: upperBound - bestScore,
+		nodesExplored: stats.nodesExplored,
+		nodesPruned: stats.nodesPruned,
+		timeMs: elapsed
+	};
+}
+
+module.exports = {
+	solveExact,
+	getUpperBound,
+	getPlayerTypeKey,
+	DEFAULT_CONFIG
+};
@@ -0,0 +1,190 @@
+/**
+ * Gear Audit
+ *
+ * Inspects the Battle.net equipment fetched with the gear scores and lists
+ * what each player should fix before raid:
+ *
+ * - enchant: an enchantable item without a permanent enchant
+ * - quality: an item below the minimum quality (rare by default)
+ * - empty: a slot with nothing in it (see gear-score.js)
+ * - resistance: no gear for a resistance school the encounter calls for
+ *
+ * Resistance requirements of the encounter nobody meets are listed as well.
+ *
+ * The text report is meant to be pasted into Discord as a reminder.
+ */
+
+const { SLOT_WEIGHTS, scoreEquipment, getSlotLabel } = require('./gear-score');
+const {
+	getItemResistances,
+	getSchoolLabel,
+	getProfileSchools,
+	getProfileRequirements,
+	getResistanceShortfalls,
+	describeShortfall
+} = require('./resistances');
+
+const QUALITY_ORDER = ['POOR', 'COMMON', 'UNCOMMON', 'RARE', 'EPIC', 'LEGENDARY', 'ARTIFACT'];
+
+/**
+ * Default audit rules
+ */
+const DEFAULT_AUDIT_RULES = {
+	// Items below this quality are reported
+	minQuality: 'RARE',
+	// Slots that take a permanent enchant
+	enchantSlots: ['HEAD', 'SHOULDER', 'BACK', 'CHEST', 'WRIST', 'HANDS', 'LEGS', 'FEET', 'MAIN_HAND', 'OFF_HAND', 'RANGED'],
+	// Off hands that can be enchanted (held-in-off-hand items can't)
+	enchantableOffHands: ['WEAPON', 'WEAPONOFFHAND', 'SHIELD'],
+	// Classes whose ranged weapon gets a scope
+	rangedEnchantClasses: ['Hunter']
+};
+
+const ISSUE_TYPES = ['enchant', 'quality', 'empty', 'resistance'];
+
+const slotType = item => item.slot && item.slot.type;
+
+function hasPermanentEnchant(item) {
+	return (item.enchantments || []).some(enchant =>
+		!enchant.enchantment_slot || enchant.enchantment_slot.type !== 'TEMPORARY'
+	);
+}
+
+function needsEnchant(item, playerClass, rules) {
+	const slot = slotType(item);
+	if (!rules.enchantSlots.includes(slot)) return false;
+	if (slot === 'OFF_HAND') {
+		return Boolean(item.inventory_type) && rules.enchantableOffHands.includes(item.inventory_type.type);
+	}
+	if (slot === 'RANGED') return rules.rangedEnchantClasses.includes(playerClass);
+	return true;
+}
+
+/**
+ * Audit one character's equipped items
+ *
+ * @param {Array} items - Battle.net equipped_items
+ * @param {Object} options - { playerClass, schools: resistance schools needed, ...rule overrides }
+ * @returns {Array} Issues: { type, slot?, school?, item?, quality?, message }
+ */
+function auditGear(items, options = {}) {
+	const { playerClass = null, schools = [], ...overrides } = options;
+	const rules = { ...DEFAULT_AUDIT_RULES, ...overrides };
+	const minQuality = QUALITY_ORDER.indexOf(rules.minQuality);
+	const issues = [];
+
+	items.filter(slotType).forEach(item => {
+		const slot = slotType(item);
+		const label = getSlotLabel(slot);
+		if (needsEnchant(item, playerClass, rules) && !hasPermanentEnchant(item)) {
+			issues.push({ type: 'enchant', slot, item: item.name, message: `${label} has no enchant` });
+		}
+		const quality = item.quality && item.quality.type;
+		if (slot in SLOT_WEIGHTS && QUALITY_ORDER.indexOf(quality) !== -1 && QUALITY_ORDER.indexOf(quality) < minQuality) {
+			issues.push({
+				type: 'quality',
+				slot,
+				item: item.name,
+				quality,
+				message: `${label} is ${getSlotLabel(quality).toLowerCase()} quality`
+			});
+		}
+	});
+
+	const breakdown = scoreEquipment(items, 'weighted');
+	(breakdown ? breakdown.emptySlots : []).forEach(slot => {
+		issues.push({ type: 'empty', slot, message: `${getSlotLabel(slot)} is empty` });
+	});
+
+	schools.forEach(school => {
+		if (!items.some(item => getItemResistances(item)[school])) {
+			issues.push({ type: 'resistance', school, message: `No ${school} resistance gear` });
+		}
+	});
+
+	return issues;
+}
+
+/**
+ * Audit every player with fetched gear (player.gearEquipment)
+ *
+ * @param {Array} players - Players ({ name, class, gearEquipment })
+ * @param {Object} options - { profile: encounter profile, ...rule overrides }
+ * @returns {Object} { encounter, schools, players: [{ player, issues }], unchecked, counts, shortfalls }
+ */
+function auditRaid(players, options = {}) {
+	const { profile = null, ...rules } = options;
+	const schools = getProfileSchools(profile);
+
+	const checked = players.filter(player => player.gearEquipment && player.gearEquipment.length > 0);
+	// Resistances entered in the roster mean the gear is in the bags
+	const entered = (player, school) => Boolean(player.enteredResistances) && school in player.enteredResistances;
+	const audited = checked.map(player => ({
+		player,
+		issues: auditGear(player.gearEquipment, {
+			...rules,
+			playerClass: player.class,
+			schools: schools.filter(school => !entered(player, school))
+		})
+	}));
+
+	const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type, 0]));
+	audited.forEach(({ issues }) => issues.forEach(issue => counts[issue.type]++));
+
+	return {
+		encounter: profile ? profile.name : null,
+		schools,
+		players: audited,
+		unchecked: players.filter(player => !checked.includes(player)),
+		counts,
+		// Unmet resistance requirements (see resistances.js), for everyone signed up
+		shortfalls: getResistanceShortfalls(players, getProfileRequirements(profile))
+	};
+}
+
+/**
+ * Plain text report, one reminder per player with something to fix
+ */
+function formatGearAudit(report) {
+	const lines = [`**Gear Audit${report.encounter ? ` - ${report.encounter}` : ''}**`];
+	const { counts } = report;
+	lines.push(`Missing enchants: ${counts.enchant} · Low quality: ${counts.quality} · Empty slots: ${counts.empty}` +
+		(report.schools.length > 0 ? ` · No resistance gear: ${counts.resistance}` : ''));
+
+	const slots = (issues, type) => issues.filter(issue => issue.type === type).map(issue => getSlotLabel(issue.slot));
+	report.players
+		.filter(({ issues }) => issues.length > 0)
+		.forEach(({ player, issues }) => {
+			lines.push('', `__${player.name}__`);
+			const enchants = slots(issues, 'enchant');
+			const quality = slots(issues, 'quality');
+			const empty = slots(issues, 'empty');
+			const schools = issues.filter(issue => issue.type === 'resistance').map(issue => getSchoolLabel(issue.school));
+			if (enchants.length > 0) lines.push(`Enchant: ${enchants.join(', ')}`);
+			if (quality.length > 0) lines.push(`Upgrade: ${quality.join(', ')}`);
+			if (empty.length > 0) lines.push(`Empty: ${empty.join(', ')}`);
+			if (schools.length > 0) lines.push(`Bring resistance gear: ${schools.join(', ')}`);
+		});
+
+	if (report.shortfalls.length > 0) {
+		lines.push('', '__Resistance Requirements__', ...report.shortfalls.map(describeShortfall));
+	}
+
+	const clear = report.players.filter(({ issues }) => issues.length === 0);
+	if (clear.length > 0) {
+		lines.push('', `All clear: ${clear.map(({ player }) => player.name).join(', ')}`);
+	}
+	if (report.unchecked.length > 0) {
+		lines.push('', `No Battle.net gear: ${report.unchecked.map(player => player.name).join(', ')}`);
+	}
+
+	return lines.join('\n');
+}
+
+module.exports = {
+	DEFAULT_AUDIT_RULES,
+	ISSUE_TYPES,
+	auditGear,
+	auditRaid,
+	formatGearAudit
+};
@@ -0,0 +1,99 @@
+/**
+ * Gear Score Cache
+ *
+ * Battle.net equipment responses, the gear scores computed from them and
+ * talents (see spec-check.js), keyed by region, realm and character. Entries younger than the TTL are
+ * reused without a request; older ones are revalidated with their
+ * Last-Modified date, and remain available as last-known gear when Battle.net
+ * can't be reached. Caches are plain JSON, stored by the main process in the
+ * userData directory; every update returns a new cache.
+ */
+
+const { toRealmSlug } = require('./realms');
+
+const GEAR_CACHE_VERSION = 1;
+const DEFAULT_GEAR_CACHE_TTL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Empty cache
+ */
+function createEmptyGearCache() {
+	return { version: GEAR_CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Cache key ("us/mirage-raceway/alice")
+ */
+function getCacheKey(region, realm, name) {
+	return `${region}/${toRealmSlug(realm)}/${String(name).toLowerCase()}`;
+}
+
+/**
+ * Cached entry for a character (null if never fetched)
+ */
+function getCachedEntry(cache, region, realm, name) {
+	return (cache && cache.entries[getCacheKey(region, realm, name)]) || null;
+}
+
+/**
+ * Check if an entry is younger than the TTL
+ */
+function isFresh(entry, ttlHours = DEFAULT_GEAR_CACHE_TTL_HOURS, now = Date.now()) {
+	return Boolean(entry) && now - new Date(entry.fetchedAt).getTime() < ttlHours * HOUR_MS;
+}
+
+/**
+ * Store successful lookups (see BattleNetAPI.batchGetGearScores)
+ * Results served from the cache keep their entry; failed lookups are ignored
+ *
+ * @param {Object} cache - Cache to update
+ * @param {string} region - Battle.net region
+ * @param {Array} results - [{ name, realm, success, gearScore, equipment, lastModified, fetchedAt,
+ *   talents?, talentsLastModified? }]
+ * @returns {Object} Updated cache
+ */
+function updateGearCache(cache, region, results) {
+	const entries = { ...cache.entries };
+	results
+		.filter(result => result.success && !result.cached)
+		.forEach(result => {
+			entries[getCacheKey(region, result.realm, result.name)] = {
+				name: result.name,
+				realm: result.realm,
+				region,
+				gearScore: result.gearScore,
+				equipment: result.equipment || [],
+				lastModified: result.lastModified || null,
+				talents: result.talents || null,
+				talentsLastModified: result.talentsLastModified || null,
+				fetchedAt: result.fetchedAt
+			};
+		});
+	return { ...cache, entries };
+}
+
+/**
+ * Check a loaded cache file
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateGearCache(cache) {
+	if (!cache || typeof cache !== 'object' || !cache.entries || typeof cache.entries !== 'object') {
+		return ['Gear cache must be an object with entries'];
+	}
+	return Object.entries(cache.entries)
+		.filter(([, entry]) => !entry || typeof entry.gearScore !== 'number' || !entry.fetchedAt)
+		.map(([key]) => `Gear cache entry ${key} needs a gear score and fetch date`);
+}
+
+module.exports = {
+	GEAR_CACHE_VERSION,
+	DEFAULT_GEAR_CACHE_TTL_HOURS,
+	createEmptyGearCache,
+	getCacheKey,
+	getCachedEntry,
+	isFresh,
+	updateGearCache,
+	validateGearCache
+};
@@ -0,0 +1,209 @@
+/**
+ * Gear Score Models
+ *
+ * Turns Battle.net `equipped_items` into a gear score with a per-slot
+ * breakdown. Models are pluggable (see registerGearScoreModel):
+ *
+ * - weighted (default): item levels weighted by slot and quality, a
+ *   two-hander counting for both weapon slots, shirt and tabard ignored,
+ *   tier set pieces counted by set id, empty slots flagged
+ * - average: the plain average item level of everything equipped, also used
+ *   as the fallback when items carry no slot information
+ *
+ * Scores stay on the item level scale, so models can be compared.
+ */
+
+/**
+ * Slot weights (GearScore style); slots missing here don't count
+ */
+const SLOT_WEIGHTS = {
+	HEAD: 1,
+	NECK: 0.5625,
+	SHOULDER: 0.75,
+	BACK: 0.5625,
+	CHEST: 1,
+	WRIST: 0.5625,
+	HANDS: 0.75,
+	WAIST: 0.75,
+	LEGS: 1,
+	FEET: 0.75,
+	FINGER_1: 0.5625,
+	FINGER_2: 0.5625,
+	TRINKET_1: 0.5625,
+	TRINKET_2: 0.5625,
+	MAIN_HAND: 1,
+	OFF_HAND: 1,
+	RANGED: 0.3125
+};
+
+// A two-hander fills the main and off hand
+const TWO_HAND_WEIGHT = SLOT_WEIGHTS.MAIN_HAND + SLOT_WEIGHTS.OFF_HAND;
+const TWO_HAND_TYPES = ['TWOHWEAPON', 'TWO_HAND_WEAPON'];
+
+/**
+ * Item quality multipliers
+ */
+const QUALITY_MULTIPLIERS = {
+	POOR: 0.5,
+	COMMON: 0.6,
+	UNCOMMON: 0.8,
+	RARE: 0.9,
+	EPIC: 1,
+	LEGENDARY: 1.15,
+	ARTIFACT: 1.15
+};
+
+// Item levels added per equipped piece of a set with at least two pieces on
+const SET_PIECE_BONUS = 0.5;
+
+const DEFAULT_GEAR_SCORE_MODEL = 'weighted';
+
+const slotType = item => item.slot && item.slot.type;
+const itemLevel = item => (item.level && item.level.value) || 0;
+
+function isTwoHander(item) {
+	return Boolean(item && item.inventory_type && TWO_HAND_TYPES.includes(item.inventory_type.type));
+}
+
+/**
+ * Equipped pieces per item set ({ id, name, pieces }), by set id
+ */
+function countSetPieces(items) {
+	const sets = {};
+	items.forEach(item => {
+		const itemSet = item.set && item.set.item_set;
+		if (!itemSet) return;
+		sets[itemSet.id] = sets[itemSet.id] || { id: itemSet.id, name: itemSet.name, pieces: 0 };
+		sets[itemSet.id].pieces++;
+	});
+	return Object.values(sets);
+}
+
+/**
+ * Plain average item level (the original gear score)
+ */
+function scoreAverage(items) {
+	const levelled = items.filter(item => itemLevel(item) > 0);
+	const total = levelled.reduce((sum, item) => sum + itemLevel(item), 0);
+	return {
+		score: levelled.length > 0 ? Math.round(total / levelled.length) : 0,
+		slots: levelled.map(item => ({
+			slot: slotType(item) || '',
+			name: item.name || '',
+			itemLevel: itemLevel(item),
+			quality: (item.quality && item.quality.type) || '',
+			weight: 1,
+			points: itemLevel(item)
+		})),
+		emptySlots: [],
+		sets: countSetPieces(items),
+		twoHanded: false
+	};
+}
+
+/**
+ * Slot- and quality-weighted item level, with tier set pieces and empty slots
+ * Returns null when the items carry no slots (the average model takes over)
+ */
+function scoreWeighted(items) {
+	if (!items.some(slotType)) return null;
+
+	const bySlot = Object.fromEntries(items.filter(slotType).map(item => [slotType(item), item]));
+	const twoHanded = isTwoHander(bySlot.MAIN_HAND);
+
+	const slots = [];
+	const emptySlots = [];
+	let totalWeight = 0;
+	let points = 0;
+	Object.entries(SLOT_WEIGHTS).forEach(([slot, baseWeight]) => {
+		if (slot === 'OFF_HAND' && twoHanded) return;
+		const weight = slot === 'MAIN_HAND' && twoHanded ? TWO_HAND_WEIGHT : baseWeight;
+		totalWeight += weight;
+
+		const item = bySlot[slot];
+		if (!item || itemLevel(item) === 0) {
+			emptySlots.push(slot);
+			return;
+		}
+		const quality = (item.quality && item.quality.type) || 'EPIC';
+		const multiplier = QUALITY_MULTIPLIERS[quality] !== undefined ? QUALITY_MULTIPLIERS[quality] : 1;
+		const slotPoints = weight * itemLevel(item) * multiplier;
+		points += slotPoints;
+		slots.push({
+			slot,
+			name: item.name || '',
+			itemLevel: itemLevel(item),
+			quality,
+			weight,
+			points: Math.round(slotPoints * 10) / 10
+		});
+	});
+
+	const sets = countSetPieces(items);
+	const setBonus = sets
+		.filter(set => set.pieces >= 2)
+		.reduce((sum, set) => sum + set.pieces * SET_PIECE_BONUS, 0);
+
+	return {
+		score: Math.round(points / totalWeight + setBonus),
+		slots,
+		emptySlots,
+		sets,
+		setBonus,
+		twoHanded
+	};
+}
+
+const GEAR_SCORE_MODELS = {
+	weighted: { label: 'Slot-weighted (quality, tier sets)', score: scoreWeighted },
+	average: { label: 'Average item level', score: scoreAverage }
+};
+
+/**
+ * Add a gear score model: score(items) returns { score, slots, emptySlots, sets }
+ * or null to fall back to the average
+ */
+function registerGearScoreModel(id, model) {
+	if (!model || typeof model.score !== 'function') {
+		throw new Error(`Gear score model ${id} needs a score function`);
+	}
+	GEAR_SCORE_MODELS[id] = { label: model.label || id, score: model.score };
+}
+
+/**
+ * Score equipped items with a model (unknown models use the default)
+ *
+ * @param {Array} items - Battle.net equipped_items
+ * @param {string} modelId - Model to use
+ * @returns {Object|null} { model, score, slots, emptySlots, sets, ... } or null without items
+ */
+function scoreEquipment(items, modelId = DEFAULT_GEAR_SCORE_MODEL) {
+	if (!Array.isArray(items) || items.length === 0) return null;
+
+	const id = GEAR_SCORE_MODELS[modelId] ? modelId : DEFAULT_GEAR_SCORE_MODEL;
+	const breakdown = GEAR_SCORE_MODELS[id].score(items);
+	if (breakdown) return { model: id, ...breakdown };
+	return { model: 'average', ...scoreAverage(items) };
+}
+
+/**
+ * Display name for a slot ("FINGER_1" -> "Finger 1")
+ */
+function getSlotLabel(slot) {
+	return slot
+		.toLowerCase()
+		.split('_')
+		.map(word => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(' ');
+}
+
+module.exports = {
+	SLOT_WEIGHTS,
+	QUALITY_MULTIPLIERS,
+	SET_PIECE_BONUS,
+	DEFAULT_GEAR_SCORE_MODEL,
+	GEAR_SCORE_MODELS,
+	registerGearScoreModel,
+	scoreEquipment,
+	getSlotLabel
+};
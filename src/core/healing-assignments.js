@@ -0,0 +1,168 @@
+/**
+ * Healing Assignments
+ *
+ * Turns a finished composition into the healing lead's assignments:
+ *
+ * 1. Tank teams - each tank, in raid order, gets its number of tank healers
+ *    (main tank first), preferring healers already in the tank's group and
+ *    leaving those in another tank's group to that tank
+ * 2. Group healing - group-bound healers (shamans, druids) heal their own
+ *    group; groups without one get a free healer, again preferring one inside
+ * 3. Raid healing - everyone left
+ *
+ * Shortfalls are reported as warnings rather than errors, since the
+ * composition itself is already fixed.
+ */
+
+/**
+ * Default assignment rules
+ */
+const DEFAULT_HEALING_RULES = {
+	// Healers per tank in raid order; the last number applies to every further tank
+	tankHealers: [3, 2],
+	// Classes that may be put on a tank, in order of preference
+	tankHealerClasses: ['Priest', 'Paladin'],
+	// Classes whose healing is bound to their own group
+	groupBoundClasses: ['Shaman', 'Druid'],
+	// Give groups without a group-bound healer one of the free healers
+	coverAllGroups: true,
+	// Prefer healers in the same group as the tank or group they heal
+	preferSameGroup: true
+};
+
+/**
+ * Role used for assignments (explicit role first, then the model's primary role)
+ */
+function getRole(player) {
+	return player.role || (player.roles && player.roles.primary);
+}
+
+/**
+ * Raid members with their group id, from a RaidState or a list of groups ({ id, players })
+ */
+function getMembers(source) {
+	const groups = Array.isArray(source) ? source : source.groups;
+	return groups.flatMap(group => {
+		const players = typeof group.getPlayers === 'function' ? group.getPlayers() : group.players || [];
+		return players.map(player => ({ player, groupId: group.id }));
+	});
+}
+
+/**
+ * Order healer candidates: same group first (if preferred), healers in
+ * `otherGroups` last, then by class preference
+ */
+function rankCandidates(candidates, groupId, rules, classOrder = [], otherGroups = []) {
+	const classRank = member => {
+		const index = classOrder.indexOf(member.player.class);
+		return index === -1 ? classOrder.length : index;
+	};
+	const groupRank = member => {
+		if (!rules.preferSameGroup) return 0;
+		if (member.groupId === groupId) return 0;
+		return otherGroups.includes(member.groupId) ? 2 : 1;
+	};
+	return [...candidates].sort((a, b) => groupRank(a) - groupRank(b) || classRank(a) - classRank(b));
+}
+
+/**
+ * Generate healing assignments for a composition
+ *
+ * @param {RaidState|Array} source - Final raid state or list of groups
+ * @param {Object} rules - Overrides for DEFAULT_HEALING_RULES
+ * @returns {Object} { tanks: [{ tank, groupId, healers }], groups: [{ groupId, healers }], raid: [players], warnings }
+ */
+function generateHealingAssignments(source, rules = {}) {
+	const r = { ...DEFAULT_HEALING_RULES, ...rules };
+	const members = getMembers(source);
+	const tanks = members.filter(member => getRole(member.player) === 'tank');
+	const healers = members.filter(member => getRole(member.player) === 'healer');
+	const groupBound = healers.filter(member => r.groupBoundClasses.includes(member.player.class));
+	const free = healers.filter(member => !r.groupBoundClasses.includes(member.player.class));
+
+	const used = new Set();
+	const warnings = [];
+	const take = member => {
+		used.add(member);
+		return member.player;
+	};
+
+	// Tank teams, main tank first
+	const tankTeams = tanks.map((member, index) => {
+		const wanted = r.tankHealers[Math.min(index, r.tankHealers.length - 1)] || 0;
+		const candidates = free.filter(h => !used.has(h) && r.tankHealerClasses.includes(h.player.class));
+		const otherTankGroups = tanks.filter(other => other !== member).map(other => other.groupId);
+		const team = rankCandidates(candidates, member.groupId, r, r.tankHealerClasses, otherTankGroups)
+			.slice(0, wanted)
+			.map(take);
+
+		if (team.length < wanted) {
+			warnings.push(`${member.player.name} has ${team.length} of ${wanted} tank healers`);
+		}
+		return { tank: member.player, groupId: member.groupId, healers: team };
+	});
+
+	// Group healing: group-bound healers stay home, uncovered groups get a free healer
+	const groupIds = [...new Set(members.map(member => member.groupId))];
+	const groups = groupIds.map(groupId => {
+		const own = groupBound.filter(member => member.groupId === groupId).map(take);
+		if (own.length > 0 || !r.coverAllGroups) {
+			return { groupId, healers: own };
+		}
+
+		const [cover] = rankCandidates(free.filter(h => !used.has(h)), groupId, r);
+		if (!cover) {
+			warnings.push(`Group ${groupId} has no group healer`);
+			return { groupId, healers: [] };
+		}
+		return { groupId, healers: [take(cover)] };
+	});
+
+	return {
+		tanks: tankTeams,
+		groups,
+		raid: free.filter(member => !used.has(member)).map(member => member.player),
+		warnings
+	};
+}
+
+/**
+ * Short tank label: MT, then OT (or OT1, OT2, ... with several off-tanks)
+ */
+function getTankLabel(index, tankCount) {
+	if (index === 0) return 'MT';
+	return tankCount > 2 ? `OT${index}` : 'OT';
+}
+
+/**
+ * Format assignments as Discord markdown
+ */
+function formatHealingAssignments(assignments) {
+	const names = players => (players.length > 0 ? players.map(player => player.name).join(', ') : '-');
+	const lines = ['**Healing Assignments**', '', '__Tanks__'];
+
+	assignments.tanks.forEach((team, index) => {
+		const label = getTankLabel(index, assignments.tanks.length);
+		lines.push(`${label} ${team.tank.name} (G${team.groupId}): ${names(team.healers)}`);
+	});
+
+	lines.push('', '__Groups__');
+	assignments.groups.forEach(group => {
+		lines.push(`G${group.groupId}: ${names(group.healers)}`);
+	});
+
+	lines.push('', '__Raid__', names(assignments.raid));
+
+	if (assignments.warnings.length > 0) {
+		lines.push('', ...assignments.warnings.map(warning => `⚠️ ${warning}`));
+	}
+
+	return lines.join('\n');
+}
+
+module.exports = {
+	DEFAULT_HEALING_RULES,
+	generateHealingAssignments,
+	formatHealingAssignments,
+	getTankLabel
+};
@@ -1,3 +1,7 @@
+const { getBuffsProvided } = require("./synergy-rules");
+const { getBuffCoverage } = require("./buff-coverage");
+const { combineResistances } = require("./resistances");
+
 // Player Data Model
 class Player {
 	constructor(data) {
@@ -18,17 +22,41 @@ class Player {
 		this.spec = data.spec || data.spec1 || "Unknown";
 
 		this.gearScore = data.gearScore || 0;
+		// When the gear score was fetched from Battle.net (ISO date, null if never)
+		this.gearScoreFetchedAt = data.gearScoreFetchedAt || null;
+		// Per-slot breakdown of the gear score and the items it was scored from (see gear-score.js)
+		this.gearBreakdown = data.gearBreakdown || null;
+		this.gearEquipment = data.gearEquipment || [];
+		// Resistances entered in the roster, and the ones encounter requirements use (see resistances.js)
+		this.enteredResistances = data.enteredResistances || null;
+		this.resistances = combineResistances(
+			this.gearEquipment,
+			this.enteredResistances
+		);
+		// Talent tree fetched from Battle.net, checked against the signed-up spec (see spec-check.js)
+		this.talents = data.talents || null;
 		this.signupTime = data.signuptime || Date.now();
 		this.note = data.note || "";
 		this.partyId = data.partyId || null;
 		this.slotId = data.slotId || null;
 
+		// ───────── ROSTER (see roster.js) ─────────
+		this.realm = data.realm || "";
+		this.rank = data.rank || "";
+		this.rosterNotes = data.rosterNotes || "";
+		// Race marked in the roster (only needed for racials like Fear Ward), null if unknown
+		this.race = data.race || null;
+		// Main character's name when this character is an alt
+		this.main = data.main || null;
+
 		// ───────── DERIVED DATA ─────────
 		this.roles = this.determineRoles();
 		this.score = 0;
 		// Add simple 'role' field for new optimizer (uses explicit role if provided, otherwise primary role)
 		this.role = data.role || this.roles.primary;
 		this.userid = this.id; // Alias for compatibility
+		// Specs the player can play, main spec first (see role-options.js)
+		this.specOptions = data.specOptions || this.determineSpecOptions(data);
 	}
 
 	generateId() {
@@ -63,7 +91,7 @@ class Player {
 		return classMap[normalized] || className;
 	}
 
-	determineRoles() {
+	determineRoles(spec = this.spec) {
 		const roles = {
 			primary: "dps",
 			secondary: null,
@@ -114,8 +142,8 @@ class Player {
 		}
 
 		// Adjust based on spec if available - spec takes priority
-		if (this.spec) {
-			const specLower = this.spec.toLowerCase();
+		if (spec) {
+			const specLower = spec.toLowerCase();
 
 			// Tank specs
 			if (
@@ -162,49 +190,28 @@ class Player {
 		return roles;
 	}
 
-	getBuffsProvided() {
-		const buffs = [];
-
-		switch (this.class) {
-			case "Shaman":
-				buffs.push(
-					"Windfury Totem",
-					"Strength of Earth",
-					"Grace of Air",
-					"Mana Spring"
-				);
-				break;
-			case "Paladin":
-				buffs.push(
-					"Blessing of Kings",
-					"Blessing of Might",
-					"Blessing of Wisdom"
-				);
-				break;
-			case "Druid":
-				buffs.push("Mark of the Wild", "Thorns", "Innervate");
-				break;
-			case "Priest":
-				buffs.push(
-					"Power Word: Fortitude",
-					"Divine Spirit",
-					"Shadow Weaving"
-				);
-				break;
-			case "Mage":
-				buffs.push("Arcane Intellect", "Dampen Magic");
-				break;
-			case "Warlock":
-				buffs.push("Healthstone", "Soulstone", "Curse of Elements");
-				break;
-			case "Hunter":
-				buffs.push("Trueshot Aura", "Aspect of the Hawk");
-				break;
-			default:
-				break;
-		}
+	// Raid Helper spec1-3 plus alternates added by hand, each with the role it plays
+	determineSpecOptions(data) {
+		const declared = [
+			data.spec1,
+			data.spec2,
+			data.spec3,
+			...(data.altSpecs || []),
+		].filter(
+			(spec) =>
+				spec && spec !== "null" && spec !== "Unknown" && spec !== this.spec
+		);
+
+		const options = [{ spec: this.spec, role: this.role }];
+		[...new Set(declared)].forEach((spec) => {
+			options.push({ spec, role: this.determineRoles(spec).primary });
+		});
+		return options;
+	}
 
-		return buffs;
+	// Buff providers are defined in the synergy rules (synergy-rules.json)
+	getBuffsProvided() {
+		return getBuffsProvided(this);
 	}
 
 	toJSON() {
@@ -213,7 +220,11 @@ class Player {
 			name: this.name,
 			class: this.class,
 			spec: this.spec,
+			specOptions: this.specOptions,
 			gearScore: this.gearScore,
+			realm: this.realm,
+			main: this.main,
+			resistances: this.resistances,
 			roles: this.roles,
 			score: this.score,
 			isConfirmed: this.isConfirmed,
@@ -293,6 +304,11 @@ class Raid {
 		return Math.round(total / this.players.length);
 	}
 
+	// Buffs reaching each group (see buff-coverage.js)
+	getBuffCoverage() {
+		return getBuffCoverage(this.groups);
+	}
+
 	getCompositionStats() {
 		this.calculateComposition();
 		return {
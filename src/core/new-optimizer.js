@@ -8,21 +8,29 @@
  * 4. Greedy seed generation
  * 5. Search-based optimization
  * 6. Weighted scoring
+ * 7. Exact branch-and-bound (optional, small raids)
  * 
  * This replaces the old optimizer.js with a deterministic, constraint-safe approach.
  */
 
 const { RaidState } = require('./state-model');
 const { generateSeed, canGenerateSeed } = require('./seed-generator');
-const { optimize, quickOptimize, deepOptimize } = require('./search-optimizer');
+const { optimize, quickOptimize, deepOptimize, findDiverseStates, getAssignmentDistance } = require('./search-optimizer');
+const { solveExact } = require('./exact-solver');
 const { scoreRaidComposition, getScoreBreakdown, createScoringFunction } = require('./scoring');
 const { validateRaidState, isValidRaidState } = require('./constraints');
 const { isAssignableStatus } = require('./status-enums');
+const { getEncounterProfile, applyEncounterProfile } = require('./encounter-profiles');
 
 /**
  * Main optimizer configuration
  */
 const DEFAULT_CONFIG = {
+	// 'search' (seed + local search) or 'exact' (local search result proven
+	// or improved by branch-and-bound, for 10/20-man raids; the proof covers
+	// the seed's roster and specs, not off-spec changes)
+	mode: 'search',
+
 	// Seed generation config
 	seed: {
 		raid: {
@@ -35,16 +43,54 @@ const DEFAULT_CONFIG = {
 			GROUP_SIZE: 5,
 			MAX_TANKS_PER_GROUP: 1,
 			MAX_HEALERS_PER_GROUP: 2
-		}
+		},
+		// Class -> weight; among players of the same role and status, higher weights get raid spots first
+		classWeights: {},
+		// Switch players to a declared off-spec when main specs miss the tank/healer minimum
+		allowOffSpec: true
+	},
+	
+	// Encounter profile: built-in id (e.g. 'bwl-chromaggus') or a profile object;
+	// its constraints, weights and capabilities override the settings above
+	encounter: null,
+
+	// Pinned placements: players fixed to a group (optionally a slot) or to the bench
+	// placements: [{ userid, groupId, slotIndex? }], bench: [userid]
+	pins: {
+		placements: [],
+		bench: []
 	},
+
+	// Debuff slot plan in the score breakdown: { cap, reserved, priorities } (see debuff-planner.js)
+	debuffs: {},
+
+	// Pair preferences: { players: [idOrName, idOrName], type: 'together'|'apart', weight?, hard? }
+	// Soft preferences are scored, hard ones are also enforced as group constraints
+	preferences: [],
 	
 	// Optimization config
 	optimization: {
+		strategy: 'hill-climbing', // 'hill-climbing', 'simulated-annealing' or 'tabu-search'
 		maxIterations: 1000,
 		maxIterationsWithoutImprovement: 50,
 		timeBudgetMs: 5000,
 		enableLogging: false
 	},
+
+	// Top-K: also return up to k - 1 alternatives, each differing from every
+	// other composition by at least minMoves players changing group
+	topK: {
+		k: 1,
+		minMoves: 4,
+		restarts: null // defaults to k * 4
+	},
+
+	// Exact solver config (mode: 'exact')
+	exact: {
+		maxPlayers: 20,
+		timeBudgetMs: 30000,
+		enableLogging: false
+	},
 	
 	// Scoring weights
 	weights: {
@@ -57,10 +103,105 @@ const DEFAULT_CONFIG = {
 		tooManyRangedInGroup: -2,
 		latePlayerPenalty: -5,
 		tentativePlayerPenalty: -2,
-		benchingPenalty: -1
+		benchingPenalty: -1,
+		offSpecPenalty: -4,
+		pairPreference: 4
 	}
 };
 
+/**
+ * Merge a config over the defaults and apply its encounter profile
+ *
+ * @returns {Object} { cfg, error } - error is set for an unknown encounter id
+ */
+function resolveConfig(config = {}) {
+	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const profile = typeof cfg.encounter === 'string' ? getEncounterProfile(cfg.encounter) : cfg.encounter;
+	if (cfg.encounter && !profile) {
+		return { cfg, error: `Unknown encounter profile: ${cfg.encounter}` };
+	}
+	return { cfg: applyEncounterProfile(cfg, profile) };
+}
+
+/**
+ * Build the constraint config ({ raid, group, pins }) from an optimizer config
+ */
+function getConstraints(cfg) {
+	return {
+		...cfg.seed,
+		group: { ...cfg.seed.group, PAIR_PREFERENCES: cfg.preferences },
+		pins: cfg.pins
+	};
+}
+
+/**
+ * Combine the seed decision for each player with the swaps that moved them
+ * Results without a swap history (exact solver, a winning restart) are read
+ * off seed vs final state and credited to `solver`
+ *
+ * @returns {Object} { [playerId]: { decision, groupId, reasons } }
+ */
+function buildExplanations(seedExplanations, seedState, finalState, moves, solver = null) {
+	const explanations = {};
+	Object.entries(seedExplanations).forEach(([playerId, explanation]) => {
+		explanations[playerId] = { ...explanation, reasons: [...explanation.reasons] };
+	});
+
+	if (solver) {
+		finalState.getAllPlayers().forEach(player => {
+			const seedPosition = seedState.findPlayer(player);
+			const from = seedPosition.groupId;
+			const to = finalState.findPlayer(player).groupId;
+			if (from !== to && explanations[player.userid]) {
+				explanations[player.userid].reasons.push(`Moved from group ${from} to group ${to} by ${solver}`);
+			}
+			const seedPlayer = seedState.getGroup(from).getPlayerAt(seedPosition.slotIndex);
+			if (seedPlayer.spec !== player.spec && explanations[player.userid]) {
+				explanations[player.userid].reasons.push(`Switched from ${seedPlayer.spec} to ${player.spec} (${player.role}) by ${solver}`);
+			}
+		});
+	} else {
+		moves.forEach(move => {
+			if (move.specChange) {
+				const explanation = explanations[move.player1.userid];
+				const delta = `${move.delta >= 0 ? '+' : ''}${move.delta.toFixed(2)}`;
+				if (explanation) {
+					explanation.reasons.push(`Switched from ${move.player1.spec} to ${move.player2.spec} (${move.player2.role}): score ${delta}`);
+				}
+				return;
+			}
+
+			const sides = [
+				[move.player1, move.player2, move.fromGroupId, move.toGroupId],
+				[move.player2, move.player1, move.toGroupId, move.fromGroupId]
+			];
+			sides.forEach(([player, other, from, to]) => {
+				if (!player || !explanations[player.userid]) return;
+				const swappedWith = other ? ` (swapped with ${other.name})` : '';
+				const delta = `${move.delta >= 0 ? '+' : ''}${move.delta.toFixed(2)}`;
+				explanations[player.userid].reasons.push(`Moved from group ${from} to group ${to}${swappedWith}: score ${delta}`);
+			});
+		});
+	}
+
+	// Final group is authoritative
+	finalState.getAllPlayers().forEach(player => {
+		if (explanations[player.userid]) {
+			explanations[player.userid].groupId = finalState.findPlayer(player).groupId;
+		}
+	});
+
+	return explanations;
+}
+
+/**
+ * Check if any player in a state plays a different spec than in the seed
+ */
+function hasSpecChanges(seedState, state) {
+	const seedSpecs = new Map(seedState.getAllPlayers().map(player => [player.userid, player.spec]));
+	return state.getAllPlayers().some(player => seedSpecs.get(player.userid) !== player.spec);
+}
+
 /**
  * Optimize raid composition using the new deterministic approach
  * 
@@ -69,7 +210,7 @@ const DEFAULT_CONFIG = {
  * @returns {Object} Optimization result with raid state and statistics
  */
 function optimizeRaidComposition(players, config = {}) {
-	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const { cfg, error: configError } = resolveConfig(config);
 	const startTime = Date.now();
 
 	// Step 1: Validate input
@@ -82,8 +223,20 @@ function optimizeRaidComposition(players, config = {}) {
 		};
 	}
 
+	if (configError) {
+		return {
+			success: false,
+			error: configError,
+			players,
+			raidState: null
+		};
+	}
+
+	// Seed constraints plus pins and hard pairs, shared by every step that validates
+	const constraints = getConstraints(cfg);
+
 	// Step 2: Check if seed generation is possible
-	const feasibility = canGenerateSeed(players, cfg.seed);
+	const feasibility = canGenerateSeed(players, constraints);
 	if (!feasibility.possible) {
 		return {
 			success: false,
@@ -94,7 +247,7 @@ function optimizeRaidComposition(players, config = {}) {
 	}
 
 	// Step 3: Generate valid seed composition
-	const seedResult = generateSeed(players, cfg.seed);
+	const seedResult = generateSeed(players, constraints);
 	if (!seedResult.success) {
 		return {
 			success: false,
@@ -107,11 +260,14 @@ function optimizeRaidComposition(players, config = {}) {
 	}
 
 	const seedState = seedResult.raidState;
-	const seedScore = scoreRaidComposition(seedState, cfg.weights);
+	const seedScore = scoreRaidComposition(seedState, cfg.weights, cfg.preferences);
 
 	// Step 4: Optimize the seed using local search
-	const scoringFunction = createScoringFunction(cfg.weights);
-	const optimizationResult = optimize(seedState, scoringFunction, cfg.optimization);
+	const scoringFunction = createScoringFunction(cfg.weights, cfg.preferences);
+	const optimizationResult = optimize(seedState, scoringFunction, {
+		...cfg.optimization,
+		constraints
+	});
 
 	if (!optimizationResult.success) {
 		return {
@@ -123,11 +279,72 @@ function optimizeRaidComposition(players, config = {}) {
 		};
 	}
 
-	const finalState = optimizationResult.finalState;
-	const finalScore = optimizationResult.finalScore;
+	let finalState = optimizationResult.finalState;
+	let finalScore = optimizationResult.finalScore;
+	let optimality = null;
+
+	// Step 4b: Search the whole assignment space for small raids. The exact
+	// solver keeps every player on their seed spec, so a search result with
+	// off-spec changes is outside its space: it can't be the incumbent, and
+	// when it still scores higher it is kept without an optimality claim.
+	let exactWon = false;
+	if (cfg.mode === 'exact') {
+		const specsChanged = hasSpecChanges(seedState, finalState);
+		const exactResult = solveExact(seedState, cfg.weights, {
+			...cfg.exact,
+			group: constraints.group,
+			pins: cfg.pins,
+			preferences: cfg.preferences,
+			incumbent: specsChanged ? null : finalState
+		});
+
+		if (!exactResult.success) {
+			return {
+				success: false,
+				error: exactResult.error,
+				players,
+				raidState: finalState,
+				stats: seedResult.stats
+			};
+		}
+
+		if (!specsChanged || exactResult.finalScore >= finalScore) {
+			exactWon = true;
+			finalState = exactResult.finalState;
+			finalScore = exactResult.finalScore;
+			optimality = {
+				scope: 'assigned-specs',
+				provenOptimal: exactResult.provenOptimal,
+				upperBound: exactResult.upperBound,
+				gap: exactResult.optimalityGap,
+				nodesExplored: exactResult.nodesExplored,
+				timeMs: exactResult.timeMs
+			};
+		}
+	}
+
+	// Step 4c: Top-K restarts; a restart that beats the search result replaces it
+	const topK = { ...DEFAULT_CONFIG.topK, ...cfg.topK };
+	const diverse = topK.k > 1
+		? findDiverseStates(seedState, scoringFunction, {
+			...cfg.optimization,
+			onProgress: null,
+			constraints,
+			topK: topK.k,
+			minMoves: topK.minMoves,
+			restarts: topK.restarts
+		}, [finalState])
+		: [{ state: finalState, score: finalScore }];
+	const restartWon = diverse[0].state !== finalState;
+	finalState = diverse[0].state;
+	finalScore = diverse[0].score;
+	// The exact solver's bound and gap describe the state it returned, not a restart's
+	if (restartWon) {
+		optimality = null;
+	}
 
 	// Step 5: Final validation
-	const validation = validateRaidState(finalState, cfg.seed);
+	const validation = validateRaidState(finalState, constraints);
 	if (!validation.valid) {
 		console.error('WARNING: Final state is invalid!');
 		console.error('Violations:', validation.getViolationMessages());
@@ -135,6 +352,7 @@ function optimizeRaidComposition(players, config = {}) {
 		return {
 			success: true,
 			warning: 'Optimization produced invalid state, returning seed',
+			violations: validation.getViolationMessages(),
 			raidState: seedState,
 			players,
 			stats: {
@@ -144,11 +362,30 @@ function optimizeRaidComposition(players, config = {}) {
 				improvement: 0,
 				iterations: 0,
 				timeMs: Date.now() - startTime
-			}
+			},
+			explanations: seedResult.explanations
 		};
 	}
 
-	// Step 6: Return successful result
+	// Step 6: Return successful result, with every alternative's distance from the best
+	const explanations = buildExplanations(
+		seedResult.explanations,
+		seedState,
+		finalState,
+		optimizationResult.moves,
+		restartWon ? 'a search restart' : exactWon ? 'the exact solver' : null
+	);
+	const alternatives = diverse.map(({ state, score }, index) => ({
+		raidState: state,
+		score,
+		distance: getAssignmentDistance(finalState, state),
+		scoreBreakdown: getScoreBreakdown(state, cfg.weights, cfg.preferences, cfg.debuffs),
+		// The other alternatives come from restarts, explained against the seed
+		explanations: index === 0
+			? explanations
+			: buildExplanations(seedResult.explanations, seedState, state, [], 'a search restart')
+	}));
+
 	return {
 		success: true,
 		raidState: finalState,
@@ -158,10 +395,16 @@ function optimizeRaidComposition(players, config = {}) {
 			seedScore,
 			finalScore,
 			improvement: finalScore - seedScore,
+			strategy: optimizationResult.strategy,
 			iterations: optimizationResult.iterations,
+			stopped: optimizationResult.stopped,
 			timeMs: Date.now() - startTime
 		},
-		scoreBreakdown: getScoreBreakdown(finalState, cfg.weights)
+		trace: optimizationResult.trace,
+		optimality,
+		explanations,
+		scoreBreakdown: alternatives[0].scoreBreakdown,
+		alternatives
 	};
 }
 
@@ -173,6 +416,7 @@ function quickOptimizeRaid(players, config = {}) {
 		...DEFAULT_CONFIG,
 		...config,
 		optimization: {
+			...config.optimization,
 			maxIterations: 100,
 			maxIterationsWithoutImprovement: 20,
 			timeBudgetMs: 1000,
@@ -191,6 +435,7 @@ function deepOptimizeRaid(players, config = {}) {
 		...DEFAULT_CONFIG,
 		...config,
 		optimization: {
+			...config.optimization,
 			maxIterations: 5000,
 			maxIterationsWithoutImprovement: 200,
 			timeBudgetMs: 30000,
@@ -217,7 +462,7 @@ function convertToLegacyFormat(raidState) {
 }
 
 /**
- * Optimize and return in legacy format
+ * Optimize and return in legacy format (alternatives too)
  */
 function optimizeRaidLegacy(players, config = {}) {
 	const result = optimizeRaidComposition(players, config);
@@ -229,7 +474,56 @@ function optimizeRaidLegacy(players, config = {}) {
 	return {
 		...result,
 		groups: convertToLegacyFormat(result.raidState).groups,
-		bench: result.raidState.bench
+		bench: result.raidState.bench,
+		alternatives: (result.alternatives || []).map(alternative => ({
+			...alternative,
+			groups: convertToLegacyFormat(alternative.raidState).groups,
+			bench: alternative.raidState.bench
+		}))
+	};
+}
+
+/**
+ * Build an optimizer config from the app's settings tab
+ * (raidSize, minTanks, healerPercentage, classWeights, alternativeCount, offSpecPenalty,
+ * classQuotas: { raid, group }, requiredBuffs)
+ *
+ * The healer percentage becomes a hard minimum; groups may hold more than two
+ * healers when that minimum cannot be spread any thinner.
+ */
+function getConfigFromSettings(settings = {}) {
+	const groupSize = DEFAULT_CONFIG.seed.group.GROUP_SIZE;
+	const raidSize = settings.raidSize || DEFAULT_CONFIG.seed.raid.MAX_RAID_SIZE;
+	const maxGroups = Math.ceil(raidSize / groupSize);
+	const healerPercentage = settings.healerPercentage || 25;
+	const minHealers = Math.round(raidSize * (healerPercentage / 100));
+	const classQuotas = settings.classQuotas || {};
+
+	return {
+		seed: {
+			raid: {
+				MAX_RAID_SIZE: raidSize,
+				MIN_TANKS: settings.minTanks || DEFAULT_CONFIG.seed.raid.MIN_TANKS,
+				MIN_HEALERS: minHealers,
+				MAX_GROUPS: maxGroups,
+				CLASS_QUOTAS: classQuotas.raid || [],
+				REQUIRED_BUFFS: settings.requiredBuffs || []
+			},
+			group: {
+				...DEFAULT_CONFIG.seed.group,
+				MAX_HEALERS_PER_GROUP: Math.max(DEFAULT_CONFIG.seed.group.MAX_HEALERS_PER_GROUP, Math.ceil(minHealers / maxGroups)),
+				CLASS_QUOTAS: classQuotas.group || []
+			},
+			classWeights: settings.classWeights || {}
+		},
+		// The settings tab takes the off-spec penalty as a positive cost
+		weights: {
+			...DEFAULT_CONFIG.weights,
+			offSpecPenalty: settings.offSpecPenalty !== undefined
+				? -Math.abs(settings.offSpecPenalty)
+				: DEFAULT_CONFIG.weights.offSpecPenalty
+		},
+		topK: { ...DEFAULT_CONFIG.topK, k: settings.alternativeCount || DEFAULT_CONFIG.topK.k }
 	};
 }
 
@@ -237,14 +531,14 @@ function optimizeRaidLegacy(players, config = {}) {
  * Get detailed analysis of a raid composition
  */
 function analyzeRaidComposition(raidState, config = {}) {
-	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const { cfg } = resolveConfig(config);
 
 	// Validate
-	const validation = validateRaidState(raidState, cfg.seed);
+	const validation = validateRaidState(raidState, getConstraints(cfg));
 
 	// Score
-	const score = scoreRaidComposition(raidState, cfg.weights);
-	const breakdown = getScoreBreakdown(raidState, cfg.weights);
+	const score = scoreRaidComposition(raidState, cfg.weights, cfg.preferences);
+	const breakdown = getScoreBreakdown(raidState, cfg.weights, cfg.preferences, cfg.debuffs);
 
 	// Statistics
 	const stats = {
@@ -287,5 +581,9 @@ module.exports = {
 	optimizeRaidLegacy,
 	analyzeRaidComposition,
 	convertToLegacyFormat,
+	getConfigFromSettings,
+	buildExplanations,
+	resolveConfig,
+	getConstraints,
 	DEFAULT_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * Optimization Worker
+ *
+ * Runs raid optimization on a worker thread so the UI never blocks.
+ * This file is both the worker entry point and the API used to start it:
+ *
+ * - startOptimizationWorker(job, onProgress) spawns the worker
+ * - stop() asks the search to finish early and keep its best state
+ * - cancel() terminates the worker and discards the run
+ *
+ * Jobs:
+ * - { engine: 'raid-optimizer', players, settings, mode } - RaidOptimizer (global / keep-groups)
+ * - { engine: 'search', players, config, settings? } - seed + local search (and exact) from new-optimizer
+ * - { engine: 'constraint-validated', players, settings, config } - new-optimizer configured from
+ *   the settings tab, returned in the RaidOptimizer result shape (plus alternatives)
+ * - { engine: 'reoptimize', players, previousState, config, settings? } - reoptimizer from a
+ *   serialized previous state, moving as few players as possible
+ *
+ * Search and reoptimize jobs with `settings` are configured from the settings
+ * tab first, with `config` on top.
+ *
+ * Any job may carry `rules`, a custom synergy rule set (see synergy-rules.js);
+ * the worker has its own module state, so the renderer's active set is not seen here.
+ *
+ * Class instances do not survive the thread boundary, so players go in as
+ * plain data and results refer to players by id. Players assigned an off-spec
+ * are listed in `offSpecs` ({ [id]: { spec, role } }).
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Player } = require('./models');
+const { setRuleSet } = require('./synergy-rules');
+const { isOffSpec } = require('./role-options');
+
+/**
+ * Available worker engines
+ */
+const ENGINES = {
+	RAID_OPTIMIZER: 'raid-optimizer',
+	SEARCH: 'search',
+	CONSTRAINT_VALIDATED: 'constraint-validated',
+	REOPTIMIZE: 'reoptimize'
+};
+
+/**
+ * Restore the Player prototype on a structured-cloned player
+ */
+function toPlayer(data) {
+	return Object.assign(Object.create(Player.prototype), data);
+}
+
+/**
+ * Spec and role of every player assigned an off-spec, keyed by id
+ */
+function getOffSpecs(players) {
+	const offSpecs = {};
+	players.filter(isOffSpec).forEach(player => {
+		offSpecs[player.userid || player.id] = { spec: player.spec, role: player.role };
+	});
+	return offSpecs;
+}
+
+/**
+ * Replace players in a RaidState with their ids
+ */
+function serializeRaidState(raidState) {
+	return {
+		groups: raidState.groups.map(group => ({
+			id: group.id,
+			slots: group.slots.map(slot => (slot.player ? slot.player.userid : null))
+		})),
+		bench: raidState.bench.map(player => player.userid),
+		offSpecs: getOffSpecs(raidState.getAllPlayers())
+	};
+}
+
+/**
+ * Rebuild a serialized RaidState from the job's players
+ * (players on an off-spec get that option back)
+ */
+function deserializeRaidState(data, players) {
+	const { RaidState } = require('./state-model');
+	const { withRoleOption } = require('./role-options');
+	const offSpecs = data.offSpecs || {};
+	const playersById = new Map(players.map(player => [player.userid, player]));
+	const lookUp = id => {
+		const player = playersById.get(id);
+		return player && offSpecs[id] ? withRoleOption(player, offSpecs[id]) : player;
+	};
+
+	let raidState = RaidState.createEmpty(data.groups.length, data.groups[0] ? data.groups[0].slots.length : 5);
+	data.groups.forEach(group => group.slots.forEach((id, slotIndex) => {
+		const player = id && lookUp(id);
+		if (player) {
+			raidState = raidState.withPlayerAt(group.id, slotIndex, player);
+		}
+	}));
+	return raidState.withBench((data.bench || []).map(lookUp).filter(Boolean));
+}
+
+/**
+ * Replace players in a RaidOptimizer result with their ids
+ */
+function serializeRaidOptimizerResult(result) {
+	const ids = players => players.map(player => player.id);
+	const playerScores = {};
+	result.selectedPlayers.forEach(player => {
+		playerScores[player.id] = player.score;
+	});
+
+	return {
+		success: true,
+		raid: { size: result.raid.size, faction: result.raid.faction, playerIds: ids(result.raid.players) },
+		groups: result.groups.map(group => ({
+			id: group.id,
+			maxSize: group.maxSize,
+			score: group.score,
+			playerIds: ids(group.players)
+		})),
+		selectedPlayerIds: ids(result.selectedPlayers),
+		benchedPlayerIds: ids(result.benchedPlayers),
+		offSpecs: getOffSpecs(result.selectedPlayers),
+		playerScores,
+		statistics: result.statistics
+	};
+}
+
+/**
+ * Replace the RaidStates in a new-optimizer result with player ids
+ */
+function serializeSearchResult(result) {
+	const { raidState, players, alternatives, ...rest } = result;
+	return {
+		...rest,
+		raidState: raidState ? serializeRaidState(raidState) : null,
+		alternatives: (alternatives || []).map(alternative => ({
+			...alternative,
+			raidState: serializeRaidState(alternative.raidState)
+		}))
+	};
+}
+
+/**
+ * Build a RaidOptimizer-shaped result from legacy groups (arrays of players) and a bench,
+ * scoring players and groups the way RaidOptimizer does so the results view can show it
+ */
+function toRaidOptimizerResult(groups, bench, settings) {
+	const RaidOptimizer = require('./optimizer');
+	const { Raid, Group } = require('./models');
+	const optimizer = new RaidOptimizer(settings);
+
+	const raid = new Raid(optimizer.settings.raidSize, optimizer.settings.faction);
+	groups.flat().forEach(player => raid.addPlayer(player));
+	raid.players.forEach(player => optimizer.scorePlayer(player, raid));
+
+	raid.groups = groups.map((players, index) => {
+		const group = new Group(index + 1, optimizer.settings.partySize);
+		players.forEach(player => group.addPlayer(player));
+		group.calculateScore();
+		return group;
+	});
+	raid.calculateComposition();
+
+	return {
+		raid,
+		groups: raid.groups,
+		selectedPlayers: raid.players,
+		benchedPlayers: bench,
+		statistics: optimizer.calculateStatistics(raid, raid.groups)
+	};
+}
+
+/**
+ * Serialize an optimizeRaidLegacy result, each alternative in the RaidOptimizer result shape
+ */
+function serializeConstraintResult(result, settings) {
+	const { raidState, players, alternatives, groups, bench, ...rest } = result;
+	if (!result.success) {
+		return rest;
+	}
+
+	return {
+		...rest,
+		...serializeRaidOptimizerResult(toRaidOptimizerResult(groups, bench, settings)),
+		alternatives: alternatives.map(alternative => ({
+			score: alternative.score,
+			distance: alternative.distance,
+			scoreBreakdown: alternative.scoreBreakdown,
+			explanations: alternative.explanations,
+			...serializeRaidOptimizerResult(toRaidOptimizerResult(alternative.groups, alternative.bench, settings))
+		}))
+	};
+}
+
+/**
+ * Route search and exact solver progress and stop requests through the worker hooks
+ */
+function withHooks(config, hooks) {
+	const { DEFAULT_CONFIG } = require('./new-optimizer');
+	return {
+		...config,
+		optimization: {
+			...DEFAULT_CONFIG.optimization,
+			...config.optimization,
+			onProgress: progress => hooks.onProgress({ stage: 'search', ...progress }),
+			shouldStop: hooks.shouldStop
+		},
+		exact: {
+			...DEFAULT_CONFIG.exact,
+			...config.exact,
+			onProgress: progress => hooks.onProgress({ stage: 'exact', ...progress }),
+			shouldStop: hooks.shouldStop
+		}
+	};
+}
+
+/**
+ * Config of a search or reoptimize job: the settings tab's config (if the job
+ * carries settings) with the job's own config on top
+ */
+function getJobConfig(job) {
+	const { getConfigFromSettings } = require('./new-optimizer');
+	return job.settings ? { ...getConfigFromSettings(job.settings), ...job.config } : { ...job.config };
+}
+
+/**
+ * Run one job inside the worker
+ *
+ * @param {Object} job - Job description (see module header)
+ * @param {Object} hooks - { onProgress, shouldStop }
+ * @returns {Object} Serialized result
+ */
+function runJob(job, hooks) {
+	setRuleSet(job.rules || null);
+	const players = job.players.map(toPlayer);
+
+	if (job.engine === ENGINES.RAID_OPTIMIZER) {
+		// Greedy and fast: no intermediate states, so nothing to stop early
+		const RaidOptimizer = require('./optimizer');
+		const optimizer = new RaidOptimizer(job.settings || {});
+		return serializeRaidOptimizerResult(optimizer.optimize(players, job.mode));
+	}
+
+	if (job.engine === ENGINES.SEARCH) {
+		const { optimizeRaidComposition } = require('./new-optimizer');
+		return serializeSearchResult(optimizeRaidComposition(players, withHooks(getJobConfig(job), hooks)));
+	}
+
+	if (job.engine === ENGINES.CONSTRAINT_VALIDATED) {
+		const { optimizeRaidLegacy, getConfigFromSettings } = require('./new-optimizer');
+		const settings = job.settings || {};
+		const config = { ...getConfigFromSettings(settings), ...job.config };
+		return serializeConstraintResult(optimizeRaidLegacy(players, withHooks(config, hooks)), settings);
+	}
+
+	if (job.engine === ENGINES.REOPTIMIZE) {
+		const { reoptimizeRaidComposition } = require('./reoptimizer');
+		const previousState = deserializeRaidState(job.previousState, players);
+		return serializeSearchResult(reoptimizeRaidComposition(previousState, players, withHooks(getJobConfig(job), hooks)));
+	}
+
+	return { success: false, error: `Unknown optimization engine: ${job.engine}` };
+}
+
+/**
+ * Start an optimization job on a worker thread
+ *
+ * @param {Object} job - Job description (see module header)
+ * @param {Function} onProgress - Called with progress events from the search
+ * @returns {Object} { result: Promise, stop(), cancel() }
+ */
+function startOptimizationWorker(job, onProgress = () => {}) {
+	// Shared flag: the worker's search loop is synchronous and cannot receive messages
+	const stopSignal = new Int32Array(new SharedArrayBuffer(4));
+	const worker = new Worker(__filename, { workerData: { job, stopSignal } });
+
+	let settle;
+	const result = new Promise(resolve => {
+		let settled = false;
+		settle = value => {
+			if (settled) return;
+			settled = true;
+			resolve(value);
+		};
+	});
+
+	worker.on('message', message => {
+		if (message.type === 'progress') {
+			onProgress(message.progress);
+		} else if (message.type === 'result') {
+			settle(message.result);
+		}
+	});
+	worker.on('error', error => settle({ success: false, error: error.message }));
+	worker.on('exit', code => settle({ success: false, error: `Optimization worker exited with code ${code}` }));
+
+	return {
+		result,
+		stop: () => Atomics.store(stopSignal, 0, 1),
+		cancel: () => {
+			settle({ success: false, cancelled: true, error: 'Optimization cancelled' });
+			worker.terminate();
+		}
+	};
+}
+
+// Worker entry point
+if (!isMainThread && workerData && workerData.job) {
+	const { job, stopSignal } = workerData;
+	const hooks = {
+		onProgress: progress => parentPort.postMessage({ type: 'progress', progress }),
+		shouldStop: () => Atomics.load(stopSignal, 0) === 1
+	};
+
+	try {
+		parentPort.postMessage({ type: 'result', result: runJob(job, hooks) });
+	} catch (error) {
+		parentPort.postMessage({ type: 'result', result: { success: false, error: error.message } });
+	}
+}
+
+module.exports = {
+	startOptimizationWorker,
+	serializeRaidState,
+	deserializeRaidState,
+	ENGINES
+};
@@ -1,8 +1,10 @@
 const { Player } = require("./models");
+const { enrichSignup } = require("./roster");
 const {
 	normalizeStatus: normalizeStatusEnum,
 	PlayerStatus,
 } = require("./status-enums");
+const { getSpecMismatches } = require("./spec-check");
 
 class RaidHelperParser {
 	constructor() {
@@ -127,7 +129,8 @@ class RaidHelperParser {
 	/* PARSER                                        */
 	/* ────────────────────────────────────────────── */
 
-	parse(data) {
+	// Players known from the roster (optional) get their realm, specs, gear score and main filled in
+	parse(data, roster = null) {
 		const validation = this.validate(data);
 		if (!validation.valid) {
 			return { success: false, errors: validation.errors, players: [] };
@@ -174,21 +177,27 @@ class RaidHelperParser {
 
 			/* ─────────── PLAYER CREATION ─────────── */
 			players.push(
-				new Player({
-					userid: entry.userid || entry.userId,
-					name: entry.name,
-					class: wowClass,
-					spec:
-						entry.specName ||
-						entry.spec ||
-						entry.spec1 ||
-						"Unknown",
-					signuptime: entry.signuptime || entry.entryTime,
-					status,
-					note: entry.note,
-					partyId: entry.partyId,
-					slotId: entry.slotId || entry.position,
-				})
+				new Player(
+					enrichSignup(roster, {
+						userid: entry.userid || entry.userId,
+						name: entry.name,
+						class: wowClass,
+						spec:
+							entry.specName ||
+							entry.spec ||
+							entry.spec1 ||
+							"Unknown",
+						// Alternate specs the player signed up with
+						spec1: entry.spec1,
+						spec2: entry.spec2,
+						spec3: entry.spec3,
+						signuptime: entry.signuptime || entry.entryTime,
+						status,
+						note: entry.note,
+						partyId: entry.partyId,
+						slotId: entry.slotId || entry.position,
+					})
+				)
 			);
 		});
 
@@ -281,6 +290,8 @@ class RaidHelperParser {
 				healer: 0,
 				dps: 0,
 			},
+			// Signed-up specs their Battle.net talents disagree with
+			specMismatches: getSpecMismatches(players),
 		};
 
 		players.forEach((player) => {
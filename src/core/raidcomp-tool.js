@@ -27,6 +27,12 @@ function initializeRaidCompTool() {
 		.addEventListener("click", openImportModal);
 	document.getElementById("undo-btn").addEventListener("click", undo);
 	document.getElementById("redo-btn").addEventListener("click", redo);
+	document
+		.getElementById("optimize-rest-btn")
+		.addEventListener("click", optimizeRestOfRaidComp);
+	document
+		.getElementById("reoptimize-btn")
+		.addEventListener("click", reoptimizeRaidComp);
 	document
 		.getElementById("save-state-btn")
 		.addEventListener("click", saveState);
@@ -51,15 +57,9 @@ function loadMembersToRaidComp(eventData) {
 	}
 
 	// Transform signUps to member format
-	raidCompState.members = eventData.signUps.map((signup) => ({
-		id: signup.userId || signup.name,
-		name: signup.name,
-		class: signup.className,
-		spec: signup.specName,
-		status: getStatusFromSignup(signup),
-		groupId: null,
-		originalData: signup,
-	}));
+	raidCompState.members = eventData.signUps.map((signup) =>
+		createMemberFromSignup(signup, null)
+	);
 
 	// Clear groups
 	raidCompState.groups = Array.from({ length: 8 }, (_, i) => ({
@@ -90,6 +90,33 @@ function loadMembersToRaidComp(eventData) {
 	);
 }
 
+// Member for a Raid Helper signup, with realm, declared off-specs, rank and main from the roster
+function createMemberFromSignup(signup, groupId) {
+	const { enrichSignup } = require("../core/roster");
+
+	const known = enrichSignup(appState.roster, {
+		userid: signup.userId,
+		name: signup.name,
+	});
+	return {
+		id: known.userid || signup.name,
+		name: signup.name,
+		class: signup.className,
+		spec: signup.specName,
+		altSpecs: (known.altSpecs || []).filter(
+			(spec) => spec !== signup.specName
+		),
+		realm: known.realm || "",
+		rank: known.rank || "",
+		main: known.main || null,
+		enteredResistances: known.enteredResistances || null,
+		race: known.race || null,
+		status: getStatusFromSignup(signup),
+		groupId,
+		originalData: signup,
+	};
+}
+
 function getStatusFromSignup(signup) {
 	// Map Raid Helper status to our status
 	if (signup.className === "Absence") return "absence";
@@ -106,6 +133,8 @@ function enableRaidCompButtons() {
 	document.getElementById("import-rh-json-btn").disabled = false;
 	document.getElementById("save-state-btn").disabled = false;
 	document.getElementById("load-state-btn").disabled = false;
+	document.getElementById("optimize-rest-btn").disabled = false;
+	document.getElementById("reoptimize-btn").disabled = false;
 	updateUndoRedoButtons();
 }
 
@@ -143,7 +172,9 @@ function createMemberElement(member) {
 
 	div.innerHTML = `
         <div class="member-info">
-            <div class="member-name">${member.name}</div>
+            <div class="member-name">${member.name}${
+		member.main ? ` <span class="member-alt">(alt of ${member.main})</span>` : ""
+	}</div>
             <div class="member-details">${member.class} - ${
 		member.spec || "Unknown"
 	}</div>
@@ -221,7 +252,9 @@ function createGroupMemberElement(member) {
         <div class="group-member-info">
             <div class="group-member-name">${member.name}</div>
             <div class="group-member-class">${member.class} - ${
-		member.spec || "Unknown"
+		member.assignedSpec
+			? `${member.assignedSpec} (off-spec)`
+			: member.spec || "Unknown"
 	}</div>
         </div>
         <button class="group-member-remove" onclick="removeMemberFromGroup('${
@@ -368,6 +401,198 @@ function updateUndoRedoButtons() {
 		raidCompState.historyIndex >= raidCompState.history.length - 1;
 }
 
+// Optimize the Rest
+// Members placed by hand become pins, so the optimizer only fills the rest
+function getRaidCompPins() {
+	return {
+		placements: raidCompState.members
+			.filter((m) => m.groupId)
+			.map((m) => ({ userid: m.id, groupId: m.groupId })),
+		bench: [],
+	};
+}
+
+function getRaidCompPlayers() {
+	const { normalizeStatus } = require("../core/status-enums");
+
+	return raidCompState.members.map(
+		(member) =>
+			new Player({
+				userid: member.id,
+				name: member.name,
+				class: member.class,
+				spec: member.spec,
+				altSpecs: member.altSpecs || [],
+				realm: member.realm,
+				rank: member.rank,
+				main: member.main,
+				enteredResistances: member.enteredResistances,
+				race: member.race,
+				status: normalizeStatus(member.status),
+			})
+	);
+}
+
+// Remember which spec the optimizer expects each member to play (null for the main spec)
+// raidState is serialized by the optimization worker (players by id)
+function applyAssignedSpecs(raidState) {
+	raidCompState.members.forEach((member) => {
+		const option = raidState.offSpecs[member.id];
+		member.assignedSpec = option ? option.spec : null;
+	});
+}
+
+// Map of member id -> group id for everyone placed in a serialized raid state
+function getAssignedGroups(raidState) {
+	const groupIds = new Map();
+	raidState.groups.forEach((group) => {
+		group.slots
+			.filter(Boolean)
+			.forEach((id) => groupIds.set(id, group.id));
+	});
+	return groupIds;
+}
+
+// Run a job on the optimization worker with the Raid Comp Tool's progress panel,
+// configured from the settings tab and the selected encounter
+async function runRaidCompOptimization(job) {
+	showOptimizationProgress("raidcomp");
+	const result = await ipcRenderer.invoke("run-optimization", {
+		...job,
+		config: {
+			...job.config,
+			preferences: getRosterPairPreferences(),
+			encounter: getSelectedEncounterProfile(),
+			// Only the best composition is applied
+			topK: { k: 1 },
+		},
+		// Worker threads have their own module state
+		rules: appState.settings.synergyRules,
+	});
+	hideOptimizationProgress();
+	return result;
+}
+
+async function optimizeRestOfRaidComp() {
+	const pins = getRaidCompPins();
+	const players = getRaidCompPlayers();
+
+	const result = await runRaidCompOptimization({
+		engine: "search",
+		players,
+		settings: appState.settings,
+		config: { pins },
+	});
+	if (!result.success) {
+		if (result.cancelled) {
+			showRaidCompStatus("info", "Optimization cancelled");
+		} else {
+			showRaidCompStatus("error", `Optimization failed: ${result.error}`);
+		}
+		return;
+	}
+
+	let placed = 0;
+	applyAssignedSpecs(result.raidState);
+	getAssignedGroups(result.raidState).forEach((groupId, id) => {
+		const member = raidCompState.members.find((m) => m.id === id);
+		if (member && !member.groupId) {
+			member.groupId = groupId;
+			placed++;
+		}
+	});
+
+	// Save to history
+	saveToHistory();
+
+	// Log change
+	logChange(
+		"modified",
+		`Optimized ${placed} member(s) around ${pins.placements.length} pinned`
+	);
+
+	renderRaidComp();
+	showRaidCompStatus(
+		"success",
+		`Placed ${placed} member(s), kept ${pins.placements.length} manual placement(s)`
+	);
+}
+
+// Re-optimize after signup changes
+// Current groups are the previous state, so as few people as possible move
+async function reoptimizeRaidComp() {
+	if (!raidCompState.members.some((m) => m.groupId)) {
+		showRaidCompStatus(
+			"error",
+			"No groups to re-optimize. Use Optimize the Rest first."
+		);
+		return;
+	}
+
+	const groupSize = 5;
+	const previousState = {
+		groups: raidCompState.groups.map((group) => {
+			const ids = raidCompState.members
+				.filter((m) => m.groupId === group.id)
+				.map((m) => m.id);
+			return {
+				id: group.id,
+				slots: Array.from({ length: groupSize }, (_, i) => ids[i] || null),
+			};
+		}),
+		bench: [],
+	};
+
+	const result = await runRaidCompOptimization({
+		engine: "reoptimize",
+		players: getRaidCompPlayers(),
+		previousState,
+		// The raid is as large as the tool's groups
+		settings: {
+			...appState.settings,
+			raidSize: raidCompState.groups.length * groupSize,
+		},
+	});
+	if (!result.success) {
+		if (result.cancelled) {
+			showRaidCompStatus("info", "Re-optimization cancelled");
+		} else {
+			showRaidCompStatus("error", `Re-optimization failed: ${result.error}`);
+		}
+		return;
+	}
+
+	const assignedGroups = getAssignedGroups(result.raidState);
+	raidCompState.members.forEach((member) => {
+		member.groupId = assignedGroups.get(member.id) || null;
+	});
+	applyAssignedSpecs(result.raidState);
+
+	// Save to history
+	saveToHistory();
+
+	// Log change
+	result.moveList
+		.slice()
+		.reverse()
+		.forEach((move) => logChange("modified", `♻️ ${move}`));
+
+	renderRaidComp();
+
+	if (result.moveList.length === 0) {
+		showRaidCompStatus("success", "Re-optimized: nobody needs to move");
+		return;
+	}
+
+	navigator.clipboard.writeText(result.moveList.join("\n")).catch(() => {});
+	showRaidCompStatus(
+		result.warning ? "info" : "success",
+		`${result.warning ? `${result.warning}. ` : ""}${
+			result.moveList.length
+		} change(s), move list copied to clipboard`
+	);
+}
+
 // Save/Load State
 function saveState() {
 	const state = {
@@ -441,16 +666,12 @@ async function refreshMemberData() {
 		const oldMembers = new Map(raidCompState.members.map((m) => [m.id, m]));
 
 		// Update members
-		const newMembers = eventData.signUps.map((signup) => ({
-			id: signup.userId || signup.name,
-			name: signup.name,
-			class: signup.className,
-			spec: signup.specName,
-			status: getStatusFromSignup(signup),
-			groupId:
-				oldMembers.get(signup.userId || signup.name)?.groupId || null,
-			originalData: signup,
-		}));
+		const newMembers = eventData.signUps.map((signup) =>
+			createMemberFromSignup(
+				signup,
+				oldMembers.get(signup.userId || signup.name)?.groupId || null
+			)
+		);
 
 		// Detect changes
 		const changes = [];
@@ -495,9 +716,12 @@ async function refreshMemberData() {
 		// Log changes
 		if (changes.length > 0) {
 			changes.forEach((change) => logChange("modified", change));
+			const hasGroups = newMembers.some((m) => m.groupId);
 			showRaidCompStatus(
 				"success",
-				`Refreshed! ${changes.length} change(s) detected`
+				`Refreshed! ${changes.length} change(s) detected${
+					hasGroups ? ". Re-optimize to update groups with minimal moves" : ""
+				}`
 			);
 		} else {
 			showRaidCompStatus("success", "Refreshed! No changes detected");
@@ -571,6 +795,9 @@ function openEditModal(memberId) {
 	document.getElementById("edit-member-name").value = member.name;
 	document.getElementById("edit-member-class").value = member.class;
 	document.getElementById("edit-member-spec").value = member.spec || "";
+	document.getElementById("edit-member-alt-specs").value = (
+		member.altSpecs || []
+	).join(", ");
 	document.getElementById("edit-member-status").value = member.status;
 
 	document.getElementById("edit-member-modal").classList.add("active");
@@ -590,6 +817,11 @@ function saveEditedMember() {
 	member.name = document.getElementById("edit-member-name").value;
 	member.class = document.getElementById("edit-member-class").value;
 	member.spec = document.getElementById("edit-member-spec").value;
+	member.altSpecs = document
+		.getElementById("edit-member-alt-specs")
+		.value.split(",")
+		.map((spec) => spec.trim())
+		.filter((spec) => spec.length > 0);
 	member.status = document.getElementById("edit-member-status").value;
 
 	// Save to history
@@ -0,0 +1,106 @@
+/**
+ * Realm Resolution
+ *
+ * Battle.net lookups need each character's realm. It is taken, in order, from:
+ *
+ * 1. the player's own realm (from the roster, or corrected by hand)
+ * 2. a "Name-Realm" signup name, or a "Name-Realm" in the signup note
+ * 3. the guild's default realm (settings)
+ *
+ * Realms written without spaces ("MirageRaceway") are split on capitals.
+ */
+
+/**
+ * Realm name from text like "MirageRaceway" or "mirage-raceway"
+ */
+function normalizeRealm(text) {
+	return String(text || '')
+		.trim()
+		.replace(/([a-z])([A-Z])/g, '$1 $2')
+		.replace(/[-_]+/g, ' ')
+		.replace(/\s+/g, ' ');
+}
+
+/**
+ * Battle.net realm slug ("Mirage Raceway" -> "mirage-raceway")
+ */
+function toRealmSlug(realm) {
+	return normalizeRealm(realm).toLowerCase().replace(/'/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Split "Name-Realm" into its parts (null when there is no realm)
+ */
+function parseNameRealm(text) {
+	const match = /^\s*([^\s\-]+)-(\S.*?)\s*$/.exec(String(text || ''));
+	if (!match) return null;
+	return { name: match[1], realm: normalizeRealm(match[2]) };
+}
+
+/**
+ * "Name-Realm" in a signup note, for the player's character name
+ */
+function findRealmInNote(note, name) {
+	const lower = String(name || '').toLowerCase();
+	const found = String(note || '')
+		.split(/[\s,;]+/)
+		.map(parseNameRealm)
+		.find(parsed => parsed && parsed.name.toLowerCase() === lower);
+	return found ? found.realm : null;
+}
+
+/**
+ * Resolve the character name and realm to look a player up with
+ *
+ * @param {Player} player - Player (name, realm, note)
+ * @param {Object} options - { defaultRealm }
+ * @returns {Object} { name, realm, source } - source is 'player', 'name', 'note',
+ *   'default' or null when no realm could be found
+ */
+function resolveRealm(player, options = {}) {
+	const fromName = parseNameRealm(player.name);
+	const name = fromName ? fromName.name : player.name;
+
+	if (player.realm) {
+		return { name, realm: normalizeRealm(player.realm), source: 'player' };
+	}
+	if (fromName) {
+		return { name, realm: fromName.realm, source: 'name' };
+	}
+	const fromNote = findRealmInNote(player.note, name);
+	if (fromNote) {
+		return { name, realm: fromNote, source: 'note' };
+	}
+	if (options.defaultRealm) {
+		return { name, realm: normalizeRealm(options.defaultRealm), source: 'default' };
+	}
+	return { name, realm: null, source: null };
+}
+
+/**
+ * Characters to look up for a list of players
+ *
+ * @returns {Object} { characters: [{ playerId, name, realm, source }], unresolved: [players] }
+ */
+function getCharacterLookups(players, options = {}) {
+	const characters = [];
+	const unresolved = [];
+	players.forEach(player => {
+		const resolved = resolveRealm(player, options);
+		if (resolved.realm) {
+			characters.push({ playerId: player.id, ...resolved });
+		} else {
+			unresolved.push(player);
+		}
+	});
+	return { characters, unresolved };
+}
+
+module.exports = {
+	normalizeRealm,
+	toRealmSlug,
+	parseNameRealm,
+	findRealmInNote,
+	resolveRealm,
+	getCharacterLookups
+};
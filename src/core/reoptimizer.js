@@ -0,0 +1,309 @@
+/**
+ * Incremental Re-Optimizer
+ *
+ * Re-optimizes a raid after signup changes (late signups, dropouts, status
+ * changes) while moving as few players as possible, so groups people already
+ * read on Discord stay mostly the same.
+ *
+ * Algorithm:
+ * 1. Keep every still-assignable player in their previous group and slot
+ * 2. Remove the lowest-priority players from groups that now break constraints
+ * 3. Fill free slots with new and displaced players (seed priority order)
+ * 4. Bump the lowest-priority dps if the raid is short on tanks or healers
+ * 5. Local search scored as usual minus `movementCost` per player who changed group
+ *
+ * Benched players are never pulled into the raid for priority alone, only to
+ * restore role minimums or fill free slots.
+ */
+
+const { RaidState } = require('./state-model');
+const {
+	validateRaidState,
+	validateGroupConstraints,
+	getPinnedPlacement,
+	isPinnedToBench,
+	RAID_CONSTRAINTS,
+	GROUP_CONSTRAINTS
+} = require('./constraints');
+const {
+	getAssignablePlayers,
+	sortPlayersByPriority,
+	orderWithTogetherPartners,
+	findBestGroupForPlayer,
+	placePinnedPlayers
+} = require('./seed-generator');
+const { optimize } = require('./search-optimizer');
+const { shouldExclude } = require('./status-enums');
+const { isOffSpec } = require('./role-options');
+const { createScoringFunction, scoreRaidComposition } = require('./scoring');
+const { optimizeRaidComposition, resolveConfig, getConstraints } = require('./new-optimizer');
+
+/**
+ * Score subtracted per player whose group differs from the previous state
+ */
+const DEFAULT_MOVEMENT_COST = 5;
+
+/**
+ * Map of player id -> group id for everyone placed in a raid state
+ */
+function getGroupAssignments(raidState) {
+	const assignments = new Map();
+	raidState.groups.forEach(group => {
+		group.getPlayers().forEach(player => assignments.set(player.userid, group.id));
+	});
+	return assignments;
+}
+
+/**
+ * Count players placed in both states whose group changed
+ */
+function countMovedPlayers(previousAssignments, raidState) {
+	let moved = 0;
+	raidState.groups.forEach(group => {
+		group.getPlayers().forEach(player => {
+			const previousGroupId = previousAssignments.get(player.userid);
+			if (previousGroupId !== undefined && previousGroupId !== group.id) moved++;
+		});
+	});
+	return moved;
+}
+
+/**
+ * Scoring function that charges `movementCost` for every moved player
+ */
+function createMovementAwareScoringFunction(previousState, weights, preferences, movementCost) {
+	const previousAssignments = getGroupAssignments(previousState);
+	const baseScore = createScoringFunction(weights, preferences);
+	return raidState => baseScore(raidState) - movementCost * countMovedPlayers(previousAssignments, raidState);
+}
+
+/**
+ * Keep previously placed players where they were
+ * Players whose slot was taken by a pin move to another slot of the same group if possible;
+ * anyone who does not fit is left out for the fill step
+ */
+function keepPreviousPlacements(raidState, previousState, assignable, pins) {
+	const byId = new Map(assignable.map(player => [player.userid, player]));
+
+	previousState.groups.forEach(group => {
+		group.slots.forEach((slot, slotIndex) => {
+			const player = slot.player && byId.get(slot.player.userid);
+			const current = raidState.getGroup(group.id);
+			if (!player || !current || getPinnedPlacement(pins, player) || isPinnedToBench(pins, player)) return;
+
+			if (!current.getPlayerAt(slotIndex)) {
+				raidState = raidState.withPlayerAt(group.id, slotIndex, player);
+			} else if (current.getFirstEmptySlotIndex() !== -1) {
+				raidState = raidState.withPlayerAt(group.id, current.getFirstEmptySlotIndex(), player);
+			}
+		});
+	});
+
+	return raidState;
+}
+
+/**
+ * Remove the lowest-priority unpinned players from groups that break group constraints
+ * (e.g. a second tank after a spec change); they are re-placed by the fill step
+ * Class quota minimums are left to the fill step, since removing players cannot meet them
+ */
+function removeGroupViolations(raidState, groupConfig, pins) {
+	const isBroken = group => validateGroupConstraints(group, groupConfig, raidState).violations
+		.some(violation => violation.constraint !== 'CLASS_QUOTA_MIN_PER_GROUP');
+
+	raidState.groups.forEach(original => {
+		const removable = sortPlayersByPriority(original.getPlayers().filter(p => !getPinnedPlacement(pins, p))).reverse();
+
+		while (isBroken(raidState.getGroup(original.id)) && removable.length > 0) {
+			const player = removable.shift();
+			const { slotIndex } = raidState.findPlayer(player);
+			raidState = raidState.withoutPlayerAt(original.id, slotIndex);
+		}
+	});
+
+	return raidState;
+}
+
+/**
+ * Make room for a tank or healer the raid is short of by benching the
+ * lowest-priority unpinned dps in a group that can take the player's role
+ *
+ * @returns {RaidState|null} New state, or null if nobody can be bumped
+ */
+function bumpForRole(raidState, player, groupConfig, pins) {
+	const roleCap = player.role === 'tank' ? groupConfig.MAX_TANKS_PER_GROUP : groupConfig.MAX_HEALERS_PER_GROUP;
+	const candidates = raidState.groups
+		.filter(group => group.getRoleCounts()[player.role] < roleCap)
+		.flatMap(group => group.getPlayers())
+		.filter(p => p.role === 'dps' && !getPinnedPlacement(pins, p));
+
+	const [victim] = sortPlayersByPriority(candidates).reverse();
+	if (!victim) return null;
+
+	const { groupId, slotIndex } = raidState.findPlayer(victim);
+	return raidState.withPlayerAt(groupId, slotIndex, player).withBench([...raidState.bench, victim]);
+}
+
+/**
+ * Build a valid state as close as possible to the previous one
+ *
+ * @returns {RaidState} Repaired state (may still be invalid if the roster cannot satisfy constraints)
+ */
+function repairState(previousState, players, constraints) {
+	const raidConfig = { ...RAID_CONSTRAINTS, ...constraints.raid };
+	const groupConfig = { ...GROUP_CONSTRAINTS, ...constraints.group };
+	const pins = constraints.pins || {};
+
+	const assignable = getAssignablePlayers(players);
+	const pinned = placePinnedPlayers(
+		RaidState.createEmpty(previousState.groups.length, previousState.groups[0].slots.length),
+		assignable,
+		pins
+	);
+
+	let raidState = keepPreviousPlacements(pinned.raidState, previousState, assignable, pins);
+	raidState = removeGroupViolations(raidState, groupConfig, pins);
+
+	// New signups, displaced players and previously benched players compete for free slots
+	const waiting = assignable.filter(p => !raidState.hasPlayer(p) && !isPinnedToBench(pins, p));
+	const overflow = [];
+	for (const player of orderWithTogetherPartners(sortPlayersByPriority(waiting), groupConfig.PAIR_PREFERENCES)) {
+		const placement = findBestGroupForPlayer(raidState, player, { group: groupConfig });
+		if (placement) {
+			raidState = raidState.withPlayerAt(placement.groupId, placement.slotIndex, player);
+		} else {
+			overflow.push(player);
+		}
+	}
+
+	// Everyone left over who is not excluded (absent) sits on the bench
+	raidState = raidState.withBench(players.filter(p => !raidState.hasPlayer(p) && !shouldExclude(p.status)));
+
+	// Restore role minimums from the bench
+	const minimums = { tank: raidConfig.MIN_TANKS, healer: raidConfig.MIN_HEALERS };
+	Object.entries(minimums).forEach(([role, minimum]) => {
+		for (const player of sortPlayersByPriority(overflow.filter(p => p.role === role))) {
+			if (raidState.getRoleCounts()[role] >= minimum) break;
+			const bumped = bumpForRole(raidState, player, groupConfig, pins);
+			if (!bumped) break;
+			raidState = bumped.withBench(bumped.bench.filter(p => p.userid !== player.userid));
+		}
+	});
+
+	return raidState;
+}
+
+/**
+ * List every player whose placement changed between two states
+ *
+ * @returns {Array} [{ player, from, to }] where from/to are a group id, 'bench', 'new' or 'out'
+ */
+function diffPlacements(previousState, raidState) {
+	const previousAssignments = getGroupAssignments(previousState);
+	const assignments = getGroupAssignments(raidState);
+	const previousBench = new Set(previousState.bench.map(p => p.userid));
+	const bench = new Set(raidState.bench.map(p => p.userid));
+	const locate = (id, groups, benched, missing) => (groups.has(id) ? groups.get(id) : benched.has(id) ? 'bench' : missing);
+
+	const players = new Map();
+	[...previousState.getAllPlayers(), ...previousState.bench, ...raidState.bench, ...raidState.getAllPlayers()]
+		.forEach(player => players.set(player.userid, player));
+
+	const moves = [];
+	players.forEach((player, id) => {
+		const from = locate(id, previousAssignments, previousBench, 'new');
+		const to = locate(id, assignments, bench, 'out');
+		if (from !== to && !(from === 'new' && to === 'bench')) {
+			moves.push({ player, from, to });
+		}
+	});
+
+	// Raid moves first, in group order
+	const order = place => (typeof place === 'number' ? place : 100);
+	return moves.sort((a, b) => order(a.from) - order(b.from) || order(a.to) - order(b.to));
+}
+
+/**
+ * Format moves for posting ("Thrall: G3 → G5", off-specs named: "Thrall: G3 → G5 (Enhancement)")
+ */
+function formatMoveList(moves) {
+	const label = place => {
+		if (typeof place === 'number') return `G${place}`;
+		return { bench: 'Bench', new: 'New', out: 'Out' }[place];
+	};
+	const spec = player => (isOffSpec(player) ? ` (${player.spec})` : '');
+	return moves.map(move => `${move.player.name}: ${label(move.from)} → ${label(move.to)}${spec(move.player)}`);
+}
+
+/**
+ * Re-optimize a raid after signup changes, moving as few players as possible
+ *
+ * @param {RaidState} previousState - Composition people have already seen
+ * @param {Array} players - Current player list (Player objects)
+ * @param {Object} config - new-optimizer config plus `movementCost`
+ * @returns {Object} Result with the new raid state, moves and a postable move list
+ */
+function reoptimizeRaidComposition(previousState, players, config = {}) {
+	const { cfg, error: configError } = resolveConfig({ movementCost: DEFAULT_MOVEMENT_COST, ...config });
+	const constraints = getConstraints(cfg);
+	const startTime = Date.now();
+
+	if (!previousState || !players || players.length === 0) {
+		return { success: false, error: 'Previous raid state and players are required', raidState: null };
+	}
+
+	if (configError) {
+		return { success: false, error: configError, raidState: null };
+	}
+
+	const repairedState = repairState(previousState, players, constraints);
+	const validation = validateRaidState(repairedState, constraints);
+	let finalState;
+	let warning;
+
+	if (validation.valid) {
+		const scoringFunction = createMovementAwareScoringFunction(previousState, cfg.weights, cfg.preferences, cfg.movementCost);
+		const optimizationResult = optimize(repairedState, scoringFunction, { ...cfg.optimization, constraints });
+		finalState = optimizationResult.success ? optimizationResult.finalState : repairedState;
+	} else {
+		// The old layout cannot be repaired in place; start over
+		const fullResult = optimizeRaidComposition(players, cfg);
+		if (!fullResult.success) {
+			return {
+				success: false,
+				error: fullResult.error,
+				violations: fullResult.violations || validation.getViolationMessages(),
+				raidState: null
+			};
+		}
+		finalState = fullResult.raidState;
+		warning = `Could not keep previous groups (${validation.getViolationMessages().join('; ')}), raid was rebuilt`;
+	}
+
+	const moves = diffPlacements(previousState, finalState);
+	const previousAssignments = getGroupAssignments(previousState);
+
+	return {
+		success: true,
+		warning,
+		raidState: finalState,
+		players,
+		moves,
+		moveList: formatMoveList(moves),
+		stats: {
+			moved: countMovedPlayers(previousAssignments, finalState),
+			joined: moves.filter(m => typeof m.to === 'number' && typeof m.from !== 'number').length,
+			left: moves.filter(m => typeof m.from === 'number' && typeof m.to !== 'number').length,
+			finalScore: scoreRaidComposition(finalState, cfg.weights, cfg.preferences),
+			timeMs: Date.now() - startTime
+		}
+	};
+}
+
+module.exports = {
+	reoptimizeRaidComposition,
+	diffPlacements,
+	formatMoveList,
+	countMovedPlayers,
+	DEFAULT_MOVEMENT_COST
+};
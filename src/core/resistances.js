@@ -0,0 +1,276 @@
+/**
+ * Resistances
+ *
+ * Resistance schools and the resistance an item gives, read from the
+ * Battle.net item stats and from enchants such as "+8 Fire Resistance" or
+ * "+5 All Resistances".
+ *
+ * A player's resistances (player.resistances) are the totals of their
+ * equipment, overridden by values entered in the roster; schools nobody knows
+ * are left out. Encounter requirements such as "MT needs 315 fire" or "all
+ * melee need 200 nature" are checked against them (RAID_CONSTRAINTS.RESISTANCE_REQUIREMENTS
+ * in constraints.js). Players whose resistance is unknown are not held to them.
+ */
+
+const { getRuleSet, matchesSelector } = require('./synergy-rules');
+
+const RESISTANCE_SCHOOLS = ['fire', 'nature', 'frost', 'shadow', 'arcane'];
+
+// Short names accepted when entering resistances ("FR 315")
+const SCHOOL_ABBREVIATIONS = { fr: 'fire', nr: 'nature', frr: 'frost', sr: 'shadow', ar: 'arcane' };
+
+const ENCHANT_RESISTANCE = /\+\s*(\d+)\s+(fire|nature|frost|shadow|arcane|all)\s+resistances?/gi;
+
+/**
+ * Display name for a school ("fire" -> "Fire")
+ */
+function getSchoolLabel(school) {
+	return school.charAt(0).toUpperCase() + school.slice(1);
+}
+
+/**
+ * Resistance given by one equipped item, by school (schools without any left out)
+ *
+ * @param {Object} item - Battle.net equipped item
+ * @returns {Object} e.g. { fire: 18 }
+ */
+function getItemResistances(item) {
+	const resistances = {};
+	const add = (school, value) => {
+		resistances[school] = (resistances[school] || 0) + value;
+	};
+
+	(item.stats || []).forEach(stat => {
+		const match = stat.type && /^([A-Z]+)_RESISTANCE$/.exec(stat.type.type);
+		const school = match && match[1].toLowerCase();
+		if (RESISTANCE_SCHOOLS.includes(school) && stat.value > 0) {
+			add(school, stat.value);
+		}
+	});
+
+	(item.enchantments || []).forEach(enchant => {
+		for (const match of String(enchant.display_string || '').matchAll(ENCHANT_RESISTANCE)) {
+			const school = match[2].toLowerCase();
+			const value = parseInt(match[1], 10);
+			if (school === 'all') {
+				RESISTANCE_SCHOOLS.forEach(each => add(each, value));
+			} else {
+				add(school, value);
+			}
+		}
+	});
+
+	return resistances;
+}
+
+/**
+ * Resistance totals of equipped items, by school
+ */
+function getResistanceTotals(items) {
+	const totals = Object.fromEntries(RESISTANCE_SCHOOLS.map(school => [school, 0]));
+	items.forEach(item => {
+		Object.entries(getItemResistances(item)).forEach(([school, value]) => {
+			totals[school] += value;
+		});
+	});
+	return totals;
+}
+
+/**
+ * A player's resistances: equipment totals, with entered values taking over
+ * (the resistance set is often in the bags when Battle.net is asked)
+ *
+ * @param {Array} items - Battle.net equipped_items (may be empty)
+ * @param {Object} entered - Entered resistances by school (may be null)
+ * @returns {Object|null} Resistances by school, null when nothing is known
+ */
+function combineResistances(items, entered) {
+	const hasItems = Array.isArray(items) && items.length > 0;
+	if (!hasItems && !entered) return null;
+	return { ...(hasItems ? getResistanceTotals(items) : {}), ...entered };
+}
+
+/**
+ * A player's resistance for a school (undefined when unknown)
+ */
+function getResistance(player, school) {
+	return player.resistances ? player.resistances[school] : undefined;
+}
+
+/**
+ * Parse entered resistances ("fire 315, NR 200")
+ *
+ * @returns {Object} { resistances (null when empty), errors }
+ */
+function parseResistances(text) {
+	const resistances = {};
+	const errors = [];
+	String(text || '')
+		.split(',')
+		.map(part => part.trim())
+		.filter(part => part.length > 0)
+		.forEach(part => {
+			const match = /^([a-z]+):?\s*(\d+)$/i.exec(part);
+			const name = match && match[1].toLowerCase();
+			const school = match && (SCHOOL_ABBREVIATIONS[name] || name);
+			if (!match || !RESISTANCE_SCHOOLS.includes(school)) {
+				errors.push(`Not a resistance: ${part}`);
+				return;
+			}
+			resistances[school] = parseInt(match[2], 10);
+		});
+	return { resistances: Object.keys(resistances).length > 0 ? resistances : null, errors };
+}
+
+/**
+ * Entered resistances as text ("fire 315, nature 200")
+ */
+function formatResistances(resistances) {
+	return Object.entries(resistances || {})
+		.map(([school, value]) => `${school} ${value}`)
+		.join(', ');
+}
+
+/**
+ * Who a requirement applies to ("MT", "melee players", "players")
+ */
+function getRequirementLabel(requirement) {
+	if (requirement.label) return requirement.label;
+	const who = requirement.who || 'all';
+	return who === 'all' ? 'players' : `${who} players`;
+}
+
+/**
+ * Check one requirement against a set of players
+ * A requirement is { school, min, who?: synergy selector or 'all', count?, label? }:
+ * with `count`, at least that many matching players need `min`; without it, every one does
+ *
+ * @returns {Object} { requirement, label, met, meeting, short: [{ player, resistance }], unknown }
+ */
+function checkResistanceRequirement(players, requirement) {
+	const who = requirement.who || 'all';
+	const candidates = who === 'all' ? players : players.filter(player => matchesSelector(player, who));
+	const known = candidates.filter(player => getResistance(player, requirement.school) !== undefined);
+	const meeting = known.filter(player => getResistance(player, requirement.school) >= requirement.min);
+	const short = known
+		.filter(player => !meeting.includes(player))
+		.map(player => ({ player, resistance: getResistance(player, requirement.school) }))
+		.sort((a, b) => b.resistance - a.resistance);
+
+	// Nothing known: nothing to hold anyone to
+	const met = known.length === 0 ||
+		(requirement.count !== undefined ? meeting.length >= requirement.count : short.length === 0);
+
+	return {
+		requirement,
+		label: getRequirementLabel(requirement),
+		met,
+		meeting: meeting.length,
+		short,
+		unknown: candidates.filter(player => !known.includes(player))
+	};
+}
+
+/**
+ * Requirements a set of players does not meet (see checkResistanceRequirement)
+ */
+function getResistanceShortfalls(players, requirements = []) {
+	return requirements
+		.map(requirement => checkResistanceRequirement(players, requirement))
+		.filter(check => !check.met);
+}
+
+/**
+ * One line about an unmet requirement
+ * ("315 Fire Resistance for MT (0 of 1): Alice (280), Bob (120)")
+ */
+function describeShortfall(check) {
+	const { requirement } = check;
+	const counted = requirement.count !== undefined ? ` (${check.meeting} of ${requirement.count})` : '';
+	const short = check.short.map(({ player, resistance }) => `${player.name} (${resistance})`).join(', ');
+	return `${requirement.min} ${getSchoolLabel(requirement.school)} Resistance for ${check.label}${counted}: ${short}`;
+}
+
+/**
+ * Resistance requirements of an encounter profile
+ */
+function getProfileRequirements(profile) {
+	return (profile && ((profile.constraints || {}).raid || {}).RESISTANCE_REQUIREMENTS) || [];
+}
+
+/**
+ * Schools an encounter profile needs resistance gear for: its `resistances`
+ * and the schools of its resistance requirements
+ */
+function getProfileSchools(profile) {
+	if (!profile) return [];
+	const requirements = getProfileRequirements(profile);
+	return [...new Set([...(profile.resistances || []), ...requirements.map(requirement => requirement.school)])];
+}
+
+/**
+ * Check a list of resistance requirements (selectors from the active synergy rules)
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateResistanceRequirements(requirements) {
+	if (!Array.isArray(requirements)) {
+		return ['Resistance requirements must be a list'];
+	}
+
+	const selectors = getRuleSet().selectors || {};
+	const errors = [];
+	requirements.forEach((requirement, index) => {
+		const where = `Resistance requirement ${index + 1}`;
+		if (!requirement || typeof requirement !== 'object') {
+			errors.push(`${where} must be an object`);
+			return;
+		}
+		if (!RESISTANCE_SCHOOLS.includes(requirement.school)) {
+			errors.push(`${where}: unknown resistance school ${requirement.school}`);
+		}
+		if (!Number.isInteger(requirement.min) || requirement.min <= 0) {
+			errors.push(`${where}: min must be a positive whole number`);
+		}
+		if (requirement.who !== undefined && requirement.who !== 'all' && !(requirement.who in selectors)) {
+			errors.push(`${where}: unknown selector ${requirement.who}`);
+		}
+		if (requirement.count !== undefined && (!Number.isInteger(requirement.count) || requirement.count < 1)) {
+			errors.push(`${where}: count must be a whole number of at least 1`);
+		}
+	});
+	return errors;
+}
+
+/**
+ * Check a list of resistance schools
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateResistanceSchools(schools) {
+	if (!Array.isArray(schools)) {
+		return ['Resistances must be a list of schools'];
+	}
+	return schools
+		.filter(school => !RESISTANCE_SCHOOLS.includes(school))
+		.map(school => `Unknown resistance school: ${school}`);
+}
+
+module.exports = {
+	RESISTANCE_SCHOOLS,
+	getSchoolLabel,
+	getItemResistances,
+	getResistanceTotals,
+	combineResistances,
+	getResistance,
+	parseResistances,
+	formatResistances,
+	getRequirementLabel,
+	checkResistanceRequirement,
+	getResistanceShortfalls,
+	describeShortfall,
+	getProfileRequirements,
+	getProfileSchools,
+	validateResistanceRequirements,
+	validateResistanceSchools
+};
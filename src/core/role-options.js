@@ -0,0 +1,139 @@
+/**
+ * Role Options
+ *
+ * A player may declare several specs (Raid Helper spec1-3, or added by hand),
+ * each with the role it plays. The first option is the main spec.
+ *
+ * Raid states hold players by reference, so playing an off-spec is modeled as
+ * a copy of the player with that option's spec and role (`offSpec: true`).
+ * Copies are cached per player and spec, so the same option always gives the
+ * same object.
+ */
+
+// Main player -> Map of spec -> off-spec copy
+const variantCache = new WeakMap();
+
+// Off-spec copy -> main player
+const mainPlayers = new WeakMap();
+
+/**
+ * Declared { spec, role } options of a player, main spec first
+ * Players without declared options only have their current spec
+ */
+function getRoleOptions(player) {
+	const main = getMainPlayer(player);
+	if (Array.isArray(main.specOptions) && main.specOptions.length > 0) {
+		return main.specOptions;
+	}
+	return [{ spec: main.spec, role: main.role }];
+}
+
+/**
+ * The main-spec player behind an off-spec copy (the player itself otherwise)
+ */
+function getMainPlayer(player) {
+	return mainPlayers.get(player) || player;
+}
+
+/**
+ * Check if a player is playing one of their off-specs
+ */
+function isOffSpec(player) {
+	return Boolean(player && player.offSpec);
+}
+
+/**
+ * Check if a player declared an option for a role
+ */
+function canPlayRole(player, role) {
+	return getRoleOptions(player).some(option => option.role === role);
+}
+
+/**
+ * The player playing a given option (the main player for the main spec)
+ */
+function withRoleOption(player, option) {
+	const main = getMainPlayer(player);
+	const [mainOption] = getRoleOptions(main);
+	if (option.spec === mainOption.spec && option.role === mainOption.role) {
+		return main;
+	}
+
+	if (!variantCache.has(main)) variantCache.set(main, new Map());
+	const cache = variantCache.get(main);
+	const key = `${option.spec}|${option.role}`;
+
+	if (!cache.has(key)) {
+		const variant = Object.assign(Object.create(Object.getPrototypeOf(main)), main, {
+			spec: option.spec,
+			role: option.role,
+			offSpec: true,
+			mainSpec: mainOption.spec,
+			mainRole: mainOption.role
+		});
+		if (main.roles) {
+			variant.roles = { ...main.roles, primary: option.role };
+		}
+		mainPlayers.set(variant, main);
+		cache.set(key, variant);
+	}
+	return cache.get(key);
+}
+
+/**
+ * The player playing their first declared option for a role, or null
+ */
+function withRole(player, role) {
+	const option = getRoleOptions(player).find(o => o.role === role);
+	return option ? withRoleOption(player, option) : null;
+}
+
+/**
+ * Every other option a player could switch to
+ */
+function getOtherOptions(player) {
+	return getRoleOptions(player).filter(option => option.spec !== player.spec || option.role !== player.role);
+}
+
+/**
+ * Switch players onto off-specs to cover tank and healer minimums
+ * Only players whose current role has more players than it needs are switched,
+ * in the given (priority) order
+ *
+ * @returns {Array} Players, with switched ones replaced by their off-spec copy
+ */
+function assignOffSpecRoles(players, minimums = {}) {
+	const result = [...players];
+	const counts = { tank: 0, healer: 0, dps: 0 };
+	result.forEach(player => {
+		counts[player.role] = (counts[player.role] || 0) + 1;
+	});
+
+	['tank', 'healer'].forEach(role => {
+		for (let i = 0; i < result.length && counts[role] < (minimums[role] || 0); i++) {
+			const player = result[i];
+			if (player.role === role || isOffSpec(player)) continue;
+			if (counts[player.role] <= (minimums[player.role] || 0)) continue;
+
+			const switched = withRole(player, role);
+			if (!switched) continue;
+
+			counts[player.role]--;
+			counts[role]++;
+			result[i] = switched;
+		}
+	});
+
+	return result;
+}
+
+module.exports = {
+	getRoleOptions,
+	getMainPlayer,
+	isOffSpec,
+	canPlayRole,
+	withRoleOption,
+	withRole,
+	getOtherOptions,
+	assignOffSpecRoles
+};
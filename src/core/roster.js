@@ -0,0 +1,285 @@
+/**
+ * Player Roster
+ *
+ * Remembers players between events, keyed by Discord user id: their
+ * characters (class, realm, known specs, declared off-specs, gear score history,
+ * entered resistances, race), which one is the main, guild rank and notes.
+ * Known specs only record past signups; the optimizer is offered the declared
+ * off-specs. Rosters are plain JSON, stored by the main process in the
+ * userData directory; every update returns a new roster.
+ */
+
+const ROSTER_VERSION = 1;
+
+// Gear scores kept per character, newest last
+const MAX_GEAR_SCORE_HISTORY = 20;
+
+/**
+ * Empty roster
+ */
+function createEmptyRoster() {
+	return { version: ROSTER_VERSION, players: {} };
+}
+
+/**
+ * Ids made up by Player.generateId can't be remembered between events
+ */
+function isGeneratedId(userId) {
+	return /^player_\d+_/.test(String(userId));
+}
+
+/**
+ * Roster entry for a Discord user id (null if unknown)
+ */
+function getRosterEntry(roster, userId) {
+	return (roster && userId && roster.players[userId]) || null;
+}
+
+/**
+ * Character of an entry by name (case-insensitive)
+ */
+function findCharacter(entry, name) {
+	const lower = String(name || '').toLowerCase();
+	return entry.characters.find(character => character.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Roster entry owning a character name (for signups without a user id)
+ */
+function findEntryByCharacter(roster, name) {
+	if (!roster || !name) return null;
+	return Object.values(roster.players).find(entry => findCharacter(entry, name)) || null;
+}
+
+/**
+ * Main character of an entry (the first character when none is marked)
+ */
+function getMainCharacter(entry) {
+	return entry.characters.find(character => character.main) || entry.characters[0] || null;
+}
+
+/**
+ * Latest recorded gear score of a character (0 if none)
+ */
+function getLatestGearScore(character) {
+	const history = (character && character.gearScores) || [];
+	return history.length > 0 ? history[history.length - 1].score : 0;
+}
+
+function withEntry(roster, entry) {
+	return { ...roster, players: { ...roster.players, [entry.userId]: entry } };
+}
+
+function requireEntry(roster, userId) {
+	const entry = getRosterEntry(roster, userId);
+	if (!entry) {
+		throw new Error(`Unknown roster player: ${userId}`);
+	}
+	return entry;
+}
+
+function requireCharacter(entry, name) {
+	const character = findCharacter(entry, name);
+	if (!character) {
+		throw new Error(`${entry.name} has no character named ${name}`);
+	}
+	return character;
+}
+
+/**
+ * Record a signed-up player: adds the character and its spec
+ * (gear scores are recorded when fetched, see recordGearScores)
+ *
+ * @param {Object} roster - Roster to update
+ * @param {Player} player - Parsed player (Discord user id, name, class, spec)
+ * @param {string} date - ISO date of the event (defaults to now)
+ * @returns {Object} Updated roster (unchanged for players without a real id or class)
+ */
+function recordPlayer(roster, player, date = new Date().toISOString()) {
+	const userId = player.userid || player.id;
+	if (!userId || isGeneratedId(userId) || !player.class || player.class === 'Unknown') {
+		return roster;
+	}
+
+	const entry = getRosterEntry(roster, userId) || {
+		userId,
+		name: player.name,
+		rank: '',
+		notes: '',
+		characters: [],
+		firstSeen: date
+	};
+	const existing = findCharacter(entry, player.name);
+	const character = existing || {
+		name: player.name,
+		class: player.class,
+		realm: '',
+		specs: [],
+		main: entry.characters.length === 0,
+		gearScores: []
+	};
+
+	const spec = player.spec && player.spec !== 'Unknown' ? player.spec : null;
+	const updated = {
+		...character,
+		class: player.class,
+		realm: player.realm || character.realm,
+		specs: spec && !character.specs.includes(spec) ? [...character.specs, spec] : character.specs
+	};
+
+	return withEntry(roster, {
+		...entry,
+		characters: existing
+			? entry.characters.map(c => (c === existing ? updated : c))
+			: [...entry.characters, updated],
+		lastSeen: date
+	});
+}
+
+/**
+ * Record every player of an event
+ */
+function recordPlayers(roster, players, date) {
+	return players.reduce((current, player) => recordPlayer(current, player, date), roster);
+}
+
+/**
+ * Record gear scores fetched from Battle.net for already recorded characters
+ * Only fresh fetches belong here: a score from the gear cache or the roster
+ * itself would repeat the last entry with a new date
+ */
+function recordGearScores(roster, players, date = new Date().toISOString()) {
+	return players.reduce((current, player) => {
+		const entry = getRosterEntry(current, player.userid || player.id);
+		const character = entry && findCharacter(entry, player.name);
+		if (!character || !(player.gearScore > 0)) return current;
+
+		const gearScores = [...character.gearScores, { date, score: player.gearScore }].slice(-MAX_GEAR_SCORE_HISTORY);
+		return withEntry(current, {
+			...entry,
+			characters: entry.characters.map(c => (c === character ? { ...c, gearScores } : c))
+		});
+	}, roster);
+}
+
+/**
+ * Change an entry's name, rank or notes
+ */
+function updateRosterEntry(roster, userId, changes) {
+	const entry = requireEntry(roster, userId);
+	const { name = entry.name, rank = entry.rank, notes = entry.notes } = changes;
+	return withEntry(roster, { ...entry, name, rank, notes });
+}
+
+/**
+ * Change a character's realm, known specs, declared off-specs, entered resistances
+ * or race (null clears them)
+ */
+function updateCharacter(roster, userId, characterName, changes) {
+	const entry = requireEntry(roster, userId);
+	const character = requireCharacter(entry, characterName);
+	const {
+		realm = character.realm,
+		specs = character.specs,
+		offSpecs = character.offSpecs || [],
+		resistances = character.resistances || null,
+		race = character.race || null
+	} = changes;
+	return withEntry(roster, {
+		...entry,
+		characters: entry.characters.map(c => (c === character
+			? { ...c, realm, specs, offSpecs: offSpecs || [], resistances, race }
+			: c))
+	});
+}
+
+/**
+ * Mark one character as the main; the others become alts
+ */
+function setMainCharacter(roster, userId, characterName) {
+	const entry = requireEntry(roster, userId);
+	const main = requireCharacter(entry, characterName);
+	return withEntry(roster, {
+		...entry,
+		characters: entry.characters.map(c => ({ ...c, main: c === main }))
+	});
+}
+
+/**
+ * Forget a player
+ */
+function removeRosterEntry(roster, userId) {
+	requireEntry(roster, userId);
+	const players = { ...roster.players };
+	delete players[userId];
+	return { ...roster, players };
+}
+
+/**
+ * Fill in Player constructor data from the roster
+ * Signups without a user id are matched by character name
+ *
+ * @param {Object} roster - Roster (may be null)
+ * @param {Object} data - Player constructor data ({ userid, name, class, spec, ... })
+ * @returns {Object} Data with the user id, realm, declared off-specs, gear score, entered resistances, race,
+ *   rank and main filled in
+ */
+function enrichSignup(roster, data) {
+	const entry = getRosterEntry(roster, data.userid) || findEntryByCharacter(roster, data.name);
+	if (!entry) return data;
+
+	const character = findCharacter(entry, data.name);
+	const main = getMainCharacter(entry);
+	return {
+		...data,
+		userid: data.userid || entry.userId,
+		realm: data.realm || (character && character.realm) || '',
+		altSpecs: [...(data.altSpecs || []), ...((character && character.offSpecs) || [])],
+		gearScore: data.gearScore || getLatestGearScore(character),
+		enteredResistances: (character && character.resistances) || null,
+		race: (character && character.race) || null,
+		rank: entry.rank,
+		rosterNotes: entry.notes,
+		main: character && main && main !== character ? main.name : null
+	};
+}
+
+/**
+ * Check a loaded roster file
+ *
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateRoster(roster) {
+	if (!roster || typeof roster !== 'object' || !roster.players || typeof roster.players !== 'object') {
+		return ['Roster must be an object with players'];
+	}
+
+	const errors = [];
+	Object.entries(roster.players).forEach(([userId, entry]) => {
+		if (!entry || entry.userId !== userId) {
+			errors.push(`Roster player ${userId}: userId does not match its key`);
+		} else if (!Array.isArray(entry.characters)) {
+			errors.push(`Roster player ${userId}: characters must be a list`);
+		}
+	});
+	return errors;
+}
+
+module.exports = {
+	ROSTER_VERSION,
+	createEmptyRoster,
+	getRosterEntry,
+	findCharacter,
+	findEntryByCharacter,
+	getMainCharacter,
+	getLatestGearScore,
+	recordPlayer,
+	recordPlayers,
+	recordGearScores,
+	updateRosterEntry,
+	updateCharacter,
+	setMainCharacter,
+	removeRosterEntry,
+	enrichSignup,
+	validateRoster
+};
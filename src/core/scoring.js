@@ -9,12 +9,20 @@
  * - Role balance across groups
  * - Redundancy penalties (too many of same class in group)
  * - Status preferences (minimize late players, minimize benching)
+ * - Off-spec penalty (players assigned to a declared alternate spec)
+ * - Pair preferences (keep players together or apart)
  * 
- * All weights are configurable.
+ * All weights are configurable. The breakdown also reports the debuff slot
+ * plan (see debuff-planner.js), which is not scored.
  */
 
+const { getScoredBuffs, getBuffWeight, scoreBuff } = require('./synergy-rules');
+const { isOffSpec } = require('./role-options');
+const { planDebuffs } = require('./debuff-planner');
+
 /**
  * Default scoring weights
+ * Buff rules in synergy-rules.json refer to the class synergy weights by name
  */
 const DEFAULT_WEIGHTS = {
 	// Class synergy bonuses
@@ -35,59 +43,46 @@ const DEFAULT_WEIGHTS = {
 	tentativePlayerPenalty: -2,
 	
 	// Bench preferences
-	benchingPenalty: -1
+	benchingPenalty: -1,
+
+	// Per raid member playing an off-spec
+	offSpecPenalty: -4,
+
+	// Pair preferences (per satisfied pair, subtracted per broken pair)
+	pairPreference: 4
 };
 
 /**
- * Calculate Windfury Totem synergy bonus
- * Shamans with melee DPS in their group get bonus points
+ * Pair preference types
+ * A preference is { players: [idOrName, idOrName], type, weight?, hard? }
  */
-function scoreWindfuryTotemSynergy(raidState, weight) {
-	let score = 0;
-
-	const meleeClasses = new Set(['Warrior', 'Rogue', 'Hunter']); // Hunter for melee weaving
-
-	raidState.groups.forEach(group => {
-		const players = group.getPlayers();
-		const hasShamanWithWindfury = players.some(p => 
-			p.class === 'Shaman' && 
-			(p.spec === 'Enhancement' || p.spec === 'Restoration')
-		);
-
-		if (hasShamanWithWindfury) {
-			const meleeCount = players.filter(p => meleeClasses.has(p.class)).length;
-			score += meleeCount * weight;
-		}
-	});
+const PAIR_PREFERENCE_TYPES = {
+	TOGETHER: 'together',
+	APART: 'apart'
+};
 
-	return score;
-}
+/**
+ * Classes counted as ranged for spread mechanics
+ */
+const RANGED_CLASSES = new Set(['Mage', 'Warlock', 'Hunter', 'Priest']);
 
 /**
- * Calculate Shaman healer distribution bonus
- * Prefer spreading shaman healers across groups for totems
+ * Score every scored buff in the active synergy rules (Windfury Totem,
+ * Mana Tide Totem, Blessing of Kings, ...), keyed by buff name
  */
-function scoreShamanHealerDistribution(raidState, weight) {
-	const groupsWithShamanHealer = raidState.groups.filter(group => {
-		return group.getPlayers().some(p => 
-			p.class === 'Shaman' && p.role === 'healer'
-		);
-	}).length;
-
-	// More groups with shaman healers = better totem coverage
-	return groupsWithShamanHealer * weight;
+function getBuffScores(raidState, weights) {
+	const scores = {};
+	getScoredBuffs().forEach(buff => {
+		scores[buff.name] = (scores[buff.name] || 0) + scoreBuff(raidState, buff, getBuffWeight(buff, weights));
+	});
+	return scores;
 }
 
 /**
- * Calculate Paladin buff distribution bonus
- * Prefer spreading paladins for blessing coverage
+ * Total class synergy from buffs
  */
-function scorePaladinBuffDistribution(raidState, weight) {
-	const groupsWithPaladin = raidState.groups.filter(group => {
-		return group.getPlayers().some(p => p.class === 'Paladin');
-	}).length;
-
-	return groupsWithPaladin * weight;
+function scoreBuffSynergy(raidState, weights) {
+	return Object.values(getBuffScores(raidState, weights)).reduce((sum, score) => sum + score, 0);
 }
 
 /**
@@ -152,11 +147,10 @@ function scoreSameClassRedundancy(raidState, weight) {
  */
 function scoreTooManyRangedInGroup(raidState, weight) {
 	let penalty = 0;
-	const rangedClasses = new Set(['Mage', 'Warlock', 'Hunter', 'Priest']);
 
 	raidState.groups.forEach(group => {
 		const rangedCount = group.getPlayers().filter(p => 
-			rangedClasses.has(p.class) && p.role === 'dps'
+			RANGED_CLASSES.has(p.class) && p.role === 'dps'
 		).length;
 
 		// Penalize if more than 3 ranged in a group
@@ -197,18 +191,70 @@ function scoreBenchingPenalty(raidState, weight) {
 	return raidState.bench.length * weight;
 }
 
+/**
+ * Penalize raid members playing an off-spec
+ */
+function scoreOffSpecPenalty(raidState, weight) {
+	return raidState.getAllPlayers().filter(isOffSpec).length * weight;
+}
+
+/**
+ * Check if a preference key refers to a player (by user id or name)
+ */
+function matchesPlayer(key, player) {
+	return player.userid === key ||
+		(typeof key === 'string' && player.name && player.name.toLowerCase() === key.toLowerCase());
+}
+
+/**
+ * Find the group a preference key is in, or null if not in raid
+ */
+function findPreferenceGroup(raidState, key) {
+	const group = raidState.groups.find(g => g.getPlayers().some(p => matchesPlayer(key, p)));
+	return group ? group.id : null;
+}
+
+/**
+ * Get the status of each pair preference
+ * 'inactive' when either player is not in the raid
+ */
+function getPairPreferenceStatus(raidState, preferences = []) {
+	return preferences.map(preference => {
+		const [groupA, groupB] = preference.players.map(key => findPreferenceGroup(raidState, key));
+
+		let status = 'inactive';
+		if (groupA !== null && groupB !== null) {
+			const together = groupA === groupB;
+			const wanted = preference.type === PAIR_PREFERENCE_TYPES.TOGETHER;
+			status = together === wanted ? 'satisfied' : 'broken';
+		}
+
+		return { preference, status, groups: [groupA, groupB] };
+	});
+}
+
+/**
+ * Reward satisfied pair preferences and penalize broken ones
+ */
+function scorePairPreferences(raidState, preferences, weight) {
+	return getPairPreferenceStatus(raidState, preferences).reduce((score, { preference, status }) => {
+		const pairWeight = preference.weight !== undefined ? preference.weight : weight;
+		if (status === 'satisfied') return score + pairWeight;
+		if (status === 'broken') return score - pairWeight;
+		return score;
+	}, 0);
+}
+
 /**
  * Calculate total weighted score for a raid state
  */
-function scoreRaidComposition(raidState, weights = {}) {
+function scoreRaidComposition(raidState, weights = {}, preferences = []) {
 	const w = { ...DEFAULT_WEIGHTS, ...weights };
 
 	let totalScore = 0;
 
 	// Class synergy
-	totalScore += scoreWindfuryTotemSynergy(raidState, w.windfuryMeleeBonus);
-	totalScore += scoreShamanHealerDistribution(raidState, w.shamanHealerDistribution);
-	totalScore += scorePaladinBuffDistribution(raidState, w.paladinBuffDistribution);
+	totalScore += scoreBuffSynergy(raidState, w);
 
 	// Role balance
 	totalScore += scoreEvenHealerSpread(raidState, w.evenHealerSpread);
@@ -225,21 +271,25 @@ function scoreRaidComposition(raidState, weights = {}) {
 	// Bench preferences
 	totalScore += scoreBenchingPenalty(raidState, w.benchingPenalty);
 
+	// Off-spec assignments
+	totalScore += scoreOffSpecPenalty(raidState, w.offSpecPenalty);
+
+	// Pair preferences
+	totalScore += scorePairPreferences(raidState, preferences, w.pairPreference);
+
 	return totalScore;
 }
 
 /**
  * Get detailed scoring breakdown for a raid state
+ * `debuffOptions` ({ cap, reserved, priorities }) configure the debuff plan
  */
-function getScoreBreakdown(raidState, weights = {}) {
+function getScoreBreakdown(raidState, weights = {}, preferences = [], debuffOptions = {}) {
 	const w = { ...DEFAULT_WEIGHTS, ...weights };
+	const pairStatus = getPairPreferenceStatus(raidState, preferences);
 
 	return {
-		classSynergy: {
-			windfuryTotem: scoreWindfuryTotemSynergy(raidState, w.windfuryMeleeBonus),
-			shamanHealers: scoreShamanHealerDistribution(raidState, w.shamanHealerDistribution),
-			paladinBuffs: scorePaladinBuffDistribution(raidState, w.paladinBuffDistribution)
-		},
+		classSynergy: getBuffScores(raidState, w),
 		roleBalance: {
 			healerSpread: scoreEvenHealerSpread(raidState, w.evenHealerSpread),
 			tankSupport: scoreTankSupportCoverage(raidState, w.tankSupportCoverage)
@@ -255,23 +305,33 @@ function getScoreBreakdown(raidState, weights = {}) {
 		bench: {
 			benchedPlayers: scoreBenchingPenalty(raidState, w.benchingPenalty)
 		},
-		total: scoreRaidComposition(raidState, weights)
+		offSpec: {
+			offSpecPlayers: scoreOffSpecPenalty(raidState, w.offSpecPenalty)
+		},
+		pairPreferences: {
+			score: scorePairPreferences(raidState, preferences, w.pairPreference),
+			satisfied: pairStatus.filter(p => p.status === 'satisfied'),
+			broken: pairStatus.filter(p => p.status === 'broken'),
+			inactive: pairStatus.filter(p => p.status === 'inactive')
+		},
+		debuffs: planDebuffs(raidState, debuffOptions),
+		total: scoreRaidComposition(raidState, weights, preferences)
 	};
 }
 
 /**
  * Create a scoring function with custom weights
  */
-function createScoringFunction(weights = {}) {
-	return (raidState) => scoreRaidComposition(raidState, weights);
+function createScoringFunction(weights = {}, preferences = []) {
+	return (raidState) => scoreRaidComposition(raidState, weights, preferences);
 }
 
 /**
  * Compare two raid states by score
  */
-function compareRaidStates(state1, state2, weights = {}) {
-	const score1 = scoreRaidComposition(state1, weights);
-	const score2 = scoreRaidComposition(state2, weights);
+function compareRaidStates(state1, state2, weights = {}, preferences = []) {
+	const score1 = scoreRaidComposition(state1, weights, preferences);
+	const score2 = scoreRaidComposition(state2, weights, preferences);
 
 	return {
 		state1Score: score1,
@@ -283,20 +343,25 @@ function compareRaidStates(state1, state2, weights = {}) {
 
 module.exports = {
 	DEFAULT_WEIGHTS,
+	PAIR_PREFERENCE_TYPES,
+	RANGED_CLASSES,
 	scoreRaidComposition,
 	getScoreBreakdown,
 	createScoringFunction,
 	compareRaidStates,
 	
 	// Individual scoring functions (exported for testing/customization)
-	scoreWindfuryTotemSynergy,
-	scoreShamanHealerDistribution,
-	scorePaladinBuffDistribution,
+	getBuffScores,
+	scoreBuffSynergy,
 	scoreEvenHealerSpread,
 	scoreTankSupportCoverage,
 	scoreSameClassRedundancy,
 	scoreTooManyRangedInGroup,
 	scoreLatePlayerPenalty,
 	scoreTentativePlayerPenalty,
-	scoreBenchingPenalty
+	scoreBenchingPenalty,
+	scoreOffSpecPenalty,
+	scorePairPreferences,
+	getPairPreferenceStatus,
+	matchesPlayer
 };
\ No newline at end of file
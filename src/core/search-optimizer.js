@@ -8,25 +8,108 @@
  * - Pairwise player swaps
  * - Group-to-group swaps
  * - Role-preserving swaps only
+ * - Spec changes: a player switches to another declared spec in place
+ * 
+ * Strategies:
+ * - Hill climbing (steepest ascent, default)
+ * - Simulated annealing (accepts worse swaps with decreasing probability)
+ * - Tabu search (always moves, forbids undoing recent moves)
  * 
  * Stopping conditions:
  * - Max iterations reached
  * - No score improvement for N iterations
  * - Time budget exceeded
+ * - Stop requested by the caller (`shouldStop`), keeping the best state so far
  */
 
-const { isValidRaidState, validateSwap } = require('./constraints');
+const { isValidRaidState, validateSwap, getPinnedPlacement } = require('./constraints');
+const { getOtherOptions, withRoleOption } = require('./role-options');
+
+/**
+ * Available search strategies
+ */
+const SEARCH_STRATEGIES = {
+	HILL_CLIMBING: 'hill-climbing',
+	SIMULATED_ANNEALING: 'simulated-annealing',
+	TABU_SEARCH: 'tabu-search'
+};
 
 /**
  * Configuration for search optimizer
  */
 const DEFAULT_CONFIG = {
+	strategy: SEARCH_STRATEGIES.HILL_CLIMBING,
 	maxIterations: 1000,
 	maxIterationsWithoutImprovement: 50,
 	timeBudgetMs: 5000,
-	enableLogging: false
+	enableLogging: false,
+
+	// Constraint config ({ raid, group, pins }) used to validate neighbors
+	constraints: {},
+
+	// Let players switch to another declared spec (role-options.js)
+	allowSpecChanges: true,
+
+	// Simulated annealing
+	initialTemperature: 50,
+	minTemperature: 0.01,
+	coolingRate: 0.995,
+	coolingSchedule: 'geometric', // 'geometric', 'linear', 'logarithmic' or function(iteration, cfg)
+	randomSeed: 1,
+
+	// Tabu search
+	tabuTenure: 7,
+
+	// Restarts and top-K (findDiverseStates)
+	restarts: null, // defaults to 1, or topK * 4 for findDiverseStates
+	perturbationSwaps: 5,
+	topK: 3,
+	minMoves: 4,
+
+	// Record one convergence trace entry every N iterations
+	traceInterval: 1,
+
+	// Progress reporting and cooperative cancellation
+	onProgress: null, // function({ iteration, maxIterations, currentScore, bestScore, elapsedMs, timeBudgetMs })
+	progressIntervalMs: 100,
+	shouldStop: null // function() returning true to stop early and keep the best state
 };
 
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Keeps annealing runs reproducible for the same seed
+ */
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Get the annealing temperature for an iteration
+ */
+function getTemperature(iteration, cfg) {
+	let temperature;
+
+	if (typeof cfg.coolingSchedule === 'function') {
+		temperature = cfg.coolingSchedule(iteration, cfg);
+	} else if (cfg.coolingSchedule === 'linear') {
+		const progress = Math.min(iteration / cfg.maxIterations, 1);
+		temperature = cfg.initialTemperature - (cfg.initialTemperature - cfg.minTemperature) * progress;
+	} else if (cfg.coolingSchedule === 'logarithmic') {
+		temperature = cfg.initialTemperature / (1 + Math.log(1 + iteration));
+	} else {
+		temperature = cfg.initialTemperature * Math.pow(cfg.coolingRate, iteration);
+	}
+
+	return Math.max(temperature, cfg.minTemperature);
+}
+
 /**
  * Generate all possible pairwise swaps between players in the raid
  */
@@ -66,16 +149,33 @@ function generateSwapNeighbors(raidState) {
 	return neighbors;
 }
 
+/**
+ * Check if a swap would move a pinned player off its pinned group or slot
+ */
+function movesPinnedPlayer(swap, pins) {
+	const moves = (player, from, to) => {
+		const pin = getPinnedPlacement(pins, player);
+		if (!pin) return false;
+		return Number.isInteger(pin.slotIndex) || from.groupId !== to.groupId;
+	};
+
+	return moves(swap.player1, swap.pos1, swap.pos2) || moves(swap.player2, swap.pos2, swap.pos1);
+}
+
 /**
  * Generate role-preserving swaps only
  * This ensures we don't violate role constraints
+ * Swaps that would move pinned players are skipped
  */
-function generateRolePreservingSwaps(raidState) {
+function generateRolePreservingSwaps(raidState, pins = {}) {
 	const allSwaps = generateSwapNeighbors(raidState);
 	
 	// Filter to only swaps that preserve roles or involve empty slots
 	return allSwaps.filter(swap => {
 		const { player1, player2 } = swap;
+
+		// Never move pinned players
+		if (movesPinnedPlayer(swap, pins)) return false;
 		
 		// Allow swaps with empty slots
 		if (!player1 || !player2) return true;
@@ -85,23 +185,75 @@ function generateRolePreservingSwaps(raidState) {
 	});
 }
 
+/**
+ * Generate role-preserving swaps that move players between different groups
+ * Swaps inside one group never change the score, so annealing and tabu
+ * search skip them to avoid wasting moves
+ */
+function generateCrossGroupSwaps(raidState, pins = {}) {
+	return generateRolePreservingSwaps(raidState, pins)
+		.filter(swap => swap.pos1.groupId !== swap.pos2.groupId);
+}
+
+/**
+ * Generate spec changes: each raid member switching, in place, to one of
+ * their other declared specs
+ * Shaped like swaps (pos2 is pos1, player2 the player on the new spec)
+ */
+function generateSpecChanges(raidState) {
+	const changes = [];
+
+	raidState.groups.forEach(group => {
+		group.slots.forEach((slot, slotIndex) => {
+			if (!slot.player) return;
+
+			const pos = { groupId: group.id, slotIndex };
+			getOtherOptions(slot.player).forEach(option => {
+				changes.push({
+					pos1: pos,
+					pos2: pos,
+					player1: slot.player,
+					player2: withRoleOption(slot.player, option),
+					specChange: true
+				});
+			});
+		});
+	});
+
+	return changes;
+}
+
+/**
+ * Neighbors explored by the search: swaps, plus spec changes if enabled
+ */
+function generateMoves(raidState, cfg, crossGroupOnly = false) {
+	const pins = cfg.constraints.pins;
+	const swaps = crossGroupOnly ? generateCrossGroupSwaps(raidState, pins) : generateRolePreservingSwaps(raidState, pins);
+	return cfg.allowSpecChanges ? [...swaps, ...generateSpecChanges(raidState)] : swaps;
+}
+
 /**
  * Evaluate a neighbor state and return it with score if valid
  */
-function evaluateNeighbor(raidState, swap, scoringFunction) {
+function evaluateNeighbor(raidState, swap, scoringFunction, constraints = {}) {
 	const { pos1, pos2 } = swap;
 
-	// Validate the swap
-	const validation = validateSwap(raidState, pos1, pos2);
-	if (!validation.valid) {
-		return null; // Invalid neighbor, discard
-	}
+	let newState;
+	if (swap.specChange) {
+		newState = raidState.withPlayerAt(pos1.groupId, pos1.slotIndex, swap.player2);
+	} else {
+		// Validate the swap
+		const validation = validateSwap(raidState, pos1, pos2, constraints);
+		if (!validation.valid) {
+			return null; // Invalid neighbor, discard
+		}
 
-	// Execute the swap
-	const newState = raidState.swapPlayers(pos1, pos2);
+		// Execute the swap
+		newState = raidState.swapPlayers(pos1, pos2);
+	}
 
 	// Validate the resulting state
-	if (!isValidRaidState(newState)) {
+	if (!isValidRaidState(newState, constraints)) {
 		return null; // Invalid state, discard
 	}
 
@@ -128,8 +280,13 @@ function optimizeWithLocalSearch(initialState, scoringFunction, config = {}) {
 
 	let iteration = 0;
 	let iterationsWithoutImprovement = 0;
+	const trace = [];
+	const moves = [];
+	let bestMoveCount = 0; // moves on the path to the best state
+	let stopped = false;
 
 	const log = cfg.enableLogging ? console.log : () => {};
+	const reportProgress = createProgressReporter(cfg, startTime);
 
 	log('=== Local Search Optimization Started ===');
 	log(`Initial score: ${currentScore.toFixed(2)}`);
@@ -144,8 +301,14 @@ function optimizeWithLocalSearch(initialState, scoringFunction, config = {}) {
 			break;
 		}
 
+		if (isStopRequested(cfg)) {
+			log(`Stopped after ${iteration} iterations, keeping best state`);
+			stopped = true;
+			break;
+		}
+
 		// Generate neighbor states
-		const swaps = generateRolePreservingSwaps(currentState);
+		const swaps = generateMoves(currentState, cfg);
 		
 		if (swaps.length === 0) {
 			log('No valid swaps available');
@@ -155,18 +318,21 @@ function optimizeWithLocalSearch(initialState, scoringFunction, config = {}) {
 		// Evaluate all neighbors and find the best valid one
 		let bestNeighbor = null;
 		let bestNeighborScore = currentScore;
+		let bestSwap = null;
 
 		for (const swap of swaps) {
-			const neighbor = evaluateNeighbor(currentState, swap, scoringFunction);
+			const neighbor = evaluateNeighbor(currentState, swap, scoringFunction, cfg.constraints);
 			
 			if (neighbor && neighbor.metadata.score > bestNeighborScore) {
 				bestNeighbor = neighbor;
 				bestNeighborScore = neighbor.metadata.score;
+				bestSwap = swap;
 			}
 		}
 
 		// If we found a better neighbor, move to it
 		if (bestNeighbor && bestNeighborScore > currentScore) {
+			recordMove(moves, iteration, bestSwap, bestNeighborScore - currentScore);
 			currentState = bestNeighbor;
 			currentScore = bestNeighborScore;
 			iterationsWithoutImprovement = 0;
@@ -175,66 +341,466 @@ function optimizeWithLocalSearch(initialState, scoringFunction, config = {}) {
 			if (currentScore > bestScore) {
 				bestState = currentState;
 				bestScore = currentScore;
+				bestMoveCount = moves.length;
 				log(`Iteration ${iteration}: New best score ${bestScore.toFixed(2)}`);
 			}
 		} else {
-			// No improvement found
+			// Steepest ascent found no better neighbor: every later iteration would be identical,
+			// so stop and always trace the end point
+			trace.push({ iteration, currentScore, bestScore, elapsedMs: Date.now() - startTime });
+			log(`Local optimum reached after ${iteration} iterations`);
+			break;
+		}
+
+		recordTrace(trace, cfg, { iteration, currentScore, bestScore, elapsedMs: Date.now() - startTime });
+		reportProgress(iteration, currentScore, bestScore);
+
+		if (iterationsWithoutImprovement >= cfg.maxIterationsWithoutImprovement) {
+			log(`No improvement for ${cfg.maxIterationsWithoutImprovement} iterations, stopping`);
+			break;
+		}
+	}
+
+	return buildResult(SEARCH_STRATEGIES.HILL_CLIMBING, initialState, scoringFunction, {
+		bestState, bestScore, iteration, trace, moves: moves.slice(0, bestMoveCount), stopped, startTime, log
+	});
+}
+
+/**
+ * Perform simulated annealing
+ * Samples one random cross-group swap per iteration and accepts worse
+ * neighbors with probability exp(delta / temperature)
+ */
+function optimizeWithSimulatedAnnealing(initialState, scoringFunction, config = {}) {
+	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const startTime = Date.now();
+	const random = createRandom(cfg.randomSeed);
+
+	let currentState = initialState;
+	let currentScore = scoringFunction(currentState);
+	currentState = currentState.withScore(currentScore);
+
+	let bestState = currentState;
+	let bestScore = currentScore;
+
+	let iteration = 0;
+	let iterationsWithoutImprovement = 0;
+	const trace = [];
+	const moves = [];
+	let bestMoveCount = 0; // moves on the path to the best state
+	let stopped = false;
+
+	const log = cfg.enableLogging ? console.log : () => {};
+	const reportProgress = createProgressReporter(cfg, startTime);
+
+	log('=== Simulated Annealing Started ===');
+	log(`Initial score: ${currentScore.toFixed(2)}, temperature: ${cfg.initialTemperature}`);
+
+	while (iteration < cfg.maxIterations) {
+		iteration++;
+
+		// Check time budget
+		if (Date.now() - startTime > cfg.timeBudgetMs) {
+			log(`Time budget exceeded after ${iteration} iterations`);
+			break;
+		}
+
+		if (isStopRequested(cfg)) {
+			log(`Stopped after ${iteration} iterations, keeping best state`);
+			stopped = true;
+			break;
+		}
+
+		const swaps = generateMoves(currentState, cfg, true);
+		if (swaps.length === 0) {
+			log('No valid swaps available');
+			break;
+		}
+
+		const temperature = getTemperature(iteration, cfg);
+		const swap = swaps[Math.floor(random() * swaps.length)];
+		const neighbor = evaluateNeighbor(currentState, swap, scoringFunction, cfg.constraints);
+
+		if (neighbor) {
+			const delta = neighbor.metadata.score - currentScore;
+
+			if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+				recordMove(moves, iteration, swap, delta);
+				currentState = neighbor;
+				currentScore = neighbor.metadata.score;
+			}
+		}
+
+		if (currentScore > bestScore) {
+			bestState = currentState;
+			bestScore = currentScore;
+			bestMoveCount = moves.length;
+			iterationsWithoutImprovement = 0;
+			log(`Iteration ${iteration}: New best score ${bestScore.toFixed(2)} (T=${temperature.toFixed(3)})`);
+		} else {
 			iterationsWithoutImprovement++;
+		}
+
+		recordTrace(trace, cfg, { iteration, currentScore, bestScore, temperature, elapsedMs: Date.now() - startTime });
+		reportProgress(iteration, currentScore, bestScore);
+
+		if (iterationsWithoutImprovement >= cfg.maxIterationsWithoutImprovement) {
+			log(`No improvement for ${cfg.maxIterationsWithoutImprovement} iterations, stopping`);
+			break;
+		}
+	}
+
+	return buildResult(SEARCH_STRATEGIES.SIMULATED_ANNEALING, initialState, scoringFunction, {
+		bestState, bestScore, iteration, trace, moves: moves.slice(0, bestMoveCount), stopped, startTime, log
+	});
+}
 
-			if (iterationsWithoutImprovement >= cfg.maxIterationsWithoutImprovement) {
-				log(`No improvement for ${cfg.maxIterationsWithoutImprovement} iterations, stopping`);
-				break;
+/**
+ * Perform tabu search
+ * Always moves to the best non-tabu neighbor, even when it is worse.
+ * After a swap, each moved player may not return to the group it left
+ * for `tabuTenure` iterations unless doing so beats the best score seen.
+ */
+function optimizeWithTabuSearch(initialState, scoringFunction, config = {}) {
+	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const startTime = Date.now();
+
+	let currentState = initialState;
+	let currentScore = scoringFunction(currentState);
+	currentState = currentState.withScore(currentScore);
+
+	let bestState = currentState;
+	let bestScore = currentScore;
+
+	let iteration = 0;
+	let iterationsWithoutImprovement = 0;
+	const trace = [];
+	const moves = [];
+	let bestMoveCount = 0; // moves on the path to the best state
+	let stopped = false;
+
+	// "userid:groupId" -> last iteration the move stays forbidden
+	const tabuList = new Map();
+	const isTabu = (player, groupId) => {
+		if (!player) return false;
+		const expiry = tabuList.get(`${player.userid}:${groupId}`);
+		return expiry !== undefined && expiry >= iteration;
+	};
+
+	const log = cfg.enableLogging ? console.log : () => {};
+	const reportProgress = createProgressReporter(cfg, startTime);
+
+	log('=== Tabu Search Started ===');
+	log(`Initial score: ${currentScore.toFixed(2)}, tenure: ${cfg.tabuTenure}`);
+
+	while (iteration < cfg.maxIterations) {
+		iteration++;
+
+		// Check time budget
+		if (Date.now() - startTime > cfg.timeBudgetMs) {
+			log(`Time budget exceeded after ${iteration} iterations`);
+			break;
+		}
+
+		if (isStopRequested(cfg)) {
+			log(`Stopped after ${iteration} iterations, keeping best state`);
+			stopped = true;
+			break;
+		}
+
+		const swaps = generateMoves(currentState, cfg, true);
+		if (swaps.length === 0) {
+			log('No valid swaps available');
+			break;
+		}
+
+		// Find the best admissible neighbor
+		let bestMove = null;
+		let bestNeighbor = null;
+
+		for (const swap of swaps) {
+			const tabu = isTabu(swap.player1, swap.pos2.groupId) || isTabu(swap.player2, swap.pos1.groupId);
+
+			const neighbor = evaluateNeighbor(currentState, swap, scoringFunction, cfg.constraints);
+			if (!neighbor) continue;
+
+			// Aspiration: a tabu move is allowed if it beats the best score
+			if (tabu && neighbor.metadata.score <= bestScore) continue;
+
+			if (!bestNeighbor || neighbor.metadata.score > bestNeighbor.metadata.score) {
+				bestNeighbor = neighbor;
+				bestMove = swap;
 			}
 		}
+
+		if (!bestNeighbor) {
+			log('All neighbors are tabu or invalid, stopping');
+			break;
+		}
+
+		// Forbid moving the swapped players back for the tenure
+		tabuList.set(`${bestMove.player1.userid}:${bestMove.pos1.groupId}`, iteration + cfg.tabuTenure);
+		if (bestMove.player2) {
+			tabuList.set(`${bestMove.player2.userid}:${bestMove.pos2.groupId}`, iteration + cfg.tabuTenure);
+		}
+
+		recordMove(moves, iteration, bestMove, bestNeighbor.metadata.score - currentScore);
+		currentState = bestNeighbor;
+		currentScore = bestNeighbor.metadata.score;
+
+		if (currentScore > bestScore) {
+			bestState = currentState;
+			bestScore = currentScore;
+			bestMoveCount = moves.length;
+			iterationsWithoutImprovement = 0;
+			log(`Iteration ${iteration}: New best score ${bestScore.toFixed(2)}`);
+		} else {
+			iterationsWithoutImprovement++;
+		}
+
+		recordTrace(trace, cfg, { iteration, currentScore, bestScore, elapsedMs: Date.now() - startTime });
+		reportProgress(iteration, currentScore, bestScore);
+
+		if (iterationsWithoutImprovement >= cfg.maxIterationsWithoutImprovement) {
+			log(`No improvement for ${cfg.maxIterationsWithoutImprovement} iterations, stopping`);
+			break;
+		}
+	}
+
+	return buildResult(SEARCH_STRATEGIES.TABU_SEARCH, initialState, scoringFunction, {
+		bestState, bestScore, iteration, trace, moves: moves.slice(0, bestMoveCount), stopped, startTime, log
+	});
+}
+
+/**
+ * Create a progress callback that fires at most every `progressIntervalMs`
+ * Returns a no-op when no `onProgress` listener is configured
+ */
+function createProgressReporter(cfg, startTime) {
+	if (typeof cfg.onProgress !== 'function') return () => {};
+
+	let lastReportMs = -Infinity;
+	return (iteration, currentScore, bestScore) => {
+		const elapsedMs = Date.now() - startTime;
+		if (elapsedMs - lastReportMs < cfg.progressIntervalMs) return;
+		lastReportMs = elapsedMs;
+		cfg.onProgress({
+			iteration,
+			maxIterations: cfg.maxIterations,
+			currentScore,
+			bestScore,
+			elapsedMs,
+			timeBudgetMs: cfg.timeBudgetMs
+		});
+	};
+}
+
+/**
+ * Whether the caller asked the search to stop early
+ */
+function isStopRequested(cfg) {
+	return typeof cfg.shouldStop === 'function' && cfg.shouldStop() === true;
+}
+
+/**
+ * Append a convergence trace entry every `traceInterval` iterations
+ */
+function recordTrace(trace, cfg, entry) {
+	if (entry.iteration % Math.max(1, cfg.traceInterval) === 0) {
+		trace.push(entry);
 	}
+}
+
+/**
+ * Record an accepted swap (or spec change) so callers can explain why players moved
+ */
+function recordMove(moves, iteration, swap, delta) {
+	moves.push({
+		iteration,
+		player1: swap.player1,
+		player2: swap.player2,
+		fromGroupId: swap.pos1.groupId,
+		toGroupId: swap.pos2.groupId,
+		specChange: Boolean(swap.specChange),
+		delta
+	});
+}
 
+/**
+ * Build the common result object returned by every strategy
+ */
+function buildResult(strategy, initialState, scoringFunction, run) {
+	const { bestState, bestScore, iteration, trace, moves, stopped, startTime, log } = run;
 	const elapsed = Date.now() - startTime;
+	const initialScore = scoringFunction(initialState);
+
 	log('=== Optimization Complete ===');
+	log(`Strategy: ${strategy}`);
 	log(`Iterations: ${iteration}`);
 	log(`Time: ${elapsed}ms`);
-	log(`Initial score: ${scoringFunction(initialState).toFixed(2)}`);
+	log(`Initial score: ${initialScore.toFixed(2)}`);
 	log(`Final score: ${bestScore.toFixed(2)}`);
-	log(`Improvement: ${(bestScore - scoringFunction(initialState)).toFixed(2)}`);
+	log(`Improvement: ${(bestScore - initialScore).toFixed(2)}`);
 
 	return {
 		success: true,
+		strategy,
 		initialState,
 		finalState: bestState,
-		initialScore: scoringFunction(initialState),
+		initialScore,
 		finalScore: bestScore,
-		improvement: bestScore - scoringFunction(initialState),
+		improvement: bestScore - initialScore,
 		iterations: iteration,
-		timeMs: elapsed
+		timeMs: elapsed,
+		trace,
+		moves,
+		stopped
 	};
 }
 
+/**
+ * Apply `count` random valid cross-group swaps, used to start restarts
+ * from different places
+ */
+function perturbState(raidState, count, random, constraints = {}) {
+	let state = raidState;
+	for (let i = 0; i < count; i++) {
+		const swaps = generateCrossGroupSwaps(state, constraints.pins);
+		if (swaps.length === 0) break;
+
+		const swap = swaps[Math.floor(random() * swaps.length)];
+		if (validateSwap(state, swap.pos1, swap.pos2, constraints).valid) {
+			const swapped = state.swapPlayers(swap.pos1, swap.pos2);
+			if (isValidRaidState(swapped, constraints)) state = swapped;
+		}
+	}
+	return state;
+}
+
+/**
+ * Number of players (placed in both states) who must change group to turn
+ * one state into the other, ignoring group numbering
+ * Groups are matched to maximize overlap (DP over subsets, at most 8 groups)
+ */
+function getAssignmentDistance(stateA, stateB) {
+	const groupsA = stateA.groups.map(g => g.getPlayers().map(p => p.userid));
+	const groupsB = stateB.groups.map(g => new Set(g.getPlayers().map(p => p.userid)));
+	const inB = new Set(groupsB.flatMap(group => [...group]));
+	const shared = groupsA.flat().filter(id => inB.has(id)).length;
+	const overlap = groupsA.map(a => groupsB.map(b => a.filter(id => b.has(id)).length));
+
+	// best[mask]: largest overlap matching the first popcount(mask) groups of A onto the groups of B in mask
+	const best = new Array(1 << groupsB.length).fill(-1);
+	best[0] = 0;
+	let maxOverlap = 0;
+	for (let mask = 0; mask < best.length; mask++) {
+		if (best[mask] < 0) continue;
+		const i = mask.toString(2).split('1').length - 1;
+		if (i === groupsA.length) {
+			maxOverlap = Math.max(maxOverlap, best[mask]);
+			continue;
+		}
+		for (let j = 0; j < groupsB.length; j++) {
+			if (mask & (1 << j)) continue;
+			const next = mask | (1 << j);
+			best[next] = Math.max(best[next], best[mask] + overlap[i][j]);
+		}
+	}
+
+	return shared - maxOverlap;
+}
+
+/**
+ * Run the configured strategy without revalidating the initial state
+ */
+function runStrategy(initialState, scoringFunction, config) {
+	switch (config.strategy || DEFAULT_CONFIG.strategy) {
+		case SEARCH_STRATEGIES.HILL_CLIMBING:
+			return optimizeWithLocalSearch(initialState, scoringFunction, config);
+		case SEARCH_STRATEGIES.SIMULATED_ANNEALING:
+			return optimizeWithSimulatedAnnealing(initialState, scoringFunction, config);
+		case SEARCH_STRATEGIES.TABU_SEARCH:
+			return optimizeWithTabuSearch(initialState, scoringFunction, config);
+		default:
+			return {
+				success: false,
+				error: `Unknown search strategy: ${config.strategy}`,
+				initialState,
+				finalState: null
+			};
+	}
+}
+
 /**
  * Optimize with multiple restarts to avoid local optima
+ * The first run starts from the given state, later runs from a random
+ * perturbation of it (`perturbationSwaps` swaps, seeded by `randomSeed`)
+ *
+ * @returns {Object} Best run's result plus `runs`, every run's result
  */
 function optimizeWithRestarts(initialState, scoringFunction, config = {}) {
 	const cfg = { ...DEFAULT_CONFIG, ...config };
 	const restarts = cfg.restarts || 1;
+	const random = createRandom(cfg.randomSeed);
 
+	const runs = [];
 	let bestResult = null;
-	let bestScore = -Infinity;
 
 	for (let i = 0; i < restarts; i++) {
-		const result = optimizeWithLocalSearch(initialState, scoringFunction, cfg);
+		if (runs.length > 0 && isStopRequested(cfg)) break;
+
+		const start = i === 0 ? initialState : perturbState(initialState, cfg.perturbationSwaps, random, cfg.constraints);
+		const result = runStrategy(start, scoringFunction, { ...cfg, randomSeed: cfg.randomSeed + i });
+		if (!result.success) return result;
 
-		if (result.finalScore > bestScore) {
+		runs.push(result);
+		if (!bestResult || result.finalScore > bestResult.finalScore) {
 			bestResult = result;
-			bestScore = result.finalScore;
 		}
 	}
 
-	return bestResult;
+	return { ...bestResult, runs };
+}
+
+/**
+ * Find up to `topK` high-scoring states that each differ from every other
+ * by at least `minMoves` players changing group (see getAssignmentDistance)
+ *
+ * @param {Array} incumbents - Extra candidate states (e.g. the main search result);
+ *   they win ties against restart results
+ * @returns {Array} [{ state, score }] best first; fewer than topK if restarts found no more diverse states
+ */
+function findDiverseStates(initialState, scoringFunction, config = {}, incumbents = []) {
+	const cfg = { ...DEFAULT_CONFIG, ...config };
+	const restartResult = optimizeWithRestarts(initialState, scoringFunction, {
+		...cfg,
+		restarts: cfg.restarts || cfg.topK * 4
+	});
+	const runs = restartResult.success ? restartResult.runs : [];
+
+	// Stable sort keeps incumbents ahead of equal-scoring restarts
+	const candidates = [
+		...incumbents.map(state => ({ state, score: scoringFunction(state) })),
+		...runs.map(run => ({ state: run.finalState, score: run.finalScore }))
+	].sort((a, b) => b.score - a.score);
+
+	const selected = [];
+	for (const candidate of candidates) {
+		if (selected.length >= cfg.topK) break;
+		if (selected.every(s => getAssignmentDistance(s.state, candidate.state) >= cfg.minMoves)) {
+			selected.push(candidate);
+		}
+	}
+
+	return selected;
 }
 
 /**
  * Quick optimization with limited iterations (for fast results)
  */
-function quickOptimize(initialState, scoringFunction) {
+function quickOptimize(initialState, scoringFunction, config = {}) {
 	return optimizeWithLocalSearch(initialState, scoringFunction, {
+		...config,
 		maxIterations: 100,
 		maxIterationsWithoutImprovement: 20,
 		timeBudgetMs: 1000,
@@ -245,8 +811,9 @@ function quickOptimize(initialState, scoringFunction) {
 /**
  * Deep optimization with many iterations (for best results)
  */
-function deepOptimize(initialState, scoringFunction) {
+function deepOptimize(initialState, scoringFunction, config = {}) {
 	return optimizeWithLocalSearch(initialState, scoringFunction, {
+		...config,
 		maxIterations: 5000,
 		maxIterationsWithoutImprovement: 200,
 		timeBudgetMs: 30000,
@@ -259,7 +826,7 @@ function deepOptimize(initialState, scoringFunction) {
  */
 function optimize(initialState, scoringFunction, config = {}) {
 	// Validate initial state
-	if (!isValidRaidState(initialState)) {
+	if (!isValidRaidState(initialState, config.constraints)) {
 		return {
 			success: false,
 			error: 'Initial state is invalid',
@@ -268,18 +835,27 @@ function optimize(initialState, scoringFunction, config = {}) {
 		};
 	}
 
-	// Run optimization
-	return optimizeWithLocalSearch(initialState, scoringFunction, config);
+	// Run the selected strategy
+	return runStrategy(initialState, scoringFunction, config);
 }
 
 module.exports = {
 	optimize,
 	optimizeWithLocalSearch,
+	optimizeWithSimulatedAnnealing,
+	optimizeWithTabuSearch,
 	optimizeWithRestarts,
+	findDiverseStates,
+	getAssignmentDistance,
+	perturbState,
 	quickOptimize,
 	deepOptimize,
 	generateSwapNeighbors,
 	generateRolePreservingSwaps,
+	generateCrossGroupSwaps,
+	generateSpecChanges,
 	evaluateNeighbor,
+	getTemperature,
+	SEARCH_STRATEGIES,
 	DEFAULT_CONFIG
 };
\ No newline at end of file
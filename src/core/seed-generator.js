@@ -11,20 +11,49 @@
  * 3. Prefer confirmed > tentative > late
  * 4. Bench overflow players
  * 5. Fail loudly if constraints cannot be satisfied
+ *
+ * Pinned players (config.pins) are placed in their group/slot or benched
+ * before the greedy pass and are never moved by it.
+ *
+ * When the main specs do not cover the tank or healer minimum, players with a
+ * declared off-spec in that role are switched to it (config.allowOffSpec: false
+ * disables this).
+ *
+ * Class quotas decide who is benched: players needed for a raid minimum are
+ * placed first, and players over a raid or group maximum are passed over.
+ * Providers of required buffs, and the players a resistance requirement with
+ * a count needs, are placed first in the same way.
  */
 
 const { RaidState, Group } = require('./state-model');
-const { isValidRaidState, validateRaidState, RAID_CONSTRAINTS, GROUP_CONSTRAINTS } = require('./constraints');
+const {
+	isValidRaidState,
+	validateRaidState,
+	getPinnedPlacement,
+	isPinnedToBench,
+	matchesQuota,
+	countQuota,
+	getQuotaLabel,
+	RAID_CONSTRAINTS,
+	GROUP_CONSTRAINTS
+} = require('./constraints');
 const { isAssignableStatus, shouldExclude, shouldBench, getStatusPriority } = require('./status-enums');
+const { matchesPlayer, PAIR_PREFERENCE_TYPES } = require('./scoring');
+const { hasCapability, countCapability, getCapabilityLabel } = require('./capabilities');
+const { isOffSpec, assignOffSpecRoles } = require('./role-options');
+const { getBuffRequirement } = require('./buff-coverage');
+const { matchesSelector } = require('./synergy-rules');
+const { getResistance, checkResistanceRequirement, getSchoolLabel } = require('./resistances');
 
 /**
  * Sort players by priority for assignment
  * Priority order:
  * 1. Role (tanks > healers > dps)
  * 2. Status (confirmed > tentative > late)
- * 3. Signup time (earlier > later)
+ * 3. Class weight, if given (higher > lower, unlisted classes count as 0)
+ * 4. Signup time (earlier > later)
  */
-function sortPlayersByPriority(players) {
+function sortPlayersByPriority(players, classWeights = {}) {
 	const rolePriority = {
 		'tank': 300,
 		'healer': 200,
@@ -46,13 +75,25 @@ function sortPlayersByPriority(players) {
 			return statusB - statusA; // Higher priority first
 		}
 
+		// Then by class weight
+		const weightA = classWeights[a.class] || 0;
+		const weightB = classWeights[b.class] || 0;
+		if (weightA !== weightB) {
+			return weightB - weightA;
+		}
+
 		// Finally by signup time (earlier is better)
-		const timeA = a.signuptime || 0;
-		const timeB = b.signuptime || 0;
-		return timeA - timeB;
+		return getSignupTime(a) - getSignupTime(b);
 	});
 }
 
+/**
+ * Signup time used for priority (raw raid-helper field or Player model field)
+ */
+function getSignupTime(player) {
+	return Number(player.signuptime || player.signupTime) || 0;
+}
+
 /**
  * Filter players who can be assigned to raid
  */
@@ -82,6 +123,24 @@ function getAssignablePlayers(players) {
 	});
 }
 
+/**
+ * Switch players to declared off-specs where the main specs leave the tank or
+ * healer minimum uncovered, highest priority first
+ * `placed` players (pinned) already count towards the minimums
+ */
+function applyOffSpecRoles(players, config = {}, placed = []) {
+	if (config.allowOffSpec === false) {
+		return players;
+	}
+
+	const raidConfig = { ...RAID_CONSTRAINTS, ...config.raid };
+	const placedCount = role => placed.filter(player => player.role === role).length;
+	return assignOffSpecRoles(sortPlayersByPriority(players, config.classWeights), {
+		tank: raidConfig.MIN_TANKS - placedCount('tank'),
+		healer: raidConfig.MIN_HEALERS - placedCount('healer')
+	});
+}
+
 /**
  * Get players who should be automatically benched
  */
@@ -89,17 +148,130 @@ function getBenchedPlayers(players) {
 	return players.filter(player => shouldBench(player.status));
 }
 
+/**
+ * Get the other player of a pair preference, or null if the player is not in it
+ */
+function getPartnerKey(preference, player) {
+	const [keyA, keyB] = preference.players;
+	if (matchesPlayer(keyA, player)) return keyB;
+	if (matchesPlayer(keyB, player)) return keyA;
+	return null;
+}
+
+/**
+ * Move the highest-priority providers of each required capability and buff,
+ * and the players each class quota minimum and counted resistance requirement
+ * needs, ahead of the rest of their role, so they are not benched when the
+ * raid overflows
+ */
+function prioritizeCapabilities(sorted, requiredCapabilities = {}, classQuotas = [], requiredBuffs = [], resistanceRequirements = []) {
+	const needed = new Set();
+	const reserve = (matches, required) => {
+		const providers = sorted.filter(matches);
+		const covered = providers.filter(player => needed.has(player)).length;
+		providers
+			.filter(player => !needed.has(player))
+			.slice(0, Math.max(0, required - covered))
+			.forEach(player => needed.add(player));
+	};
+
+	Object.entries(requiredCapabilities).forEach(([capability, required]) => {
+		reserve(player => hasCapability(player, capability), required);
+	});
+	classQuotas.filter(quota => quota.min).forEach(quota => {
+		reserve(player => matchesQuota(player, quota), quota.min);
+	});
+	requiredBuffs.map(name => getBuffRequirement(name)).filter(Boolean).forEach(requirement => {
+		reserve(requirement.matches, requirement.count);
+	});
+	resistanceRequirements.filter(requirement => requirement.count !== undefined).forEach(requirement => {
+		const who = requirement.who || 'all';
+		reserve(player =>
+			(who === 'all' || matchesSelector(player, who)) &&
+			getResistance(player, requirement.school) >= requirement.min,
+		requirement.count);
+	});
+
+	const roles = [...new Set(sorted.map(player => player.role))];
+	return roles.flatMap(role => {
+		const ofRole = sorted.filter(player => player.role === role);
+		return [...ofRole.filter(player => needed.has(player)), ...ofRole.filter(player => !needed.has(player))];
+	});
+}
+
+/**
+ * First raid class quota maximum a player would go over, or null
+ */
+function findFullQuota(raidState, player, classQuotas = []) {
+	const players = raidState.getAllPlayers();
+	return classQuotas.find(quota =>
+		quota.max !== undefined && matchesQuota(player, quota) && countQuota(players, quota) >= quota.max
+	) || null;
+}
+
+/**
+ * Order players so hard "together" partners are placed right after each other,
+ * before other players can fill the group
+ */
+function orderWithTogetherPartners(sorted, preferences = []) {
+	const together = preferences.filter(pref => pref.hard && pref.type === PAIR_PREFERENCE_TYPES.TOGETHER);
+	const ordered = [];
+	const emitted = new Set();
+
+	const emit = player => {
+		if (emitted.has(player.userid)) return;
+		emitted.add(player.userid);
+		ordered.push(player);
+
+		together
+			.map(pref => getPartnerKey(pref, player))
+			.filter(key => key !== null)
+			.forEach(key => {
+				const partner = sorted.find(p => matchesPlayer(key, p));
+				if (partner) emit(partner);
+			});
+	};
+
+	sorted.forEach(emit);
+	return ordered;
+}
+
 /**
  * Find the best group to place a player in
  * Returns { groupId, slotIndex } or null if no valid placement
+ * Groups passed over are appended to `skipped` as { groupId, reason }
  */
-function findBestGroupForPlayer(raidState, player, config) {
+function findBestGroupForPlayer(raidState, player, config, skipped = []) {
 	const groupConfig = config.group || GROUP_CONSTRAINTS;
-
-	// Try each group in order
-	for (const group of raidState.groups) {
+	const hardPairs = (groupConfig.PAIR_PREFERENCES || []).filter(pref => pref.hard);
+	const partnersOf = type => hardPairs
+		.filter(pref => pref.type === type)
+		.map(pref => getPartnerKey(pref, player))
+		.filter(key => key !== null);
+	const togetherPartners = partnersOf(PAIR_PREFERENCE_TYPES.TOGETHER);
+	const apartPartners = partnersOf(PAIR_PREFERENCE_TYPES.APART);
+	const hasAny = (group, keys) => group.getPlayers().some(p => keys.some(key => matchesPlayer(key, p)));
+	const quotas = (groupConfig.CLASS_QUOTAS || []).filter(quota => matchesQuota(player, quota));
+	const needsPlayer = group => quotas.some(quota => quota.min && countQuota(group.getPlayers(), quota) < quota.min);
+
+	// Try groups holding a hard "together" partner first, then groups short of
+	// a class quota minimum the player counts towards, then each group in order
+	const groups = [
+		...raidState.groups.filter(g => hasAny(g, togetherPartners)),
+		...raidState.groups.filter(g => !hasAny(g, togetherPartners) && needsPlayer(g)),
+		...raidState.groups.filter(g => !hasAny(g, togetherPartners) && !needsPlayer(g))
+	];
+
+	for (const group of groups) {
 		// Skip full groups
 		if (group.isFull()) {
+			skipped.push({ groupId: group.id, reason: 'GROUP_SIZE' });
+			continue;
+		}
+
+		// Skip groups holding a hard "apart" partner
+		if (hasAny(group, apartPartners)) {
+			skipped.push({ groupId: group.id, reason: 'PAIR_APART' });
 			continue;
 		}
 
@@ -107,10 +279,18 @@ function findBestGroupForPlayer(raidState, player, config) {
 		const roleCounts = group.getRoleCounts();
 		
 		if (player.role === 'tank' && roleCounts.tank >= groupConfig.MAX_TANKS_PER_GROUP) {
+			skipped.push({ groupId: group.id, reason: 'MAX_TANKS_PER_GROUP' });
 			continue;
 		}
 		
 		if (player.role === 'healer' && roleCounts.healer >= groupConfig.MAX_HEALERS_PER_GROUP) {
+			skipped.push({ groupId: group.id, reason: 'MAX_HEALERS_PER_GROUP' });
+			continue;
+		}
+
+		// Check class quota maximums
+		if (quotas.some(quota => quota.max !== undefined && countQuota(group.getPlayers(), quota) >= quota.max)) {
+			skipped.push({ groupId: group.id, reason: 'CLASS_QUOTA_MAX_PER_GROUP' });
 			continue;
 		}
 
@@ -124,41 +304,191 @@ function findBestGroupForPlayer(raidState, player, config) {
 	return null;
 }
 
+/**
+ * Describe groups skipped by findBestGroupForPlayer, e.g.
+ * "groups 1, 2 at tank cap (1); group 3 full"
+ */
+function describeSkippedGroups(skipped, groupConfig) {
+	const labels = {
+		GROUP_SIZE: 'full',
+		PAIR_APART: 'holds a player they must be apart from',
+		MAX_TANKS_PER_GROUP: `at tank cap (${groupConfig.MAX_TANKS_PER_GROUP})`,
+		MAX_HEALERS_PER_GROUP: `at healer cap (${groupConfig.MAX_HEALERS_PER_GROUP})`,
+		CLASS_QUOTA_MAX_PER_GROUP: 'at a class quota maximum'
+	};
+
+	const byReason = {};
+	skipped.forEach(({ groupId, reason }) => {
+		(byReason[reason] = byReason[reason] || []).push(groupId);
+	});
+
+	return Object.entries(byReason)
+		.map(([reason, ids]) => `${ids.length > 1 ? 'groups' : 'group'} ${ids.join(', ')} ${labels[reason]}`)
+		.join('; ');
+}
+
+/**
+ * Explain why an overflow player was benched instead of a placed player of the same role
+ */
+function describeBenching(player, placed) {
+	const sameRole = placed.filter(p => p.role === player.role);
+	const higherStatus = sameRole.filter(p => getStatusPriority(p.status) > getStatusPriority(player.status));
+	const earlierSignup = sameRole.filter(p =>
+		getStatusPriority(p.status) === getStatusPriority(player.status) &&
+		getSignupTime(p) < getSignupTime(player)
+	);
+
+	const reasons = [];
+	if (higherStatus.length > 0) {
+		reasons.push(`Lower status priority (${player.status}) than ${higherStatus.length} placed ${player.role} player(s)`);
+	}
+	if (earlierSignup.length > 0) {
+		reasons.push(`Signed up later than ${earlierSignup.length} placed ${player.role} player(s) with the same status`);
+	}
+	return reasons;
+}
+
+/**
+ * Place pinned players into their pinned group (and slot, if given)
+ * Returns the new raid state and a message for every pin that cannot be honored
+ */
+function placePinnedPlayers(raidState, assignable, pins = {}) {
+	const errors = [];
+
+	(pins.placements || []).forEach(pin => {
+		const player = assignable.find(p => p.userid === pin.userid);
+		if (!player) {
+			errors.push(`Pinned player ${pin.userid} is not an assignable player`);
+			return;
+		}
+
+		const group = raidState.getGroup(pin.groupId);
+		if (!group) {
+			errors.push(`${player.name} is pinned to group ${pin.groupId}, which does not exist`);
+			return;
+		}
+
+		const slotIndex = Number.isInteger(pin.slotIndex) ? pin.slotIndex : group.getFirstEmptySlotIndex();
+		if (slotIndex < 0 || slotIndex >= group.slots.length || group.getPlayerAt(slotIndex)) {
+			errors.push(`${player.name} cannot be pinned to group ${pin.groupId}: slot is full or taken`);
+			return;
+		}
+
+		raidState = raidState.withPlayerAt(group.id, slotIndex, player);
+	});
+
+	return { raidState, errors };
+}
+
 /**
  * Generate a valid seed raid composition
  */
 function generateSeed(players, config = {}) {
 	const raidConfig = { ...RAID_CONSTRAINTS, ...config.raid };
 	const groupConfig = { ...GROUP_CONSTRAINTS, ...config.group };
+	const pins = config.pins || {};
 
 	// Separate players by assignability
 	const assignable = getAssignablePlayers(players);
 	const benched = getBenchedPlayers(players);
 	const excluded = players.filter(p => shouldExclude(p.status));
 
-	// Sort assignable players by priority
-	const sorted = sortPlayersByPriority(assignable);
+	// Pinned players are handled before the greedy pass
+	const benchPinned = assignable.filter(p => isPinnedToBench(pins, p));
+	const free = applyOffSpecRoles(
+		assignable.filter(p => !isPinnedToBench(pins, p) && !getPinnedPlacement(pins, p)),
+		config,
+		assignable.filter(p => getPinnedPlacement(pins, p))
+	);
+
+	// Sort assignable players by priority (required capabilities and class quota
+	// minimums first within a role), keeping hard "together" partners adjacent
+	const sorted = orderWithTogetherPartners(
+		prioritizeCapabilities(
+			sortPlayersByPriority(free, config.classWeights),
+			raidConfig.REQUIRED_CAPABILITIES,
+			raidConfig.CLASS_QUOTAS,
+			raidConfig.REQUIRED_BUFFS,
+			raidConfig.RESISTANCE_REQUIREMENTS
+		),
+		groupConfig.PAIR_PREFERENCES
+	);
 
-	// Create empty raid
-	let raidState = RaidState.createEmpty(
-		raidConfig.MAX_GROUPS || 8,
-		groupConfig.GROUP_SIZE || 5
+	// Create empty raid with pinned players already placed
+	const pinned = placePinnedPlayers(
+		RaidState.createEmpty(raidConfig.MAX_GROUPS || 8, groupConfig.GROUP_SIZE || 5),
+		assignable,
+		pins
 	);
+	let raidState = pinned.raidState;
+
+	if (pinned.errors.length > 0) {
+		return {
+			success: false,
+			error: 'Pinned placements cannot be honored',
+			violations: pinned.errors,
+			raidState: null,
+			stats: {
+				totalPlayers: players.length,
+				assigned: raidState.getTotalPlayerCount(),
+				benched: benched.length + benchPinned.length,
+				excluded: excluded.length
+			}
+		};
+	}
 
-	// Start with empty bench (will add benched players at the end)
-	const finalBench = [...benched];
+	// Start with auto-benched and bench-pinned players (overflow is added at the end)
+	const finalBench = [...benched, ...benchPinned];
 	const unassigned = [];
 
+	// Record the reason behind every decision, keyed by player id
+	const explanations = {};
+	const explain = (player, decision, reasons, groupId = null) => {
+		explanations[player.userid] = { decision, groupId, reasons };
+	};
+
+	excluded.forEach(p => explain(p, 'excluded', [`Status is ${p.status}`]));
+	benched.forEach(p => explain(p, 'benched', [`Signed up as ${p.status}`]));
+	benchPinned.forEach(p => explain(p, 'benched', ['Pinned to bench']));
+	raidState.getAllPlayers().forEach(p => {
+		const { groupId } = raidState.findPlayer(p);
+		explain(p, 'placed', [`Pinned to group ${groupId}`], groupId);
+	});
+
 	// Assign players one by one
 	for (const player of sorted) {
-		const placement = findBestGroupForPlayer(raidState, player, { group: groupConfig });
+		// Players over a raid class quota maximum go to the bench
+		const fullQuota = findFullQuota(raidState, player, raidConfig.CLASS_QUOTAS);
+		if (fullQuota) {
+			unassigned.push(player);
+			explain(player, 'benched', [
+				`Raid already has the maximum of ${fullQuota.max} ${getQuotaLabel(fullQuota)} players`
+			]);
+			continue;
+		}
+
+		const skipped = [];
+		const placement = findBestGroupForPlayer(raidState, player, { group: groupConfig }, skipped);
+		const skippedText = describeSkippedGroups(skipped, groupConfig);
 		
 		if (placement) {
 			// Assign player to group
 			raidState = raidState.withPlayerAt(placement.groupId, placement.slotIndex, player);
+			explain(player, 'placed', [
+				skipped.length > 0
+					? `Placed in group ${placement.groupId}: ${skippedText}`
+					: `Placed in group ${placement.groupId}: first group with room`,
+				...(isOffSpec(player)
+					? [`Playing off-spec ${player.spec} (${player.role}) to cover the ${player.role} minimum`]
+					: [])
+			], placement.groupId);
 		} else {
 			// Could not place player - add to unassigned
 			unassigned.push(player);
+			explain(player, 'benched', [
+				`No group could take another ${player.role}: ${skippedText}`,
+				...describeBenching(player, raidState.getAllPlayers())
+			]);
 		}
 	}
 
@@ -167,7 +497,7 @@ function generateSeed(players, config = {}) {
 	raidState = raidState.withBench(finalBench);
 
 	// Validate the result
-	const validation = validateRaidState(raidState, { raid: raidConfig, group: groupConfig });
+	const validation = validateRaidState(raidState, { raid: raidConfig, group: groupConfig, pins });
 
 	if (!validation.valid) {
 		// Seed generation failed - return error
@@ -189,6 +519,7 @@ function generateSeed(players, config = {}) {
 	return {
 		success: true,
 		raidState,
+		explanations,
 		stats: {
 			totalPlayers: players.length,
 			assigned: raidState.getTotalPlayerCount(),
@@ -238,7 +569,10 @@ function generateSeedWithLogging(players, config = {}) {
  */
 function canGenerateSeed(players, config = {}) {
 	const raidConfig = { ...RAID_CONSTRAINTS, ...config.raid };
-	const assignable = getAssignablePlayers(players);
+	const assignable = applyOffSpecRoles(
+		getAssignablePlayers(players).filter(player => !isPinnedToBench(config.pins, player)),
+		config
+	);
 	
 	// Count roles
 	const roleCounts = { tank: 0, healer: 0, dps: 0 };
@@ -262,6 +596,52 @@ function canGenerateSeed(players, config = {}) {
 		};
 	}
 
+	// Check if enough players provide each required capability
+	for (const [capability, required] of Object.entries(raidConfig.REQUIRED_CAPABILITIES || {})) {
+		const available = countCapability(assignable, capability);
+		if (available < required) {
+			return {
+				possible: false,
+				reason: `Not enough players with ${getCapabilityLabel(capability)}: have ${available}, need ${required}`
+			};
+		}
+	}
+
+	// Check if enough players count towards each class quota minimum
+	for (const quota of raidConfig.CLASS_QUOTAS || []) {
+		const available = countQuota(assignable, quota);
+		if (quota.min && available < quota.min) {
+			return {
+				possible: false,
+				reason: `Not enough ${getQuotaLabel(quota)} players: have ${available}, need ${quota.min}`
+			};
+		}
+	}
+
+	// Check if enough players provide each required buff
+	for (const buff of raidConfig.REQUIRED_BUFFS || []) {
+		const requirement = getBuffRequirement(buff);
+		const available = requirement ? assignable.filter(requirement.matches).length : 0;
+		if (!requirement || available < requirement.count) {
+			return {
+				possible: false,
+				reason: `Not enough players providing ${buff}: have ${available}, need ${requirement ? requirement.count : 1}`
+			};
+		}
+	}
+
+	// Check if enough players meet each counted resistance requirement
+	// (players short of an every-player requirement can still be benched)
+	for (const requirement of raidConfig.RESISTANCE_REQUIREMENTS || []) {
+		const check = checkResistanceRequirement(assignable, requirement);
+		if (requirement.count !== undefined && !check.met) {
+			return {
+				possible: false,
+				reason: `Not enough ${check.label} with ${requirement.min} ${getSchoolLabel(requirement.school)} Resistance: have ${check.meeting}, need ${requirement.count}`
+			};
+		}
+	}
+
 	return {
 		possible: true,
 		roleCounts
@@ -273,7 +653,13 @@ module.exports = {
 	generateSeedWithLogging,
 	canGenerateSeed,
 	sortPlayersByPriority,
+	prioritizeCapabilities,
+	applyOffSpecRoles,
 	getAssignablePlayers,
 	getBenchedPlayers,
-	findBestGroupForPlayer
+	findBestGroupForPlayer,
+	orderWithTogetherPartners,
+	placePinnedPlayers,
+	describeSkippedGroups,
+	getSignupTime
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Spec Check
+ *
+ * Compares the spec a player signed up with on Raid Helper (player.class and
+ * player.spec, as RaidHelperParser.determineClass / inferClassFromSpec read
+ * them) with the talent tree Battle.net reports, so a Fury signup that shows
+ * up Arms is flagged before the optimizer places them.
+ *
+ * The fetched tree is the one with the most points in the active talent group
+ * (player.talents, see summarizeTalents). Players without fetched talents or
+ * with a spec name this module doesn't know are left unchecked.
+ */
+
+// Talent trees by class, in the game's order
+const TALENT_TREES = {
+	Warrior: ['Arms', 'Fury', 'Protection'],
+	Paladin: ['Holy', 'Protection', 'Retribution'],
+	Hunter: ['Beast Mastery', 'Marksmanship', 'Survival'],
+	Rogue: ['Assassination', 'Combat', 'Subtlety'],
+	Priest: ['Discipline', 'Holy', 'Shadow'],
+	Shaman: ['Elemental', 'Enhancement', 'Restoration'],
+	Mage: ['Arcane', 'Fire', 'Frost'],
+	Warlock: ['Affliction', 'Demonology', 'Destruction'],
+	Druid: ['Balance', 'Feral Combat', 'Restoration']
+};
+
+// Raid Helper specs not named after their tree; numbered names ("Holy1" for
+// paladins) are read without the number
+const SPEC_TREES = {
+	Beastmastery: ['Beast Mastery'],
+	Feral: ['Feral Combat'],
+	Guardian: ['Feral Combat'],
+	Dreamstate: ['Balance', 'Restoration']
+};
+
+/**
+ * Talent summary of a Battle.net specializations response
+ *
+ * @param {Object} data - Battle.net character specializations
+ * @returns {Object|null} { tree, points: { [tree]: spent points } }, null without spent points
+ */
+function summarizeTalents(data) {
+	if (!data) return null;
+
+	const groups = data.specialization_groups || [];
+	const group = groups.find(each => each.is_active) || groups[0];
+	if (group) {
+		const points = {};
+		(group.specializations || []).forEach(spec => {
+			points[spec.specialization_name] = spec.spent_points || 0;
+		});
+		const [tree] = Object.entries(points)
+			.filter(([, spent]) => spent > 0)
+			.sort((a, b) => b[1] - a[1])[0] || [];
+		return tree ? { tree, points } : null;
+	}
+
+	// Profiles with one active specialization instead of talent groups
+	if (data.active_specialization && data.active_specialization.name) {
+		return { tree: data.active_specialization.name, points: null };
+	}
+	return null;
+}
+
+/**
+ * Talent trees a signed-up spec stands for (null when the spec can't be checked)
+ */
+function getSignedUpTrees(playerClass, spec) {
+	const classTrees = TALENT_TREES[playerClass];
+	if (!classTrees || !spec) return null;
+
+	const name = spec.replace(/\d+$/, '');
+	const trees = (SPEC_TREES[name] || [name]).filter(tree => classTrees.includes(tree));
+	return trees.length > 0 ? trees : null;
+}
+
+/**
+ * Check a player's signed-up spec against their fetched talents
+ *
+ * @returns {Object} { status: 'match' | 'mismatch' | 'unchecked', player, signedUp, tree, wrongClass }
+ */
+function checkSpec(player) {
+	const result = { status: 'unchecked', player, signedUp: player.spec, tree: null, wrongClass: false };
+	const trees = getSignedUpTrees(player.class, player.spec);
+	if (!trees || !player.talents || !player.talents.tree) return result;
+
+	const { tree } = player.talents;
+	return {
+		...result,
+		status: trees.includes(tree) ? 'match' : 'mismatch',
+		tree,
+		// Talents from another class: most likely the wrong character or realm
+		wrongClass: !TALENT_TREES[player.class].includes(tree)
+	};
+}
+
+/**
+ * Players whose talents don't match their signup (absent players are skipped)
+ */
+function getSpecMismatches(players) {
+	return players
+		.filter(player => player.status !== 'absence')
+		.map(checkSpec)
+		.filter(check => check.status === 'mismatch');
+}
+
+/**
+ * One line about a mismatch ("Bob signed up Fury, talents are Arms (31/20/0)")
+ */
+function describeSpecMismatch(check) {
+	const { player, tree } = check;
+	const points = player.talents.points;
+	const split = points && !check.wrongClass
+		? ` (${TALENT_TREES[player.class].map(each => points[each] || 0).join('/')})`
+		: '';
+	const note = check.wrongClass ? ` - not a ${player.class} tree, check the character's realm` : '';
+	return `${player.name} signed up ${check.signedUp}, talents are ${tree}${split}${note}`;
+}
+
+module.exports = {
+	TALENT_TREES,
+	summarizeTalents,
+	getSignedUpTrees,
+	checkSpec,
+	getSpecMismatches,
+	describeSpecMismatch
+};
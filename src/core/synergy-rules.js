@@ -0,0 +1,302 @@
+/**
+ * Synergy Rules Engine
+ *
+ * Evaluates the declarative rule set in synergy-rules.json (or a custom one)
+ * for both SynergyCalculator and scoreRaidComposition:
+ *
+ * - selectors: named player matchers ({ classes, specs, roles, all, any, excludes })
+ * - buffs: who provides a buff, who benefits, whether it is party-wide, raid-wide
+ *   or self-only, and its score (`value`, or `weight` naming a scoring weight);
+ *   `pool` groups buffs sharing providers (blessings), see buff-coverage.js
+ * - pairSynergies: score for two players in the same group (SynergyCalculator)
+ * - groupBonuses: score for a group holding enough players of each selector
+ *
+ * One rule set is active at a time, like the constraint config. Selectors
+ * missing from a custom set fall back to the default ones.
+ */
+
+const DEFAULT_RULES = require('./synergy-rules.json');
+
+const BUFF_SCOPES = ['party', 'raid', 'self'];
+
+let activeRules = DEFAULT_RULES;
+
+// Rule set -> Map of "selector|class|spec|role" -> match; scoring runs in the search's inner loop
+const selectorCache = new WeakMap();
+
+/**
+ * Get the active rule set
+ */
+function getRuleSet() {
+	return activeRules;
+}
+
+/**
+ * Make a rule set active (null restores the defaults)
+ * Throws if the rule set is invalid
+ */
+function setRuleSet(rules) {
+	if (!rules) {
+		activeRules = DEFAULT_RULES;
+		return;
+	}
+
+	const validation = validateRuleSet(rules);
+	if (!validation.valid) {
+		throw new Error(`Invalid synergy rules: ${validation.errors.join('; ')}`);
+	}
+	activeRules = rules;
+}
+
+/**
+ * Restore the default rule set
+ */
+function resetRuleSet() {
+	activeRules = DEFAULT_RULES;
+}
+
+/**
+ * Look up a selector, falling back to the defaults
+ */
+function getSelector(name, rules = activeRules) {
+	const selectors = rules.selectors || {};
+	return selectors[name] || DEFAULT_RULES.selectors[name] || null;
+}
+
+/**
+ * Role used by selectors (explicit role first, then the model's primary role)
+ */
+function getPlayerRole(player) {
+	return player.role || (player.roles && player.roles.primary);
+}
+
+/**
+ * Check if a player matches a named selector
+ * Listed conditions must all hold (`match: 'any'`: at least one), and no excluded selector may match
+ * Selectors only look at class, spec and role, so results are cached on those
+ */
+function matchesSelector(player, name, rules = activeRules) {
+	if (!selectorCache.has(rules)) selectorCache.set(rules, new Map());
+	const cache = selectorCache.get(rules);
+	const key = `${name}|${player.class}|${player.spec}|${getPlayerRole(player)}`;
+	if (!cache.has(key)) cache.set(key, evaluateSelector(player, name, rules));
+	return cache.get(key);
+}
+
+/**
+ * Evaluate a selector without the cache
+ */
+function evaluateSelector(player, name, rules) {
+	const selector = getSelector(name, rules);
+	if (!selector) return false;
+
+	const spec = (player.spec || '').toLowerCase();
+	const conditions = [];
+	if (selector.classes) conditions.push(selector.classes.includes(player.class));
+	if (selector.specs) conditions.push(selector.specs.some(s => spec.includes(s.toLowerCase())));
+	if (selector.roles) conditions.push(selector.roles.includes(getPlayerRole(player)));
+	if (selector.all) conditions.push(selector.all.every(other => matchesSelector(player, other, rules)));
+	if (selector.any) conditions.push(selector.any.some(other => matchesSelector(player, other, rules)));
+
+	const matched = selector.match === 'any' ? conditions.some(Boolean) : conditions.every(Boolean);
+	return matched && !(selector.excludes || []).some(other => matchesSelector(player, other, rules));
+}
+
+/**
+ * Count players matching a selector
+ */
+function countSelector(players, name, rules = activeRules) {
+	return players.filter(player => matchesSelector(player, name, rules)).length;
+}
+
+/**
+ * Names of the buffs a player provides
+ */
+function getBuffsProvided(player, rules = activeRules) {
+	return (rules.buffs || [])
+		.filter(buff => matchesSelector(player, buff.providers, rules))
+		.map(buff => buff.name);
+}
+
+/**
+ * Pair synergy between two players in the same group
+ * A rule counts once per matching orientation (once if both sides use the same
+ * selector); a matching exclusive rule replaces every other rule
+ */
+function getPairSynergy(player1, player2, rules = activeRules) {
+	let score = 0;
+
+	for (const rule of rules.pairSynergies || []) {
+		const [a, b] = rule.between;
+		const forward = matchesSelector(player1, a, rules) && matchesSelector(player2, b, rules);
+		const backward = matchesSelector(player2, a, rules) && matchesSelector(player1, b, rules);
+		const matches = a === b ? Number(forward) : Number(forward) + Number(backward);
+
+		if (matches > 0 && rule.exclusive) {
+			return rule.value;
+		}
+		score += matches * rule.value;
+	}
+
+	return score;
+}
+
+/**
+ * Bonus for a group holding enough players of each required selector
+ */
+function getGroupBonus(players, rules = activeRules) {
+	return (rules.groupBonuses || [])
+		.filter(bonus => Object.entries(bonus.requires).every(([name, count]) => countSelector(players, name, rules) >= count))
+		.reduce((sum, bonus) => sum + bonus.value, 0);
+}
+
+/**
+ * Buffs that contribute to the raid score (a weight key or a value)
+ */
+function getScoredBuffs(rules = activeRules) {
+	return (rules.buffs || []).filter(buff => buff.weight || buff.value);
+}
+
+/**
+ * Score weight of a buff: the named scoring weight, else its own value
+ */
+function getBuffWeight(buff, weights = {}) {
+	if (buff.weight && weights[buff.weight] !== undefined) return weights[buff.weight];
+	return buff.value || 0;
+}
+
+/**
+ * Score one buff for a raid state
+ * party: per group with a provider, weight x beneficiaries in the group (or 1)
+ * raid: weight x beneficiaries in the raid (or 1) if anyone provides it
+ * self: weight per provider
+ * Pools are not applied: one provider scores every buff of its pool
+ */
+function scoreBuff(raidState, buff, weight, rules = activeRules) {
+	const beneficiaries = players => (buff.beneficiaries ? countSelector(players, buff.beneficiaries, rules) : 1);
+
+	if (buff.scope === 'party') {
+		return raidState.groups.reduce((score, group) => {
+			const players = group.getPlayers();
+			return countSelector(players, buff.providers, rules) > 0 ? score + beneficiaries(players) * weight : score;
+		}, 0);
+	}
+
+	const players = raidState.getAllPlayers();
+	const providers = countSelector(players, buff.providers, rules);
+	if (buff.scope === 'self') {
+		return providers * weight;
+	}
+	return providers > 0 ? beneficiaries(players) * weight : 0;
+}
+
+/**
+ * Check a rule set for missing fields and unknown selectors
+ *
+ * @returns {Object} { valid, errors }
+ */
+function validateRuleSet(rules) {
+	const errors = [];
+	if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+		return { valid: false, errors: ['Rule set must be an object'] };
+	}
+
+	const selectors = rules.selectors || {};
+	const knownSelector = name => typeof name === 'string' && (name in selectors || name in DEFAULT_RULES.selectors);
+	const checkSelector = (name, where) => {
+		if (!knownSelector(name)) errors.push(`${where}: unknown selector "${name}"`);
+	};
+	const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+	Object.entries(selectors).forEach(([name, selector]) => {
+		const where = `selector ${name}`;
+		if (!selector || typeof selector !== 'object') {
+			errors.push(`${where}: must be an object`);
+			return;
+		}
+		['classes', 'specs', 'roles', 'all', 'any', 'excludes'].forEach(field => {
+			if (selector[field] !== undefined && !isList(selector[field])) {
+				errors.push(`${where}: ${field} must be a list of strings`);
+			}
+		});
+		if (selector.match !== undefined && !['all', 'any'].includes(selector.match)) {
+			errors.push(`${where}: match must be "all" or "any"`);
+		}
+		['all', 'any', 'excludes'].forEach(field => {
+			if (isList(selector[field])) selector[field].forEach(other => checkSelector(other, where));
+		});
+	});
+
+	// Selectors may refer to each other (and to default ones), but not in a cycle
+	const visiting = new Set();
+	const done = new Set();
+	const visit = name => {
+		const selector = getSelector(name, rules);
+		if (done.has(name) || !selector || typeof selector !== 'object') return false;
+		if (visiting.has(name)) return true;
+		visiting.add(name);
+		const cyclic = ['all', 'any', 'excludes'].some(field => isList(selector[field]) && selector[field].some(visit));
+		visiting.delete(name);
+		done.add(name);
+		return cyclic;
+	};
+	Object.keys(selectors).forEach(name => {
+		if (visit(name)) errors.push(`selector ${name}: refers to itself`);
+	});
+
+	(rules.buffs || []).forEach((buff, index) => {
+		const where = `buff ${(buff && buff.name) || index + 1}`;
+		if (!buff || typeof buff.name !== 'string') {
+			errors.push(`${where}: needs a name`);
+			return;
+		}
+		checkSelector(buff.providers, where);
+		if (buff.beneficiaries !== undefined) checkSelector(buff.beneficiaries, where);
+		if (!BUFF_SCOPES.includes(buff.scope)) errors.push(`${where}: scope must be one of ${BUFF_SCOPES.join(', ')}`);
+		if (buff.value !== undefined && typeof buff.value !== 'number') errors.push(`${where}: value must be a number`);
+		if (buff.weight !== undefined && typeof buff.weight !== 'string') errors.push(`${where}: weight must be a weight name`);
+		if (buff.pool !== undefined && typeof buff.pool !== 'string') errors.push(`${where}: pool must be a name`);
+	});
+
+	(rules.pairSynergies || []).forEach((rule, index) => {
+		const where = `pair synergy ${(rule && rule.id) || index + 1}`;
+		if (!rule || !Array.isArray(rule.between) || rule.between.length !== 2) {
+			errors.push(`${where}: between must list two selectors`);
+			return;
+		}
+		rule.between.forEach(name => checkSelector(name, where));
+		if (typeof rule.value !== 'number') errors.push(`${where}: value must be a number`);
+	});
+
+	(rules.groupBonuses || []).forEach((bonus, index) => {
+		const where = `group bonus ${(bonus && bonus.id) || index + 1}`;
+		if (!bonus || !bonus.requires || typeof bonus.requires !== 'object') {
+			errors.push(`${where}: requires must map selectors to counts`);
+			return;
+		}
+		Object.entries(bonus.requires).forEach(([name, count]) => {
+			checkSelector(name, where);
+			if (!Number.isInteger(count) || count < 1) errors.push(`${where}: count for ${name} must be a positive integer`);
+		});
+		if (typeof bonus.value !== 'number') errors.push(`${where}: value must be a number`);
+	});
+
+	return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+	DEFAULT_RULES,
+	BUFF_SCOPES,
+	getRuleSet,
+	setRuleSet,
+	resetRuleSet,
+	matchesSelector,
+	countSelector,
+	getBuffsProvided,
+	getPairSynergy,
+	getGroupBonus,
+	getScoredBuffs,
+	getBuffWeight,
+	scoreBuff,
+	validateRuleSet
+};
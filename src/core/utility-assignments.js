@@ -0,0 +1,235 @@
+/**
+ * Utility Assignments
+ *
+ * Turns a finished composition and an encounter profile into the raid
+ * leader's utility sheet:
+ *
+ * 1. Rotations - ordered tranquilizing shot, decurse, interrupt and fear ward
+ *    rotations, sized by the profile's capability counts
+ * 2. Soulstones - one resurrecting healer per warlock
+ * 3. Curses - one curse per warlock, in debuff priority order
+ *
+ * Every section lists backups: unassigned providers in the raid first, then
+ * providers from the bench. Shortfalls are warnings, as the composition
+ * itself is already fixed.
+ */
+
+const { hasCapability } = require('./capabilities');
+const { DEBUFFS } = require('./debuff-planner');
+
+/**
+ * Rotation definitions
+ * `capability` provides the players and the profile count sizing the rotation;
+ * `classes` (optional) narrows the providers, in order of preference;
+ * `hint` (optional) is added to the warning when the rotation is short
+ */
+const UTILITY_ROTATIONS = {
+	tranqShot: { label: 'Tranquilizing Shot', capability: 'tranqShot' },
+	decurse: { label: 'Decurse', capability: 'decurse', classes: ['Mage', 'Druid'] },
+	interrupt: { label: 'Interrupts', capability: 'interrupt', classes: ['Rogue', 'Warrior', 'Mage', 'Shaman'] },
+	fearWard: {
+		label: 'Fear Ward',
+		capability: 'fearImmunity',
+		classes: ['Priest'],
+		hint: 'only Dwarf priests count, mark them in the roster'
+	}
+};
+
+/**
+ * Default assignment rules
+ */
+const DEFAULT_UTILITY_RULES = {
+	// Rotation sizes by rotation id; profile capability counts fill in the rest
+	rotations: {},
+	// Most soulstones handed out
+	soulstones: 3,
+	// Soulstone targets, in order of preference (healers who can resurrect)
+	soulstoneClasses: ['Priest', 'Paladin', 'Shaman']
+};
+
+/**
+ * Role used for assignments (explicit role first, then the model's primary role)
+ */
+function getRole(player) {
+	return player.role || (player.roles && player.roles.primary);
+}
+
+/**
+ * Raid members in raid order, from a RaidState or a list of groups ({ id, players })
+ */
+function getRaidPlayers(source) {
+	const groups = Array.isArray(source) ? source : source.groups;
+	return groups.flatMap(group => (typeof group.getPlayers === 'function' ? group.getPlayers() : group.players || []));
+}
+
+/**
+ * Order providers by class preference, keeping tanks last (they have their own job)
+ */
+function rankProviders(players, classOrder = []) {
+	const classRank = player => {
+		const index = classOrder.indexOf(player.class);
+		return index === -1 ? classOrder.length : index;
+	};
+	const tankRank = player => (getRole(player) === 'tank' ? 1 : 0);
+	return [...players].sort((a, b) => tankRank(a) - tankRank(b) || classRank(a) - classRank(b));
+}
+
+/**
+ * Backups: unassigned raid providers first, then bench providers
+ */
+function getBackups(raidProviders, benchProviders, used) {
+	return [
+		...raidProviders.filter(player => !used.includes(player)).map(player => ({ player, benched: false })),
+		...benchProviders.map(player => ({ player, benched: true }))
+	];
+}
+
+/**
+ * Rotation sizes: explicit rules first, then the profile's capability counts
+ */
+function getRotationSizes(profile, rules) {
+	const capabilities = (profile && profile.capabilities) || {};
+	return Object.fromEntries(Object.entries(UTILITY_ROTATIONS).map(([id, rotation]) => [
+		id,
+		rules.rotations[id] !== undefined ? rules.rotations[id] : capabilities[rotation.capability] || 0
+	]));
+}
+
+/**
+ * Curses in priority order (profile debuff priorities apply; 0 leaves a curse out)
+ */
+function getCurses(profile) {
+	const priorities = (profile && profile.debuffs && profile.debuffs.priorities) || {};
+	return Object.entries(DEBUFFS)
+		.filter(([, debuff]) => debuff.pool === 'curse')
+		.map(([id, debuff], order) => ({
+			id,
+			label: debuff.label,
+			order,
+			priority: priorities[id] !== undefined ? priorities[id] : debuff.priority
+		}))
+		.filter(curse => curse.priority > 0)
+		.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * Generate utility assignments for a composition
+ *
+ * @param {RaidState|Array} source - Final raid state or list of groups
+ * @param {Object} options - { profile, bench, ...overrides for DEFAULT_UTILITY_RULES }
+ * @returns {Object} { rotations: [{ id, label, size, players, backups }], soulstones, curses, warnings }
+ */
+function generateUtilityAssignments(source, options = {}) {
+	const { profile = null, bench = source.bench || [], ...overrides } = options;
+	const rules = { ...DEFAULT_UTILITY_RULES, ...overrides };
+	const players = getRaidPlayers(source);
+	const warnings = [];
+
+	// Rotations the profile (or rules) ask for
+	const sizes = getRotationSizes(profile, rules);
+	const rotations = Object.entries(UTILITY_ROTATIONS)
+		.filter(([id]) => sizes[id] > 0)
+		.map(([id, rotation]) => {
+			const provides = player =>
+				hasCapability(player, rotation.capability) && (!rotation.classes || rotation.classes.includes(player.class));
+			const providers = rankProviders(players.filter(provides), rotation.classes);
+			const assigned = providers.slice(0, sizes[id]);
+
+			if (assigned.length < sizes[id]) {
+				const hint = rotation.hint ? ` (${rotation.hint})` : '';
+				warnings.push(`${rotation.label} rotation has ${assigned.length} of ${sizes[id]} players${hint}`);
+			}
+			return {
+				id,
+				label: rotation.label,
+				size: sizes[id],
+				players: assigned,
+				backups: getBackups(providers, rankProviders(bench.filter(provides), rotation.classes), assigned)
+			};
+		});
+
+	const warlocks = players.filter(player => player.class === 'Warlock');
+	const benchWarlocks = bench.filter(player => player.class === 'Warlock');
+
+	// Soulstones on resurrecting healers
+	const targets = rankProviders(
+		players.filter(player => getRole(player) === 'healer' && rules.soulstoneClasses.includes(player.class)),
+		rules.soulstoneClasses
+	);
+	const soulstones = warlocks
+		.slice(0, Math.min(rules.soulstones, targets.length))
+		.map((warlock, index) => ({ warlock, target: targets[index] }));
+	if (warlocks.length === 0) {
+		warnings.push('No warlock for soulstones');
+	} else if (targets.length === 0) {
+		warnings.push('No healer to soulstone');
+	}
+
+	// One curse per warlock
+	const curses = getCurses(profile).map((curse, index) => ({
+		id: curse.id,
+		label: curse.label,
+		warlock: warlocks[index] || null
+	}));
+	curses.filter(curse => !curse.warlock).forEach(curse => warnings.push(`${curse.label} has no warlock`));
+
+	return {
+		rotations,
+		soulstones: {
+			assignments: soulstones,
+			backups: getBackups(warlocks, benchWarlocks, soulstones.map(assignment => assignment.warlock))
+		},
+		curses: {
+			assignments: curses,
+			backups: getBackups(warlocks, benchWarlocks, curses.map(curse => curse.warlock))
+		},
+		warnings
+	};
+}
+
+/**
+ * Backup names, bench players marked
+ */
+function formatBackups(backups) {
+	return backups.map(backup => (backup.benched ? `${backup.player.name} (bench)` : backup.player.name)).join(', ');
+}
+
+/**
+ * Format assignments as plain text (Discord markdown)
+ */
+function formatUtilityAssignments(assignments) {
+	const lines = ['**Utility Assignments**'];
+	const pushBackups = backups => {
+		if (backups.length > 0) lines.push(`Backups: ${formatBackups(backups)}`);
+	};
+
+	assignments.rotations.forEach(rotation => {
+		lines.push('', `__${rotation.label}__`);
+		rotation.players.forEach((player, index) => lines.push(`${index + 1}. ${player.name}`));
+		if (rotation.players.length === 0) lines.push('-');
+		pushBackups(rotation.backups);
+	});
+
+	lines.push('', '__Soulstones__');
+	assignments.soulstones.assignments.forEach(({ warlock, target }) => lines.push(`${warlock.name} → ${target.name}`));
+	if (assignments.soulstones.assignments.length === 0) lines.push('-');
+	pushBackups(assignments.soulstones.backups);
+
+	lines.push('', '__Curses__');
+	assignments.curses.assignments.forEach(curse => lines.push(`${curse.label}: ${curse.warlock ? curse.warlock.name : '-'}`));
+	pushBackups(assignments.curses.backups);
+
+	if (assignments.warnings.length > 0) {
+		lines.push('', ...assignments.warnings.map(warning => `⚠️ ${warning}`));
+	}
+
+	return lines.join('\n');
+}
+
+module.exports = {
+	UTILITY_ROTATIONS,
+	DEFAULT_UTILITY_RULES,
+	generateUtilityAssignments,
+	formatUtilityAssignments,
+	formatBackups
+};
@@ -1,8 +1,10 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { startOptimizationWorker } = require('./core/optimization-worker');
 
 let mainWindow;
+let activeOptimization = null;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -24,6 +26,9 @@ function createWindow() {
   }
 
   mainWindow.on('closed', () => {
+    if (activeOptimization) {
+      activeOptimization.cancel();
+    }
     mainWindow = null;
   });
 }
@@ -103,6 +108,26 @@ ipcMain.handle('save-csv-file', async (event, data) => {
   return { success: false, error: 'Save cancelled' };
 });
 
+ipcMain.handle('save-text-file', async (event, data, defaultPath = 'raid-composition.txt') => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    filters: [
+      { name: 'Text Files', extensions: ['txt'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    defaultPath
+  });
+
+  if (!result.canceled && result.filePath) {
+    try {
+      await fs.writeFile(result.filePath, data);
+      return { success: true, path: result.filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Save cancelled' };
+});
+
 ipcMain.handle('load-settings', async () => {
   const settingsPath = path.join(app.getPath('userData'), 'settings.json');
   try {
@@ -122,4 +147,88 @@ ipcMain.handle('save-settings', async (event, settings) => {
   } catch (error) {
     return { success: false, error: error.message };
   }
-});
\ No newline at end of file
+});
+
+// Player roster, kept between events (see core/roster.js)
+ipcMain.handle('load-roster', async () => {
+  const rosterPath = path.join(app.getPath('userData'), 'roster.json');
+  try {
+    const content = await fs.readFile(rosterPath, 'utf-8');
+    return { success: true, data: JSON.parse(content) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: true, data: null };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-roster', async (event, roster) => {
+  const rosterPath = path.join(app.getPath('userData'), 'roster.json');
+  try {
+    await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Battle.net gear score cache (see core/gear-cache.js)
+ipcMain.handle('load-gear-cache', async () => {
+  const cachePath = path.join(app.getPath('userData'), 'gear-cache.json');
+  try {
+    const content = await fs.readFile(cachePath, 'utf-8');
+    return { success: true, data: JSON.parse(content) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: true, data: null };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-gear-cache', async (event, cache) => {
+  const cachePath = path.join(app.getPath('userData'), 'gear-cache.json');
+  try {
+    await fs.writeFile(cachePath, JSON.stringify(cache));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Optimization runs on a worker thread; progress is streamed back to the renderer
+ipcMain.handle('run-optimization', async (event, job) => {
+  if (activeOptimization) {
+    return { success: false, error: 'An optimization is already running' };
+  }
+
+  const run = startOptimizationWorker(job, (progress) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('optimization-progress', progress);
+    }
+  });
+  activeOptimization = run;
+
+  try {
+    return await run.result;
+  } finally {
+    activeOptimization = null;
+  }
+});
+
+ipcMain.handle('stop-optimization', async () => {
+  if (!activeOptimization) {
+    return { success: false, error: 'No optimization running' };
+  }
+  activeOptimization.stop();
+  return { success: true };
+});
+
+ipcMain.handle('cancel-optimization', async () => {
+  if (!activeOptimization) {
+    return { success: false, error: 'No optimization running' };
+  }
+  activeOptimization.cancel();
+  return { success: true };
+});
@@ -1,26 +1,114 @@
-const { ipcRenderer } = require("electron");
-const { Player } = require("../core/models");
+const { ipcRenderer, clipboard } = require("electron");
+const { Player, Raid, Group } = require("../core/models");
 const { RaidHelperParser } = require("../core/parser");
 const { RaidHelperAPI } = require("../core/api");
-const RaidOptimizer = require("../core/optimizer");
 const BattleNetAPI = require("../core/battlenet-api");
+const {
+	listEncounterProfiles,
+	getEncounterProfile,
+	validateEncounterProfile,
+} = require("../core/encounter-profiles");
+const {
+	DEFAULT_RULES,
+	setRuleSet,
+	validateRuleSet,
+} = require("../core/synergy-rules");
+const { withRoleOption } = require("../core/role-options");
+const {
+	updateConstraintConfig,
+	validateClassQuotas,
+	getQuotaLabel,
+} = require("../core/constraints");
+const {
+	getBuffCoverage,
+	validateRequiredBuffs,
+} = require("../core/buff-coverage");
+const { planDebuffs } = require("../core/debuff-planner");
+const {
+	generateHealingAssignments,
+	formatHealingAssignments,
+	getTankLabel,
+} = require("../core/healing-assignments");
+const {
+	generateUtilityAssignments,
+	formatUtilityAssignments,
+	formatBackups,
+} = require("../core/utility-assignments");
+const {
+	createEmptyRoster,
+	recordPlayers,
+	recordGearScores,
+	updateRosterEntry,
+	updateCharacter,
+	setMainCharacter,
+	removeRosterEntry,
+	getLatestGearScore,
+	validateRoster,
+} = require("../core/roster");
+const { getCharacterLookups } = require("../core/realms");
+const {
+	DEFAULT_GEAR_CACHE_TTL_HOURS,
+	createEmptyGearCache,
+	getCachedEntry,
+	updateGearCache,
+	validateGearCache,
+} = require("../core/gear-cache");
+const {
+	DEFAULT_GEAR_SCORE_MODEL,
+	GEAR_SCORE_MODELS,
+	scoreEquipment,
+	getSlotLabel,
+} = require("../core/gear-score");
+const { auditRaid, formatGearAudit } = require("../core/gear-audit");
+const {
+	getSchoolLabel,
+	combineResistances,
+	parseResistances,
+	formatResistances,
+	describeShortfall,
+} = require("../core/resistances");
+const { describeSpecMismatch } = require("../core/spec-check");
+
+// Violation lists stay up long enough to read
+const STATUS_DETAIL_MS = 15000;
 
 // Application State
 const appState = {
 	currentData: null,
 	players: [],
 	optimizedResult: null,
+	// Diverse top compositions to page between; optimizedResult is the one shown
+	alternatives: [],
+	alternativeIndex: 0,
+	// Progress panel of the running optimization (see PROGRESS_PANELS)
+	progressPanel: "composition",
 	events: [],
 	selectedEvent: null,
 	api: null,
+	// Players remembered between events (null if the roster file could not be read)
+	roster: createEmptyRoster(),
+	// Players whose last gear score lookup failed: [{ player, realm, error }]
+	gearScoreMisses: [],
+	// Battle.net responses kept between lookups (null if the cache file could not be read)
+	gearCache: createEmptyGearCache(),
 	settings: {
 		clientId: "",
 		clientSecret: "",
 		region: "us",
+		// Guild realm for Battle.net lookups when a player's realm is unknown
+		defaultRealm: "",
+		// Hours a fetched gear score is reused without asking Battle.net
+		gearCacheHours: DEFAULT_GEAR_CACHE_TTL_HOURS,
+		// Gear score model (see core/gear-score.js)
+		gearScoreModel: DEFAULT_GEAR_SCORE_MODEL,
 		raidSize: 40,
 		faction: "neutral",
 		healerPercentage: 25,
 		minTanks: 2,
+		// Score cost per player assigned an alternate spec
+		offSpecPenalty: 4,
+		// Healers per tank in the healing assignments (main tank, then each off-tank)
+		healingRules: { tankHealers: [3, 2] },
 		serverId: "",
 		raidHelperAPIKey: "",
 		classWeights: {
@@ -34,6 +122,18 @@ const appState = {
 			Shaman: 7,
 			Paladin: 6,
 		},
+		// Compositions returned by the constraint-validated mode
+		alternativeCount: 3,
+		// Pair preferences per roster (keyed by Discord server ID)
+		pairPreferences: {},
+		// User-defined encounter profiles (same shape as the built-in ones)
+		encounterProfiles: [],
+		// Hard class/spec quotas for the raid and for every group
+		classQuotas: { raid: [], group: [] },
+		// Buffs (by synergy rule name) every composition must cover
+		requiredBuffs: [],
+		// Custom synergy rule set (null uses synergy-rules.json)
+		synergyRules: null,
 	},
 };
 
@@ -41,7 +141,10 @@ const appState = {
 document.addEventListener("DOMContentLoaded", () => {
 	initializeTabs();
 	initializeEventListeners();
+	populateEncounterProfiles();
 	loadSettings();
+	loadRoster();
+	loadGearCache();
 });
 
 // Tab Management
@@ -91,6 +194,16 @@ function initializeEventListeners() {
 		.getElementById("save-settings-btn")
 		.addEventListener("click", saveSettings);
 
+	document
+		.getElementById("load-synergy-rules-btn")
+		.addEventListener("click", loadSynergyRulesFile);
+	document
+		.getElementById("validate-synergy-rules-btn")
+		.addEventListener("click", validateSynergyRules);
+	document
+		.getElementById("reset-synergy-rules-btn")
+		.addEventListener("click", resetSynergyRules);
+
 	// Composition tab
 	document
 		.getElementById("optimize-btn")
@@ -98,6 +211,43 @@ function initializeEventListeners() {
 	document
 		.getElementById("fetch-gs-btn")
 		.addEventListener("click", fetchGearScores);
+	document
+		.getElementById("retry-gear-scores-btn")
+		.addEventListener("click", retryGearScores);
+	document
+		.getElementById("encounter-profile")
+		.addEventListener("change", displayGearAudit);
+	document
+		.getElementById("copy-gear-audit-btn")
+		.addEventListener("click", copyGearAudit);
+	document
+		.getElementById("export-gear-audit-btn")
+		.addEventListener("click", exportGearAudit);
+	document
+		.getElementById("stop-optimization-btn")
+		.addEventListener("click", stopOptimization);
+	document
+		.getElementById("cancel-optimization-btn")
+		.addEventListener("click", cancelOptimization);
+	document
+		.getElementById("raidcomp-stop-optimization-btn")
+		.addEventListener("click", stopOptimization);
+	document
+		.getElementById("raidcomp-cancel-optimization-btn")
+		.addEventListener("click", cancelOptimization);
+	ipcRenderer.on("optimization-progress", (event, progress) =>
+		updateOptimizationProgress(progress)
+	);
+	document
+		.getElementById("prev-alternative-btn")
+		.addEventListener("click", () =>
+			showAlternative(appState.alternativeIndex - 1)
+		);
+	document
+		.getElementById("next-alternative-btn")
+		.addEventListener("click", () =>
+			showAlternative(appState.alternativeIndex + 1)
+		);
 
 	// View toggle
 	document.querySelectorAll(".view-btn").forEach((btn) => {
@@ -123,6 +273,28 @@ function initializeEventListeners() {
 	document
 		.getElementById("copy-clipboard-btn")
 		.addEventListener("click", copyToClipboard);
+	document
+		.getElementById("copy-healing-btn")
+		.addEventListener("click", copyHealingAssignments);
+	document
+		.getElementById("copy-utility-btn")
+		.addEventListener("click", copyUtilityAssignments);
+	document
+		.getElementById("export-utility-btn")
+		.addEventListener("click", exportUtilityAssignments);
+
+	// Roster
+	document
+		.getElementById("roster-search")
+		.addEventListener("input", renderRoster);
+	const rosterContainer = document.getElementById("roster-container");
+	rosterContainer.addEventListener("change", handleRosterChange);
+	rosterContainer.addEventListener("click", handleRosterRemove);
+
+	// Gear score breakdown
+	document
+		.getElementById("gear-breakdown-player")
+		.addEventListener("change", renderGearBreakdown);
 }
 
 // Event List Functions
@@ -347,13 +519,18 @@ function hideEventError() {
 function parseRaidData(data) {
 	console.log("data:", data);
 	const parser = new RaidHelperParser();
-	const result = parser.parse(data);
+	const result = parser.parse(data, appState.roster);
 
 	if (result.success) {
 		appState.players = result.players;
+		recordRosterPlayers(result.players);
+		applyCachedGearScores(result.players);
+		appState.gearScoreMisses = [];
+		displayGearScoreMisses();
+		renderGearBreakdown();
+		displayGearAudit();
 
-		const summary = parser.getSummary(result.players);
-		displayPlayerSummary(summary);
+		refreshPlayerSummary();
 
 		// Show warnings if any
 		if (result.warnings && result.warnings.length > 0) {
@@ -375,6 +552,13 @@ function parseRaidData(data) {
 	}
 }
 
+// Summary of the loaded players, again after talents are fetched
+function refreshPlayerSummary() {
+	const summary = new RaidHelperParser().getSummary(appState.players);
+	displayPlayerSummary(summary);
+	return summary;
+}
+
 // Display Player Summary
 function displayPlayerSummary(players) {
 	const container = document.getElementById("player-summary");
@@ -418,6 +602,268 @@ function displayPlayerSummary(players) {
 	});
 	classHTML += "</div>";
 	container.innerHTML += classHTML;
+
+	// Signups their Battle.net talents disagree with, for officers to follow up
+	if (players.specMismatches.length > 0) {
+		let mismatchHTML =
+			'<div class="summary-card spec-mismatches"><h4>⚠️ Spec Check</h4>';
+		players.specMismatches.forEach((check) => {
+			mismatchHTML += `<p>${escapeAttribute(describeSpecMismatch(check))}</p>`;
+		});
+		mismatchHTML += "</div>";
+		container.innerHTML += mismatchHTML;
+	}
+}
+
+// Player Roster
+async function loadRoster() {
+	const result = await ipcRenderer.invoke("load-roster");
+
+	if (!result.success) {
+		appState.roster = null;
+		console.error("Failed to load roster:", result.error);
+	} else if (result.data) {
+		const errors = validateRoster(result.data);
+		if (errors.length > 0) {
+			// Leave the file alone rather than overwrite it
+			appState.roster = null;
+			console.error("Invalid roster file:", errors);
+		} else {
+			appState.roster = result.data;
+		}
+	}
+	renderRoster();
+}
+
+async function saveRoster() {
+	const result = await ipcRenderer.invoke("save-roster", appState.roster);
+
+	if (!result.success) {
+		showRosterStatus("error", `Failed to save roster: ${result.error}`);
+	}
+}
+
+// Remember the players of a loaded event
+function recordRosterPlayers(players) {
+	if (!appState.roster) return;
+
+	appState.roster = recordPlayers(appState.roster, players);
+	saveRoster();
+	renderRoster();
+}
+
+// Gear scores fresh from Battle.net join the roster's history
+function recordRosterGearScores(players) {
+	if (!appState.roster || players.length === 0) return;
+
+	appState.roster = recordGearScores(appState.roster, players);
+	saveRoster();
+	renderRoster();
+}
+
+function renderRoster() {
+	const container = document.getElementById("roster-container");
+
+	if (!appState.roster) {
+		container.innerHTML =
+			'<p class="help-text">The roster file could not be read - see the console for details.</p>';
+		return;
+	}
+
+	const query = document
+		.getElementById("roster-search")
+		.value.trim()
+		.toLowerCase();
+	const entries = Object.values(appState.roster.players)
+		.filter(
+			(entry) =>
+				!query ||
+				[
+					entry.name,
+					entry.userId,
+					...entry.characters.map((character) => character.name),
+				].some((text) => String(text).toLowerCase().includes(query))
+		)
+		.sort((a, b) => a.name.localeCompare(b.name));
+
+	if (entries.length === 0) {
+		container.innerHTML = `<p class="help-text">${
+			query ? "No matching players" : "No players yet - load an event to fill the roster"
+		}</p>`;
+		return;
+	}
+
+	const rows = entries.map((entry) => {
+		const data = `data-user-id="${escapeAttribute(entry.userId)}"`;
+		const characters = entry.characters
+			.map((character) => {
+				const characterData = `${data} data-character="${escapeAttribute(
+					character.name
+				)}"`;
+				const gearScore = getLatestGearScore(character);
+				return `<div class="roster-character">
+                    <label title="Main character"><input type="radio" class="roster-main" name="main-${escapeAttribute(
+						entry.userId
+					)}" ${characterData} ${character.main ? "checked" : ""}> ${escapeAttribute(
+					character.name
+				)}</label>
+                    <span class="roster-character-details">${character.class}${
+					character.specs.length > 0
+						? ` (${escapeAttribute(character.specs.join(", "))})`
+						: ""
+				}${gearScore ? ` · GS ${gearScore}` : ""}</span>
+                    <input type="text" class="roster-realm" ${characterData} value="${escapeAttribute(
+					character.realm
+				)}" placeholder="Realm">
+                    <input type="text" class="roster-off-specs" ${characterData} value="${escapeAttribute(
+					(character.offSpecs || []).join(", ")
+				)}" placeholder="Off-specs (Feral, Balance)" title="Specs the optimizer may assign besides the signed-up one, from the next event load">
+                    <input type="text" class="roster-resistances" ${characterData} value="${escapeAttribute(
+					formatResistances(character.resistances)
+				)}" placeholder="Resistances (fire 315)" title="Overrides the resistances from Battle.net gear">${
+					character.class === "Priest"
+						? `
+                    <label title="Dwarf priests have Fear Ward"><input type="checkbox" class="roster-dwarf" ${characterData} ${
+								character.race === "Dwarf" ? "checked" : ""
+						  }> Dwarf</label>`
+						: ""
+				}
+                </div>`;
+			})
+			.join("");
+
+		return `<tr>
+            <th>${escapeAttribute(entry.name)}<div class="roster-user-id">${escapeAttribute(
+			entry.userId
+		)}</div></th>
+            <td><input type="text" class="roster-rank" ${data} value="${escapeAttribute(
+			entry.rank
+		)}" placeholder="Rank"></td>
+            <td>${characters}</td>
+            <td><input type="text" class="roster-notes" ${data} value="${escapeAttribute(
+			entry.notes
+		)}" placeholder="Notes"></td>
+            <td>${
+				entry.lastSeen ? new Date(entry.lastSeen).toLocaleDateString() : "–"
+			}</td>
+            <td><button class="btn btn-secondary roster-remove" ${data}>Remove</button></td>
+        </tr>`;
+	});
+
+	container.innerHTML = `
+        <table class="roster-table">
+            <thead><tr><th>Player</th><th>Rank</th><th>Characters</th><th>Notes</th><th>Last Seen</th><th></th></tr></thead>
+            <tbody>${rows.join("")}</tbody>
+        </table>
+    `;
+}
+
+function handleRosterChange(event) {
+	const target = event.target;
+	const { userId, character } = target.dataset;
+	if (!userId || !appState.roster) return;
+
+	try {
+		if (target.classList.contains("roster-rank")) {
+			appState.roster = updateRosterEntry(appState.roster, userId, {
+				rank: target.value.trim(),
+			});
+		} else if (target.classList.contains("roster-notes")) {
+			appState.roster = updateRosterEntry(appState.roster, userId, {
+				notes: target.value.trim(),
+			});
+		} else if (target.classList.contains("roster-realm")) {
+			appState.roster = updateCharacter(appState.roster, userId, character, {
+				realm: target.value.trim(),
+			});
+		} else if (target.classList.contains("roster-off-specs")) {
+			appState.roster = updateCharacter(appState.roster, userId, character, {
+				offSpecs: target.value
+					.split(",")
+					.map((spec) => spec.trim())
+					.filter((spec) => spec.length > 0),
+			});
+		} else if (target.classList.contains("roster-resistances")) {
+			const { resistances, errors } = parseResistances(target.value);
+			if (errors.length > 0) {
+				showRosterStatus("error", errors.join("; "));
+				return;
+			}
+			appState.roster = updateCharacter(appState.roster, userId, character, {
+				resistances,
+			});
+			applyEnteredResistances(userId, character, resistances);
+		} else if (target.classList.contains("roster-dwarf")) {
+			const race = target.checked ? "Dwarf" : null;
+			appState.roster = updateCharacter(appState.roster, userId, character, {
+				race,
+			});
+			applyRosterRace(userId, character, race);
+		} else if (target.classList.contains("roster-main")) {
+			appState.roster = setMainCharacter(appState.roster, userId, character);
+		} else {
+			return;
+		}
+	} catch (error) {
+		showRosterStatus("error", error.message);
+		return;
+	}
+	saveRoster();
+}
+
+// Entered resistances take effect for the loaded event right away
+function applyEnteredResistances(userId, characterName, resistances) {
+	appState.players
+		.filter(
+			(player) =>
+				player.id === userId &&
+				player.name.toLowerCase() === characterName.toLowerCase()
+		)
+		.forEach((player) => {
+			player.enteredResistances = resistances;
+			player.resistances = combineResistances(
+				player.gearEquipment,
+				resistances
+			);
+		});
+	displayGearAudit();
+}
+
+// A race marked in the roster takes effect for the loaded event right away
+function applyRosterRace(userId, characterName, race) {
+	appState.players
+		.filter(
+			(player) =>
+				player.id === userId &&
+				player.name.toLowerCase() === characterName.toLowerCase()
+		)
+		.forEach((player) => {
+			player.race = race;
+		});
+}
+
+function handleRosterRemove(event) {
+	const target = event.target;
+	if (!target.classList.contains("roster-remove") || !appState.roster) return;
+
+	const entry = appState.roster.players[target.dataset.userId];
+	if (!entry || !confirm(`Remove ${entry.name} from the roster?`)) return;
+
+	appState.roster = removeRosterEntry(appState.roster, entry.userId);
+	saveRoster();
+	renderRoster();
+	showRosterStatus("success", `Removed ${entry.name} from the roster`);
+}
+
+function showRosterStatus(type, message) {
+	const statusDiv = document.getElementById("roster-status");
+	statusDiv.className = `status-message ${type}`;
+	statusDiv.textContent = message;
+	statusDiv.classList.remove("hidden");
+
+	setTimeout(() => {
+		statusDiv.classList.add("hidden");
+	}, 5000);
 }
 
 // Settings Management
@@ -426,6 +872,9 @@ async function loadSettings() {
 
 	if (result.success && result.data) {
 		appState.settings = { ...appState.settings, ...result.data };
+		applySynergyRules();
+		applyClassQuotas();
+		applyRequiredBuffs();
 		populateSettingsForm();
 
 		// Initialize API if credentials are available
@@ -448,6 +897,14 @@ function populateSettingsForm() {
 	document.getElementById("client-secret").value =
 		appState.settings.clientSecret || "";
 	document.getElementById("region").value = appState.settings.region || "us";
+	document.getElementById("default-realm").value =
+		appState.settings.defaultRealm || "";
+	document.getElementById("gear-cache-hours").value =
+		appState.settings.gearCacheHours !== undefined
+			? appState.settings.gearCacheHours
+			: DEFAULT_GEAR_CACHE_TTL_HOURS;
+	populateGearScoreModels();
+	renderGearBreakdown();
 	document.getElementById("raid-size").value =
 		appState.settings.raidSize || 40;
 	document.getElementById("faction").value =
@@ -456,6 +913,36 @@ function populateSettingsForm() {
 		appState.settings.healerPercentage || 25;
 	document.getElementById("tank-count").value =
 		appState.settings.minTanks || 2;
+	document.getElementById("off-spec-penalty").value =
+		appState.settings.offSpecPenalty !== undefined
+			? appState.settings.offSpecPenalty
+			: 4;
+	document.getElementById("alternative-count").value =
+		appState.settings.alternativeCount || 3;
+	const [mainTankHealers, offTankHealers] =
+		appState.settings.healingRules.tankHealers;
+	document.getElementById("main-tank-healers").value = mainTankHealers;
+	document.getElementById("off-tank-healers").value = offTankHealers;
+
+	document.getElementById("pair-preferences").value = formatPairPreferences(
+		getRosterPairPreferences()
+	);
+	document.getElementById("class-quotas").value = formatClassQuotas(
+		appState.settings.classQuotas
+	);
+	document.getElementById("required-buffs").value = (
+		appState.settings.requiredBuffs || []
+	).join(", ");
+	document.getElementById("custom-encounter-profiles").value =
+		appState.settings.encounterProfiles.length > 0
+			? JSON.stringify(appState.settings.encounterProfiles, null, 2)
+			: "";
+	populateEncounterProfiles();
+	document.getElementById("synergy-rules").value = JSON.stringify(
+		appState.settings.synergyRules || DEFAULT_RULES,
+		null,
+		2
+	);
 
 	// Class weights
 	Object.entries(appState.settings.classWeights).forEach(
@@ -477,6 +964,18 @@ async function saveSettings() {
 	appState.settings.clientSecret =
 		document.getElementById("client-secret").value;
 	appState.settings.region = document.getElementById("region").value;
+	appState.settings.defaultRealm = document
+		.getElementById("default-realm")
+		.value.trim();
+	appState.settings.gearCacheHours = Math.max(
+		0,
+		parseFloat(document.getElementById("gear-cache-hours").value) || 0
+	);
+	const gearScoreModel = document.getElementById("gear-score-model").value;
+	if (gearScoreModel !== appState.settings.gearScoreModel) {
+		appState.settings.gearScoreModel = gearScoreModel;
+		rescoreGear(appState.players);
+	}
 	appState.settings.raidSize = parseInt(
 		document.getElementById("raid-size").value
 	);
@@ -487,6 +986,19 @@ async function saveSettings() {
 	appState.settings.minTanks = parseInt(
 		document.getElementById("tank-count").value
 	);
+	appState.settings.offSpecPenalty = parseFloat(
+		document.getElementById("off-spec-penalty").value
+	);
+	appState.settings.alternativeCount = parseInt(
+		document.getElementById("alternative-count").value
+	);
+	appState.settings.healingRules = {
+		...appState.settings.healingRules,
+		tankHealers: [
+			parseInt(document.getElementById("main-tank-healers").value) || 0,
+			parseInt(document.getElementById("off-tank-healers").value) || 0,
+		],
+	};
 
 	// Class weights
 	[
@@ -510,6 +1022,78 @@ async function saveSettings() {
 		}
 	});
 
+	// Pair preferences
+	const pairs = parsePairPreferences(
+		document.getElementById("pair-preferences").value
+	);
+	if (pairs.errors.length > 0) {
+		showStatus("error", `Invalid pair preference: ${pairs.errors[0]}`);
+		return;
+	}
+	appState.settings.pairPreferences = {
+		...appState.settings.pairPreferences,
+		[getRosterKey()]: pairs.preferences,
+	};
+
+	// Class quotas
+	const quotas = parseClassQuotas(
+		document.getElementById("class-quotas").value
+	);
+	if (quotas.errors.length > 0) {
+		showStatus(
+			"error",
+			formatViolations("Invalid class quota", quotas.errors),
+			STATUS_DETAIL_MS
+		);
+		return;
+	}
+	appState.settings.classQuotas = quotas.quotas;
+	applyClassQuotas();
+
+	// Custom encounter profiles
+	const profiles = parseEncounterProfiles(
+		document.getElementById("custom-encounter-profiles").value
+	);
+	if (profiles.errors.length > 0) {
+		showStatus("error", `Invalid encounter profile: ${profiles.errors[0]}`);
+		return;
+	}
+	appState.settings.encounterProfiles = profiles.profiles;
+	populateEncounterProfiles();
+
+	// Synergy rules
+	const rules = parseSynergyRules(
+		document.getElementById("synergy-rules").value
+	);
+	if (rules.errors.length > 0) {
+		showStatus(
+			"error",
+			formatViolations("Invalid synergy rules", rules.errors),
+			STATUS_DETAIL_MS
+		);
+		return;
+	}
+	appState.settings.synergyRules = rules.rules;
+	applySynergyRules();
+
+	// Required buffs (checked against the rules just applied)
+	const requiredBuffs = document
+		.getElementById("required-buffs")
+		.value.split(",")
+		.map((name) => name.trim())
+		.filter((name) => name.length > 0);
+	const buffErrors = validateRequiredBuffs(requiredBuffs);
+	if (buffErrors.length > 0) {
+		showStatus(
+			"error",
+			formatViolations("Invalid required buffs", buffErrors),
+			STATUS_DETAIL_MS
+		);
+		return;
+	}
+	appState.settings.requiredBuffs = requiredBuffs;
+	applyRequiredBuffs();
+
 	const result = await ipcRenderer.invoke("save-settings", appState.settings);
 
 	if (result.success) {
@@ -527,8 +1111,291 @@ async function saveSettings() {
 	}
 }
 
+// Pair Preferences
+// One rule per line: "Name1, Name2, together|apart[, hard]"
+function getRosterKey() {
+	return appState.settings.serverId || "default";
+}
+
+function getRosterPairPreferences() {
+	return (appState.settings.pairPreferences || {})[getRosterKey()] || [];
+}
+
+function parsePairPreferences(text) {
+	const preferences = [];
+	const errors = [];
+
+	text.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line.length > 0)
+		.forEach((line) => {
+			const [playerA, playerB, type, flag] = line
+				.split(",")
+				.map((part) => part.trim());
+
+			if (!playerA || !playerB || !["together", "apart"].includes(type)) {
+				errors.push(line);
+				return;
+			}
+
+			preferences.push({
+				players: [playerA, playerB],
+				type,
+				hard: flag === "hard",
+			});
+		});
+
+	return { preferences, errors };
+}
+
+function formatPairPreferences(preferences) {
+	return preferences
+		.map(
+			(pref) =>
+				`${pref.players[0]}, ${pref.players[1]}, ${pref.type}${
+					pref.hard ? ", hard" : ""
+				}`
+		)
+		.join("\n");
+}
+
+// Class Quotas
+// One rule per line: "[group] Class[/Class] [Spec] min N [max N]",
+// e.g. "Hunter max 6", "Paladin/Shaman min 2", "group Shadow Priest max 1"
+const QUOTA_CLASSES = [
+	"Warrior",
+	"Rogue",
+	"Hunter",
+	"Mage",
+	"Warlock",
+	"Priest",
+	"Druid",
+	"Shaman",
+	"Paladin",
+];
+
+function parseClassQuotas(text) {
+	const quotas = { raid: [], group: [] };
+	const errors = [];
+
+	text.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line.length > 0)
+		.forEach((line) => {
+			const words = line.split(/\s+/);
+			const level = words[0].toLowerCase() === "group" ? "group" : "raid";
+			if (level === "group") words.shift();
+
+			const quota = {};
+			const name = [];
+			for (let i = 0; i < words.length; i++) {
+				const bound = words[i].toLowerCase();
+				if ((bound === "min" || bound === "max") && i + 1 < words.length) {
+					quota[bound] = Number(words[++i]);
+				} else {
+					name.push(words[i]);
+				}
+			}
+
+			const classes = name.filter((word) =>
+				word.split("/").every((part) => QUOTA_CLASSES.includes(part))
+			);
+			const specs = name.filter((word) => !classes.includes(word)).join(" ");
+			if (classes.length > 0) quota.classes = classes.join("/").split("/");
+			if (specs.length > 0) quota.specs = specs.split("/");
+
+			const quotaErrors = validateClassQuotas([quota]);
+			if (quotaErrors.length > 0) {
+				errors.push(`${line} (${quotaErrors[0].replace(/^Quota 1:? ?/, "")})`);
+				return;
+			}
+			quotas[level].push(quota);
+		});
+
+	return { quotas, errors };
+}
+
+function formatClassQuotas(quotas = {}) {
+	const format = (quota, prefix) =>
+		[
+			prefix,
+			getQuotaLabel(quota),
+			quota.min !== undefined ? `min ${quota.min}` : "",
+			quota.max !== undefined ? `max ${quota.max}` : "",
+		]
+			.filter(Boolean)
+			.join(" ");
+
+	return [
+		...(quotas.raid || []).map((quota) => format(quota, "")),
+		...(quotas.group || []).map((quota) => format(quota, "group")),
+	].join("\n");
+}
+
+function applyClassQuotas() {
+	const quotas = appState.settings.classQuotas || {};
+	try {
+		updateConstraintConfig({
+			raid: { CLASS_QUOTAS: quotas.raid || [] },
+			group: { CLASS_QUOTAS: quotas.group || [] },
+		});
+	} catch (error) {
+		appState.settings.classQuotas = { raid: [], group: [] };
+		updateConstraintConfig({
+			raid: { CLASS_QUOTAS: [] },
+			group: { CLASS_QUOTAS: [] },
+		});
+		showStatus("error", `${error.message}. Class quotas cleared.`);
+	}
+}
+
+function applyRequiredBuffs() {
+	try {
+		updateConstraintConfig({
+			raid: { REQUIRED_BUFFS: appState.settings.requiredBuffs || [] },
+		});
+	} catch (error) {
+		appState.settings.requiredBuffs = [];
+		updateConstraintConfig({ raid: { REQUIRED_BUFFS: [] } });
+		showStatus("error", `${error.message}. Required buffs cleared.`);
+	}
+}
+
+// Encounter Profiles
+function parseEncounterProfiles(text) {
+	if (text.trim().length === 0) return { profiles: [], errors: [] };
+
+	let profiles;
+	try {
+		profiles = JSON.parse(text);
+	} catch (error) {
+		return { profiles: [], errors: [error.message] };
+	}
+	if (!Array.isArray(profiles)) {
+		return { profiles: [], errors: ["expected a JSON list of profiles"] };
+	}
+
+	const errors = profiles.flatMap((profile) =>
+		validateEncounterProfile(profile).errors.map(
+			(error) => `${(profile && profile.id) || "profile"}: ${error}`
+		)
+	);
+	return { profiles, errors };
+}
+
+// Encounter dropdown, grouped by raid; keeps the current selection if it still exists
+function populateEncounterProfiles() {
+	const select = document.getElementById("encounter-profile");
+	const selected = select.value;
+	const byRaid = new Map();
+
+	listEncounterProfiles(appState.settings.encounterProfiles).forEach(
+		(profile) => {
+			const raid = profile.raid || "Custom";
+			if (!byRaid.has(raid)) byRaid.set(raid, []);
+			byRaid.get(raid).push(profile);
+		}
+	);
+
+	select.innerHTML = '<option value="">Any encounter</option>';
+	byRaid.forEach((profiles, raid) => {
+		const group = document.createElement("optgroup");
+		group.label = raid;
+		profiles.forEach((profile) => {
+			group.appendChild(new Option(profile.name, profile.id));
+		});
+		select.appendChild(group);
+	});
+
+	if (getEncounterProfile(selected, appState.settings.encounterProfiles)) {
+		select.value = selected;
+	}
+}
+
+function getSelectedEncounterProfile() {
+	const id = document.getElementById("encounter-profile").value;
+	return id
+		? getEncounterProfile(id, appState.settings.encounterProfiles)
+		: null;
+}
+
+// Synergy Rules
+// Stored only when they differ from the defaults, so rule updates ship with new versions
+function parseSynergyRules(text) {
+	if (text.trim().length === 0) return { rules: null, errors: [] };
+
+	let rules;
+	try {
+		rules = JSON.parse(text);
+	} catch (error) {
+		return { rules: null, errors: [error.message] };
+	}
+
+	const validation = validateRuleSet(rules);
+	if (JSON.stringify(rules) === JSON.stringify(DEFAULT_RULES)) {
+		rules = null;
+	}
+	return { rules, errors: validation.errors };
+}
+
+function applySynergyRules() {
+	try {
+		setRuleSet(appState.settings.synergyRules);
+	} catch (error) {
+		appState.settings.synergyRules = null;
+		setRuleSet(null);
+		showStatus("error", `${error.message}. Using the default rules.`);
+	}
+}
+
+async function loadSynergyRulesFile() {
+	const result = await ipcRenderer.invoke("select-json-file");
+	if (!result.success) {
+		if (result.error !== "No file selected") {
+			showStatus("error", `Error loading rules: ${result.error}`);
+		}
+		return;
+	}
+
+	document.getElementById("synergy-rules").value = JSON.stringify(
+		result.data,
+		null,
+		2
+	);
+	validateSynergyRules();
+}
+
+function validateSynergyRules() {
+	const rules = parseSynergyRules(
+		document.getElementById("synergy-rules").value
+	);
+	if (rules.errors.length > 0) {
+		showStatus(
+			"error",
+			formatViolations("Invalid synergy rules", rules.errors),
+			STATUS_DETAIL_MS
+		);
+	} else {
+		showStatus("success", "Synergy rules are valid. Save to apply them.");
+	}
+}
+
+function resetSynergyRules() {
+	document.getElementById("synergy-rules").value = JSON.stringify(
+		DEFAULT_RULES,
+		null,
+		2
+	);
+	showStatus("info", "Default synergy rules restored. Save to apply them.");
+}
+
 // Fetch Gear Scores
 async function fetchGearScores() {
+	await lookUpGearScores(appState.players);
+}
+
+// Look players up on their own realms (see core/realms.js); misses are listed for correction
+async function lookUpGearScores(players) {
 	if (!appState.settings.clientId || !appState.settings.clientSecret) {
 		showStatus(
 			"error",
@@ -542,43 +1409,427 @@ async function fetchGearScores() {
 	const api = new BattleNetAPI(
 		appState.settings.clientId,
 		appState.settings.clientSecret,
-		appState.settings.region
+		appState.settings.region,
+		{ gearScoreModel: appState.settings.gearScoreModel }
 	);
 
-	const defaultRealm = "Whitemane";
-
-	const characters = appState.players.map((player) => ({
-		name: player.name,
-		realm: defaultRealm,
-	}));
+	const { characters, unresolved } = getCharacterLookups(players, {
+		defaultRealm: appState.settings.defaultRealm,
+	});
 
 	try {
-		const results = await api.batchGetGearScores(characters);
+		const results = await api.batchGetGearScores(characters, {
+			cache: appState.gearCache,
+			ttlHours: appState.settings.gearCacheHours,
+			onProgress: showGearScoreProgress,
+			talents: true,
+		});
+		if (appState.gearCache) {
+			appState.gearCache = updateGearCache(
+				appState.gearCache,
+				appState.settings.region,
+				results
+			);
+			saveGearCache();
+		}
 
 		let successCount = 0;
+		const fetched = [];
+		const misses = unresolved.map((player) => ({
+			player,
+			realm: "",
+			error: "No realm known",
+		}));
 		results.forEach((result) => {
+			const player = players.find((p) => p.id === result.playerId);
+			if (!player) return;
+
 			if (result.success) {
-				const player = appState.players.find(
-					(p) => p.name === result.name
+				setPlayerGear(
+					player,
+					result.equipment,
+					result.gearScore,
+					result.fetchedAt
 				);
-				if (player) {
-					player.gearScore = result.gearScore;
-					successCount++;
-				}
+				player.talents = result.talents;
+				successCount++;
+				// Cached and offline gear was recorded when it was fetched;
+				// an unchanged (304) answer still confirms today's gear
+				if (!result.cached) fetched.push(player);
+			} else {
+				misses.push({ player, realm: result.realm, error: result.error });
 			}
 		});
 
+		// Earlier misses outside this lookup stay listed
+		appState.gearScoreMisses = [
+			...appState.gearScoreMisses.filter(
+				(miss) => !players.includes(miss.player)
+			),
+			...misses,
+		];
+		recordRosterGearScores(fetched);
+		displayGearScoreMisses();
+		renderGearBreakdown();
+		displayGearAudit();
+
+		// Talents came with the gear; check them against the signed-up specs
+		const mismatches = refreshPlayerSummary().specMismatches.filter(
+			(check) => players.includes(check.player)
+		).length;
+
+		const cachedCount = results.filter(
+			(result) => result.cached && !result.offline
+		).length;
+		const offlineCount = results.filter((result) => result.offline).length;
 		showStatus(
-			"success",
-			`Successfully fetched gear scores for ${successCount}/${appState.players.length} players`
+			misses.length === 0 && offlineCount === 0 ? "success" : "info",
+			`Successfully fetched gear scores for ${successCount}/${
+				players.length
+			} players${cachedCount > 0 ? ` (${cachedCount} from cache)` : ""}${
+				offlineCount > 0
+					? ` - Battle.net unreachable for ${offlineCount}, showing last-known gear`
+					: ""
+			}${
+				misses.length > 0
+					? ` - ${misses.length} not found, correct their realms and retry`
+					: ""
+			}${
+				mismatches > 0
+					? ` - ${mismatches} talent specs don't match their signup, see the summary`
+					: ""
+			}`
 		);
 	} catch (error) {
 		showStatus("error", `Error fetching gear scores: ${error.message}`);
 	}
 }
 
-// Optimize Composition
-function optimizeComposition() {
+// Per-character progress from the Battle.net client
+function showGearScoreProgress(event) {
+	if (event.type === "retry") {
+		showStatus(
+			"info",
+			`Retrying ${event.name} in ${Math.ceil(event.delayMs / 1000)}s (${
+				event.reason
+			}, attempt ${event.attempt})`
+		);
+		return;
+	}
+
+	const { result } = event;
+	showStatus(
+		"info",
+		`Fetching gear scores... ${event.done}/${event.total} (${result.name}: ${
+			result.success ? result.gearScore : result.error
+		})`
+	);
+}
+
+// Gear Score Cache
+async function loadGearCache() {
+	const result = await ipcRenderer.invoke("load-gear-cache");
+
+	if (!result.success) {
+		appState.gearCache = null;
+		console.error("Failed to load gear cache:", result.error);
+	} else if (result.data) {
+		const errors = validateGearCache(result.data);
+		if (errors.length > 0) {
+			// A bad cache is only a cache: start over
+			console.warn("Discarding invalid gear cache:", errors);
+		} else {
+			appState.gearCache = result.data;
+		}
+	}
+}
+
+async function saveGearCache() {
+	const result = await ipcRenderer.invoke("save-gear-cache", appState.gearCache);
+
+	if (!result.success) {
+		console.error("Failed to save gear cache:", result.error);
+	}
+}
+
+// Last-known gear scores and talents for a loaded event, however old, without asking Battle.net
+function applyCachedGearScores(players) {
+	if (!appState.gearCache) return;
+
+	const { characters } = getCharacterLookups(players, {
+		defaultRealm: appState.settings.defaultRealm,
+	});
+	characters.forEach((character) => {
+		const entry = getCachedEntry(
+			appState.gearCache,
+			appState.settings.region,
+			character.realm,
+			character.name
+		);
+		const player = players.find((p) => p.id === character.playerId);
+		if (entry && player) {
+			setPlayerGear(
+				player,
+				entry.equipment,
+				entry.gearScore,
+				entry.fetchedAt
+			);
+			player.talents = entry.talents || null;
+		}
+	});
+}
+
+// Score a player's equipped items with the selected model; without items the given score stands
+function setPlayerGear(player, equipment, gearScore, fetchedAt) {
+	const breakdown = scoreEquipment(
+		equipment,
+		appState.settings.gearScoreModel
+	);
+	player.gearEquipment = equipment || [];
+	player.gearBreakdown = breakdown;
+	player.resistances = combineResistances(
+		player.gearEquipment,
+		player.enteredResistances
+	);
+	player.gearScore = breakdown ? breakdown.score : gearScore;
+	player.gearScoreFetchedAt = fetchedAt;
+}
+
+// After the model changes: rescore fetched gear without asking Battle.net
+function rescoreGear(players) {
+	players
+		.filter((player) => player.gearBreakdown)
+		.forEach((player) =>
+			setPlayerGear(
+				player,
+				player.gearEquipment,
+				player.gearScore,
+				player.gearScoreFetchedAt
+			)
+		);
+	renderGearBreakdown();
+}
+
+function populateGearScoreModels() {
+	const select = document.getElementById("gear-score-model");
+	select.innerHTML = "";
+	Object.entries(GEAR_SCORE_MODELS).forEach(([id, model]) => {
+		select.appendChild(new Option(model.label, id));
+	});
+	select.value = GEAR_SCORE_MODELS[appState.settings.gearScoreModel]
+		? appState.settings.gearScoreModel
+		: DEFAULT_GEAR_SCORE_MODEL;
+}
+
+// Per-slot breakdown of one loaded player's gear score (settings tab)
+function renderGearBreakdown() {
+	const select = document.getElementById("gear-breakdown-player");
+	const container = document.getElementById("gear-breakdown");
+	const selected = select.value;
+	const scored = appState.players.filter((player) => player.gearBreakdown);
+
+	select.innerHTML =
+		scored.length === 0
+			? '<option value="">No gear fetched for this event</option>'
+			: "";
+	scored.forEach((player) => {
+		select.appendChild(
+			new Option(`${player.name} (${player.gearBreakdown.score})`, player.id)
+		);
+	});
+	if (scored.some((player) => player.id === selected)) {
+		select.value = selected;
+	}
+
+	const player = scored.find((p) => p.id === select.value);
+	if (!player) {
+		container.innerHTML = "";
+		return;
+	}
+
+	const breakdown = player.gearBreakdown;
+	const model = GEAR_SCORE_MODELS[breakdown.model];
+	const sets = breakdown.sets.map(
+		(set) => `${escapeAttribute(set.name)} (${set.pieces})`
+	);
+	container.innerHTML = `
+        <table class="assignment-table">
+            <thead><tr><th>Slot</th><th>Item</th><th>Item Level</th><th>Quality</th><th>Weight</th><th>Points</th></tr></thead>
+            <tbody>${breakdown.slots
+				.map(
+					(slot) => `
+                <tr>
+                    <th>${slot.slot ? getSlotLabel(slot.slot) : "-"}</th>
+                    <td>${escapeAttribute(slot.name)}</td>
+                    <td>${slot.itemLevel}</td>
+                    <td>${slot.quality ? getSlotLabel(slot.quality) : "-"}</td>
+                    <td>${slot.weight}</td>
+                    <td>${slot.points}</td>
+                </tr>`
+				)
+				.join("")}${breakdown.emptySlots
+				.map(
+					(slot) => `
+                <tr class="gear-empty-slot">
+                    <th>${getSlotLabel(slot)}</th>
+                    <td colspan="5">Empty</td>
+                </tr>`
+				)
+				.join("")}
+            </tbody>
+        </table>
+        <p class="gear-breakdown-summary">
+            Gear score <strong>${breakdown.score}</strong> (${
+		model ? model.label : breakdown.model
+	})${breakdown.twoHanded ? " · two-hander" : ""}${
+		sets.length > 0 ? ` · Sets: ${sets.join(", ")}` : ""
+	}${breakdown.setBonus ? ` · set bonus +${breakdown.setBonus}` : ""}
+        </p>
+    `;
+}
+
+// Gear Audit (enchants, item quality, empty slots, encounter resistances)
+function getGearAudit() {
+	return auditRaid(appState.players, {
+		profile: getSelectedEncounterProfile(),
+	});
+}
+
+function displayGearAudit() {
+	const panel = document.getElementById("gear-audit");
+	const report = getGearAudit();
+	const flagged = report.players.filter(({ issues }) => issues.length > 0);
+	const list = (issues, type, label) =>
+		issues
+			.filter((issue) => issue.type === type)
+			.map(label)
+			.join(", ") || "-";
+	const slot = (issue) => getSlotLabel(issue.slot);
+
+	panel.classList.toggle(
+		"hidden",
+		report.players.length === 0 && report.shortfalls.length === 0
+	);
+	document.getElementById("gear-audit-summary").textContent = `${
+		report.encounter ? `${report.encounter}: ` : ""
+	}${report.counts.enchant} missing enchants, ${
+		report.counts.quality
+	} low-quality items, ${report.counts.empty} empty slots${
+		report.schools.length > 0
+			? `, ${report.counts.resistance} missing ${report.schools
+					.map(getSchoolLabel)
+					.join("/")} resistance gear`
+			: ""
+	} - ${report.players.length - flagged.length}/${
+		report.players.length
+	} players all clear, ${report.unchecked.length} without Battle.net gear`;
+	document.getElementById("gear-audit-shortfalls").innerHTML =
+		report.shortfalls
+			.map(
+				(check) =>
+					`<div class="assignment-warning">⚠️ ${escapeAttribute(
+						describeShortfall(check)
+					)}</div>`
+			)
+			.join("");
+	document.getElementById("gear-audit-list").innerHTML =
+		flagged.length === 0
+			? ""
+			: `
+        <table class="assignment-table">
+            <thead><tr><th>Player</th><th>Enchant</th><th>Upgrade</th><th>Empty</th><th>Resistance</th></tr></thead>
+            <tbody>${flagged
+				.map(
+					({ player, issues }) => `
+                <tr>
+                    <th>${escapeAttribute(player.name)}</th>
+                    <td>${list(issues, "enchant", slot)}</td>
+                    <td>${list(issues, "quality", slot)}</td>
+                    <td>${list(issues, "empty", slot)}</td>
+                    <td>${list(issues, "resistance", (issue) =>
+						getSchoolLabel(issue.school)
+					)}</td>
+                </tr>`
+				)
+				.join("")}
+            </tbody>
+        </table>
+    `;
+}
+
+function copyGearAudit() {
+	clipboard.writeText(formatGearAudit(getGearAudit()));
+	showStatus("success", "Gear audit copied to clipboard");
+}
+
+async function exportGearAudit() {
+	const result = await ipcRenderer.invoke(
+		"save-text-file",
+		formatGearAudit(getGearAudit()),
+		"gear-audit.txt"
+	);
+
+	if (result.success) {
+		showStatus("success", `Exported to ${result.path}`);
+	} else {
+		showStatus("error", `Export failed: ${result.error}`);
+	}
+}
+
+function displayGearScoreMisses() {
+	const panel = document.getElementById("gear-score-misses");
+	const misses = appState.gearScoreMisses;
+
+	panel.classList.toggle("hidden", misses.length === 0);
+	document.getElementById("gear-score-misses-list").innerHTML = `
+        <table class="assignment-table">
+            <thead><tr><th>Character</th><th>Realm</th><th>Error</th></tr></thead>
+            <tbody>${misses
+				.map(
+					(miss) => `<tr>
+                <th>${escapeAttribute(miss.player.name)}</th>
+                <td><input type="text" class="miss-realm" data-player-id="${escapeAttribute(
+					miss.player.id
+				)}" value="${escapeAttribute(miss.realm || "")}" placeholder="Realm"></td>
+                <td>${escapeAttribute(miss.error)}</td>
+            </tr>`
+				)
+				.join("")}</tbody>
+        </table>
+    `;
+}
+
+// Apply the corrected realms (remembering them in the roster) and look up only the misses
+async function retryGearScores() {
+	const players = appState.gearScoreMisses.map((miss) => miss.player);
+	if (players.length === 0) return;
+
+	let rosterChanged = false;
+	document.querySelectorAll(".miss-realm").forEach((input) => {
+		const player = players.find((p) => p.id === input.dataset.playerId);
+		const realm = input.value.trim();
+		if (!player || !realm) return;
+
+		player.realm = realm;
+		try {
+			appState.roster = updateCharacter(appState.roster, player.id, player.name, {
+				realm,
+			});
+			rosterChanged = true;
+		} catch (error) {
+			// Not in the roster (or no roster file) - the correction lasts for this event
+		}
+	});
+
+	if (rosterChanged) {
+		saveRoster();
+		renderRoster();
+	}
+	await lookUpGearScores(players);
+}
+
+// Optimize Composition (runs in a worker started by the main process)
+async function optimizeComposition() {
 	if (!appState.players || appState.players.length === 0) {
 		showStatus(
 			"error",
@@ -598,37 +1849,227 @@ function optimizeComposition() {
 
 	console.log(`🎯 User selected optimization mode: ${selectedMode}`);
 
-	showStatus(
-		"info",
-		`Optimizing raid composition using ${
-			selectedMode === "global"
-				? "Global Optimization"
-				: "Legacy Algorithm"
-		}...`
-	);
+	const modeText = {
+		global: "Global Optimization",
+		"keep-groups": "Legacy Algorithm",
+		"constraint-validated": "Constraint-Validated Search",
+	}[selectedMode];
+	showStatus("info", `Optimizing raid composition using ${modeText}...`);
 
 	appState.settings.optimizationMode = selectedMode;
 
-	const optimizer = new RaidOptimizer(appState.settings);
-	appState.optimizedResult = optimizer.optimize(
-		appState.players,
-		selectedMode
-	);
+	const job = {
+		engine: "raid-optimizer",
+		players: appState.players,
+		settings: appState.settings,
+		mode: selectedMode,
+		// Worker threads have their own module state
+		rules: appState.settings.synergyRules,
+	};
+	if (selectedMode === "constraint-validated") {
+		job.engine = "constraint-validated";
+		job.config = {
+			preferences: getRosterPairPreferences(),
+			encounter: getSelectedEncounterProfile(),
+		};
+	}
 
-	displayCompositionResults(appState.optimizedResult);
+	showOptimizationProgress();
+	const result = await ipcRenderer.invoke("run-optimization", job);
+	hideOptimizationProgress();
+
+	if (!result.success) {
+		if (result.cancelled) {
+			showStatus("info", "Optimization cancelled");
+		} else {
+			showStatus(
+				"error",
+				formatViolations(
+					`Optimization failed: ${result.error}`,
+					result.violations
+				),
+				STATUS_DETAIL_MS
+			);
+		}
+		return;
+	}
+
+	// Constraint-validated results carry their alternatives, the first being the result itself
+	const compositions =
+		result.alternatives && result.alternatives.length > 0
+			? result.alternatives
+			: [result];
+	appState.alternatives = compositions.map(rebuildOptimizerResult);
+	showAlternative(0);
 
 	document.getElementById("export-json-btn").disabled = false;
 	document.getElementById("export-csv-btn").disabled = false;
 	document.getElementById("copy-clipboard-btn").disabled = false;
 
-	const modeText =
-		selectedMode === "global" ? "Global Optimization" : "Legacy Algorithm";
+	if (result.warning) {
+		showStatus(
+			"error",
+			formatViolations(result.warning, result.violations),
+			STATUS_DETAIL_MS
+		);
+		return;
+	}
+
 	showStatus(
 		"success",
 		`Composition optimized successfully using ${modeText}!`
 	);
 }
 
+// One violation per line under the message
+function formatViolations(message, violations) {
+	if (!violations || violations.length === 0) return message;
+	return [message, ...violations.map((violation) => `• ${violation}`)].join(
+		"\n"
+	);
+}
+
+// Worker results refer to players by id; map them back onto the loaded roster
+function rebuildOptimizerResult(result) {
+	const playersById = new Map(appState.players.map((p) => [p.id, p]));
+	// Players assigned an off-spec are shown on that spec
+	Object.entries(result.offSpecs || {}).forEach(([id, option]) => {
+		if (playersById.has(id)) {
+			playersById.set(id, withRoleOption(playersById.get(id), option));
+		}
+	});
+	const lookup = (ids) =>
+		ids.map((id) => playersById.get(id)).filter(Boolean);
+
+	Object.entries(result.playerScores).forEach(([id, score]) => {
+		if (playersById.has(id)) playersById.get(id).score = score;
+	});
+
+	const groups = result.groups.map((data) => {
+		const group = new Group(data.id, data.maxSize);
+		lookup(data.playerIds).forEach((player) => group.addPlayer(player));
+		group.score = data.score;
+		return group;
+	});
+
+	const raid = new Raid(result.raid.size, result.raid.faction);
+	lookup(result.raid.playerIds).forEach((player) => raid.addPlayer(player));
+	raid.groups = groups;
+	raid.calculateComposition();
+
+	return {
+		raid,
+		groups,
+		selectedPlayers: lookup(result.selectedPlayerIds),
+		benchedPlayers: lookup(result.benchedPlayerIds),
+		statistics: result.statistics,
+		score: result.score,
+		distance: result.distance,
+		scoreBreakdown: result.scoreBreakdown,
+		explanations: result.explanations,
+	};
+}
+
+// Progress panels of the Composition tab and the Raid Comp Tool: element ids
+// are the panel's prefix plus the Composition tab's ids
+const PROGRESS_PANELS = {
+	composition: { prefix: "", buttons: ["optimize-btn"] },
+	raidcomp: {
+		prefix: "raidcomp-",
+		buttons: ["optimize-rest-btn", "reoptimize-btn"],
+	},
+};
+
+function getProgressElement(id) {
+	const { prefix } = PROGRESS_PANELS[appState.progressPanel];
+	return document.getElementById(`${prefix}${id}`);
+}
+
+function showOptimizationProgress(panel = "composition") {
+	appState.progressPanel = panel;
+	PROGRESS_PANELS[panel].buttons.forEach((id) => {
+		document.getElementById(id).disabled = true;
+	});
+	getProgressElement("optimization-progress-fill").style.width = "0%";
+	getProgressElement("optimization-progress-text").textContent = "Starting...";
+	getProgressElement("stop-optimization-btn").disabled = false;
+	getProgressElement("optimization-progress").classList.remove("hidden");
+}
+
+function hideOptimizationProgress() {
+	PROGRESS_PANELS[appState.progressPanel].buttons.forEach((id) => {
+		document.getElementById(id).disabled = false;
+	});
+	getProgressElement("optimization-progress").classList.add("hidden");
+}
+
+// Progress is the larger of the iteration and time budget fractions
+function updateOptimizationProgress(progress) {
+	const fractions = [progress.elapsedMs / progress.timeBudgetMs];
+	if (progress.maxIterations) {
+		fractions.push(progress.iteration / progress.maxIterations);
+	}
+	const percent = Math.min(100, Math.round(Math.max(...fractions) * 100));
+	const elapsed = (progress.elapsedMs / 1000).toFixed(1);
+	const step =
+		progress.stage === "exact"
+			? `${progress.nodesExplored} nodes`
+			: `Iteration ${progress.iteration}`;
+
+	getProgressElement("optimization-progress-fill").style.width = `${percent}%`;
+	getProgressElement(
+		"optimization-progress-text"
+	).textContent = `${step} · best score ${progress.bestScore.toFixed(
+		2
+	)} · ${elapsed}s`;
+}
+
+async function stopOptimization() {
+	getProgressElement("stop-optimization-btn").disabled = true;
+	getProgressElement("optimization-progress-text").textContent =
+		"Stopping, keeping best composition...";
+	await ipcRenderer.invoke("stop-optimization");
+}
+
+async function cancelOptimization() {
+	await ipcRenderer.invoke("cancel-optimization");
+}
+
+// Show one of the alternative compositions (exports follow the one shown)
+function showAlternative(index) {
+	if (index < 0 || index >= appState.alternatives.length) return;
+
+	appState.alternativeIndex = index;
+	appState.optimizedResult = appState.alternatives[index];
+	displayCompositionResults(appState.optimizedResult);
+	updateAlternativePager();
+}
+
+function updateAlternativePager() {
+	const count = appState.alternatives.length;
+	const index = appState.alternativeIndex;
+	const current = appState.alternatives[index];
+
+	document
+		.getElementById("alternative-pager")
+		.classList.toggle("hidden", count < 2);
+	document.getElementById("prev-alternative-btn").disabled = index === 0;
+	document.getElementById("next-alternative-btn").disabled =
+		index === count - 1;
+
+	const details = [];
+	if (typeof current.score === "number") {
+		details.push(`score ${current.score.toFixed(2)}`);
+	}
+	if (index > 0 && typeof current.distance === "number") {
+		details.push(`${current.distance} player(s) moved from #1`);
+	}
+	document.getElementById("alternative-label").textContent = [
+		`Composition ${index + 1} of ${count}`,
+		...details,
+	].join(" · ");
+}
+
 // Display Composition Results
 function displayCompositionResults(result) {
 	const container = document.getElementById("groups-container");
@@ -642,7 +2083,21 @@ function displayCompositionResults(result) {
 		container.appendChild(groupCard);
 	});
 
+	if (result.benchedPlayers && result.benchedPlayers.length > 0) {
+		container.appendChild(createBenchCard(result.benchedPlayers));
+	}
+
 	displayStatistics(result.statistics, statsContainer);
+	displayDebuffPlan(result, statsContainer);
+	displayBuffCoverage(result.groups, document.getElementById("buff-coverage"));
+	displayHealingAssignments(
+		result.groups,
+		document.getElementById("healing-assignments")
+	);
+	displayUtilityAssignments(
+		result,
+		document.getElementById("utility-assignments")
+	);
 	updateExportPreview();
 
 	document.getElementById("composition-results").classList.remove("hidden");
@@ -672,6 +2127,38 @@ function createGroupCard(group) {
 	return card;
 }
 
+function createBenchCard(players) {
+	const card = document.createElement("div");
+	card.className = "group-card bench-card";
+
+	card.innerHTML = `
+        <div class="group-header">
+            <h4>Bench</h4>
+            <div class="group-stats"><span>🪑 ${players.length}</span></div>
+        </div>
+        <div class="player-list">
+            ${players.map((player) => createPlayerCard(player)).join("")}
+        </div>
+    `;
+
+	return card;
+}
+
+// Hover text explaining why a player was placed or benched
+function getExplanationText(player) {
+	const explanations =
+		appState.optimizedResult && appState.optimizedResult.explanations;
+	const explanation = explanations && explanations[player.userid || player.id];
+	return explanation ? explanation.reasons.join("\n") : "";
+}
+
+function escapeAttribute(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/</g, "&lt;");
+}
+
 function createPlayerCard(player) {
 	const roleIcon =
 		player.roles.primary === "tank"
@@ -681,7 +2168,9 @@ function createPlayerCard(player) {
 			: "⚔️";
 
 	return `
-        <div class="player-card">
+        <div class="player-card" title="${escapeAttribute(
+			getExplanationText(player)
+		)}">
             <div class="player-info">
                 <div class="class-icon class-${player.class.toLowerCase()}">
                     ${player.class.substring(0, 2).toUpperCase()}
@@ -693,11 +2182,22 @@ function createPlayerCard(player) {
                         <span class="role-badge role-${
 							player.roles.primary
 						}">${roleIcon} ${player.roles.primary}</span>
+                        ${
+							player.offSpec
+								? `<span class="off-spec-badge" title="Main spec: ${player.mainSpec}">off-spec</span>`
+								: ""
+						}
                     </div>
                 </div>
             </div>
             <div class="player-stats">
-                <div class="gear-score">${player.gearScore || "N/A"}</div>
+                <div class="gear-score"${
+					player.gearScoreFetchedAt
+						? ` title="Fetched ${new Date(
+								player.gearScoreFetchedAt
+						  ).toLocaleString()}"`
+						: ""
+				}>${player.gearScore || "N/A"}</div>
                 <div style="font-size: 0.8em; color: #888;">Score: ${
 					player.score
 				}</div>
@@ -743,6 +2243,231 @@ function displayStatistics(stats, container) {
     `;
 }
 
+// Debuff slots against the cap, with warnings for key debuffs pushed off
+// The constraint-validated mode plans them in its score breakdown
+function displayDebuffPlan(result, container) {
+	const profile = getSelectedEncounterProfile();
+	const plan =
+		result.scoreBreakdown && result.scoreBreakdown.debuffs
+			? result.scoreBreakdown.debuffs
+			: planDebuffs(result.groups, (profile && profile.debuffs) || {});
+
+	container.innerHTML += `
+        <div class="stat-card${plan.warnings.length > 0 ? " stat-warning" : ""}" title="${escapeAttribute(
+		plan.applied.map((debuff) => `${debuff.label} (${debuff.slots})`).join("\n")
+	)}">
+            <div class="stat-value">${Math.min(plan.used, plan.cap)}/${plan.cap}</div>
+            <div class="stat-label">Debuff Slots${
+				plan.used > plan.cap ? ` (${plan.used - plan.cap} pushed off)` : ""
+			}</div>
+        </div>
+    `;
+
+	if (plan.warnings.length > 0) {
+		container.innerHTML += `
+        <div class="debuff-warnings">
+            ${plan.warnings.map((warning) => `<p>⚠️ ${warning}</p>`).join("")}
+        </div>
+    `;
+	}
+}
+
+// Buff coverage matrix: one row per buff, one column per group
+// Required buffs are starred, and highlighted when missing
+function displayBuffCoverage(groups, container) {
+	const coverage = getBuffCoverage(groups);
+	const required = appState.settings.requiredBuffs || [];
+
+	const pools = Object.entries(coverage.pools)
+		.map(
+			([pool, info]) =>
+				`<p>${info.providers} ${pool} provider(s): ${
+					info.covered.join(", ") || "nothing"
+				} covered${
+					info.missing.length > 0
+						? `, missing ${info.missing.join(", ")}`
+						: ""
+				}</p>`
+		)
+		.join("");
+
+	const rows = coverage.buffs
+		.map((buff) => {
+			const isRequired = required.includes(buff.name);
+			const cells = coverage.groups
+				.map((id) =>
+					buff.groups[id]
+						? '<td class="buff-covered">✓</td>'
+						: '<td class="buff-uncovered">–</td>'
+				)
+				.join("");
+			return `<tr class="${
+				isRequired && !buff.covered ? "buff-missing-required" : ""
+			}"><th>${escapeAttribute(buff.name)}${
+				isRequired ? " *" : ""
+			}</th><td class="buff-scope">${buff.scope}</td>${cells}</tr>`;
+		})
+		.join("");
+
+	container.innerHTML = `
+        ${pools}
+        <table class="buff-coverage-table">
+            <thead><tr><th>Buff</th><th>Scope</th>${coverage.groups
+				.map((id) => `<th>G${id}</th>`)
+				.join("")}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Healing assignments for the composition shown
+function getHealingAssignments() {
+	return generateHealingAssignments(
+		appState.optimizedResult.groups,
+		appState.settings.healingRules
+	);
+}
+
+function displayHealingAssignments(groups, container) {
+	const assignments = generateHealingAssignments(
+		groups,
+		appState.settings.healingRules
+	);
+	const names = (players) =>
+		players.length > 0
+			? players.map((player) => escapeAttribute(player.name)).join(", ")
+			: "–";
+	const row = (label, players) =>
+		`<tr><th>${label}</th><td>${names(players)}</td></tr>`;
+
+	const rows = [
+		...assignments.tanks.map((team, index) =>
+			row(
+				`${getTankLabel(index, assignments.tanks.length)} ${escapeAttribute(
+					team.tank.name
+				)} (G${team.groupId})`,
+				team.healers
+			)
+		),
+		...assignments.groups.map((group) =>
+			row(`Group ${group.groupId}`, group.healers)
+		),
+		row("Raid", assignments.raid),
+	];
+
+	container.innerHTML = `
+        <table class="assignment-table">
+            <thead><tr><th>Assignment</th><th>Healers</th></tr></thead>
+            <tbody>${rows.join("")}</tbody>
+        </table>
+        ${assignments.warnings
+			.map((warning) => `<p class="assignment-warning">⚠️ ${warning}</p>`)
+			.join("")}
+    `;
+}
+
+function copyHealingAssignments() {
+	if (!appState.optimizedResult) return;
+
+	clipboard.writeText(formatHealingAssignments(getHealingAssignments()));
+	showStatus("success", "Healing assignments copied to clipboard");
+}
+
+// Utility rotations, soulstones and curses for the composition shown,
+// sized by the selected encounter profile, with backups from the bench
+function getUtilityAssignments(result = appState.optimizedResult) {
+	return generateUtilityAssignments(result.groups, {
+		profile: getSelectedEncounterProfile(),
+		bench: result.benchedPlayers || [],
+	});
+}
+
+function displayUtilityAssignments(result, container) {
+	const assignments = getUtilityAssignments(result);
+	const names = (players) =>
+		players.length > 0
+			? players.map((player) => escapeAttribute(player.name)).join(", ")
+			: "–";
+	const row = (label, assigned, backups) =>
+		`<tr><th>${label}</th><td>${assigned}</td><td>${
+			escapeAttribute(formatBackups(backups)) || "–"
+		}</td></tr>`;
+
+	const rows = [
+		...assignments.rotations.map((rotation) =>
+			row(
+				`${rotation.label} (${rotation.size})`,
+				rotation.players.length > 0
+					? rotation.players
+							.map(
+								(player, index) =>
+									`${index + 1}. ${escapeAttribute(player.name)}`
+							)
+							.join(", ")
+					: "–",
+				rotation.backups
+			)
+		),
+		row(
+			"Soulstones",
+			assignments.soulstones.assignments.length > 0
+				? assignments.soulstones.assignments
+						.map(
+							({ warlock, target }) =>
+								`${escapeAttribute(warlock.name)} → ${escapeAttribute(
+									target.name
+								)}`
+						)
+						.join(", ")
+				: "–",
+			assignments.soulstones.backups
+		),
+		row(
+			"Curses",
+			assignments.curses.assignments
+				.map(
+					(curse) =>
+						`${curse.label}: ${names(curse.warlock ? [curse.warlock] : [])}`
+				)
+				.join(", ") || "–",
+			assignments.curses.backups
+		),
+	];
+
+	container.innerHTML = `
+        <table class="assignment-table">
+            <thead><tr><th>Assignment</th><th>Players</th><th>Backups</th></tr></thead>
+            <tbody>${rows.join("")}</tbody>
+        </table>
+        ${assignments.warnings
+			.map((warning) => `<p class="assignment-warning">⚠️ ${warning}</p>`)
+			.join("")}
+    `;
+}
+
+function copyUtilityAssignments() {
+	if (!appState.optimizedResult) return;
+
+	clipboard.writeText(formatUtilityAssignments(getUtilityAssignments()));
+	showStatus("success", "Utility assignments copied to clipboard");
+}
+
+async function exportUtilityAssignments() {
+	if (!appState.optimizedResult) return;
+
+	const result = await ipcRenderer.invoke(
+		"save-text-file",
+		formatUtilityAssignments(getUtilityAssignments()),
+		"utility-assignments.txt"
+	);
+
+	if (result.success) {
+		showStatus("success", `Exported to ${result.path}`);
+	} else {
+		showStatus("error", `Export failed: ${result.error}`);
+	}
+}
+
 // Export Functions
 async function exportJSON() {
 	if (!appState.optimizedResult) return;
@@ -812,7 +2537,7 @@ function updateExportPreview() {
 }
 
 // Status Messages
-function showStatus(type, message) {
+function showStatus(type, message, durationMs = 5000) {
 	const statusDiv = document.getElementById("optimization-status");
 	statusDiv.className = `status-message ${type}`;
 	statusDiv.textContent = message;
@@ -820,5 +2545,5 @@ function showStatus(type, message) {
 
 	setTimeout(() => {
 		statusDiv.classList.add("hidden");
-	}, 5000);
+	}, durationMs);
 }
@@ -0,0 +1,196 @@
+/**
+ * Buff Coverage Tests
+ *
+ * Checks the coverage matrix for raid, party and pooled buffs (blessings),
+ * and that required buffs are enforced as a hard raid constraint.
+ */
+
+const { Player, Raid, Group } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { optimizeRaidComposition, getConfigFromSettings } = require('./src/core/new-optimizer');
+const { canGenerateSeed } = require('./src/core/seed-generator');
+const { validateRaidState } = require('./src/core/constraints');
+const { validateEncounterProfile } = require('./src/core/encounter-profiles');
+const { getBuffCoverage, getMissingBuffs, validateRequiredBuffs } = require('./src/core/buff-coverage');
+
+const CONFIG = {
+	seed: {
+		raid: { MAX_RAID_SIZE: 10, MIN_TANKS: 1, MIN_HEALERS: 2, MAX_GROUPS: 2 },
+		group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+	}
+};
+
+let signup = 0;
+function makePlayer(name, className, spec) {
+	signup++;
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed', signuptime: signup });
+}
+
+const tank = makePlayer('Tank', 'Warrior', 'Protection');
+const priest = makePlayer('Priest', 'Priest', 'Holy');
+const pallyA = makePlayer('PallyA', 'Paladin', 'Holy');
+const pallyB = makePlayer('PallyB', 'Paladin', 'Holy');
+const shaman = makePlayer('Totems', 'Shaman', 'Enhancement');
+const rogue = makePlayer('Rogue', 'Rogue', 'Combat');
+const mage = makePlayer('Mage', 'Mage', 'Frost');
+
+function makeRaid() {
+	return RaidState.createEmpty(3)
+		.withPlayerAt(1, 0, tank)
+		.withPlayerAt(1, 1, shaman)
+		.withPlayerAt(1, 2, rogue)
+		.withPlayerAt(1, 3, pallyA)
+		.withPlayerAt(2, 0, priest)
+		.withPlayerAt(2, 1, mage)
+		.withPlayerAt(2, 2, pallyB);
+}
+
+function findBuff(coverage, name) {
+	return coverage.buffs.find(buff => buff.name === name);
+}
+
+/**
+ * Raid buffs reach every group, party buffs only their own, blessings one per Paladin
+ */
+function testCoverageMatrix() {
+	console.log('\n=== Testing Coverage Matrix ===');
+
+	const coverage = getBuffCoverage(makeRaid());
+	const onePaladin = getBuffCoverage(makeRaid().withPlayerAt(2, 2, null));
+
+	const fortitude = findBuff(coverage, 'Power Word: Fortitude');
+	const windfury = findBuff(coverage, 'Windfury Totem');
+	const wild = findBuff(coverage, 'Mark of the Wild');
+
+	const test1 = JSON.stringify(coverage.groups) === '[1,2]' && fortitude.groups[1] && fortitude.groups[2];
+	const test2 = windfury.groups[1] && !windfury.groups[2] && windfury.covered;
+	const test3 = !wild.covered && coverage.missing.includes('Mark of the Wild');
+	const test4 = coverage.pools.blessing.providers === 2 &&
+		coverage.pools.blessing.covered.join(',') === 'Blessing of Kings,Blessing of Might' &&
+		coverage.pools.blessing.missing.join(',') === 'Blessing of Wisdom' &&
+		!findBuff(coverage, 'Blessing of Wisdom').covered;
+	const test5 = onePaladin.pools.blessing.covered.join(',') === 'Blessing of Kings' &&
+		!findBuff(onePaladin, 'Blessing of Might').covered;
+
+	// Model groups (the composition tab's shape) give the same matrix
+	const raid = new Raid(10);
+	raid.groups = [1, 2].map(id => new Group(id));
+	makeRaid().groups.forEach((group, index) => {
+		if (raid.groups[index]) group.getPlayers().forEach(player => raid.groups[index].addPlayer(player));
+	});
+	const test6 = JSON.stringify(raid.getBuffCoverage().missing) === JSON.stringify(coverage.missing);
+
+	console.log(`✓ Raid buffs reach every group: ${test1}`);
+	console.log(`✓ Party buffs reach their group: ${test2}`);
+	console.log(`✓ Missing raid buffs reported: ${test3}`);
+	console.log(`✓ Two Paladins cover two blessings: ${test4} (${coverage.pools.blessing.covered.join(', ')})`);
+	console.log(`✓ One Paladin covers Kings only: ${test5}`);
+	console.log(`✓ Raid model coverage matches: ${test6}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5 && test6;
+	console.log(`\nCoverage Matrix: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Required buffs fail validation when missing and steer the seed
+ */
+function testRequiredBuffs() {
+	console.log('\n=== Testing Required Buffs ===');
+
+	const constraints = required => ({
+		raid: { ...CONFIG.seed.raid, REQUIRED_BUFFS: required },
+		group: CONFIG.seed.group
+	});
+	const validation = validateRaidState(makeRaid(), constraints(['Arcane Intellect', 'Mark of the Wild', 'Blessing of Wisdom']));
+	const messages = validation.getViolationMessages().join('\n');
+
+	// Eleven players for ten spots: the druid signed up last
+	signup = 0;
+	const roster = [
+		makePlayer('Tank', 'Warrior', 'Protection'),
+		makePlayer('Priest', 'Priest', 'Holy'),
+		makePlayer('Pally', 'Paladin', 'Holy'),
+		...['A', 'B', 'C', 'D', 'E', 'F', 'G'].map(n => makePlayer(`Rogue${n}`, 'Rogue', 'Combat')),
+		makePlayer('Druid', 'Druid', 'Feral')
+	];
+	const withSettings = settings => {
+		const config = getConfigFromSettings({ raidSize: 10, healerPercentage: 20, minTanks: 1, ...settings });
+		return optimizeRaidComposition(roster, config);
+	};
+	const plain = withSettings({});
+	const required = withSettings({ requiredBuffs: ['Mark of the Wild'] });
+	const impossible = canGenerateSeed(roster, constraints(['Blessing of Might']));
+
+	const test1 = !validation.valid &&
+		/Raid is missing required buff Mark of the Wild/.test(messages) &&
+		/Raid is missing required buff Blessing of Wisdom/.test(messages) &&
+		!/Arcane Intellect/.test(messages);
+	const test2 = plain.success && !plain.raidState.getAllPlayers().some(p => p.name === 'Druid');
+	const test3 = required.success && required.raidState.getAllPlayers().some(p => p.name === 'Druid');
+	const test4 = !impossible.possible && impossible.reason === 'Not enough players providing Blessing of Might: have 1, need 2';
+	const test5 = getMissingBuffs(makeRaid(), ['Windfury Totem']).length === 0;
+
+	console.log(`✓ Missing required buffs are violations: ${test1}`);
+	console.log(`✓ Without requirement the last signup is benched: ${test2}`);
+	console.log(`✓ Required buff provider kept: ${test3}`);
+	console.log(`✓ Second blessing needs a second Paladin: ${test4} (${impossible.reason})`);
+	console.log(`✓ Covered required buff not reported: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nRequired Buffs: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Unknown buff names are rejected in settings and encounter profiles
+ */
+function testValidation() {
+	console.log('\n=== Testing Required Buff Validation ===');
+
+	const errors = validateRequiredBuffs(['Arcane Intellect', 'Battle Shout']);
+	const profile = validateEncounterProfile({
+		id: 'test',
+		name: 'Test',
+		constraints: { raid: { REQUIRED_BUFFS: ['Mark of the Wild', 'Rallying Cry'] } }
+	});
+
+	const test1 = errors.length === 1 && errors[0] === 'Unknown buff: Battle Shout';
+	const test2 = !profile.valid && profile.errors.join() === 'raid constraint REQUIRED_BUFFS: Unknown buff: Rallying Cry';
+
+	console.log(`✓ Unknown buffs reported: ${test1}`);
+	console.log(`✓ Profiles validate required buffs: ${test2} (${profile.errors.join('; ')})`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nRequired Buff Validation: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		coverageMatrix: testCoverageMatrix(),
+		requiredBuffs: testRequiredBuffs(),
+		validation: testValidation()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testCoverageMatrix,
+	testRequiredBuffs,
+	testValidation
+};
@@ -0,0 +1,221 @@
+/**
+ * Class Quota Tests
+ *
+ * Checks that per-class and per-spec minimums and maximums are validated at
+ * raid and group level, and that the seed benches the right overflow players
+ * to honor them.
+ */
+
+const { Player } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { optimizeRaidComposition, getConfigFromSettings } = require('./src/core/new-optimizer');
+const { canGenerateSeed } = require('./src/core/seed-generator');
+const { applyEncounterProfile, validateEncounterProfile } = require('./src/core/encounter-profiles');
+const {
+	validateRaidState,
+	validateClassQuotas,
+	updateConstraintConfig,
+	getConstraintConfig,
+	getQuotaLabel
+} = require('./src/core/constraints');
+
+const CONFIG = {
+	seed: {
+		raid: { MAX_RAID_SIZE: 10, MIN_TANKS: 1, MIN_HEALERS: 2, MAX_GROUPS: 2 },
+		group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+	}
+};
+
+let signup = 0;
+function makePlayer(name, className, spec) {
+	signup++;
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed', signuptime: signup });
+}
+
+// Twelve players for ten spots: four hunters signed up early, the shaman last
+function makeRoster() {
+	signup = 0;
+	return [
+		makePlayer('Tank', 'Warrior', 'Protection'),
+		makePlayer('Priest', 'Priest', 'Holy'),
+		makePlayer('Pally', 'Paladin', 'Holy'),
+		makePlayer('HunterA', 'Hunter', 'Marksmanship'),
+		makePlayer('HunterB', 'Hunter', 'Marksmanship'),
+		makePlayer('HunterC', 'Hunter', 'Beast Mastery'),
+		makePlayer('HunterD', 'Hunter', 'Survival'),
+		makePlayer('Rogue', 'Rogue', 'Combat'),
+		makePlayer('Fury', 'Warrior', 'Fury'),
+		makePlayer('Mage', 'Mage', 'Frost'),
+		makePlayer('Shadow', 'Priest', 'Shadow'),
+		makePlayer('Enhance', 'Shaman', 'Enhancement')
+	];
+}
+
+function withQuotas(raidQuotas = [], groupQuotas = []) {
+	return {
+		seed: {
+			raid: { ...CONFIG.seed.raid, CLASS_QUOTAS: raidQuotas },
+			group: { ...CONFIG.seed.group, CLASS_QUOTAS: groupQuotas }
+		}
+	};
+}
+
+/**
+ * Quotas are validated, labeled, and reported as raid and group violations
+ */
+function testValidation() {
+	console.log('\n=== Testing Quota Validation ===');
+
+	const [tank, priest, pally, hunterA, hunterB, hunterC] = makeRoster();
+	const raid = RaidState.createEmpty(2)
+		.withPlayerAt(1, 0, tank)
+		.withPlayerAt(1, 1, hunterA)
+		.withPlayerAt(1, 2, hunterB)
+		.withPlayerAt(1, 3, hunterC)
+		.withPlayerAt(2, 0, priest)
+		.withPlayerAt(2, 1, pally);
+
+	const validation = validateRaidState(raid, {
+		raid: { ...CONFIG.seed.raid, CLASS_QUOTAS: [{ classes: ['Hunter'], max: 2 }, { classes: ['Paladin', 'Shaman'], min: 2 }] },
+		group: { ...CONFIG.seed.group, CLASS_QUOTAS: [{ class: 'Hunter', spec: 'Marksmanship', max: 1 }, { class: 'Priest', min: 1 }] }
+	});
+	const codes = validation.violations.map(v => v.constraint);
+	const messages = validation.getViolationMessages().join('\n');
+
+	const errors = validateClassQuotas([{ classes: ['Mage'] }, { spec: 'Shadow', min: 2, max: 1 }, { max: 1 }, { class: 'Mage', min: 1.5 }]);
+
+	const test1 = codes.includes('CLASS_QUOTA_MAX') && codes.includes('CLASS_QUOTA_MIN') &&
+		/Raid has 3 Hunter players, exceeds maximum of 2/.test(messages) &&
+		/Raid has 1 Paladin\/Shaman players, requires minimum of 2/.test(messages);
+	const test2 = /Group 1 has 2 Marksmanship Hunter players, exceeds maximum of 1/.test(messages) &&
+		/Group 1 has 0 Priest players, requires minimum of 1/.test(messages) &&
+		!codes.some((code, i) => code === 'CLASS_QUOTA_MIN_PER_GROUP' && validation.violations[i].details.groupId === 2);
+	const test3 = errors.length === 4 &&
+		errors.includes('Quota 1 needs a min or a max') &&
+		errors.includes('Quota 2: min is above max') &&
+		errors.includes('Quota 3 needs a class or spec') &&
+		errors.includes('Quota 4: min must be a whole number');
+	const test4 = getQuotaLabel({ class: 'Priest', spec: 'Shadow' }) === 'Shadow Priest' &&
+		getQuotaLabel({ classes: ['Paladin', 'Shaman'], label: 'Blessings/Totems' }) === 'Blessings/Totems';
+
+	console.log(`✓ Raid quota violations: ${test1}`);
+	console.log(`✓ Group quota violations: ${test2}`);
+	console.log(`✓ Invalid quotas reported: ${test3} (${errors.join('; ')})`);
+	console.log(`✓ Quota labels: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nQuota Validation: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The seed benches players over a maximum and keeps those a minimum needs
+ */
+function testSeedHonorsQuotas() {
+	console.log('\n=== Testing Seed Quotas ===');
+
+	const plain = optimizeRaidComposition(makeRoster(), withQuotas());
+	const result = optimizeRaidComposition(makeRoster(), withQuotas([
+		{ class: 'Hunter', max: 2 },
+		{ classes: ['Paladin', 'Shaman'], min: 2 }
+	]));
+	const grouped = optimizeRaidComposition(makeRoster(), withQuotas([], [{ class: 'Hunter', max: 1 }]));
+
+	const names = state => state.getAllPlayers().map(p => p.name);
+	const inRaid = result.success ? names(result.raidState) : [];
+	const hunterExplanation = result.success ? result.explanations.HunterC : null;
+
+	const test1 = plain.success && !names(plain.raidState).includes('Enhance');
+	const test2 = result.success &&
+		inRaid.filter(name => name.startsWith('Hunter')).length === 2 &&
+		inRaid.includes('Enhance') && inRaid.includes('Pally');
+	const test3 = hunterExplanation !== null && hunterExplanation.decision === 'benched' &&
+		/Raid already has the maximum of 2 Hunter players/.test(hunterExplanation.reasons[0]);
+	const test4 = grouped.success &&
+		grouped.raidState.groups.every(g => g.getPlayers().filter(p => p.class === 'Hunter').length <= 1);
+
+	console.log(`✓ Without quotas the last signup is benched: ${test1}`);
+	console.log(`✓ Hunter max and Paladin/Shaman min honored: ${test2} (${inRaid.join(', ')})`);
+	console.log(`✓ Benched hunter explained: ${test3}`);
+	console.log(`✓ Group hunter max honored: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nSeed Quotas: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Quotas reach the optimizer from settings, profiles and updateConstraintConfig
+ */
+function testQuotaSources() {
+	console.log('\n=== Testing Quota Sources ===');
+
+	const impossible = canGenerateSeed(makeRoster(), withQuotas([{ class: 'Mage', min: 3 }]).seed);
+	const failed = optimizeRaidComposition(makeRoster(), withQuotas([{ class: 'Mage', min: 3 }]));
+
+	const settings = getConfigFromSettings({ classQuotas: { raid: [{ class: 'Hunter', max: 6 }], group: [{ class: 'Shaman', max: 1 }] } });
+	const profile = {
+		id: 'test',
+		name: 'Test',
+		constraints: { raid: { CLASS_QUOTAS: [{ class: 'Mage', min: 3 }] } }
+	};
+	const layered = applyEncounterProfile(settings, profile);
+	const badProfile = validateEncounterProfile({ ...profile, constraints: { group: { CLASS_QUOTAS: [{ class: 'Mage' }] } } });
+
+	let threw = false;
+	try {
+		updateConstraintConfig({ raid: { CLASS_QUOTAS: [{ min: 1 }] } });
+	} catch (error) {
+		threw = /Invalid raid class quotas/.test(error.message);
+	}
+	updateConstraintConfig({ raid: { CLASS_QUOTAS: [{ class: 'Hunter', max: 1 }] } });
+	const global = getConstraintConfig().raid.CLASS_QUOTAS;
+	const globalResult = optimizeRaidComposition(makeRoster(), CONFIG);
+	updateConstraintConfig({ raid: { CLASS_QUOTAS: [] } });
+
+	const test1 = !impossible.possible && impossible.reason === 'Not enough Mage players: have 1, need 3' &&
+		!failed.success && /Not enough Mage players/.test(failed.error);
+	const test2 = settings.seed.raid.CLASS_QUOTAS[0].max === 6 && settings.seed.group.CLASS_QUOTAS[0].class === 'Shaman';
+	const test3 = layered.seed.raid.CLASS_QUOTAS.length === 2 && validateEncounterProfile(profile).valid &&
+		!badProfile.valid && /CLASS_QUOTAS: Quota 1 needs a min or a max/.test(badProfile.errors[0]);
+	const test4 = threw && global.length === 1 && globalResult.success &&
+		globalResult.raidState.getAllPlayers().filter(p => p.class === 'Hunter').length === 1;
+
+	console.log(`✓ Unreachable minimum reported: ${test1} (${impossible.reason})`);
+	console.log(`✓ Settings quotas in config: ${test2}`);
+	console.log(`✓ Profile quotas added and validated: ${test3}`);
+	console.log(`✓ updateConstraintConfig quotas applied: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nQuota Sources: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		validation: testValidation(),
+		seedHonorsQuotas: testSeedHonorsQuotas(),
+		quotaSources: testQuotaSources()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testValidation,
+	testSeedHonorsQuotas,
+	testQuotaSources
+};
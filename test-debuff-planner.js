@@ -0,0 +1,163 @@
+/**
+ * Debuff Planner Tests
+ *
+ * Checks that debuffs are derived from classes and specs, ranked against the
+ * 16-slot cap, configurable through encounter profiles, and reported in the
+ * score breakdown.
+ */
+
+const { Player } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { getScoreBreakdown } = require('./src/core/scoring');
+const { analyzeRaidComposition } = require('./src/core/new-optimizer');
+const { validateEncounterProfile, applyEncounterProfile } = require('./src/core/encounter-profiles');
+const { planDebuffs, getAppliedDebuffs, validateDebuffOptions } = require('./src/core/debuff-planner');
+
+function makePlayer(name, className, spec) {
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed' });
+}
+
+function labels(debuffs) {
+	return debuffs.map(debuff => debuff.label);
+}
+
+// Warrior, druid, mage and one warlock: well under the cap
+function smallRaid() {
+	return RaidState.createEmpty(2)
+		.withPlayerAt(1, 0, makePlayer('Tank', 'Warrior', 'Protection'))
+		.withPlayerAt(1, 1, makePlayer('Druid', 'Druid', 'Feral'))
+		.withPlayerAt(2, 0, makePlayer('Mage', 'Mage', 'Fire'))
+		.withPlayerAt(2, 1, makePlayer('Lock', 'Warlock', 'Affliction'));
+}
+
+// Eight warlocks and four shadow priests flood the cap with DoTs
+function dotRaid() {
+	let state = RaidState.createEmpty(3).withPlayerAt(1, 0, makePlayer('Tank', 'Warrior', 'Protection'));
+	for (let i = 0; i < 8; i++) {
+		state = state.withPlayerAt(2 + Math.floor(i / 5), i % 5, makePlayer(`Lock${i}`, 'Warlock', i < 4 ? 'Affliction' : 'Destruction'));
+	}
+	for (let i = 0; i < 4; i++) {
+		state = state.withPlayerAt(1, 1 + i, makePlayer(`Shadow${i}`, 'Priest', 'Shadow'));
+	}
+	return state;
+}
+
+/**
+ * Debuffs follow classes and specs; one curse per warlock
+ */
+function testDerivedDebuffs() {
+	console.log('\n=== Testing Derived Debuffs ===');
+
+	const plan = planDebuffs(smallRaid());
+	const applied = labels(plan.applied);
+	const twoLocks = getAppliedDebuffs([makePlayer('A', 'Warlock', 'Affliction'), makePlayer('B', 'Warlock', 'Affliction')]);
+
+	const test1 = applied[0] === 'Sunder Armor' && applied.includes('Faerie Fire') &&
+		applied.includes('Fire Vulnerability') && applied.includes('Corruption') && !applied.includes("Winter's Chill");
+	const test2 = applied.includes('Curse of Recklessness') && !applied.includes('Curse of the Elements');
+	const test3 = labels(twoLocks).filter(label => label.startsWith('Curse')).join(',') === 'Curse of Recklessness,Curse of the Elements' &&
+		twoLocks.find(debuff => debuff.id === 'corruption').slots === 2;
+	const test4 = plan.used === plan.applied.reduce((sum, debuff) => sum + debuff.slots, 0) &&
+		plan.pushedOff.length === 0 && plan.warnings.length === 0;
+
+	console.log(`✓ Debuffs derived from classes and specs: ${test1} (${applied.join(', ')})`);
+	console.log(`✓ One warlock casts one curse: ${test2}`);
+	console.log(`✓ Curses and DoTs per warlock: ${test3}`);
+	console.log(`✓ Small raid fits the cap: ${test4} (${plan.used}/${plan.cap})`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nDerived Debuffs: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Low priority debuffs go first; key debuffs pushed off produce warnings
+ */
+function testCap() {
+	console.log('\n=== Testing Debuff Cap ===');
+
+	const plan = planDebuffs(dotRaid());
+	const tight = planDebuffs(dotRaid(), { cap: 7, reserved: 2 });
+	const pushed = labels(plan.pushedOff);
+
+	const test1 = plan.used > 16 && plan.applied.reduce((sum, debuff) => sum + debuff.slots, 0) === 16;
+	const test2 = pushed.includes('Immolate') && !pushed.includes('Sunder Armor') && !pushed.includes('Shadow Weaving');
+	const test3 = plan.warnings.length === 0;
+	const test4 = tight.applied.reduce((sum, debuff) => sum + debuff.slots, 0) === 5 &&
+		tight.warnings.some(warning => /^Shadow Vulnerability would be pushed off the debuff cap \(\d+ debuffs, cap 7\)$/.test(warning)) &&
+		!tight.warnings.some(warning => /Corruption/.test(warning));
+
+	console.log(`✓ Applied debuffs fill the cap: ${test1} (${plan.used} wanted)`);
+	console.log(`✓ Lowest priority pushed off first: ${test2} (${pushed.join(', ')})`);
+	console.log(`✓ No warning when only minor debuffs drop: ${test3}`);
+	console.log(`✓ Key debuffs over a tighter cap warn: ${test4} (${tight.warnings.join('; ')})`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nDebuff Cap: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Encounter profiles configure the plan, which appears in the score breakdown
+ */
+function testProfilesAndBreakdown() {
+	console.log('\n=== Testing Profiles and Breakdown ===');
+
+	const profile = {
+		id: 'test',
+		name: 'Test',
+		debuffs: { reserved: 3, priorities: { sunderArmor: 0, corruption: 99 } }
+	};
+	const config = applyEncounterProfile({ seed: {}, weights: {}, debuffs: { cap: 16 } }, profile);
+	const invalid = validateEncounterProfile({ ...profile, debuffs: { cap: 0, priorities: { bleed: 5, rend: -1 } } });
+
+	const breakdown = getScoreBreakdown(smallRaid());
+	const analysis = analyzeRaidComposition(smallRaid(), { encounter: profile });
+	const analyzed = analysis.scoreBreakdown.debuffs;
+
+	const test1 = validateEncounterProfile(profile).valid &&
+		config.debuffs.cap === 16 && config.debuffs.reserved === 3 && config.debuffs.priorities.corruption === 99;
+	const test2 = !invalid.valid && invalid.errors.length === 3 &&
+		invalid.errors.includes('Unknown debuff: bleed') && validateDebuffOptions(null).length === 1;
+	const test3 = breakdown.debuffs.cap === 16 && labels(breakdown.debuffs.applied)[0] === 'Sunder Armor';
+	const test4 = analyzed.reserved === 3 && labels(analyzed.applied)[0] === 'Corruption' &&
+		!labels(analyzed.applied).includes('Sunder Armor');
+
+	console.log(`✓ Profile debuff options applied: ${test1}`);
+	console.log(`✓ Invalid debuff options reported: ${test2} (${invalid.errors.join('; ')})`);
+	console.log(`✓ Score breakdown has the debuff plan: ${test3}`);
+	console.log(`✓ Profile priorities reach the breakdown: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nProfiles and Breakdown: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		derivedDebuffs: testDerivedDebuffs(),
+		cap: testCap(),
+		profilesAndBreakdown: testProfilesAndBreakdown()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testDerivedDebuffs,
+	testCap,
+	testProfilesAndBreakdown
+};
@@ -0,0 +1,145 @@
+/**
+ * Encounter Profile Tests
+ *
+ * Checks the built-in profile library, that a profile's required capabilities
+ * decide who gets raid spots, and that custom profiles override constraints
+ * and weights.
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { ENCOUNTER_PROFILES, RAIDS, validateEncounterProfile } = require('./src/core/encounter-profiles');
+const { countCapability } = require('./src/core/capabilities');
+const { scoreEvenHealerSpread } = require('./src/core/scoring');
+const { validateRaidState } = require('./src/core/constraints');
+
+// 20-man raid, so the 38-player sample roster overflows
+const RAID_20 = {
+	seed: {
+		raid: { MAX_RAID_SIZE: 20, MIN_TANKS: 2, MIN_HEALERS: 4, MAX_GROUPS: 4 },
+		group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+	}
+};
+
+function loadPlayers() {
+	const data = JSON.parse(fs.readFileSync('./sample-data/raid-helper-sample.json', 'utf-8'));
+	return new RaidHelperParser().parse(data).players;
+}
+
+/**
+ * Every built-in profile is valid and all four raids are covered
+ */
+function testBuiltInProfiles() {
+	console.log('\n=== Testing Built-In Profiles ===');
+
+	const invalid = ENCOUNTER_PROFILES.filter(profile => !validateEncounterProfile(profile).valid);
+	const ids = new Set(ENCOUNTER_PROFILES.map(profile => profile.id));
+
+	const test1 = invalid.length === 0;
+	const test2 = Object.values(RAIDS).every(raid => ENCOUNTER_PROFILES.some(profile => profile.raid === raid));
+	const test3 = ids.size === ENCOUNTER_PROFILES.length;
+
+	console.log(`✓ All built-in profiles valid: ${test1} ${invalid.map(p => p.id).join(', ')}`);
+	console.log(`✓ MC, BWL, AQ40 and Naxxramas covered: ${test2}`);
+	console.log(`✓ Profile ids are unique: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nBuilt-In Profiles: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Required capabilities win raid spots over higher-priority players of the same role
+ */
+function testRequiredCapabilities() {
+	console.log('\n=== Testing Required Capabilities ===');
+
+	const players = loadPlayers();
+	const plain = optimizeRaidComposition(players, RAID_20);
+	const chromaggus = optimizeRaidComposition(players, { ...RAID_20, encounter: 'bwl-chromaggus' });
+	const tooMany = optimizeRaidComposition(players, {
+		...RAID_20,
+		encounter: { id: 'custom-hunters', name: 'Hunter Test', capabilities: { tranqShot: 4 } }
+	});
+	const hunters = result => countCapability(result.raidState.getAllPlayers(), 'tranqShot');
+
+	const test1 = plain.success && chromaggus.success && hunters(chromaggus) >= 3 && hunters(plain) < 3;
+	const test2 = chromaggus.success && validateRaidState(chromaggus.raidState, {
+		raid: { ...RAID_20.seed.raid, REQUIRED_CAPABILITIES: ENCOUNTER_PROFILES.find(p => p.id === 'bwl-chromaggus').capabilities },
+		group: RAID_20.seed.group
+	}).valid;
+	const test3 = !tooMany.success && /Not enough players with Tranquilizing Shot: have 3, need 4/.test(tooMany.error);
+
+	console.log(`✓ Tranq shooters brought for Chromaggus: ${test1} (${chromaggus.success && hunters(chromaggus)} vs ${plain.success && hunters(plain)})`);
+	console.log(`✓ Result meets every requirement: ${test2}`);
+	console.log(`✓ Missing capability reported: ${test3} (${tooMany.error})`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nRequired Capabilities: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Profiles override constraints and weights; bad profiles are rejected
+ */
+function testOverrides() {
+	console.log('\n=== Testing Overrides ===');
+
+	const players = loadPlayers();
+	const custom = {
+		id: 'custom-spread',
+		name: 'Spread Healers',
+		constraints: { raid: { MIN_TANKS: 3 } },
+		weights: { evenHealerSpread: 20 }
+	};
+	const result = optimizeRaidComposition(players, { encounter: custom });
+	const horsemen = optimizeRaidComposition(players, { encounter: 'naxx-four-horsemen' });
+	const unknown = optimizeRaidComposition(players, { encounter: 'mc-onyxia' });
+	const bad = validateEncounterProfile({ id: 'bad', name: 'Bad', constraints: { raid: { MIN_TANKZ: 2 } }, capabilities: { soulstone: 1 } });
+
+	const test1 = result.success && result.raidState.getRoleCounts().tank >= 3;
+	const test2 = result.success && result.scoreBreakdown.roleBalance.healerSpread === scoreEvenHealerSpread(result.raidState, 20);
+	const test3 = !horsemen.success && /Not enough tanks: have 3, need 8/.test(horsemen.error);
+	const test4 = !unknown.success && unknown.error === 'Unknown encounter profile: mc-onyxia';
+	const test5 = !bad.valid && bad.errors.includes('Unknown raid constraint: MIN_TANKZ') && bad.errors.includes('Unknown capability: soulstone');
+
+	console.log(`✓ Constraint override applied: ${test1}`);
+	console.log(`✓ Weight override applied: ${test2}`);
+	console.log(`✓ Four Horsemen needs eight tanks: ${test3}`);
+	console.log(`✓ Unknown profile id reported: ${test4}`);
+	console.log(`✓ Unknown keys rejected: ${test5} (${bad.errors.join('; ')})`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nOverrides: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		builtInProfiles: testBuiltInProfiles(),
+		requiredCapabilities: testRequiredCapabilities(),
+		overrides: testOverrides()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testBuiltInProfiles,
+	testRequiredCapabilities,
+	testOverrides
+};
@@ -0,0 +1,234 @@
+/**
+ * Exact Solver Tests
+ *
+ * Checks that branch-and-bound never does worse than local search,
+ * proves optimality on a 10-man raid, reports a gap when stopped early,
+ * doesn't treat players named in pair preferences as interchangeable, and
+ * drops its optimality claim when a top-K restart beats it.
+ */
+
+const { Player } = require('./src/core/models');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { validateRaidState } = require('./src/core/constraints');
+const { RaidState } = require('./src/core/state-model');
+const { solveExact } = require('./src/core/exact-solver');
+const { getPairPreferenceStatus } = require('./src/core/scoring');
+
+const ROSTER = [
+	['Warrior', 'Protection', 'tank'],
+	['Druid', 'Guardian', 'tank'],
+	['Priest', 'Holy', 'healer'],
+	['Shaman', 'Restoration', 'healer'],
+	['Shaman', 'Restoration', 'healer'],
+	['Warrior', 'Fury', 'dps'],
+	['Rogue', 'Combat', 'dps'],
+	['Hunter', 'Marksmanship', 'dps'],
+	['Mage', 'Frost', 'dps'],
+	['Warlock', 'Destruction', 'dps'],
+	['Priest', 'Holy', 'healer'],
+	['Druid', 'Restoration', 'healer'],
+	['Warrior', 'Fury', 'dps'],
+	['Rogue', 'Combat', 'dps'],
+	['Hunter', 'Survival', 'dps'],
+	['Mage', 'Fire', 'dps'],
+	['Warlock', 'Affliction', 'dps'],
+	['Priest', 'Shadow', 'dps'],
+	['Druid', 'Balance', 'dps'],
+	['Shaman', 'Enhancement', 'dps']
+];
+
+function createRoster(size) {
+	return ROSTER.slice(0, size).map(([cls, spec, role], i) => new Player({
+		userid: `p${i}`,
+		name: `Player${i}`,
+		class: cls,
+		spec,
+		role,
+		status: 'confirmed'
+	}));
+}
+
+function smallRaidConfig(size, overrides = {}) {
+	return {
+		seed: {
+			raid: { MAX_RAID_SIZE: size, MIN_TANKS: 2, MIN_HEALERS: 3, MAX_GROUPS: size / 5 },
+			group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+		},
+		...overrides
+	};
+}
+
+/**
+ * 10-man raids are solved to proven optimality
+ */
+function testTenManProvenOptimal() {
+	console.log('\n=== Testing 10-Man Exact Solve ===');
+
+	const players = createRoster(10);
+	const search = optimizeRaidComposition(players, smallRaidConfig(10));
+	const exact = optimizeRaidComposition(players, smallRaidConfig(10, { mode: 'exact' }));
+
+	const test1 = exact.success && exact.optimality.provenOptimal;
+	const test2 = exact.success && exact.stats.finalScore >= search.stats.finalScore;
+	const test3 = exact.success && validateRaidState(exact.raidState, smallRaidConfig(10).seed).valid;
+
+	console.log(`Local search score: ${search.stats.finalScore.toFixed(2)}`);
+	console.log(`Exact score: ${exact.stats.finalScore.toFixed(2)} (${exact.optimality.nodesExplored} nodes)`);
+	console.log(`✓ Proven optimal: ${test1}`);
+	console.log(`✓ Not worse than local search: ${test2}`);
+	console.log(`✓ Result is valid: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\n10-Man Exact Solve: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * A tight time budget returns the best found state with an optimality gap
+ */
+function testTimeBudgetGap() {
+	console.log('\n=== Testing Exact Solver Time Budget ===');
+
+	const players = createRoster(20);
+	const result = optimizeRaidComposition(players, smallRaidConfig(20, {
+		mode: 'exact',
+		exact: { maxPlayers: 20, timeBudgetMs: 500 }
+	}));
+
+	const test1 = result.success && result.optimality.gap >= 0;
+	const test2 = result.success && result.optimality.upperBound >= result.stats.finalScore;
+
+	console.log(`Score: ${result.stats.finalScore.toFixed(2)}, upper bound: ${result.optimality.upperBound.toFixed(2)}, proven: ${result.optimality.provenOptimal}`);
+	console.log(`✓ Gap is non-negative: ${test1}`);
+	console.log(`✓ Upper bound covers the best score: ${test2}`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nExact Solver Time Budget: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Raids above maxPlayers are rejected instead of running forever
+ */
+function testRaidTooLarge() {
+	console.log('\n=== Testing Exact Solver Size Limit ===');
+
+	const players = createRoster(20);
+	const result = optimizeRaidComposition(players, smallRaidConfig(20, {
+		mode: 'exact',
+		exact: { maxPlayers: 10 }
+	}));
+
+	const rejected = !result.success && /too large/.test(result.error);
+	console.log(`✓ Oversized raid rejected: ${rejected}`);
+	console.log(`\nExact Solver Size Limit: ${rejected ? 'PASSED' : 'FAILED'}`);
+	return rejected;
+}
+
+/**
+ * Identical players named in pair preferences are not interchangeable:
+ * swapping which one a preference names gives the same best score
+ */
+function testPreferencesBreakSymmetry() {
+	console.log('\n=== Testing Exact Solver Pair Preferences ===');
+
+	// p5 and p6 are both Fury warriors
+	const players = createRoster(10);
+	players[6] = new Player({ userid: 'p6', name: 'Player6', class: 'Warrior', spec: 'Fury', role: 'dps', status: 'confirmed' });
+	let seed = RaidState.createEmpty(2);
+	[[0, 2, 3, 5, 6], [1, 4, 7, 8, 9]].forEach((indices, g) => indices.forEach((i, slot) => {
+		seed = seed.withPlayerAt(g + 1, slot, players[i]);
+	}));
+	const group = smallRaidConfig(10).seed.group;
+	const solve = (together, apart) => {
+		const preferences = [
+			{ players: [together, 'p1'], type: 'together', weight: 1000 },
+			{ players: [apart, 'p1'], type: 'apart', weight: 1000 }
+		];
+		const result = solveExact(seed, {}, { group, preferences });
+		const satisfied = getPairPreferenceStatus(result.finalState, preferences)
+			.every(({ status }) => status === 'satisfied');
+		return { result, satisfied };
+	};
+
+	const first = solve('p6', 'p5');
+	const mirrored = solve('p5', 'p6');
+
+	const test1 = first.result.provenOptimal && mirrored.result.provenOptimal;
+	const test2 = first.satisfied && mirrored.satisfied;
+	const test3 = Math.abs(first.result.finalScore - mirrored.result.finalScore) < 1e-9;
+
+	console.log(`Scores: ${first.result.finalScore.toFixed(2)} / ${mirrored.result.finalScore.toFixed(2)}`);
+	console.log(`✓ Both proven optimal: ${test1}`);
+	console.log(`✓ Both preferences satisfied either way: ${test2}`);
+	console.log(`✓ Same best score either way: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nExact Solver Pair Preferences: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * With top-K, a restart that beats the exact solver's state leaves no
+ * optimality claim; a proven optimum is never beaten and keeps it
+ */
+function testTopKRestart() {
+	console.log('\n=== Testing Exact Solver With Top-K ===');
+
+	const topK = { k: 3, minMoves: 4, restarts: 12 };
+	// Stopped almost at once, after a one-iteration search
+	const stopped = optimizeRaidComposition(createRoster(20), smallRaidConfig(20, {
+		mode: 'exact',
+		exact: { maxPlayers: 20, timeBudgetMs: 1 },
+		optimization: { maxIterations: 1 },
+		topK
+	}));
+	const proven = optimizeRaidComposition(createRoster(10), smallRaidConfig(10, { mode: 'exact', topK }));
+	const restartWon = Object.values(stopped.explanations)
+		.some(explanation => explanation.reasons.some(reason => reason.endsWith('by a search restart')));
+
+	const test1 = stopped.success && restartWon && stopped.optimality === null;
+	const test2 = proven.success && proven.optimality.provenOptimal &&
+		proven.optimality.upperBound - proven.stats.finalScore < 1e-9 &&
+		proven.alternatives[0].score === proven.stats.finalScore;
+
+	console.log(`✓ Restart win drops the optimality claim: ${test1}`);
+	console.log(`✓ Proven optimum kept with its bound: ${test2}`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nExact Solver With Top-K: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		tenManProvenOptimal: testTenManProvenOptimal(),
+		timeBudgetGap: testTimeBudgetGap(),
+		raidTooLarge: testRaidTooLarge(),
+		preferencesBreakSymmetry: testPreferencesBreakSymmetry(),
+		topKRestart: testTopKRestart()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testTenManProvenOptimal,
+	testTimeBudgetGap,
+	testRaidTooLarge,
+	testPreferencesBreakSymmetry,
+	testTopKRestart
+};
@@ -0,0 +1,137 @@
+/**
+ * Placement Explanation Tests
+ *
+ * Checks that every player gets a reason for where they ended up:
+ * role caps, status priority, signup time, pins and score-improving swaps.
+ */
+
+const { Player } = require('./src/core/models');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+
+const SMALL_RAID = {
+	raid: { MAX_RAID_SIZE: 10, MIN_TANKS: 1, MIN_HEALERS: 2, MAX_GROUPS: 2 },
+	group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+};
+
+function createPlayers() {
+	const player = (userid, cls, spec, role, status = 'confirmed', signuptime = 100) =>
+		new Player({ userid, name: userid, class: cls, spec, role, status, signuptime });
+
+	return [
+		player('tank1', 'Warrior', 'Protection', 'tank'),
+		player('tank2', 'Druid', 'Guardian', 'tank'),
+		player('tank3', 'Warrior', 'Protection', 'tank', 'tentative'),
+		player('heal1', 'Priest', 'Holy', 'healer'),
+		player('heal2', 'Shaman', 'Restoration', 'healer'),
+		player('heal3', 'Priest', 'Holy', 'healer'),
+		player('dps1', 'Rogue', 'Combat', 'dps', 'confirmed', 10),
+		player('dps2', 'Warrior', 'Fury', 'dps', 'confirmed', 20),
+		player('dps3', 'Mage', 'Frost', 'dps', 'confirmed', 30),
+		player('dps4', 'Hunter', 'Marksmanship', 'dps', 'confirmed', 40),
+		player('dps5', 'Warlock', 'Affliction', 'dps', 'confirmed', 50),
+		player('dps6', 'Rogue', 'Combat', 'dps', 'confirmed', 60),
+		player('bench1', 'Mage', 'Fire', 'dps', 'benched'),
+		player('absent1', 'Mage', 'Fire', 'dps', 'absence')
+	];
+}
+
+/**
+ * Every player has an explanation matching where they ended up
+ */
+function testEveryPlayerExplained() {
+	console.log('\n=== Testing Explanation Coverage ===');
+
+	const players = createPlayers();
+	const result = optimizeRaidComposition(players, { seed: SMALL_RAID });
+	const { explanations, raidState } = result;
+
+	const test1 = result.success && players.every(p => explanations[p.userid] && explanations[p.userid].reasons.length > 0);
+	const test2 = result.success && raidState.getAllPlayers().every(p =>
+		explanations[p.userid].decision === 'placed' &&
+		explanations[p.userid].groupId === raidState.findPlayer(p).groupId
+	);
+	const test3 = result.success && explanations.absent1.decision === 'excluded' &&
+		explanations.bench1.decision === 'benched';
+
+	console.log(`✓ Every player has a reason: ${test1}`);
+	console.log(`✓ Placed players point at their final group: ${test2}`);
+	console.log(`✓ Absent and benched signups explained: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nExplanation Coverage: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Benched overflow players get role cap, status and signup reasons
+ */
+function testBenchReasons() {
+	console.log('\n=== Testing Bench Reasons ===');
+
+	const result = optimizeRaidComposition(createPlayers(), { seed: SMALL_RAID });
+	const { explanations } = result;
+	const text = id => explanations[id].reasons.join(' | ');
+
+	const test1 = /tank cap \(1\)/.test(text('tank3')) && /Lower status priority \(tentative\)/.test(text('tank3'));
+	const test2 = /healer cap \(2\)/.test(text('heal3'));
+	const test3 = explanations.dps6.decision === 'benched' && /Signed up later than/.test(text('dps6'));
+
+	console.log(`  tank3: ${text('tank3')}`);
+	console.log(`  dps6: ${text('dps6')}`);
+	console.log(`✓ Tentative tank: tank cap and status reasons: ${test1}`);
+	console.log(`✓ Extra healer: healer cap reason: ${test2}`);
+	console.log(`✓ Late signup dps: signup time reason: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nBench Reasons: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Players moved by local search list the swap and its score gain
+ */
+function testSwapReasons() {
+	console.log('\n=== Testing Swap Reasons ===');
+
+	const result = optimizeRaidComposition(createPlayers(), { seed: SMALL_RAID });
+	const moved = Object.values(result.explanations).filter(e => e.reasons.some(r => r.startsWith('Moved from group')));
+
+	const test1 = result.stats.improvement <= 0 || moved.length > 0;
+	const test2 = moved.every(e => /score [+-]\d+\.\d\d$/.test(e.reasons[e.reasons.length - 1]));
+
+	console.log(`✓ Improvement is explained by moves: ${test1} (${moved.length} moved)`);
+	console.log(`✓ Moves show score change: ${test2}`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nSwap Reasons: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		everyPlayerExplained: testEveryPlayerExplained(),
+		benchReasons: testBenchReasons(),
+		swapReasons: testSwapReasons()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testEveryPlayerExplained,
+	testBenchReasons,
+	testSwapReasons
+};
@@ -0,0 +1,168 @@
+/**
+ * Gear Audit Tests
+ *
+ * Checks missing enchants, low-quality items, empty slots and missing
+ * resistance gear in Battle.net equipment, and the raid-wide text report.
+ */
+
+const { auditGear, auditRaid, formatGearAudit } = require('./src/core/gear-audit');
+const { getItemResistances } = require('./src/core/resistances');
+const { getEncounterProfile, validateEncounterProfile } = require('./src/core/encounter-profiles');
+
+const SLOTS = [
+	'HEAD', 'NECK', 'SHOULDER', 'BACK', 'CHEST', 'WRIST', 'HANDS', 'WAIST', 'LEGS', 'FEET',
+	'FINGER_1', 'FINGER_2', 'TRINKET_1', 'TRINKET_2', 'MAIN_HAND', 'OFF_HAND', 'RANGED'
+];
+const ENCHANTED = [{ display_string: 'Enchanted: +15 Agility', enchantment_slot: { id: 0, type: 'PERMANENT' } }];
+
+function item(slot, extra = {}) {
+	return {
+		slot: { type: slot },
+		name: `${slot} item`,
+		quality: { type: 'EPIC' },
+		level: { value: 66 },
+		inventory_type: { type: slot === 'OFF_HAND' ? 'WEAPON' : slot },
+		enchantments: ENCHANTED,
+		...extra
+	};
+}
+
+// Enchanted epics in every slot, with overrides by slot (null leaves it empty)
+function gear(overrides = {}) {
+	return SLOTS
+		.filter(slot => overrides[slot] !== null)
+		.map(slot => overrides[slot] || item(slot));
+}
+
+function player(name, playerClass, gearEquipment) {
+	return { name, class: playerClass, gearEquipment };
+}
+
+/**
+ * Item resistances come from stats and enchants
+ */
+function testResistances() {
+	console.log('\n=== Testing Item Resistances ===');
+
+	const cloak = item('BACK', {
+		stats: [{ type: { type: 'FIRE_RESISTANCE' }, value: 10 }, { type: { type: 'STAMINA' }, value: 8 }],
+		enchantments: [{ display_string: 'Enchanted: +7 Fire Resistance' }]
+	});
+	const allRes = item('BACK', { enchantments: [{ display_string: 'Enchanted: +5 All Resistances' }] });
+
+	const test1 = JSON.stringify(getItemResistances(cloak)) === JSON.stringify({ fire: 17 });
+	const test2 = getItemResistances(allRes).nature === 5 && getItemResistances(allRes).arcane === 5;
+	const test3 = Object.keys(getItemResistances(item('HEAD'))).length === 0;
+
+	console.log(`✓ Stats and enchants add up: ${test1}`);
+	console.log(`✓ All resistances count for every school: ${test2}`);
+	console.log(`✓ Items without resistance: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nItem Resistances: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * One character's issues
+ */
+function testAuditGear() {
+	console.log('\n=== Testing Gear Audit ===');
+
+	const clean = auditGear(gear(), { playerClass: 'Hunter' });
+	const issues = auditGear(gear({
+		HANDS: item('HANDS', { enchantments: [] }),
+		MAIN_HAND: item('MAIN_HAND', { enchantments: [{ display_string: 'Brilliant Wizard Oil', enchantment_slot: { id: 1, type: 'TEMPORARY' } }] }),
+		TRINKET_1: item('TRINKET_1', { quality: { type: 'UNCOMMON' } }),
+		OFF_HAND: null
+	}), { playerClass: 'Mage', schools: ['fire'] });
+	const types = issues.map(issue => `${issue.type}:${issue.slot || issue.school}`);
+	const caster = auditGear(gear({
+		OFF_HAND: item('OFF_HAND', { inventory_type: { type: 'HOLDABLE' }, enchantments: [] }),
+		RANGED: item('RANGED', { enchantments: [] }),
+		NECK: item('NECK', { enchantments: [] })
+	}), { playerClass: 'Priest' });
+
+	const test1 = clean.length === 0;
+	const test2 = types.includes('enchant:HANDS') && types.includes('enchant:MAIN_HAND') && !types.includes('enchant:NECK');
+	const test3 = types.includes('quality:TRINKET_1') && types.includes('empty:OFF_HAND') && types.includes('resistance:fire');
+	const test4 = caster.length === 0;
+	const test5 = auditGear(gear({ RANGED: item('RANGED', { enchantments: [] }) }), { playerClass: 'Hunter' })[0].message ===
+		'Ranged has no enchant';
+
+	console.log(`✓ Fully enchanted epics pass: ${test1}`);
+	console.log(`✓ Missing and temporary-only enchants flagged: ${test2} (${types.join(', ')})`);
+	console.log(`✓ Low quality, empty slot and resistance flagged: ${test3}`);
+	console.log(`✓ Held-in-off-hand, wands and necks need no enchant: ${test4}`);
+	console.log(`✓ Hunters need a scope: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nGear Audit: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Raid-wide report for an encounter, as text
+ */
+function testRaidReport() {
+	console.log('\n=== Testing Raid Report ===');
+
+	const fireCloak = item('BACK', { stats: [{ type: { type: 'FIRE_RESISTANCE' }, value: 10 }] });
+	const players = [
+		player('Alice', 'Warrior', gear({ BACK: fireCloak })),
+		player('Bob', 'Rogue', gear({ FEET: item('FEET', { enchantments: [] }), WRIST: item('WRIST', { enchantments: [] }) })),
+		player('Carol', 'Mage', [])
+	];
+	const ragnaros = getEncounterProfile('mc-ragnaros');
+	const report = auditRaid(players, { profile: ragnaros });
+	const text = formatGearAudit(report);
+	const anyEncounter = auditRaid(players);
+
+	const test1 = report.encounter === 'Ragnaros' && report.schools.join(',') === 'fire' &&
+		report.counts.enchant === 2 && report.counts.resistance === 1;
+	const test2 = report.players.length === 2 && report.unchecked.map(p => p.name).join(',') === 'Carol';
+	const test3 = text.startsWith('**Gear Audit - Ragnaros**') && text.includes('__Bob__\nEnchant: Wrist, Feet\nBring resistance gear: Fire') &&
+		text.includes('All clear: Alice') && text.includes('No Battle.net gear: Carol');
+	const test4 = anyEncounter.counts.resistance === 0 && !formatGearAudit(anyEncounter).includes('resistance');
+	const test5 = !validateEncounterProfile({ id: 'x', name: 'X', resistances: ['holy'] }).valid &&
+		validateEncounterProfile({ id: 'x', name: 'X', resistances: ['frost'] }).valid;
+
+	console.log(`✓ Issues counted for the encounter: ${test1}`);
+	console.log(`✓ Players without gear reported separately: ${test2}`);
+	console.log(`✓ Text reminders per player: ${test3}`);
+	console.log(`✓ No resistance checks without an encounter: ${test4}`);
+	console.log(`✓ Profile resistance schools validated: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nRaid Report: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		resistances: testResistances(),
+		auditGear: testAuditGear(),
+		raidReport: testRaidReport()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testResistances,
+	testAuditGear,
+	testRaidReport
+};
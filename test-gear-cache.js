@@ -0,0 +1,167 @@
+/**
+ * Gear Score Cache Tests
+ *
+ * Checks that fresh cache entries skip Battle.net, stale ones are revalidated
+ * with their Last-Modified date, and last-known gear is used when Battle.net
+ * can't be reached.
+ */
+
+const BattleNetAPI = require('./src/core/battlenet-api');
+const {
+	createEmptyGearCache,
+	getCacheKey,
+	getCachedEntry,
+	isFresh,
+	updateGearCache,
+	validateGearCache
+} = require('./src/core/gear-cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MODIFIED = 'Mon, 12 Oct 2026 19:00:00 GMT';
+
+function hoursAgo(hours) {
+	return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+function equipment(...levels) {
+	return { equipped_items: levels.map(value => ({ level: { value } })) };
+}
+
+// Battle.net stand-in: records requests, answers per character
+function makeApi(responses) {
+	const api = new BattleNetAPI('id', 'secret', 'eu');
+	api.requests = [];
+	api.fetchCharacterEquipment = async (realm, name, ifModifiedSince) => {
+		api.requests.push({ name, ifModifiedSince });
+		const response = responses[name];
+		if (response instanceof Error) throw response;
+		return response;
+	};
+	return api;
+}
+
+// Alice fetched an hour ago, Bob two days ago
+function makeCache() {
+	return updateGearCache(createEmptyGearCache(), 'eu', [
+		{ name: 'Alice', realm: 'Mirage Raceway', success: true, gearScore: 62, equipment: [], lastModified: MODIFIED, fetchedAt: hoursAgo(1) },
+		{ name: 'Bob', realm: 'Mirage Raceway', success: true, gearScore: 58, equipment: [], lastModified: MODIFIED, fetchedAt: hoursAgo(48) },
+		{ name: 'Nobody', realm: 'Mirage Raceway', success: false, error: 'Character not found' }
+	]);
+}
+
+/**
+ * Entries are keyed by region, realm and character and expire after the TTL
+ */
+function testCacheEntries() {
+	console.log('\n=== Testing Cache Entries ===');
+
+	const cache = makeCache();
+	const alice = getCachedEntry(cache, 'eu', 'MirageRaceway', 'alice');
+
+	const test1 = Object.keys(cache.entries).join(',') === 'eu/mirage-raceway/alice,eu/mirage-raceway/bob' &&
+		getCacheKey('us', 'Mirage Raceway', 'Alice') === 'us/mirage-raceway/alice';
+	const test2 = alice && alice.gearScore === 62 && !getCachedEntry(cache, 'us', 'Mirage Raceway', 'Alice');
+	const test3 = isFresh(alice, 24) && !isFresh(getCachedEntry(cache, 'eu', 'Mirage Raceway', 'Bob'), 24) &&
+		!isFresh(alice, 0) && !isFresh(null);
+	const test4 = validateGearCache(cache).length === 0 && validateGearCache({ entries: { x: { gearScore: 1 } } }).length === 1;
+
+	console.log(`✓ Keyed by region, realm slug and name: ${test1}`);
+	console.log(`✓ Lookups match realm and name spelling: ${test2}`);
+	console.log(`✓ TTL decides freshness: ${test3}`);
+	console.log(`✓ Cache files validated: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nCache Entries: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Fresh entries skip the request; stale ones send If-Modified-Since
+ */
+async function testRevalidation() {
+	console.log('\n=== Testing Revalidation ===');
+
+	const api = makeApi({
+		Bob: { status: 'unchanged', equipment: null, lastModified: MODIFIED },
+		Carol: { status: 'ok', equipment: equipment(60, 70), lastModified: MODIFIED }
+	});
+	const characters = ['Alice', 'Bob', 'Carol'].map(name => ({ playerId: name, name, realm: 'Mirage Raceway' }));
+	const cache = makeCache();
+	const results = await api.batchGetGearScores(characters, { cache, ttlHours: 24 });
+	const [alice, bob, carol] = results;
+	const updated = updateGearCache(cache, 'eu', results);
+
+	const test1 = api.requests.map(r => r.name).join(',') === 'Bob,Carol' && alice.cached && alice.gearScore === 62;
+	const test2 = api.requests[0].ifModifiedSince === MODIFIED && api.requests[1].ifModifiedSince === null;
+	const test3 = bob.success && bob.unchanged && bob.gearScore === 58 && carol.gearScore === 65 && carol.playerId === 'Carol';
+	const test4 = isFresh(getCachedEntry(updated, 'eu', 'Mirage Raceway', 'Bob'), 24) &&
+		getCachedEntry(updated, 'eu', 'Mirage Raceway', 'Carol').gearScore === 65 &&
+		getCachedEntry(updated, 'eu', 'Mirage Raceway', 'Alice').fetchedAt === alice.fetchedAt;
+
+	console.log(`✓ Fresh entry used without a request: ${test1}`);
+	console.log(`✓ Stale entry revalidated with Last-Modified: ${test2}`);
+	console.log(`✓ Unchanged gear reused, new gear scored: ${test3}`);
+	console.log(`✓ Cache refreshed from the results: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nRevalidation: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Without Battle.net, cached characters keep their last-known gear and fetch date
+ */
+async function testOffline() {
+	console.log('\n=== Testing Offline Reuse ===');
+
+	const offline = new Error('getaddrinfo ENOTFOUND eu.api.blizzard.com');
+	const api = makeApi({ Alice: offline, Dave: offline });
+	const characters = ['Alice', 'Dave'].map(name => ({ name, realm: 'Mirage Raceway' }));
+	const cache = makeCache();
+	const [alice, dave] = await api.batchGetGearScores(characters, { cache, ttlHours: 0 });
+	const updated = updateGearCache(cache, 'eu', [alice, dave]);
+
+	const test1 = alice.success && alice.offline && alice.gearScore === 62 &&
+		alice.fetchedAt === getCachedEntry(cache, 'eu', 'Mirage Raceway', 'Alice').fetchedAt;
+	const test2 = !dave.success && /ENOTFOUND/.test(dave.error);
+	const test3 = JSON.stringify(updated.entries) === JSON.stringify(cache.entries);
+
+	console.log(`✓ Last-known gear with its fetch date: ${test1}`);
+	console.log(`✓ Uncached characters fail: ${test2}`);
+	console.log(`✓ Offline results leave the cache alone: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nOffline Reuse: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+async function runAllTests() {
+	const results = {
+		cacheEntries: testCacheEntries(),
+		revalidation: await testRevalidation(),
+		offline: await testOffline()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	runAllTests().then(passed => {
+		process.exitCode = passed ? 0 : 1;
+	});
+}
+
+module.exports = {
+	runAllTests,
+	testCacheEntries,
+	testRevalidation,
+	testOffline
+};
@@ -0,0 +1,224 @@
+/**
+ * Gear Score Model Tests
+ *
+ * Checks slot and quality weighting, two-handers against dual-wielding, tier
+ * set pieces, empty slots, the average fallback and model selection in the
+ * Battle.net client.
+ */
+
+const BattleNetAPI = require('./src/core/battlenet-api');
+const {
+	GEAR_SCORE_MODELS,
+	registerGearScoreModel,
+	scoreEquipment,
+	getSlotLabel
+} = require('./src/core/gear-score');
+
+const FULL_SLOTS = [
+	'HEAD', 'NECK', 'SHOULDER', 'BACK', 'CHEST', 'WRIST', 'HANDS', 'WAIST', 'LEGS', 'FEET',
+	'FINGER_1', 'FINGER_2', 'TRINKET_1', 'TRINKET_2', 'MAIN_HAND', 'OFF_HAND', 'RANGED'
+];
+
+function item(slot, level, extra = {}) {
+	return { slot: { type: slot }, name: `${slot} item`, quality: { type: 'EPIC' }, level: { value: level }, ...extra };
+}
+
+// Epic item level 66 in every slot, with overrides by slot
+function fullSet(overrides = {}) {
+	return FULL_SLOTS
+		.filter(slot => overrides[slot] !== null)
+		.map(slot => overrides[slot] || item(slot, 66));
+}
+
+function tierPiece(slot, level) {
+	return item(slot, level, { set: { item_set: { id: 209, name: 'Netherwind Regalia' } } });
+}
+
+/**
+ * Shirts and tabards don't count; a blue trinket or a missing weapon does
+ */
+function testWeighting() {
+	console.log('\n=== Testing Slot Weighting ===');
+
+	const base = scoreEquipment(fullSet());
+	const dressed = scoreEquipment([...fullSet(), item('SHIRT', 1), item('TABARD', 20)]);
+	const blueTrinket = scoreEquipment(fullSet({ TRINKET_1: item('TRINKET_1', 66, { quality: { type: 'RARE' } }) }));
+	const noWeapon = scoreEquipment(fullSet({ MAIN_HAND: null }));
+	const average = scoreEquipment([...fullSet(), item('SHIRT', 1)], 'average');
+
+	const test1 = base.model === 'weighted' && base.score === 66 && base.emptySlots.length === 0 && base.slots.length === 17;
+	const test2 = dressed.score === 66 && !dressed.slots.some(slot => slot.slot === 'SHIRT');
+	const trinketPoints = result => result.slots.find(slot => slot.slot === 'TRINKET_1').points;
+	const test3 = trinketPoints(blueTrinket) === Math.round(66 * 0.5625 * 0.9 * 10) / 10 &&
+		trinketPoints(blueTrinket) < trinketPoints(base);
+	const test4 = noWeapon.emptySlots.join(',') === 'MAIN_HAND' && noWeapon.score < 64;
+	const test5 = average.model === 'average' && average.score === Math.round((66 * 17 + 1) / 18);
+
+	console.log(`✓ Full epic set scores its item level: ${test1} (${base.score})`);
+	console.log(`✓ Shirt and tabard ignored: ${test2} (${dressed.score})`);
+	console.log(`✓ Rare trinket weighs less: ${test3} (${trinketPoints(blueTrinket)} points)`);
+	console.log(`✓ Missing weapon flagged and counted as empty: ${test4} (${noWeapon.score})`);
+	console.log(`✓ Average model keeps the plain average: ${test5} (${average.score})`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nSlot Weighting: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * A two-hander fills both weapon slots; dual-wielders need both hands filled
+ */
+function testWeapons() {
+	console.log('\n=== Testing Weapons ===');
+
+	const twoHander = scoreEquipment(fullSet({
+		MAIN_HAND: item('MAIN_HAND', 66, { inventory_type: { type: 'TWOHWEAPON' } }),
+		OFF_HAND: null
+	}));
+	const strongTwoHander = scoreEquipment(fullSet({
+		MAIN_HAND: item('MAIN_HAND', 77, { inventory_type: { type: 'TWOHWEAPON' } }),
+		OFF_HAND: null
+	}));
+	const oneHander = scoreEquipment(fullSet({ MAIN_HAND: item('MAIN_HAND', 77), OFF_HAND: null }));
+
+	const test1 = twoHander.twoHanded && twoHander.score === 66 && twoHander.emptySlots.length === 0 &&
+		twoHander.slots.find(slot => slot.slot === 'MAIN_HAND').weight === 2;
+	const test2 = strongTwoHander.score > oneHander.score && oneHander.emptySlots.join(',') === 'OFF_HAND';
+
+	console.log(`✓ Two-hander counts for both hands: ${test1} (${twoHander.score})`);
+	console.log(`✓ One-hander without an off hand loses out: ${test2} (${strongTwoHander.score} vs ${oneHander.score})`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nWeapons: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Tier pieces are counted by set id; two or more add to the score
+ */
+function testTierSets() {
+	console.log('\n=== Testing Tier Sets ===');
+
+	const onePiece = scoreEquipment(fullSet({ HEAD: tierPiece('HEAD', 66) }));
+	const fourPieces = scoreEquipment(fullSet({
+		HEAD: tierPiece('HEAD', 66),
+		SHOULDER: tierPiece('SHOULDER', 66),
+		CHEST: tierPiece('CHEST', 66),
+		LEGS: tierPiece('LEGS', 66)
+	}));
+
+	const test1 = onePiece.sets.length === 1 && onePiece.sets[0].pieces === 1 && onePiece.setBonus === 0 && onePiece.score === 66;
+	const test2 = fourPieces.sets[0].id === 209 && fourPieces.sets[0].pieces === 4 && fourPieces.setBonus === 2 &&
+		fourPieces.score === 68;
+
+	console.log(`✓ A single piece gives no bonus: ${test1}`);
+	console.log(`✓ Four pieces counted and rewarded: ${test2} (${fourPieces.score})`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nTier Sets: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Items without slots fall back to the average; models can be added and chosen
+ */
+function testModels() {
+	console.log('\n=== Testing Models ===');
+
+	const slotless = scoreEquipment([{ level: { value: 60 } }, { level: { value: 70 } }]);
+	registerGearScoreModel('best', {
+		label: 'Best item',
+		score: items => ({ score: Math.max(...items.map(i => i.level.value)), slots: [], emptySlots: [], sets: [] })
+	});
+	const best = scoreEquipment(fullSet({ HEAD: item('HEAD', 80) }), 'best');
+	const unknown = scoreEquipment(fullSet(), 'nonsense');
+
+	let rejected = false;
+	try {
+		registerGearScoreModel('broken', {});
+	} catch (error) {
+		rejected = /needs a score function/.test(error.message);
+	}
+
+	const test1 = slotless.model === 'average' && slotless.score === 65 && scoreEquipment([]) === null;
+	const test2 = best.model === 'best' && best.score === 80 && GEAR_SCORE_MODELS.best.label === 'Best item' && rejected;
+	const test3 = unknown.model === 'weighted';
+	const test4 = getSlotLabel('FINGER_1') === 'Finger 1' && getSlotLabel('OFF_HAND') === 'Off Hand';
+
+	delete GEAR_SCORE_MODELS.best;
+
+	console.log(`✓ Slotless items use the average: ${test1}`);
+	console.log(`✓ Custom models registered and validated: ${test2}`);
+	console.log(`✓ Unknown models use the default: ${test3}`);
+	console.log(`✓ Slot labels: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nModels: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The client scores with its configured model and rescores cached gear
+ */
+async function testClient() {
+	console.log('\n=== Testing Client Model ===');
+
+	const items = [...fullSet({ MAIN_HAND: null }), item('SHIRT', 1)];
+	const weighted = new BattleNetAPI('id', 'secret', 'us');
+	const average = new BattleNetAPI('id', 'secret', 'us', { gearScoreModel: 'average' });
+	const cache = {
+		version: 1,
+		entries: {
+			'us/pagle/alice': { name: 'Alice', realm: 'Pagle', gearScore: 1, equipment: items, fetchedAt: new Date().toISOString() }
+		}
+	};
+	const [alice] = await weighted.batchGetGearScores([{ name: 'Alice', realm: 'Pagle' }], { cache });
+
+	const test1 = weighted.calculateGearScore({ equipped_items: items }) === scoreEquipment(items).score &&
+		average.calculateGearScore({ equipped_items: items }) === scoreEquipment(items, 'average').score &&
+		weighted.calculateGearScore(null) === 0;
+	const test2 = alice.cached && alice.gearScore === scoreEquipment(items).score &&
+		alice.gearBreakdown.emptySlots.includes('MAIN_HAND');
+
+	console.log(`✓ Client uses its model: ${test1}`);
+	console.log(`✓ Cached gear rescored with a breakdown: ${test2} (${alice.gearScore})`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nClient Model: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+async function runAllTests() {
+	const results = {
+		weighting: testWeighting(),
+		weapons: testWeapons(),
+		tierSets: testTierSets(),
+		models: testModels(),
+		client: await testClient()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	runAllTests().then(passed => {
+		process.exitCode = passed ? 0 : 1;
+	});
+}
+
+module.exports = {
+	runAllTests,
+	testWeighting,
+	testWeapons,
+	testTierSets,
+	testModels,
+	testClient
+};
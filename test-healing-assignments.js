@@ -0,0 +1,158 @@
+/**
+ * Healing Assignment Tests
+ *
+ * Checks tank healing teams, group-bound healing, raid healers and the
+ * Discord text for a finished composition.
+ */
+
+const { Player, Group } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { generateHealingAssignments, formatHealingAssignments } = require('./src/core/healing-assignments');
+
+function makePlayer(name, className, spec) {
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed' });
+}
+
+const mainTank = makePlayer('Maintank', 'Warrior', 'Protection');
+const offTank = makePlayer('Offtank', 'Warrior', 'Protection');
+const priestA = makePlayer('PriestA', 'Priest', 'Holy');
+const priestB = makePlayer('PriestB', 'Priest', 'Holy');
+const priestC = makePlayer('PriestC', 'Priest', 'Holy');
+const pally = makePlayer('Pally', 'Paladin', 'Holy');
+const pallyB = makePlayer('PallyB', 'Paladin', 'Holy');
+const shaman = makePlayer('Shammy', 'Shaman', 'Restoration');
+const druid = makePlayer('Druid', 'Druid', 'Restoration');
+const rogue = makePlayer('Rogue', 'Rogue', 'Combat');
+const mage = makePlayer('Mage', 'Mage', 'Frost');
+
+// G1: MT, paladin, shaman; G2: OT, priest A, druid; G3: priests B/C, paladin B; G4: dps only
+function makeRaid() {
+	return RaidState.createEmpty(4)
+		.withPlayerAt(1, 0, mainTank)
+		.withPlayerAt(1, 1, pally)
+		.withPlayerAt(1, 2, shaman)
+		.withPlayerAt(2, 0, offTank)
+		.withPlayerAt(2, 1, priestA)
+		.withPlayerAt(2, 2, druid)
+		.withPlayerAt(3, 0, priestB)
+		.withPlayerAt(3, 1, priestC)
+		.withPlayerAt(3, 2, pallyB)
+		.withPlayerAt(4, 0, rogue)
+		.withPlayerAt(4, 1, mage);
+}
+
+function names(players) {
+	return players.map(player => player.name).join(',');
+}
+
+/**
+ * Tanks get their healers, preferring their own group, main tank first
+ */
+function testTankTeams() {
+	console.log('\n=== Testing Tank Teams ===');
+
+	const assignments = generateHealingAssignments(makeRaid());
+	const [mt, ot] = assignments.tanks;
+	const short = generateHealingAssignments(makeRaid(), { tankHealers: [4, 3] });
+
+	const test1 = mt.tank === mainTank && mt.groupId === 1 && mt.healers.length === 3 && mt.healers[0] === pally;
+	const test2 = ot.tank === offTank && ot.healers.length === 2 && ot.healers[0] === priestA;
+	const test3 = !mt.healers.includes(shaman) && !ot.healers.includes(druid);
+	const test4 = short.tanks[0].healers.length === 4 && short.tanks[1].healers.length === 1 &&
+		short.warnings.includes('Offtank has 1 of 3 tank healers');
+
+	console.log(`✓ Main tank team, own group first: ${test1} (${names(mt.healers)})`);
+	console.log(`✓ Off-tank team, own group first: ${test2} (${names(ot.healers)})`);
+	console.log(`✓ Group-bound healers stay off tanks: ${test3}`);
+	console.log(`✓ Short teams reported: ${test4} (${short.warnings.join('; ')})`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nTank Teams: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Shamans and druids heal their own group; other groups get a free healer
+ */
+function testGroupAndRaidHealing() {
+	console.log('\n=== Testing Group and Raid Healing ===');
+
+	const assignments = generateHealingAssignments(makeRaid(), { tankHealers: [2, 1] });
+	const byGroup = Object.fromEntries(assignments.groups.map(group => [group.groupId, group.healers]));
+	const uncovered = generateHealingAssignments(makeRaid(), { tankHealers: [3, 3] });
+
+	const test1 = names(byGroup[1]) === 'Shammy' && names(byGroup[2]) === 'Druid';
+	const test2 = byGroup[3].length === 1 && byGroup[3][0].class === 'Priest' &&
+		byGroup[4].length === 1;
+	const test3 = assignments.raid.length === 0 &&
+		new Set([...assignments.tanks.flatMap(t => t.healers), ...assignments.groups.flatMap(g => g.healers)]).size === 7;
+	const test4 = uncovered.warnings.includes('Group 3 has no group healer') &&
+		uncovered.warnings.includes('Group 4 has no group healer');
+
+	console.log(`✓ Group-bound healers heal their group: ${test1}`);
+	console.log(`✓ Other groups covered by free healers: ${test2} (G3 ${names(byGroup[3])}, G4 ${names(byGroup[4])})`);
+	console.log(`✓ Every healer assigned once: ${test3}`);
+	console.log(`✓ Uncovered groups reported: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nGroup and Raid Healing: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Discord text, and model groups as input (the composition tab's shape)
+ */
+function testDiscordText() {
+	console.log('\n=== Testing Discord Text ===');
+
+	const groups = makeRaid().groups.map(state => {
+		const group = new Group(state.id);
+		state.getPlayers().forEach(player => group.addPlayer(player));
+		return group;
+	});
+	const assignments = generateHealingAssignments(groups, { tankHealers: [1, 1], coverAllGroups: false });
+	const text = formatHealingAssignments(assignments);
+	const lines = text.split('\n');
+
+	const test1 = lines[0] === '**Healing Assignments**' &&
+		lines.includes('MT Maintank (G1): Pally') && lines.includes('OT Offtank (G2): PriestA');
+	const test2 = lines.includes('G1: Shammy') && lines.includes('G3: -') && lines.includes('G4: -');
+	const test3 = lines[lines.indexOf('__Raid__') + 1] === 'PriestB, PriestC, PallyB' && assignments.warnings.length === 0;
+
+	console.log(`✓ Tank lines: ${test1}`);
+	console.log(`✓ Group lines: ${test2}`);
+	console.log(`✓ Raid healers listed: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nDiscord Text: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		tankTeams: testTankTeams(),
+		groupAndRaidHealing: testGroupAndRaidHealing(),
+		discordText: testDiscordText()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testTankTeams,
+	testGroupAndRaidHealing,
+	testDiscordText
+};
@@ -0,0 +1,242 @@
+/**
+ * Optimization Worker Tests
+ *
+ * Runs optimization jobs on a worker thread and checks progress events,
+ * "stop and keep best", cancellation, and jobs configured from the settings tab
+ * (including re-optimizing a serialized previous composition).
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { startOptimizationWorker, ENGINES } = require('./src/core/optimization-worker');
+
+function loadPlayers() {
+	const data = JSON.parse(fs.readFileSync('./sample-data/raid-helper-sample.json', 'utf-8'));
+	return new RaidHelperParser().parse(data).players;
+}
+
+// Annealing with budgets large enough that only a stop or cancel ends it
+const LONG_SEARCH = {
+	optimization: {
+		strategy: 'simulated-annealing',
+		maxIterations: 1e9,
+		maxIterationsWithoutImprovement: 1e9,
+		timeBudgetMs: 60000
+	}
+};
+
+/**
+ * Stopping a long search streams progress and returns the best state so far
+ */
+async function testStopKeepsBest() {
+	console.log('\n=== Testing Stop and Keep Best ===');
+
+	const players = loadPlayers();
+	const events = [];
+	const run = startOptimizationWorker({ engine: ENGINES.SEARCH, players, config: LONG_SEARCH }, progress => {
+		events.push(progress);
+		if (events.length === 3) run.stop();
+	});
+	const result = await run.result;
+
+	const placed = result.success ? result.raidState.groups.flatMap(g => g.slots).filter(Boolean) : [];
+
+	const test1 = events.length >= 3 && events.every(e => e.stage === 'search' && e.iteration > 0);
+	const test2 = result.success && result.stats.stopped === true && result.stats.timeMs < 10000;
+	const test3 = result.success && result.stats.finalScore >= events[2].bestScore;
+	const test4 = placed.length > 0 && placed.every(id => players.some(p => p.userid === id));
+
+	console.log(`✓ Progress events streamed: ${test1} (${events.length})`);
+	console.log(`✓ Search stopped early: ${test2}`);
+	console.log(`✓ Best score kept: ${test3}`);
+	console.log(`✓ Result refers to players by id: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nStop and Keep Best: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Cancelling discards the run
+ */
+async function testCancel() {
+	console.log('\n=== Testing Cancel ===');
+
+	const run = startOptimizationWorker({ engine: ENGINES.SEARCH, players: loadPlayers(), config: LONG_SEARCH }, () => run.cancel());
+	const result = await run.result;
+
+	const test1 = !result.success && result.cancelled === true;
+
+	console.log(`✓ Cancelled run resolves without a result: ${test1}`);
+
+	console.log(`\nCancel: ${test1 ? 'PASSED' : 'FAILED'}`);
+	return test1;
+}
+
+/**
+ * RaidOptimizer jobs come back as groups of player ids
+ */
+async function testRaidOptimizerJob() {
+	console.log('\n=== Testing RaidOptimizer Job ===');
+
+	const players = loadPlayers();
+	const result = await startOptimizationWorker({
+		engine: ENGINES.RAID_OPTIMIZER,
+		players,
+		settings: { raidSize: 40 },
+		mode: 'global'
+	}).result;
+
+	const grouped = result.success ? result.groups.flatMap(g => g.playerIds) : [];
+
+	const test1 = result.success && result.groups.length > 0 && grouped.length === result.raid.playerIds.length;
+	const test2 = grouped.every(id => players.some(p => p.id === id));
+	const test3 = result.success && result.selectedPlayerIds.length + result.benchedPlayerIds.length === players.length;
+
+	console.log(`✓ Groups returned: ${test1}`);
+	console.log(`✓ Group members are known player ids: ${test2}`);
+	console.log(`✓ Every player selected or benched: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nRaidOptimizer Job: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Constraint-validated jobs take the settings tab and report infeasible settings
+ */
+async function testConstraintValidatedJob() {
+	console.log('\n=== Testing Constraint-Validated Job ===');
+
+	const players = loadPlayers();
+	const job = settings => startOptimizationWorker({
+		engine: ENGINES.CONSTRAINT_VALIDATED,
+		players,
+		settings: { healerPercentage: 25, minTanks: 2, alternativeCount: 2, ...settings },
+		config: { topK: { k: 2, minMoves: 4, restarts: 4 } }
+	}).result;
+
+	const result = await job({ raidSize: 20 });
+	const infeasible = await job({ raidSize: 40 });
+	const grouped = result.success ? result.groups.flatMap(g => g.playerIds) : [];
+
+	const test1 = result.success && result.groups.length === 4 && grouped.length === 20;
+	const test2 = result.success && result.statistics.composition.healers >= 5 && result.statistics.composition.tanks >= 2;
+	const test3 = result.success && result.alternatives.length > 0 &&
+		result.alternatives.every(a => a.groups.length === 4 && typeof a.score === 'number');
+	const test4 = result.success && Object.keys(result.explanations).length > 0 &&
+		result.alternatives.every(a => Object.keys(a.explanations).length > 0);
+	const test5 = !infeasible.success && /Not enough healers: have 9, need 10/.test(infeasible.error);
+
+	console.log(`✓ 20-man raid in 4 full groups: ${test1}`);
+	console.log(`✓ Tank and healer minimums met: ${test2}`);
+	console.log(`✓ Alternatives in the same shape: ${test3}`);
+	console.log(`✓ Explanations included, for every alternative: ${test4}`);
+	console.log(`✓ Infeasible settings reported: ${test5} (${infeasible.error})`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nConstraint-Validated Job: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Search jobs with settings (Optimize the Rest) use the settings tab's raid and keep pins
+ */
+async function testSearchJobSettings() {
+	console.log('\n=== Testing Search Job Settings ===');
+
+	const players = loadPlayers();
+	const pinned = players.find(player => player.role === 'dps');
+	const result = await startOptimizationWorker({
+		engine: ENGINES.SEARCH,
+		players,
+		settings: { raidSize: 20, healerPercentage: 25, minTanks: 2, alternativeCount: 3 },
+		config: { pins: { placements: [{ userid: pinned.userid, groupId: 3 }], bench: [] }, topK: { k: 1 } }
+	}).result;
+	const groups = result.success ? result.raidState.groups : [];
+	const placed = groups.flatMap(group => group.slots.filter(Boolean));
+
+	const test1 = result.success && groups.length === 4 && placed.length === 20;
+	const test2 = result.success && groups[2].slots.includes(pinned.userid);
+	const test3 = result.success && result.alternatives.length === 1;
+
+	console.log(`✓ 20-man raid from the settings: ${test1}`);
+	console.log(`✓ Pinned player kept in their group: ${test2}`);
+	console.log(`✓ Job config over the settings: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nSearch Job Settings: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Reoptimize jobs rebuild the previous composition and move few players
+ */
+async function testReoptimizeJob() {
+	console.log('\n=== Testing Reoptimize Job ===');
+
+	const players = loadPlayers();
+	const settings = { raidSize: 20, healerPercentage: 25, minTanks: 2 };
+	const first = await startOptimizationWorker({ engine: ENGINES.SEARCH, players, settings, config: { topK: { k: 1 } } }).result;
+	// One placed dps signs off
+	const leaver = players.find(player => player.role === 'dps' && first.raidState.groups.some(g => g.slots.includes(player.userid)));
+	leaver.status = 'absence';
+	const result = await startOptimizationWorker({
+		engine: ENGINES.REOPTIMIZE,
+		players,
+		previousState: first.raidState,
+		settings,
+		config: { topK: { k: 1 } }
+	}).result;
+	const groups = result.success ? result.raidState.groups : [];
+	const placed = groups.flatMap(group => group.slots.filter(Boolean));
+
+	const test1 = result.success && groups.length === 4 && placed.length === 20 && !placed.includes(leaver.userid);
+	const test2 = result.success && result.stats.left === 1 && result.stats.moved <= 2;
+	const test3 = result.success && result.moveList.some(line => line.startsWith(leaver.name));
+
+	console.log(`✓ Previous 20-man raid rebuilt and refilled: ${test1}`);
+	console.log(`✓ Few players moved: ${test2} (${result.success ? result.stats.moved : '-'} moved)`);
+	console.log(`✓ Move list names the leaver: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nReoptimize Job: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+async function runAllTests() {
+	const results = {
+		stopKeepsBest: await testStopKeepsBest(),
+		cancel: await testCancel(),
+		raidOptimizerJob: await testRaidOptimizerJob(),
+		constraintValidatedJob: await testConstraintValidatedJob(),
+		searchJobSettings: await testSearchJobSettings(),
+		reoptimizeJob: await testReoptimizeJob()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	runAllTests().then(passed => {
+		process.exitCode = passed ? 0 : 1;
+	});
+}
+
+module.exports = {
+	runAllTests,
+	testStopKeepsBest,
+	testCancel,
+	testRaidOptimizerJob,
+	testConstraintValidatedJob,
+	testSearchJobSettings,
+	testReoptimizeJob
+};
@@ -0,0 +1,113 @@
+/**
+ * Pair Preference Tests
+ *
+ * Checks soft together/apart scoring, the breakdown of satisfied and broken
+ * pairs, and hard pairs enforced as group constraints.
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { generateSeed } = require('./src/core/seed-generator');
+const { getScoreBreakdown } = require('./src/core/scoring');
+const { validateRaidState } = require('./src/core/constraints');
+
+function loadPlayers() {
+	const data = JSON.parse(fs.readFileSync('./sample-data/raid-helper-sample.json', 'utf-8'));
+	return new RaidHelperParser().parse(data).players;
+}
+
+/**
+ * Breakdown lists satisfied and broken pairs
+ */
+function testBreakdown() {
+	console.log('\n=== Testing Pair Preference Breakdown ===');
+
+	const seed = generateSeed(loadPlayers()).raidState;
+	const [a, b] = seed.groups[0].getPlayers();
+	const c = seed.groups[1].getPlayers()[0];
+	const preferences = [
+		{ players: [a.userid, b.userid], type: 'together' },
+		{ players: [a.name, c.name], type: 'together' },
+		{ players: [b.userid, c.userid], type: 'apart', weight: 10 },
+		{ players: [a.userid, 'not-in-raid'], type: 'apart' }
+	];
+
+	const breakdown = getScoreBreakdown(seed, {}, preferences).pairPreferences;
+
+	const test1 = breakdown.satisfied.length === 2 && breakdown.broken.length === 1 && breakdown.inactive.length === 1;
+	const test2 = breakdown.score === 4 - 4 + 10;
+	const test3 = breakdown.broken[0].preference === preferences[1];
+
+	console.log(`✓ Pairs classified (2 satisfied, 1 broken, 1 inactive): ${test1}`);
+	console.log(`✓ Score uses default and per-pair weights: ${test2}`);
+	console.log(`✓ Broken pair matched by name: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nPair Preference Breakdown: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Hard pairs are never broken by the optimizer
+ */
+function testHardPairs() {
+	console.log('\n=== Testing Hard Pair Preferences ===');
+
+	const players = loadPlayers();
+	const tank = players.find(p => p.role === 'tank' && p.status === 'confirmed');
+	const healers = players.filter(p => p.role === 'healer' && p.status === 'confirmed');
+	const dps = players.filter(p => p.role === 'dps' && p.status === 'confirmed');
+	const preferences = [
+		{ players: [tank.userid, healers[healers.length - 1].userid], type: 'together', hard: true },
+		{ players: [dps[0].userid, dps[1].userid], type: 'apart', hard: true }
+	];
+
+	const result = optimizeRaidComposition(players, { preferences });
+	const state = result.raidState;
+	const groupOf = player => state.findPlayer(player).groupId;
+
+	const test1 = result.success && groupOf(tank) === groupOf(healers[healers.length - 1]);
+	const test2 = result.success && groupOf(dps[0]) !== groupOf(dps[1]);
+	const test3 = result.success && result.scoreBreakdown.pairPreferences.broken.length === 0;
+
+	const moved = state.swapPlayers(state.findPlayer(dps[1]), { groupId: groupOf(dps[0]), slotIndex: 4 });
+	const constraints = { group: { PAIR_PREFERENCES: preferences } };
+	const test4 = validateRaidState(moved, constraints).violations.some(v => v.constraint === 'PAIR_APART');
+
+	console.log(`✓ Hard together pair kept together: ${test1}`);
+	console.log(`✓ Hard apart pair kept apart: ${test2}`);
+	console.log(`✓ Breakdown has no broken pairs: ${test3}`);
+	console.log(`✓ Breaking a hard pair is a violation: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nHard Pair Preferences: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		breakdown: testBreakdown(),
+		hardPairs: testHardPairs()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testBreakdown,
+	testHardPairs
+};
@@ -0,0 +1,131 @@
+/**
+ * Realm Resolution Tests
+ *
+ * Checks where a character's realm comes from (roster, "Name-Realm" names and
+ * notes, the guild default), the realm slug and that Battle.net batch lookups
+ * keep the player id and realm source.
+ */
+
+const { Player } = require('./src/core/models');
+const BattleNetAPI = require('./src/core/battlenet-api');
+const { toRealmSlug, parseNameRealm, resolveRealm, getCharacterLookups } = require('./src/core/realms');
+
+function makePlayer(data) {
+	return new Player({ class: 'Mage', spec: 'Frost', status: 'confirmed', ...data });
+}
+
+/**
+ * Realm names and slugs
+ */
+function testParsing() {
+	console.log('\n=== Testing Realm Parsing ===');
+
+	const parsed = parseNameRealm('Alice-MirageRaceway');
+
+	const test1 = parsed.name === 'Alice' && parsed.realm === 'Mirage Raceway';
+	const test2 = parseNameRealm('Alice') === null && parseNameRealm('Alice-Zandalar Tribe').realm === 'Zandalar Tribe';
+	const test3 = toRealmSlug('Mirage Raceway') === 'mirage-raceway' && toRealmSlug('ZandalarTribe') === 'zandalar-tribe' &&
+		toRealmSlug("Kel'Thuzad") === 'kelthuzad';
+
+	console.log(`✓ "Name-Realm" split: ${test1} (${parsed.name} / ${parsed.realm})`);
+	console.log(`✓ Plain names and spaced realms: ${test2}`);
+	console.log(`✓ Battle.net slugs: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nRealm Parsing: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Player realm first, then the signup name, the note and the guild default
+ */
+function testResolution() {
+	console.log('\n=== Testing Realm Resolution ===');
+
+	const options = { defaultRealm: 'Whitemane' };
+	const fromRoster = resolveRealm(makePlayer({ name: 'Alice-Pagle', realm: 'Mirage Raceway' }), options);
+	const fromName = resolveRealm(makePlayer({ name: 'Bob-Pagle' }), options);
+	const fromNote = resolveRealm(makePlayer({ name: 'Carol', note: 'alt: carol-Golemagg, bringing fire res' }), options);
+	const fromDefault = resolveRealm(makePlayer({ name: 'Dave', note: 'Erin-Pagle' }), options);
+	const lookups = getCharacterLookups([makePlayer({ userid: '1', name: 'Bob-Pagle' }), makePlayer({ userid: '2', name: 'Dave' })]);
+
+	const test1 = fromRoster.name === 'Alice' && fromRoster.realm === 'Mirage Raceway' && fromRoster.source === 'player';
+	const test2 = fromName.name === 'Bob' && fromName.realm === 'Pagle' && fromName.source === 'name';
+	const test3 = fromNote.realm === 'Golemagg' && fromNote.source === 'note';
+	const test4 = fromDefault.realm === 'Whitemane' && fromDefault.source === 'default';
+	const test5 = lookups.characters.length === 1 && lookups.characters[0].playerId === '1' &&
+		lookups.unresolved.length === 1 && lookups.unresolved[0].name === 'Dave';
+
+	console.log(`✓ Roster realm wins: ${test1}`);
+	console.log(`✓ "Name-Realm" signup name: ${test2}`);
+	console.log(`✓ Realm from the note: ${test3}`);
+	console.log(`✓ Guild default, other characters in the note ignored: ${test4}`);
+	console.log(`✓ Players without a realm reported: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nRealm Resolution: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Batch results keep the lookup fields so misses can be traced to players
+ */
+async function testBatchLookup() {
+	console.log('\n=== Testing Batch Lookup ===');
+
+	const api = new BattleNetAPI('id', 'secret', 'us');
+	const requested = [];
+	api.getCharacterGearScore = async (realm, name) => {
+		requested.push(`${name}@${realm}`);
+		return name === 'Bob' ? { success: true, gearScore: 66 } : { success: false, error: 'Character not found' };
+	};
+
+	const { characters } = getCharacterLookups([
+		makePlayer({ userid: '1', name: 'Bob-Pagle' }),
+		makePlayer({ userid: '2', name: 'Carol', realm: 'Golemagg' })
+	]);
+	const results = await api.batchGetGearScores(characters);
+
+	const test1 = requested.join(',') === 'Bob@Pagle,Carol@Golemagg';
+	const test2 = results[0].playerId === '1' && results[0].gearScore === 66 && results[0].source === 'name';
+	const test3 = results[1].playerId === '2' && !results[1].success && results[1].realm === 'Golemagg';
+
+	console.log(`✓ Characters looked up on their own realm: ${test1} (${requested.join(', ')})`);
+	console.log(`✓ Results keep the player id: ${test2}`);
+	console.log(`✓ Misses keep the realm tried: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nBatch Lookup: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+async function runAllTests() {
+	const results = {
+		parsing: testParsing(),
+		resolution: testResolution(),
+		batchLookup: await testBatchLookup()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	runAllTests().then(passed => {
+		process.exitCode = passed ? 0 : 1;
+	});
+}
+
+module.exports = {
+	runAllTests,
+	testParsing,
+	testResolution,
+	testBatchLookup
+};
@@ -0,0 +1,118 @@
+/**
+ * Incremental Re-Optimization Tests
+ *
+ * Checks that re-optimizing after a dropout and a late signup keeps the
+ * previous groups, restores constraints and reports a postable move list.
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { Player } = require('./src/core/models');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { reoptimizeRaidComposition, diffPlacements } = require('./src/core/reoptimizer');
+const { validateRaidState } = require('./src/core/constraints');
+
+const RAID_25 = {
+	seed: {
+		raid: { MAX_RAID_SIZE: 25, MIN_TANKS: 2, MIN_HEALERS: 5, MAX_GROUPS: 5 },
+		group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+	}
+};
+
+function loadPlayers() {
+	const data = JSON.parse(fs.readFileSync('./sample-data/raid-helper-sample.json', 'utf-8'));
+	return new RaidHelperParser().parse(data).players;
+}
+
+/**
+ * A placed tank and dps drop out and a late dps signs up
+ */
+function createScenario() {
+	const players = loadPlayers();
+	const previous = optimizeRaidComposition(players, RAID_25).raidState;
+	const placed = previous.getAllPlayers();
+	const tank = placed.find(p => p.role === 'tank');
+	const dps = placed.find(p => p.role === 'dps');
+
+	const current = players.filter(p => p.userid !== tank.userid && p.userid !== dps.userid);
+	current.push(new Player({ userid: 'late-1', name: 'Thrall', class: 'Shaman', spec: 'Enhancement', role: 'dps' }));
+
+	return { previous, current, tank, dps };
+}
+
+/**
+ * Only the dropouts and their replacements change
+ */
+function testMinimalMoves() {
+	console.log('\n=== Testing Minimal Moves ===');
+
+	const { previous, current, tank, dps } = createScenario();
+	const result = reoptimizeRaidComposition(previous, current, RAID_25);
+	const rebuilt = optimizeRaidComposition(current, RAID_25).raidState;
+
+	const test1 = result.success && validateRaidState(result.raidState, { raid: RAID_25.seed.raid, group: RAID_25.seed.group }).valid;
+	const test2 = result.success && result.raidState.getRoleCounts().tank >= 2;
+	const test3 = result.success && result.moves.length < diffPlacements(previous, rebuilt).length;
+	const test4 = result.success && result.moveList.includes(`${tank.name}: G${previous.findPlayer(tank).groupId} → Out`) &&
+		result.moveList.includes(`${dps.name}: G${previous.findPlayer(dps).groupId} → Out`);
+
+	console.log(`  Move list: ${result.moveList.join(', ')}`);
+	console.log(`✓ Result is valid: ${test1}`);
+	console.log(`✓ Tank minimum restored from bench: ${test2}`);
+	console.log(`✓ Fewer changes than a full rebuild: ${test3} (${result.moves.length} vs ${diffPlacements(previous, rebuilt).length})`);
+	console.log(`✓ Dropouts listed as "Name: G# → Out": ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nMinimal Moves: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * A higher movement cost never moves more players
+ */
+function testMovementCost() {
+	console.log('\n=== Testing Movement Cost ===');
+
+	const { previous, current } = createScenario();
+	const free = reoptimizeRaidComposition(previous, current, { ...RAID_25, movementCost: 0 });
+	const costly = reoptimizeRaidComposition(previous, current, { ...RAID_25, movementCost: 100 });
+
+	const test1 = free.success && costly.success && costly.stats.moved <= free.stats.moved;
+	const test2 = costly.success && costly.stats.moved === 0;
+	const test3 = free.success && costly.success && free.stats.finalScore >= costly.stats.finalScore;
+
+	console.log(`✓ Higher cost moves no more players: ${test1} (${costly.stats.moved} vs ${free.stats.moved})`);
+	console.log(`✓ Prohibitive cost moves nobody: ${test2}`);
+	console.log(`✓ Zero cost scores at least as well: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nMovement Cost: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		minimalMoves: testMinimalMoves(),
+		movementCost: testMovementCost()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testMinimalMoves,
+	testMovementCost
+};
@@ -0,0 +1,270 @@
+/**
+ * Resistance Requirement Tests
+ *
+ * Checks resistance totals from Battle.net gear and roster entries, encounter
+ * requirements such as "MT needs 315 fire" and "all melee need 200 nature",
+ * the constraint violations naming who is short, and that the seed keeps the
+ * players a counted requirement needs.
+ */
+
+const { Player } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { canGenerateSeed } = require('./src/core/seed-generator');
+const { validateRaidState, updateConstraintConfig } = require('./src/core/constraints');
+const {
+	ENCOUNTER_PROFILES,
+	getEncounterProfile,
+	validateEncounterProfile,
+	applyEncounterProfile
+} = require('./src/core/encounter-profiles');
+const {
+	combineResistances,
+	parseResistances,
+	formatResistances,
+	checkResistanceRequirement,
+	getProfileSchools
+} = require('./src/core/resistances');
+const { auditRaid, formatGearAudit } = require('./src/core/gear-audit');
+const { createEmptyRoster, recordPlayer, updateCharacter, enrichSignup } = require('./src/core/roster');
+
+const MT_FIRE = { school: 'fire', min: 315, who: 'tank', count: 1, label: 'MT' };
+const MELEE_NATURE = { school: 'nature', min: 200, who: 'melee' };
+
+let signup = 0;
+function makePlayer(name, className, spec, resistances = null) {
+	signup++;
+	return new Player({
+		userid: name,
+		name,
+		class: className,
+		spec,
+		status: 'confirmed',
+		signuptime: signup,
+		enteredResistances: resistances
+	});
+}
+
+function fireItem(slot, value) {
+	return { slot: { type: slot }, level: { value: 66 }, stats: [{ type: { type: 'FIRE_RESISTANCE' }, value }] };
+}
+
+/**
+ * Totals from equipment, entered values taking over, nothing known left null
+ */
+function testPlayerResistances() {
+	console.log('\n=== Testing Player Resistances ===');
+
+	const gear = [fireItem('BACK', 20), fireItem('HANDS', 15)];
+	const geared = new Player({ name: 'Alice', class: 'Warrior', spec: 'Protection', gearEquipment: gear });
+	const combined = combineResistances(gear, { fire: 315 });
+	const parsed = parseResistances('fire 315, NR: 200, FrR 50');
+	const bad = parseResistances('fire 315, holy 10, nature');
+
+	const test1 = geared.resistances.fire === 35 && geared.resistances.nature === 0 &&
+		makePlayer('Bob', 'Mage', 'Frost').resistances === null;
+	const test2 = combined.fire === 315 && combined.nature === 0 &&
+		JSON.stringify(combineResistances([], { frost: 100 })) === JSON.stringify({ frost: 100 });
+	const test3 = JSON.stringify(parsed.resistances) === JSON.stringify({ fire: 315, nature: 200, frost: 50 }) &&
+		parsed.errors.length === 0 && formatResistances(parsed.resistances) === 'fire 315, nature 200, frost 50';
+	const test4 = bad.errors.length === 2 && parseResistances('  ').resistances === null;
+
+	console.log(`✓ Totals from Battle.net gear: ${test1}`);
+	console.log(`✓ Entered values override gear: ${test2}`);
+	console.log(`✓ Entered text parsed and formatted: ${test3}`);
+	console.log(`✓ Bad entries reported: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nPlayer Resistances: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Counted and every-player requirements; unknown resistances aren't held against anyone
+ */
+function testRequirements() {
+	console.log('\n=== Testing Requirements ===');
+
+	const tankA = makePlayer('TankA', 'Warrior', 'Protection', { fire: 280 });
+	const tankB = makePlayer('TankB', 'Warrior', 'Protection', { fire: 120 });
+	const fireTank = makePlayer('FireTank', 'Warrior', 'Protection', { fire: 320 });
+	const unknownTank = makePlayer('Unknown', 'Warrior', 'Protection');
+	const rogue = makePlayer('Rogue', 'Rogue', 'Combat', { nature: 250 });
+	const fury = makePlayer('Fury', 'Warrior', 'Fury', { nature: 150 });
+	const mage = makePlayer('Mage', 'Mage', 'Frost', { nature: 0 });
+
+	const met = checkResistanceRequirement([tankA, fireTank], MT_FIRE);
+	const unmet = checkResistanceRequirement([tankB, tankA, mage], MT_FIRE);
+	const unknown = checkResistanceRequirement([unknownTank], MT_FIRE);
+	const melee = checkResistanceRequirement([rogue, fury, mage], MELEE_NATURE);
+
+	const test1 = met.met && met.meeting === 1;
+	const test2 = !unmet.met && unmet.short.map(s => s.player.name).join(',') === 'TankA,TankB' && unmet.label === 'MT';
+	const test3 = unknown.met && unknown.unknown.length === 1;
+	const test4 = !melee.met && melee.short.length === 1 && melee.short[0].player === fury && melee.label === 'melee players';
+
+	console.log(`✓ One tank with enough fire resistance: ${test1}`);
+	console.log(`✓ Short tanks listed, best first: ${test2}`);
+	console.log(`✓ Unknown resistances not checked: ${test3}`);
+	console.log(`✓ Every melee player checked, casters ignored: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nRequirements: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Constraint violations, config validation and encounter profiles
+ */
+function testConstraints() {
+	console.log('\n=== Testing Constraints ===');
+
+	const tank = makePlayer('Tank', 'Warrior', 'Protection', { fire: 280, nature: 210 });
+	const fury = makePlayer('Fury', 'Warrior', 'Fury', { nature: 150 });
+	const raid = RaidState.createEmpty(2)
+		.withPlayerAt(1, 0, tank)
+		.withPlayerAt(1, 1, fury)
+		.withPlayerAt(2, 0, makePlayer('Priest', 'Priest', 'Holy'));
+	const config = { raid: { MIN_TANKS: 1, MIN_HEALERS: 1, RESISTANCE_REQUIREMENTS: [MT_FIRE, MELEE_NATURE] } };
+	const messages = validateRaidState(raid, config).violations
+		.filter(v => v.constraint === 'RESISTANCE_REQUIREMENT')
+		.map(v => v.message);
+
+	let threw = false;
+	try {
+		updateConstraintConfig({ raid: { RESISTANCE_REQUIREMENTS: [{ school: 'holy', min: 10 }] } });
+	} catch (error) {
+		threw = /Invalid resistance requirements/.test(error.message);
+	}
+
+	const ragnaros = getEncounterProfile('mc-ragnaros');
+	const layered = applyEncounterProfile({ seed: { raid: { RESISTANCE_REQUIREMENTS: [MELEE_NATURE] } } }, ragnaros);
+	const badProfile = validateEncounterProfile({
+		id: 'x',
+		name: 'X',
+		constraints: { raid: { RESISTANCE_REQUIREMENTS: [{ school: 'fire', min: 300, who: 'gnomes' }] } }
+	});
+
+	const test1 = messages.length === 2 &&
+		messages[0] === 'Raid has 0 MT with 315 Fire Resistance, requires minimum of 1: Tank (280)' &&
+		messages[1] === 'Raid has 1 melee players below 200 Nature Resistance: Fury (150)';
+	const test2 = validateRaidState(raid, { raid: { MIN_TANKS: 1, MIN_HEALERS: 1 } }).valid && threw;
+	const test3 = ENCOUNTER_PROFILES.every(profile => validateEncounterProfile(profile).valid) &&
+		!badProfile.valid && /unknown selector gnomes/.test(badProfile.errors[0]);
+	const test4 = layered.seed.raid.RESISTANCE_REQUIREMENTS.length === 2 &&
+		getProfileSchools(ragnaros).join(',') === 'fire' &&
+		getProfileSchools(getEncounterProfile('naxx-sapphiron')).join(',') === 'frost';
+
+	console.log(`✓ Violations name who is short: ${test1}`);
+	messages.forEach(message => console.log(`  ${message}`));
+	console.log(`✓ No requirements, no violations; bad config rejected: ${test2}`);
+	console.log(`✓ Built-in profiles valid, unknown selectors rejected: ${test3}`);
+	console.log(`✓ Profiles add requirements and resistance schools: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nConstraints: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The seed keeps a late fire resistance tank over earlier tanks without it
+ */
+function testSeed() {
+	console.log('\n=== Testing Seed ===');
+
+	signup = 0;
+	const roster = () => [
+		makePlayer('TankA', 'Warrior', 'Protection', { fire: 100 }),
+		makePlayer('TankB', 'Warrior', 'Protection', { fire: 90 }),
+		makePlayer('Priest', 'Priest', 'Holy'),
+		makePlayer('Pally', 'Paladin', 'Holy'),
+		makePlayer('Rogue', 'Rogue', 'Combat'),
+		makePlayer('Mage', 'Mage', 'Frost'),
+		makePlayer('FireTank', 'Warrior', 'Protection', { fire: 320 })
+	];
+	const config = requirements => ({
+		seed: {
+			raid: { MAX_RAID_SIZE: 10, MIN_TANKS: 1, MIN_HEALERS: 2, MAX_GROUPS: 2, RESISTANCE_REQUIREMENTS: requirements },
+			group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+		}
+	});
+	const names = state => state.getAllPlayers().map(p => p.name);
+
+	const plain = optimizeRaidComposition(roster(), config([]));
+	const withFire = optimizeRaidComposition(roster(), config([MT_FIRE]));
+	const impossible = canGenerateSeed(roster().slice(0, 6), config([MT_FIRE]).seed);
+
+	const test1 = plain.success && !names(plain.raidState).includes('FireTank');
+	const test2 = withFire.success && names(withFire.raidState).includes('FireTank');
+	const test3 = !impossible.possible &&
+		impossible.reason === 'Not enough MT with 315 Fire Resistance: have 0, need 1';
+
+	console.log(`✓ Without the requirement the late tank sits out: ${test1}`);
+	console.log(`✓ With it the fire resistance tank is placed: ${test2}`);
+	console.log(`✓ No tank with enough resistance reported: ${test3} (${impossible.reason})`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nSeed: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Entered resistances live in the roster; the gear audit lists unmet requirements
+ */
+function testRosterAndAudit() {
+	console.log('\n=== Testing Roster and Audit ===');
+
+	let roster = recordPlayer(createEmptyRoster(), makePlayer('Tank', 'Warrior', 'Protection'));
+	roster = updateCharacter(roster, 'Tank', 'Tank', { resistances: { fire: 280 } });
+	const data = enrichSignup(roster, { userid: 'Tank', name: 'Tank', class: 'Warrior', spec: 'Protection' });
+	const tank = new Player(data);
+	const cleared = updateCharacter(roster, 'Tank', 'Tank', { resistances: null });
+
+	const report = auditRaid([tank], { profile: getEncounterProfile('mc-ragnaros') });
+	const text = formatGearAudit(report);
+
+	const test1 = tank.enteredResistances.fire === 280 && tank.resistances.fire === 280 &&
+		cleared.players.Tank.characters[0].resistances === null;
+	const test2 = report.shortfalls.length === 1 &&
+		text.includes('__Resistance Requirements__\n315 Fire Resistance for MT (0 of 1): Tank (280)');
+
+	console.log(`✓ Roster resistances reach the player: ${test1}`);
+	console.log(`✓ Audit report lists who is short: ${test2}`);
+
+	const allPassed = test1 && test2;
+	console.log(`\nRoster and Audit: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		playerResistances: testPlayerResistances(),
+		requirements: testRequirements(),
+		constraints: testConstraints(),
+		seed: testSeed(),
+		rosterAndAudit: testRosterAndAudit()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testPlayerResistances,
+	testRequirements,
+	testConstraints,
+	testSeed,
+	testRosterAndAudit
+};
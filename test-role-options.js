@@ -0,0 +1,213 @@
+/**
+ * Role Options Tests
+ *
+ * Checks that players keep their declared alternate specs, that the seed
+ * switches players to an off-spec to cover role minimums, that the search can
+ * change specs, that off-spec use is penalized in the score, and that the exact
+ * solver only claims optimality for the specs it was given.
+ */
+
+const { Player } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { optimizeWithLocalSearch } = require('./src/core/search-optimizer');
+const { createScoringFunction, getScoreBreakdown } = require('./src/core/scoring');
+const { serializeRaidState } = require('./src/core/optimization-worker');
+const { getRoleOptions, withRole, isOffSpec, getMainPlayer } = require('./src/core/role-options');
+
+const CONFIG = {
+	seed: {
+		raid: { MAX_RAID_SIZE: 10, MIN_TANKS: 2, MIN_HEALERS: 2, MAX_GROUPS: 2 },
+		group: { GROUP_SIZE: 5, MAX_TANKS_PER_GROUP: 1, MAX_HEALERS_PER_GROUP: 2 }
+	}
+};
+
+function makePlayer(name, className, spec, extra = {}) {
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed', signuptime: 1, ...extra });
+}
+
+// One main tank; two fury warriors can also tank
+function makeRoster() {
+	return [
+		makePlayer('Tank', 'Warrior', 'Protection'),
+		makePlayer('FuryA', 'Warrior', 'Fury', { spec2: 'Protection' }),
+		makePlayer('FuryB', 'Warrior', 'Fury', { spec2: 'Protection' }),
+		makePlayer('Rogue', 'Rogue', 'Combat'),
+		makePlayer('Mage', 'Mage', 'Frost'),
+		makePlayer('Priest', 'Priest', 'Holy'),
+		makePlayer('Druid', 'Druid', 'Restoration', { altSpecs: ['Feral'] })
+	];
+}
+
+/**
+ * Players keep Raid Helper spec1-3 and manually added alternate specs
+ */
+function testSpecOptions() {
+	console.log('\n=== Testing Spec Options ===');
+
+	const fury = makePlayer('Fury', 'Warrior', 'Fury', { spec1: 'Fury', spec2: 'Protection', spec3: 'null' });
+	const druid = makePlayer('Druid', 'Druid', 'Restoration', { altSpecs: ['Balance', 'Feral'] });
+	const plain = { userid: 'plain', class: 'Mage', spec: 'Fire', role: 'dps' };
+	const tank = withRole(fury, 'tank');
+
+	const test1 = JSON.stringify(getRoleOptions(fury)) ===
+		JSON.stringify([{ spec: 'Fury', role: 'dps' }, { spec: 'Protection', role: 'tank' }]);
+	const test2 = getRoleOptions(druid).map(o => `${o.spec}:${o.role}`).join(',') === 'Restoration:healer,Balance:dps,Feral:dps';
+	const test3 = getRoleOptions(plain).length === 1 && withRole(plain, 'tank') === null;
+	const test4 = tank.role === 'tank' && tank.spec === 'Protection' && isOffSpec(tank) &&
+		tank instanceof Player && tank.roles.primary === 'tank' &&
+		withRole(fury, 'tank') === tank && getMainPlayer(tank) === fury && withRole(tank, 'dps') === fury;
+
+	console.log(`✓ Raid Helper specs kept: ${test1}`);
+	console.log(`✓ Manual alternate specs kept: ${test2}`);
+	console.log(`✓ Plain players have one option: ${test3}`);
+	console.log(`✓ Off-spec copy plays the new role: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nSpec Options: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The seed covers a missing tank with an off-spec, unless off-specs are disabled
+ */
+function testSeedUsesOffSpec() {
+	console.log('\n=== Testing Seed Off-Spec ===');
+
+	const result = optimizeRaidComposition(makeRoster(), CONFIG);
+	const strict = optimizeRaidComposition(makeRoster(), {
+		...CONFIG,
+		seed: { ...CONFIG.seed, allowOffSpec: false }
+	});
+
+	const offSpecs = result.success ? result.raidState.getAllPlayers().filter(isOffSpec) : [];
+	const explanation = offSpecs.length === 1 ? result.explanations[offSpecs[0].userid] : null;
+	const serialized = result.success ? serializeRaidState(result.raidState) : null;
+
+	const test1 = result.success && result.raidState.getRoleCounts().tank === 2 &&
+		offSpecs.length === 1 && offSpecs[0].spec === 'Protection';
+	const test2 = explanation !== null && explanation.reasons.some(reason => /Playing off-spec Protection \(tank\)/.test(reason));
+	const test3 = result.success && result.scoreBreakdown.offSpec.offSpecPlayers === -4;
+	const test4 = serialized !== null && serialized.offSpecs[offSpecs[0].userid].role === 'tank';
+	const test5 = !strict.success && /Not enough tanks: have 1, need 2/.test(strict.error);
+
+	console.log(`✓ Off-spec tank covers the minimum: ${test1}`);
+	console.log(`✓ Seed explains the off-spec: ${test2}`);
+	console.log(`✓ Off-spec penalized in score: ${test3}`);
+	console.log(`✓ Worker results list off-specs: ${test4}`);
+	console.log(`✓ allowOffSpec: false keeps main specs: ${test5} (${strict.error})`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nSeed Off-Spec: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The search switches specs when it pays, and never below a role minimum
+ */
+function testSearchSpecChanges() {
+	console.log('\n=== Testing Search Spec Changes ===');
+
+	const [tank, furyA, furyB, rogue, mage, priest, druid] = makeRoster();
+	const constraints = {
+		raid: { ...CONFIG.seed.raid, MIN_TANKS: 1, MIN_HEALERS: 1 },
+		group: CONFIG.seed.group
+	};
+
+	// Two off-spec tanks where one would do (the main tank sits on the bench)
+	const start = RaidState.createEmpty(2)
+		.withPlayerAt(1, 0, withRole(furyA, 'tank'))
+		.withPlayerAt(1, 1, priest)
+		.withPlayerAt(1, 2, rogue)
+		.withPlayerAt(2, 0, withRole(furyB, 'tank'))
+		.withPlayerAt(2, 1, mage)
+		.withPlayerAt(2, 2, druid)
+		.withBench([tank]);
+
+	// Without tank support coverage, a tank's group does not matter to the score
+	const weights = { tankSupportCoverage: 0 };
+	const result = optimizeWithLocalSearch(start, createScoringFunction(weights), { constraints });
+	const final = result.finalState;
+	const offSpecs = final.getAllPlayers().filter(isOffSpec);
+
+	const rewarded = optimizeWithLocalSearch(start, createScoringFunction({ ...weights, offSpecPenalty: 20 }), { constraints });
+	const disabled = optimizeWithLocalSearch(start, createScoringFunction(weights), { constraints, allowSpecChanges: false });
+
+	const test1 = offSpecs.length === 1 && final.getRoleCounts().tank === 1;
+	const test2 = result.moves.some(move => move.specChange && move.player2.spec === 'Fury');
+	const test3 = rewarded.finalState.getAllPlayers().filter(isOffSpec).length >
+		start.getAllPlayers().filter(isOffSpec).length;
+	const test4 = disabled.finalState.getAllPlayers().filter(isOffSpec).length === 2;
+	const test5 = getScoreBreakdown(final).offSpec.offSpecPlayers === -4;
+
+	console.log(`✓ Unneeded off-spec switched back: ${test1} (${offSpecs.length} off-spec)`);
+	console.log(`✓ Spec change recorded as a move: ${test2}`);
+	console.log(`✓ Penalty weight is configurable: ${test3}`);
+	console.log(`✓ allowSpecChanges: false keeps specs: ${test4}`);
+	console.log(`✓ Breakdown shows the penalty: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nSearch Spec Changes: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The exact solver keeps seed specs: a search result with spec changes isn't
+ * its incumbent and, when kept, carries no optimality claim
+ */
+function testExactSpecScope() {
+	console.log('\n=== Testing Exact Spec Scope ===');
+
+	const config = {
+		...CONFIG,
+		mode: 'exact',
+		seed: { ...CONFIG.seed, raid: { ...CONFIG.seed.raid, MIN_HEALERS: 1 } }
+	};
+	const exact = optimizeRaidComposition(makeRoster(), config);
+	// Rewarding off-specs makes the search switch the druid to Feral
+	const switched = optimizeRaidComposition(makeRoster(), { ...config, weights: { offSpecPenalty: 20 } });
+	const switchedOffSpecs = switched.raidState.getAllPlayers().filter(isOffSpec).map(player => player.name);
+
+	const test1 = exact.success && exact.optimality.provenOptimal && exact.optimality.scope === 'assigned-specs';
+	const test2 = switched.success && switchedOffSpecs.includes('Druid') && switched.optimality === null;
+	const test3 = switched.explanations.Druid.reasons.some(reason => reason.startsWith('Switched from Restoration to Feral'));
+
+	console.log(`✓ Proven optimal for the assigned specs: ${test1}`);
+	console.log(`✓ No claim for a spec-changed result: ${test2} (${switchedOffSpecs.join(', ')} off-spec)`);
+	console.log(`✓ Spec change explained by the search: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nExact Spec Scope: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		specOptions: testSpecOptions(),
+		seedUsesOffSpec: testSeedUsesOffSpec(),
+		searchSpecChanges: testSearchSpecChanges(),
+		exactSpecScope: testExactSpecScope()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testSpecOptions,
+	testSeedUsesOffSpec,
+	testSearchSpecChanges,
+	testExactSpecScope
+};
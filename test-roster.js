@@ -0,0 +1,227 @@
+/**
+ * Roster Tests
+ *
+ * Checks that signups are remembered by Discord user id (characters, specs,
+ * gear scores, mains and alts), that roster edits work, that the parser
+ * enriches new signups from the roster, and that only fetched gear scores
+ * join the history.
+ */
+
+const { Player } = require('./src/core/models');
+const { RaidHelperParser } = require('./src/core/parser');
+const {
+	createEmptyRoster,
+	recordPlayers,
+	recordGearScores,
+	getRosterEntry,
+	updateRosterEntry,
+	updateCharacter,
+	setMainCharacter,
+	removeRosterEntry,
+	enrichSignup,
+	validateRoster
+} = require('./src/core/roster');
+
+const WEEK_1 = '2026-10-05T19:00:00.000Z';
+const WEEK_2 = '2026-10-12T19:00:00.000Z';
+
+function makePlayer(userid, name, className, spec, gearScore = 0) {
+	return new Player({ userid, name, class: className, spec, gearScore, status: 'confirmed' });
+}
+
+// Recorded signups, then their gear scores as fetched from Battle.net
+function recordEvent(roster, players, date) {
+	return recordGearScores(recordPlayers(roster, players, date), players, date);
+}
+
+// Two events: Alice brings her priest, then her alt; Bob signs up twice
+function makeRoster() {
+	let roster = createEmptyRoster();
+	roster = recordEvent(roster, [
+		makePlayer('111', 'Alicepriest', 'Priest', 'Holy', 60),
+		makePlayer('222', 'Bobwar', 'Warrior', 'Protection')
+	], WEEK_1);
+	roster = recordEvent(roster, [
+		makePlayer('111', 'Alicemage', 'Mage', 'Frost', 55),
+		makePlayer('222', 'Bobwar', 'Warrior', 'Fury', 70),
+		new Player({ name: 'Nobody', class: 'Rogue', spec: 'Combat' })
+	], WEEK_2);
+	return roster;
+}
+
+/**
+ * Signups are recorded per Discord user id with characters and history
+ */
+function testRecording() {
+	console.log('\n=== Testing Recording ===');
+
+	const roster = makeRoster();
+	const alice = getRosterEntry(roster, '111');
+	const bob = getRosterEntry(roster, '222');
+
+	const test1 = Object.keys(roster.players).join(',') === '111,222';
+	const test2 = alice.characters.map(c => `${c.name}:${c.main}`).join(',') === 'Alicepriest:true,Alicemage:false' &&
+		alice.firstSeen === WEEK_1 && alice.lastSeen === WEEK_2;
+	const test3 = bob.characters.length === 1 && bob.characters[0].specs.join(',') === 'Protection,Fury' &&
+		bob.characters[0].gearScores.length === 1 && bob.characters[0].gearScores[0].score === 70;
+	const test4 = validateRoster(roster).length === 0 && validateRoster({ players: { 1: { userId: '2' } } }).length === 1 &&
+		validateRoster(null).length === 1;
+
+	console.log(`✓ Players keyed by user id, generated ids skipped: ${test1}`);
+	console.log(`✓ First character becomes the main: ${test2}`);
+	console.log(`✓ Specs and gear scores accumulate: ${test3}`);
+	console.log(`✓ Roster files validated: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nRecording: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Rank, notes, realm and main can be edited; edits return a new roster
+ */
+function testEditing() {
+	console.log('\n=== Testing Editing ===');
+
+	const roster = makeRoster();
+	let edited = updateRosterEntry(roster, '111', { rank: 'Officer', notes: 'Loot council' });
+	edited = updateCharacter(edited, '111', 'alicemage', { realm: 'Mirage Raceway' });
+	edited = setMainCharacter(edited, '111', 'Alicemage');
+	const alice = getRosterEntry(edited, '111');
+	const removed = removeRosterEntry(edited, '222');
+	// Race marked for Fear Ward, kept through a later realm change
+	const dwarf = updateCharacter(
+		updateCharacter(edited, '111', 'Alicepriest', { race: 'Dwarf' }), '111', 'Alicepriest', { realm: 'Mirage Raceway' });
+
+	let error = null;
+	try {
+		setMainCharacter(edited, '111', 'Alicewarlock');
+	} catch (e) {
+		error = e.message;
+	}
+
+	const test1 = alice.rank === 'Officer' && alice.notes === 'Loot council' &&
+		getRosterEntry(roster, '111').rank === '';
+	const test2 = alice.characters.map(c => `${c.name}:${c.main}:${c.realm}`).join(',') ===
+		'Alicepriest:false:,Alicemage:true:Mirage Raceway';
+	const test3 = !getRosterEntry(removed, '222') && getRosterEntry(edited, '222') !== null;
+	const test4 = error === 'Alicepriest has no character named Alicewarlock';
+	const test5 = enrichSignup(dwarf, { userid: '111', name: 'Alicepriest' }).race === 'Dwarf' &&
+		new Player(enrichSignup(dwarf, { userid: '111', name: 'Alicepriest', class: 'Priest' })).race === 'Dwarf' &&
+		enrichSignup(edited, { userid: '111', name: 'Alicepriest' }).race === null;
+
+	console.log(`✓ Rank and notes updated without touching the old roster: ${test1}`);
+	console.log(`✓ Realm and main updated: ${test2}`);
+	console.log(`✓ Players removed: ${test3}`);
+	console.log(`✓ Unknown characters rejected: ${test4} (${error})`);
+	console.log(`✓ Race kept and passed to signups: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nEditing: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * The parser fills in what the roster knows about each signup
+ */
+function testEnrichment() {
+	console.log('\n=== Testing Enrichment ===');
+
+	// Alice declares Arcane; Frost and Bob's Fury are only past signups
+	const roster = updateCharacter(makeRoster(), '111', 'Alicemage', { realm: 'Mirage Raceway', offSpecs: ['Arcane'] });
+	const parser = new RaidHelperParser();
+	const result = parser.parse({
+		signUps: [
+			{ userId: '111', name: 'Alicemage', className: 'Mage', specName: 'Fire', status: 'primary' },
+			{ name: 'Bobwar', className: 'Warrior', specName: 'Protection', status: 'primary' },
+			{ userId: '333', name: 'Newbie', className: 'Rogue', specName: 'Combat', status: 'primary' }
+		]
+	}, roster);
+	const [alice, bob, newbie] = result.players;
+	const unknown = enrichSignup(roster, { userid: '999', name: 'Stranger' });
+
+	const test1 = result.success && alice.realm === 'Mirage Raceway' && alice.main === 'Alicepriest' &&
+		alice.gearScore === 55 && alice.specOptions.map(option => option.spec).join(',') === 'Fire,Arcane';
+	const test2 = bob.id === '222' && bob.main === null && bob.gearScore === 70 &&
+		bob.specOptions.length === 1 && getRosterEntry(roster, '222').characters[0].specs.includes('Fury');
+	const test3 = newbie.id === '333' && newbie.realm === '' && newbie.main === null &&
+		unknown.name === 'Stranger' && unknown.realm === undefined;
+	const test4 = parser.parse({ signUps: [{ name: 'Bobwar', className: 'Warrior', specName: 'Fury' }] }).players[0].id !== '222';
+
+	console.log(`✓ Alt gets its realm, main, gear score and declared off-specs: ${test1}`);
+	console.log(`✓ Signup without user id matched by character, past specs not offered: ${test2} (${bob.id})`);
+	console.log(`✓ Unknown players left alone: ${test3}`);
+	console.log(`✓ No roster, no enrichment: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nEnrichment: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Loading an event again doesn't repeat the roster's own gear score;
+ * only a new fetch adds to the history
+ */
+function testGearScoreHistory() {
+	console.log('\n=== Testing Gear Score History ===');
+
+	const parser = new RaidHelperParser();
+	const event = { signUps: [{ userId: '222', name: 'Bobwar', className: 'Warrior', specName: 'Fury' }] };
+	const history = roster => getRosterEntry(roster, '222').characters[0].gearScores.map(entry => entry.score);
+
+	let roster = makeRoster();
+	for (let load = 0; load < 4; load++) {
+		roster = recordPlayers(roster, parser.parse(event, roster).players, WEEK_2);
+	}
+	const [bob] = parser.parse(event, roster).players;
+	const reloaded = history(roster);
+	const enriched = bob.gearScore;
+
+	bob.gearScore = 74;
+	const fetched = recordGearScores(roster, [bob], '2026-10-19T19:00:00.000Z');
+	const stranger = recordGearScores(roster, [makePlayer('999', 'Stranger', 'Mage', 'Frost', 80)]);
+
+	const test1 = enriched === 70 && reloaded.join(',') === '70';
+	const test2 = history(fetched).join(',') === '70,74' &&
+		getRosterEntry(fetched, '222').characters[0].gearScores[1].date === '2026-10-19T19:00:00.000Z';
+	const test3 = stranger === roster;
+
+	console.log(`✓ Re-parsing and recording leaves the history alone: ${test1} (${reloaded.join(', ')})`);
+	console.log(`✓ Fetched scores are added: ${test2}`);
+	console.log(`✓ Characters not in the roster are skipped: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nGear Score History: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		recording: testRecording(),
+		editing: testEditing(),
+		enrichment: testEnrichment(),
+		gearScoreHistory: testGearScoreHistory()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testRecording,
+	testEditing,
+	testEnrichment,
+	testGearScoreHistory
+};
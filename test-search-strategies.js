@@ -0,0 +1,161 @@
+/**
+ * Search Strategy Comparison
+ *
+ * Runs hill climbing, simulated annealing and tabu search from the same
+ * seed on each sample roster and compares final scores and convergence.
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { generateSeed } = require('./src/core/seed-generator');
+const { optimize, SEARCH_STRATEGIES, getTemperature, DEFAULT_CONFIG } = require('./src/core/search-optimizer');
+const { createScoringFunction } = require('./src/core/scoring');
+const { isValidRaidState } = require('./src/core/constraints');
+
+const ROSTERS = [
+	'raid-helper-sample.json',
+	'raid-helper-old-bwl.json'
+];
+
+const STRATEGY_CONFIG = {
+	maxIterations: 300,
+	maxIterationsWithoutImprovement: 60,
+	timeBudgetMs: 10000,
+	traceInterval: 10
+};
+
+function loadSeed(fileName) {
+	const data = JSON.parse(fs.readFileSync(`./sample-data/${fileName}`, 'utf-8'));
+	const parsed = new RaidHelperParser().parse(data);
+	return generateSeed(parsed.players);
+}
+
+/**
+ * Test temperature schedules
+ */
+function testTemperatureSchedules() {
+	console.log('\n=== Testing Temperature Schedules ===');
+
+	const cfg = { ...DEFAULT_CONFIG, initialTemperature: 100, minTemperature: 1, maxIterations: 100 };
+	const geometric = [0, 50, 100].map(i => getTemperature(i, cfg));
+	const linear = [0, 50, 100].map(i => getTemperature(i, { ...cfg, coolingSchedule: 'linear' }));
+	const custom = getTemperature(10, { ...cfg, coolingSchedule: () => 0 });
+
+	const test1 = geometric[0] === 100 && geometric[1] < geometric[0] && geometric[2] < geometric[1];
+	const test2 = linear[1] === 50.5 && linear[2] === 1;
+	const test3 = custom === cfg.minTemperature;
+
+	console.log(`✓ Geometric schedule cools: ${test1}`);
+	console.log(`✓ Linear schedule reaches minimum: ${test2}`);
+	console.log(`✓ Custom schedule clamped to minimum: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nTemperature Schedules: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Compare strategies on each sample roster
+ */
+function testStrategyComparison() {
+	console.log('\n=== Comparing Strategies on Sample Rosters ===');
+
+	const scoringFunction = createScoringFunction();
+	let allPassed = true;
+
+	ROSTERS.forEach(fileName => {
+		const seed = loadSeed(fileName);
+		if (!seed.success) {
+			console.log(`✗ ${fileName}: seed generation failed`);
+			allPassed = false;
+			return;
+		}
+
+		console.log(`\n${fileName}`);
+
+		Object.values(SEARCH_STRATEGIES).forEach(strategy => {
+			const result = optimize(seed.raidState, scoringFunction, { ...STRATEGY_CONFIG, strategy });
+			const valid = result.success && isValidRaidState(result.finalState);
+			const reportsStrategy = result.strategy === strategy;
+			const hasTrace = Array.isArray(result.trace) && result.trace.length > 0;
+			const neverWorse = result.finalScore >= result.initialScore;
+
+			console.log(`  ${strategy.padEnd(20)} ${result.initialScore.toFixed(2)} -> ${result.finalScore.toFixed(2)} ` +
+				`(${result.iterations} iterations, ${result.timeMs}ms, ${result.trace.length} trace points)`);
+
+			if (!(valid && reportsStrategy && hasTrace && neverWorse)) {
+				console.log(`  ✗ ${strategy} result check failed`);
+				allPassed = false;
+			}
+		});
+	});
+
+	console.log(`\nStrategy Comparison: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Simulated annealing is reproducible for a fixed random seed
+ */
+function testAnnealingDeterminism() {
+	console.log('\n=== Testing Simulated Annealing Determinism ===');
+
+	const seed = loadSeed(ROSTERS[0]);
+	const scoringFunction = createScoringFunction();
+	const config = { ...STRATEGY_CONFIG, strategy: SEARCH_STRATEGIES.SIMULATED_ANNEALING, randomSeed: 42 };
+
+	const run1 = optimize(seed.raidState, scoringFunction, config);
+	const run2 = optimize(seed.raidState, scoringFunction, config);
+
+	const identical = run1.finalScore === run2.finalScore && run1.iterations === run2.iterations;
+	console.log(`✓ Same seed gives same result: ${identical}`);
+
+	console.log(`\nSimulated Annealing Determinism: ${identical ? 'PASSED' : 'FAILED'}`);
+	return identical;
+}
+
+/**
+ * Unknown strategies are rejected
+ */
+function testUnknownStrategy() {
+	console.log('\n=== Testing Unknown Strategy ===');
+
+	const seed = loadSeed(ROSTERS[0]);
+	const result = optimize(seed.raidState, createScoringFunction(), { strategy: 'genetic' });
+	const rejected = result.success === false && /Unknown search strategy/.test(result.error);
+
+	console.log(`✓ Unknown strategy rejected: ${rejected}`);
+	console.log(`\nUnknown Strategy: ${rejected ? 'PASSED' : 'FAILED'}`);
+	return rejected;
+}
+
+function runAllTests() {
+	const results = {
+		temperatureSchedules: testTemperatureSchedules(),
+		strategyComparison: testStrategyComparison(),
+		annealingDeterminism: testAnnealingDeterminism(),
+		unknownStrategy: testUnknownStrategy()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testTemperatureSchedules,
+	testStrategyComparison,
+	testAnnealingDeterminism,
+	testUnknownStrategy
+};
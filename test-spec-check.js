@@ -0,0 +1,216 @@
+/**
+ * Spec Check Tests
+ *
+ * Checks reading the talent tree from Battle.net specializations, comparing
+ * it with the spec parsed from the Raid Helper signup, the mismatches in the
+ * player summary, and fetching and caching talents with the gear.
+ */
+
+const BattleNetAPI = require('./src/core/battlenet-api');
+const { RaidHelperParser } = require('./src/core/parser');
+const {
+	summarizeTalents,
+	getSignedUpTrees,
+	checkSpec,
+	getSpecMismatches,
+	describeSpecMismatch
+} = require('./src/core/spec-check');
+const { createEmptyGearCache, getCachedEntry, updateGearCache } = require('./src/core/gear-cache');
+
+// Battle.net specializations with points spent per tree, in the game's order
+function specializations(trees, points, inactive = null) {
+	const group = (spent, isActive) => ({
+		is_active: isActive,
+		specializations: trees.map((name, index) => ({ specialization_name: name, spent_points: spent[index] }))
+	});
+	return {
+		specialization_groups: [group(points, true), ...(inactive ? [group(inactive, false)] : [])]
+	};
+}
+
+const WARRIOR = ['Arms', 'Fury', 'Protection'];
+
+function parsePlayers(signUps) {
+	const parser = new RaidHelperParser();
+	return parser.parse({ signUps }).players;
+}
+
+/**
+ * The active group's deepest tree is the fetched spec
+ */
+function testTalents() {
+	console.log('\n=== Testing Talents ===');
+
+	const arms = summarizeTalents(specializations(WARRIOR, [31, 20, 0], [0, 0, 51]));
+	const dualSpec = specializations(WARRIOR, [17, 34, 0], [0, 0, 51]);
+	const inactiveFirst = summarizeTalents({ specialization_groups: [...dualSpec.specialization_groups].reverse() });
+	const retail = summarizeTalents({ active_specialization: { name: 'Fury' } });
+
+	const test1 = arms.tree === 'Arms' && arms.points.Fury === 20 && inactiveFirst.tree === 'Fury';
+	const test2 = summarizeTalents(specializations(WARRIOR, [0, 0, 0])) === null && summarizeTalents(null) === null;
+	const test3 = retail.tree === 'Fury' && retail.points === null;
+
+	console.log(`✓ Deepest tree of the active group: ${test1}`);
+	console.log(`✓ No points spent, nothing to check: ${test2}`);
+	console.log(`✓ Single active specialization read: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nTalents: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Raid Helper spec names against talent trees
+ */
+function testSignedUpTrees() {
+	console.log('\n=== Testing Signed-up Trees ===');
+
+	const test1 = getSignedUpTrees('Paladin', 'Holy1').join(',') === 'Holy' &&
+		getSignedUpTrees('Shaman', 'Restoration1').join(',') === 'Restoration' &&
+		getSignedUpTrees('Hunter', 'Beastmastery').join(',') === 'Beast Mastery';
+	const test2 = getSignedUpTrees('Druid', 'Guardian').join(',') === 'Feral Combat' &&
+		getSignedUpTrees('Druid', 'Dreamstate').join(',') === 'Balance,Restoration';
+	const test3 = getSignedUpTrees('Warrior', 'Unknown') === null && getSignedUpTrees('Unknown', 'Fury') === null &&
+		getSignedUpTrees('Warrior', 'Holy') === null;
+
+	console.log(`✓ Numbered and renamed specs: ${test1}`);
+	console.log(`✓ Druid specs: ${test2}`);
+	console.log(`✓ Unknown specs and classes unchecked: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nSigned-up Trees: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Parsed signups checked against fetched talents, mismatches in the summary
+ */
+function testSummary() {
+	console.log('\n=== Testing Summary ===');
+
+	const players = parsePlayers([
+		{ userid: '1', name: 'Fury', className: 'Warrior', specName: 'Fury' },
+		{ userid: '2', name: 'Shammy', className: 'Tentative', specName: 'Restoration1' },
+		{ userid: '3', name: 'Proper', className: 'Warrior', specName: 'Protection' },
+		{ userid: '4', name: 'Mixup', className: 'Warrior', specName: 'Arms' },
+		{ userid: '5', name: 'Gone', className: 'Absence', specName: 'Fury' },
+		{ userid: '6', name: 'Unfetched', className: 'Mage', specName: 'Frost' }
+	]);
+	const [fury, shammy, proper, mixup, gone] = players;
+	fury.talents = summarizeTalents(specializations(WARRIOR, [31, 20, 0]));
+	shammy.talents = summarizeTalents(specializations(['Elemental', 'Enhancement', 'Restoration'], [31, 0, 20]));
+	proper.talents = summarizeTalents(specializations(WARRIOR, [5, 5, 41]));
+	mixup.talents = summarizeTalents(specializations(['Arcane', 'Fire', 'Frost'], [0, 0, 31]));
+	gone.talents = summarizeTalents(specializations(WARRIOR, [31, 20, 0]));
+
+	const summary = new RaidHelperParser().getSummary(players);
+	const lines = summary.specMismatches.map(describeSpecMismatch);
+
+	const test1 = shammy.class === 'Shaman' && checkSpec(proper).status === 'match' &&
+		checkSpec(players[5]).status === 'unchecked';
+	const test2 = summary.specMismatches.map(check => check.player.name).join(',') === 'Fury,Shammy,Mixup';
+	const test3 = lines[0] === 'Fury signed up Fury, talents are Arms (31/20/0)' &&
+		lines[1] === 'Shammy signed up Restoration1, talents are Elemental (31/0/20)';
+	const test4 = checkSpec(mixup).wrongClass &&
+		lines[2] === "Mixup signed up Arms, talents are Frost - not a Warrior tree, check the character's realm";
+	const test5 = getSpecMismatches([]).length === 0 && parsePlayers([]).length === 0;
+
+	console.log(`✓ Matches and unfetched players not flagged: ${test1}`);
+	console.log(`✓ Mismatches in the summary, absent players skipped: ${test2}`);
+	lines.forEach(line => console.log(`  ${line}`));
+	console.log(`✓ Talent split shown: ${test3}`);
+	console.log(`✓ Another class's talents flagged: ${test4}`);
+	console.log(`✓ Nothing loaded, nothing flagged: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nSummary: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Talents come with the gear lookup and are cached with it: a fully cached
+ * lookup asks Battle.net for nothing, a stale one revalidates the talents
+ */
+async function testClient() {
+	console.log('\n=== Testing Client ===');
+
+	const MODIFIED = 'Mon, 12 Oct 2026 19:00:00 GMT';
+	const api = new BattleNetAPI('id', 'secret', 'us', { concurrency: 2 });
+	const requests = [];
+	api.authenticate = async () => 'token';
+	api.requestWithRetry = async (buildOptions) => {
+		const { path, headers } = await buildOptions();
+		const talents = path.includes('/specializations');
+		requests.push({ path, ifModifiedSince: headers['If-Modified-Since'] || null });
+		if (path.includes('/nobody/')) return { statusCode: 404, headers: {}, data: '' };
+		if (talents && path.includes('/broken/')) return { statusCode: 500, headers: {}, data: 'oops' };
+		if (headers['If-Modified-Since']) return { statusCode: 304, headers: {}, data: '' };
+		const data = talents ? specializations(WARRIOR, [31, 20, 0]) : { equipped_items: [{ level: { value: 60 } }] };
+		return { statusCode: 200, headers: { 'last-modified': MODIFIED }, data: JSON.stringify(data) };
+	};
+
+	const characters = ['Grom', 'Nobody', 'Broken'].map(name => ({ playerId: name, name, realm: 'Mirage Raceway' }));
+	const first = await api.batchGetGearScores(characters, { cache: createEmptyGearCache(), talents: true });
+	const firstPaths = requests.map(request => request.path);
+	const cache = updateGearCache(createEmptyGearCache(), 'us', first);
+
+	requests.length = 0;
+	const cached = await api.batchGetGearScores(characters.slice(0, 1), { cache, ttlHours: 24, talents: true });
+	const cachedRequests = requests.length;
+
+	requests.length = 0;
+	const [stale] = await api.batchGetGearScores(characters.slice(0, 1), { cache, ttlHours: 0, talents: true });
+	const withoutTalents = await api.batchGetGearScores(characters.slice(0, 1), { cache, ttlHours: 24 });
+
+	const test1 = firstPaths.includes('/profile/wow/character/mirage-raceway/grom/specializations?namespace=profile-classic-us&locale=en_US') &&
+		first[0].success && first[0].talents.tree === 'Arms';
+	const test2 = !first[1].success && first[2].success && first[2].talents === null &&
+		getCachedEntry(cache, 'us', 'Mirage Raceway', 'Grom').talents.tree === 'Arms';
+	const test3 = cachedRequests === 0 && cached[0].cached && cached[0].talents.tree === 'Arms';
+	const test4 = requests.length === 2 && requests.every(request => request.ifModifiedSince === MODIFIED) &&
+		stale.unchanged && stale.talents.tree === 'Arms';
+	const test5 = withoutTalents[0].talents === undefined;
+
+	console.log(`✓ Talents fetched with the gear: ${test1}`);
+	console.log(`✓ Missing characters fail, talent errors don't fail the gear: ${test2}`);
+	console.log(`✓ Fully cached lookup makes no requests: ${test3} (${cachedRequests} requests)`);
+	console.log(`✓ Stale talents revalidated with Last-Modified: ${test4}`);
+	console.log(`✓ Talents only when asked for: ${test5}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5;
+	console.log(`\nClient: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+async function runAllTests() {
+	const results = {
+		talents: testTalents(),
+		signedUpTrees: testSignedUpTrees(),
+		summary: testSummary(),
+		client: await testClient()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	runAllTests().then(passed => {
+		process.exitCode = passed ? 0 : 1;
+	});
+}
+
+module.exports = {
+	runAllTests,
+	testTalents,
+	testSignedUpTrees,
+	testSummary,
+	testClient
+};
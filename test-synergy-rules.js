@@ -0,0 +1,188 @@
+/**
+ * Synergy Rules Tests
+ *
+ * Checks that the default rule set reproduces the synergy and buff values
+ * that used to be hard-coded, and that custom rule sets are validated and
+ * change both SynergyCalculator and scoreRaidComposition.
+ */
+
+const { Player } = require('./src/core/models');
+const SynergyCalculator = require('./src/core/synergy');
+const { RaidState } = require('./src/core/state-model');
+const { scoreRaidComposition, getScoreBreakdown } = require('./src/core/scoring');
+const {
+	DEFAULT_RULES,
+	setRuleSet,
+	resetRuleSet,
+	validateRuleSet,
+	getBuffsProvided
+} = require('./src/core/synergy-rules');
+
+function makePlayer(name, className, spec, role) {
+	return new Player({ id: name, userid: name, name, class: className, spec, role, status: 'confirmed' });
+}
+
+const tank = makePlayer('Tank', 'Warrior', 'Protection', 'tank');
+const fury = makePlayer('Fury', 'Warrior', 'Fury', 'dps');
+const rogue = makePlayer('Rogue', 'Rogue', 'Combat', 'dps');
+const enhance = makePlayer('Enhance', 'Shaman', 'Enhancement', 'dps');
+const restoShaman = makePlayer('Totems', 'Shaman', 'Restoration', 'healer');
+const mage = makePlayer('Mage', 'Mage', 'Frost', 'dps');
+const moonkin = makePlayer('Moonkin', 'Druid', 'Balance', 'dps');
+const warlock = makePlayer('Lock', 'Warlock', 'Affliction', 'dps');
+const shadow = makePlayer('Shadow', 'Priest', 'Shadow', 'dps');
+const paladin = makePlayer('Pally', 'Paladin', 'Holy', 'healer');
+
+function meleeRaid() {
+	return RaidState.createEmpty(2)
+		.withPlayerAt(1, 0, tank)
+		.withPlayerAt(1, 1, fury)
+		.withPlayerAt(1, 2, rogue)
+		.withPlayerAt(1, 3, enhance)
+		.withPlayerAt(1, 4, restoShaman)
+		.withPlayerAt(2, 0, mage)
+		.withPlayerAt(2, 1, warlock)
+		.withPlayerAt(2, 2, paladin);
+}
+
+/**
+ * Default rules are valid and give the old hard-coded values
+ */
+function testDefaultRules() {
+	console.log('\n=== Testing Default Rules ===');
+
+	resetRuleSet();
+	const calculator = new SynergyCalculator();
+	const validation = validateRuleSet(DEFAULT_RULES);
+
+	const test1 = validation.valid;
+	const test2 = calculator.calculatePlayerSynergy(tank, enhance) === 1000;
+	const test3 = calculator.calculatePlayerSynergy(mage, moonkin) === 35 &&
+		calculator.calculatePlayerSynergy(warlock, shadow) === 35;
+	const test4 = calculator.calculatePlayerSynergy(fury, rogue) === 10 &&
+		calculator.calculatePlayerSynergy(enhance, rogue) === 40;
+	const test5 = calculator.getCompositionBonus([fury, rogue, enhance, restoShaman, tank]) === 50 + 15 + 10;
+	const test6 = getBuffsProvided(restoShaman).includes('Windfury Totem') &&
+		getBuffsProvided(restoShaman).includes('Mana Tide Totem') &&
+		!getBuffsProvided(enhance).includes('Mana Tide Totem');
+
+	console.log(`✓ Default rule set valid: ${test1} ${validation.errors.join('; ')}`);
+	console.log(`✓ Tank + shaman: ${test2}`);
+	console.log(`✓ Mage + moonkin, warlock + shadow priest: ${test3}`);
+	console.log(`✓ Melee pairs and windfury: ${test4}`);
+	console.log(`✓ Melee group bonus: ${test5}`);
+	console.log(`✓ Buffs provided: ${test6}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5 && test6;
+	console.log(`\nDefault Rules: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Buff rules drive the class synergy part of the raid score
+ */
+function testBuffScoring() {
+	console.log('\n=== Testing Buff Scoring ===');
+
+	resetRuleSet();
+	const raid = meleeRaid();
+	const breakdown = getScoreBreakdown(raid);
+
+	// Three windfury melee (the warrior tank counts) with two WF shamans in group 1
+	const test1 = breakdown.classSynergy['Windfury Totem'] === 3 * 10;
+	const test2 = breakdown.classSynergy['Mana Tide Totem'] === 5;
+	const test3 = breakdown.classSynergy['Blessing of Kings'] === 5;
+
+	console.log(`✓ Windfury Totem scored per melee: ${test1} (${breakdown.classSynergy['Windfury Totem']})`);
+	console.log(`✓ Mana Tide Totem scored per group: ${test2}`);
+	console.log(`✓ Blessing of Kings scored per group: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nBuff Scoring: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * A custom rule set changes scores; invalid ones are rejected
+ */
+function testCustomRules() {
+	console.log('\n=== Testing Custom Rules ===');
+
+	const raid = meleeRaid();
+	resetRuleSet();
+	const defaultScore = scoreRaidComposition(raid);
+
+	const custom = {
+		...DEFAULT_RULES,
+		buffs: [
+			...DEFAULT_RULES.buffs,
+			{ name: 'Battle Shout', providers: 'warrior', scope: 'party', beneficiaries: 'melee', value: 2 }
+		],
+		pairSynergies: [{ id: 'tank-shaman', between: ['tank', 'shaman'], value: 5 }]
+	};
+	setRuleSet(custom);
+	const customScore = scoreRaidComposition(raid);
+	const customBreakdown = getScoreBreakdown(raid);
+	const pair = new SynergyCalculator().calculatePlayerSynergy(tank, enhance);
+	resetRuleSet();
+
+	const invalid = validateRuleSet({
+		selectors: { loop: { any: ['loop'] } },
+		buffs: [{ name: 'Bad', providers: 'nobody', scope: 'group' }],
+		pairSynergies: [{ id: 'half', between: ['mage'] }]
+	});
+	let threw = false;
+	try {
+		setRuleSet({ buffs: [{ name: 'Bad', providers: 'nobody', scope: 'raid' }] });
+	} catch (error) {
+		threw = /unknown selector "nobody"/.test(error.message);
+	}
+
+	// Melee group: tank, fury, rogue, enhance all count as melee
+	const test1 = customScore === defaultScore + 2 * 4 && customBreakdown.classSynergy['Battle Shout'] === 8;
+	const test2 = pair === 5;
+	const test3 = !invalid.valid &&
+		invalid.errors.includes('selector loop: refers to itself') &&
+		invalid.errors.includes('buff Bad: unknown selector "nobody"') &&
+		invalid.errors.some(error => /scope must be one of/.test(error)) &&
+		invalid.errors.includes('pair synergy half: between must list two selectors');
+	const test4 = threw && scoreRaidComposition(raid) === defaultScore;
+
+	console.log(`✓ Custom buff adds to the score: ${test1} (${defaultScore} -> ${customScore})`);
+	console.log(`✓ Custom pair synergy used: ${test2}`);
+	console.log(`✓ Invalid rule set reported: ${test3} (${invalid.errors.join('; ')})`);
+	console.log(`✓ Invalid rule set not applied: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nCustom Rules: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		defaultRules: testDefaultRules(),
+		buffScoring: testBuffScoring(),
+		customRules: testCustomRules()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testDefaultRules,
+	testBuffScoring,
+	testCustomRules
+};
@@ -0,0 +1,105 @@
+/**
+ * Top-K Composition Tests
+ *
+ * Checks that top-K mode returns distinct, diverse compositions best first,
+ * each with placement explanations, and that the distance between
+ * compositions ignores group numbering.
+ */
+
+const fs = require('fs');
+const { RaidHelperParser } = require('./src/core/parser');
+const { optimizeRaidComposition } = require('./src/core/new-optimizer');
+const { generateSeed } = require('./src/core/seed-generator');
+const { getAssignmentDistance } = require('./src/core/search-optimizer');
+const { validateRaidState } = require('./src/core/constraints');
+
+function loadPlayers() {
+	const data = JSON.parse(fs.readFileSync('./sample-data/raid-helper-sample.json', 'utf-8'));
+	return new RaidHelperParser().parse(data).players;
+}
+
+/**
+ * Relabeling groups is not a move; moving one player is
+ */
+function testAssignmentDistance() {
+	console.log('\n=== Testing Assignment Distance ===');
+
+	const seed = generateSeed(loadPlayers()).raidState;
+	const [group1, group2] = seed.groups;
+	// Swapping every slot of two groups only renumbers them
+	const relabeled = group1.slots.reduce((state, slot, slotIndex) =>
+		state.swapPlayers({ groupId: group1.id, slotIndex }, { groupId: group2.id, slotIndex }), seed);
+	const oneSwap = seed.swapPlayers({ groupId: group1.id, slotIndex: 0 }, { groupId: group2.id, slotIndex: 0 });
+
+	const test1 = getAssignmentDistance(seed, seed) === 0;
+	const test2 = getAssignmentDistance(seed, relabeled) === 0;
+	const test3 = getAssignmentDistance(seed, oneSwap) === 2;
+
+	console.log(`✓ Same state is 0 moves apart: ${test1}`);
+	console.log(`✓ Swapped group numbers are 0 moves apart: ${test2}`);
+	console.log(`✓ One swap is 2 moves apart: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nAssignment Distance: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Top-K returns valid, diverse compositions with score breakdowns and explanations, best first
+ */
+function testTopK() {
+	console.log('\n=== Testing Top-K Compositions ===');
+
+	const minMoves = 6;
+	const result = optimizeRaidComposition(loadPlayers(), { topK: { k: 3, minMoves, restarts: 8 } });
+	const alternatives = result.alternatives || [];
+	const pairs = alternatives.flatMap((a, i) => alternatives.slice(i + 1).map(b => [a, b]));
+
+	const test1 = result.success && alternatives.length > 1 && alternatives.length <= 3;
+	const test2 = alternatives.every(a => validateRaidState(a.raidState).valid && a.scoreBreakdown.pairPreferences);
+	const test3 = pairs.every(([a, b]) => getAssignmentDistance(a.raidState, b.raidState) >= minMoves);
+	const test4 = alternatives.every((a, i) => i === 0 || a.score <= alternatives[i - 1].score);
+	const test5 = result.success && result.raidState === alternatives[0].raidState && alternatives[0].distance === 0;
+	const test6 = result.success && alternatives[0].explanations === result.explanations &&
+		alternatives.every(a => a.raidState.getAllPlayers().every(p =>
+			a.explanations[p.userid] && a.explanations[p.userid].groupId === a.raidState.findPlayer(p).groupId));
+
+	alternatives.forEach((a, i) => console.log(`  #${i + 1}: score ${a.score.toFixed(2)}, ${a.distance} moves from #1`));
+	console.log(`✓ Several compositions returned: ${test1}`);
+	console.log(`✓ Each is valid with a score breakdown: ${test2}`);
+	console.log(`✓ Pairwise at least ${minMoves} moves apart: ${test3}`);
+	console.log(`✓ Sorted best first: ${test4}`);
+	console.log(`✓ Best alternative is the main result: ${test5}`);
+	console.log(`✓ Every alternative explains its placements: ${test6}`);
+
+	const allPassed = test1 && test2 && test3 && test4 && test5 && test6;
+	console.log(`\nTop-K Compositions: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		assignmentDistance: testAssignmentDistance(),
+		topK: testTopK()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testAssignmentDistance,
+	testTopK
+};
@@ -0,0 +1,219 @@
+/**
+ * Utility Assignment Tests
+ *
+ * Checks rotations sized by encounter profiles, Fear Ward from Dwarf priests
+ * only, soulstones and curses per warlock, bench backups and the plain text export.
+ */
+
+const { Player, Group } = require('./src/core/models');
+const { RaidState } = require('./src/core/state-model');
+const { getEncounterProfile } = require('./src/core/encounter-profiles');
+const { generateUtilityAssignments, formatUtilityAssignments } = require('./src/core/utility-assignments');
+const { hasCapability } = require('./src/core/capabilities');
+
+function makePlayer(name, className, spec, extra = {}) {
+	return new Player({ userid: name, name, class: className, spec, status: 'confirmed', ...extra });
+}
+
+const tank = makePlayer('Tank', 'Warrior', 'Protection');
+const warrior = makePlayer('Warrior', 'Warrior', 'Fury');
+const rogue = makePlayer('Rogue', 'Rogue', 'Combat');
+const hunterA = makePlayer('HunterA', 'Hunter', 'Marksmanship');
+const hunterB = makePlayer('HunterB', 'Hunter', 'Marksmanship');
+const mage = makePlayer('Mage', 'Mage', 'Frost');
+const druid = makePlayer('Druid', 'Druid', 'Restoration');
+const priest = makePlayer('Priest', 'Priest', 'Holy');
+const pally = makePlayer('Pally', 'Paladin', 'Holy');
+const lockA = makePlayer('LockA', 'Warlock', 'Affliction');
+const lockB = makePlayer('LockB', 'Warlock', 'Destruction');
+
+const benchHunter = makePlayer('BenchHunter', 'Hunter', 'Survival');
+const benchLock = makePlayer('BenchLock', 'Warlock', 'Demonology');
+
+function makeRaid() {
+	return RaidState.createEmpty(3)
+		.withPlayerAt(1, 0, tank)
+		.withPlayerAt(1, 1, warrior)
+		.withPlayerAt(1, 2, rogue)
+		.withPlayerAt(1, 3, pally)
+		.withPlayerAt(2, 0, hunterA)
+		.withPlayerAt(2, 1, hunterB)
+		.withPlayerAt(2, 2, druid)
+		.withPlayerAt(2, 3, priest)
+		.withPlayerAt(3, 0, mage)
+		.withPlayerAt(3, 1, lockA)
+		.withPlayerAt(3, 2, lockB)
+		.withBench([benchHunter, benchLock]);
+}
+
+function names(players) {
+	return players.map(player => player.name).join(',');
+}
+
+function backupNames(backups) {
+	return backups.map(backup => (backup.benched ? `${backup.player.name}*` : backup.player.name)).join(',');
+}
+
+function findRotation(assignments, id) {
+	return assignments.rotations.find(rotation => rotation.id === id);
+}
+
+/**
+ * Encounter profiles size the rotations; backups come from the raid, then the bench
+ */
+function testRotations() {
+	console.log('\n=== Testing Rotations ===');
+
+	const magmadar = generateUtilityAssignments(makeRaid(), { profile: getEncounterProfile('mc-magmadar') });
+	const lucifron = generateUtilityAssignments(makeRaid(), { profile: getEncounterProfile('mc-lucifron') });
+	const custom = generateUtilityAssignments(makeRaid(), { rotations: { tranqShot: 3, interrupt: 3 } });
+	const plain = generateUtilityAssignments(makeRaid());
+
+	const tranq = findRotation(magmadar, 'tranqShot');
+	const decurse = findRotation(lucifron, 'decurse');
+	const kicks = findRotation(custom, 'interrupt');
+
+	const test1 = tranq.size === 2 && names(tranq.players) === 'HunterA,HunterB' &&
+		backupNames(tranq.backups) === 'BenchHunter*';
+	const test2 = names(decurse.players) === 'Mage,Druid' &&
+		lucifron.warnings.includes('Decurse rotation has 2 of 4 players');
+	const test3 = names(kicks.players) === 'Rogue,Warrior,Mage' && backupNames(kicks.backups) === 'Tank' &&
+		names(findRotation(custom, 'tranqShot').players) === 'HunterA,HunterB';
+	const test4 = plain.rotations.length === 0;
+
+	console.log(`✓ Profile sizes the tranq rotation: ${test1} (${names(tranq.players)}; backups ${backupNames(tranq.backups)})`);
+	console.log(`✓ Short decurse rotation reported: ${test2}`);
+	console.log(`✓ Interrupts by class preference, tanks last: ${test3} (${names(kicks.players)})`);
+	console.log(`✓ No rotations without a profile: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nRotations: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Only priests marked Dwarf in the roster have Fear Ward; Tremor Totem still
+ * counts as fear immunity
+ */
+function testFearWard() {
+	console.log('\n=== Testing Fear Ward ===');
+
+	const dwarf = makePlayer('Dwarf', 'Priest', 'Holy', { race: 'Dwarf' });
+	const shaman = makePlayer('Shaman', 'Shaman', 'Restoration');
+	const profile = getEncounterProfile('mc-magmadar');
+	const unmarked = generateUtilityAssignments(makeRaid(), { profile });
+	const marked = generateUtilityAssignments(makeRaid().withPlayerAt(3, 3, dwarf), { profile });
+
+	const test1 = !hasCapability(priest, 'fearImmunity') && hasCapability(dwarf, 'fearImmunity') &&
+		hasCapability(shaman, 'fearImmunity');
+	const test2 = findRotation(unmarked, 'fearWard').players.length === 0 &&
+		unmarked.warnings.includes('Fear Ward rotation has 0 of 2 players (only Dwarf priests count, mark them in the roster)');
+	const test3 = names(findRotation(marked, 'fearWard').players) === 'Dwarf' &&
+		marked.warnings.some(warning => warning.startsWith('Fear Ward rotation has 1 of 2'));
+
+	console.log(`✓ Fear immunity from Dwarf priests and shamans only: ${test1}`);
+	console.log(`✓ Unmarked priests leave the rotation short, with a hint: ${test2}`);
+	console.log(`✓ Dwarf priest in the rotation: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nFear Ward: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Each warlock soulstones a resurrecting healer and casts one curse
+ */
+function testWarlocks() {
+	console.log('\n=== Testing Soulstones and Curses ===');
+
+	const assignments = generateUtilityAssignments(makeRaid());
+	const soulstones = assignments.soulstones.assignments;
+	const curses = assignments.curses.assignments;
+	const noShadow = generateUtilityAssignments(makeRaid(), {
+		profile: { id: 'test', name: 'Test', debuffs: { priorities: { curseOfRecklessness: 0 } } }
+	});
+	const noLocks = generateUtilityAssignments(makeRaid().withPlayerAt(3, 1, null).withPlayerAt(3, 2, null));
+
+	const test1 = soulstones.length === 2 && soulstones[0].warlock === lockA && soulstones[0].target === priest &&
+		soulstones[1].target === pally && backupNames(assignments.soulstones.backups) === 'BenchLock*';
+	const test2 = curses.map(curse => `${curse.label}:${curse.warlock ? curse.warlock.name : '-'}`).join(',') ===
+		'Curse of Recklessness:LockA,Curse of the Elements:LockB,Curse of Shadow:-' &&
+		assignments.warnings.includes('Curse of Shadow has no warlock');
+	const test3 = names(noShadow.curses.assignments.map(curse => curse.warlock)) === 'LockA,LockB' &&
+		noShadow.warnings.length === 0;
+	const test4 = noLocks.warnings.includes('No warlock for soulstones') && noLocks.soulstones.assignments.length === 0;
+
+	console.log(`✓ Soulstones on priests first, bench warlock as backup: ${test1}`);
+	console.log(`✓ Curses by priority, one per warlock: ${test2}`);
+	console.log(`✓ Profile priorities drop a curse: ${test3}`);
+	console.log(`✓ Missing warlocks reported: ${test4}`);
+
+	const allPassed = test1 && test2 && test3 && test4;
+	console.log(`\nSoulstones and Curses: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+/**
+ * Plain text export, with model groups and an explicit bench (the composition tab's shape)
+ */
+function testTextExport() {
+	console.log('\n=== Testing Text Export ===');
+
+	const groups = makeRaid().groups.map(state => {
+		const group = new Group(state.id);
+		state.getPlayers().forEach(player => group.addPlayer(player));
+		return group;
+	});
+	const assignments = generateUtilityAssignments(groups, {
+		profile: getEncounterProfile('mc-magmadar'),
+		bench: [benchHunter]
+	});
+	const text = formatUtilityAssignments(assignments);
+	const lines = text.split('\n');
+	const tranqStart = lines.indexOf('__Tranquilizing Shot__');
+
+	const test1 = lines[0] === '**Utility Assignments**' &&
+		lines.slice(tranqStart + 1, tranqStart + 4).join('|') === '1. HunterA|2. HunterB|Backups: BenchHunter (bench)';
+	const test2 = lines.includes('LockA → Priest') && lines.includes('LockB → Pally') &&
+		lines.includes('Curse of the Elements: LockB') && lines.includes('Curse of Shadow: -');
+	const test3 = lines.includes('⚠️ Curse of Shadow has no warlock') && !text.includes('BenchLock');
+
+	console.log(`✓ Numbered rotation with bench backups: ${test1}`);
+	console.log(`✓ Soulstone and curse lines: ${test2}`);
+	console.log(`✓ Warnings listed, only the given bench used: ${test3}`);
+
+	const allPassed = test1 && test2 && test3;
+	console.log(`\nText Export: ${allPassed ? 'PASSED' : 'FAILED'}`);
+	return allPassed;
+}
+
+function runAllTests() {
+	const results = {
+		rotations: testRotations(),
+		fearWard: testFearWard(),
+		warlocks: testWarlocks(),
+		textExport: testTextExport()
+	};
+
+	let failed = 0;
+	console.log('\n=== Results ===');
+	Object.entries(results).forEach(([name, result]) => {
+		console.log(`${result ? '✓ PASS' : '✗ FAIL'} - ${name}`);
+		if (!result) failed++;
+	});
+
+	console.log(failed === 0 ? '\n🎉 All tests passed!' : '\n⚠️  Some tests failed');
+	return failed === 0;
+}
+
+if (require.main === module) {
+	process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = {
+	runAllTests,
+	testRotations,
+	testFearWard,
+	testWarlocks,
+	testTextExport
+};